@@ -8,6 +8,11 @@ const { connectDB, getConnectionStatus } = require("./src/config/db");
 const subscriptionService = require("./src/services/subscription.service");
 const serviceScheduleService = require("./src/services/serviceSchedule.service");
 const notificationScheduler = require("./src/services/notificationScheduler.service");
+const inventoryService = require("./src/services/inventory.service");
+const reliabilityService = require("./src/services/reliability.service");
+const waitlistService = require("./src/services/waitlist.service");
+const fcmService = require("./src/services/fcm.service");
+const campaignService = require("./src/services/campaign.service");
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (err) => {
@@ -30,6 +35,16 @@ const startServer = async () => {
     serviceScheduleService.initCronJobs();
     // Initialize notification scheduler cron jobs
     notificationScheduler.initializeScheduler();
+    // Initialize inventory cron jobs
+    inventoryService.initCronJobs();
+    // Initialize no-show detection cron jobs
+    reliabilityService.initCronJobs();
+    // Initialize waitlist offer cron jobs
+    waitlistService.initCronJobs();
+    // Initialize push receipt cron jobs (prunes unregistered devices)
+    fcmService.initCronJobs();
+    // Initialize campaign cron jobs (scheduled and throttled broadcasts)
+    campaignService.initCronJobs();
 
     // Start Express server
     const server = app.listen(config.port, () => {
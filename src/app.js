@@ -52,7 +52,17 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Body parsing
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Webhook signatures are computed over the raw body
+    verify: (req, res, buf) => {
+      if (req.originalUrl.includes("/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Sanitize data against NoSQL injection
@@ -107,6 +107,7 @@ const config = {
     senderId: process.env.MSG91_SENDER_ID || process.env.SMS_SENDER_ID || "CLUTCH",
     otpTemplateId: process.env.MSG91_OTP_TEMPLATE_ID,
     whatsappOtpTemplateId: process.env.MSG91_WHATSAPP_OTP_TEMPLATE_ID,
+    whatsappNumber: process.env.MSG91_WHATSAPP_NUMBER,
     flowTemplateId: process.env.MSG91_FLOW_TEMPLATE_ID,
     webhookToken: process.env.MSG91_WEBHOOK_TOKEN,
   },
@@ -135,9 +136,74 @@ const config = {
     phone: process.env.GARAGE_PHONE || "",
     email: process.env.GARAGE_EMAIL || "",
     gst: process.env.GARAGE_GST || "",
+    // GST state code; derived from the GSTIN when not set
+    stateCode: process.env.GARAGE_STATE_CODE || "",
+    // SAC code for service and labour lines (motor vehicle maintenance)
+    serviceSac: process.env.GARAGE_SERVICE_SAC || "998714",
+    // Inter-state B2C invoices above this value are reported invoice-wise
+    b2clThreshold: parseInt(process.env.GST_B2CL_THRESHOLD, 10) || 250000,
     invoiceTerms: process.env.INVOICE_TERMS || "",
   },
 
+  // Inventory
+  inventory: {
+    // How long stock is held for job card items awaiting approval
+    reservationHoldHours:
+      parseInt(process.env.STOCK_RESERVATION_HOLD_HOURS, 10) || 48,
+  },
+
+  // Online payments (Razorpay)
+  payments: {
+    // How long an invoice/subscription checkout order stays open
+    checkoutTtlMinutes: parseInt(process.env.CHECKOUT_TTL_MINUTES, 10) || 30,
+    // Pending gateway payments older than this are reconciled nightly
+    pendingMaxAgeHours:
+      parseInt(process.env.PAYMENT_PENDING_MAX_AGE_HOURS, 10) || 24,
+  },
+
+  // Subscription auto-renewal
+  subscriptions: {
+    // Days after endDate a failed renewal keeps retrying before expiry
+    renewalGraceDays:
+      parseInt(process.env.SUBSCRIPTION_RENEWAL_GRACE_DAYS, 10) || 3,
+    renewalRetryHours:
+      parseInt(process.env.SUBSCRIPTION_RENEWAL_RETRY_HOURS, 10) || 24,
+    renewalMaxAttempts:
+      parseInt(process.env.SUBSCRIPTION_RENEWAL_MAX_ATTEMPTS, 10) || 3,
+  },
+
+  // Appointment booking
+  appointments: {
+    // How long a slot hold reserves a spot during checkout
+    slotHoldMinutes: parseInt(process.env.SLOT_HOLD_MINUTES, 10) || 5,
+    // Minutes after a slot ends before a confirmed booking becomes a no-show
+    noShowGraceMinutes: parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 60,
+    // Customer cancellations closer than this to the slot count as late
+    lateCancelHours: parseInt(process.env.LATE_CANCEL_HOURS, 10) || 4,
+    // No-shows after which new bookings wait for a confirmation call, or
+    // for an advance payment of advancePaymentPercent of the estimate
+    confirmationCallAfterNoShows:
+      parseInt(process.env.CONFIRMATION_CALL_AFTER_NO_SHOWS, 10) || 1,
+    advancePaymentAfterNoShows:
+      parseInt(process.env.ADVANCE_PAYMENT_AFTER_NO_SHOWS, 10) || 2,
+    advancePaymentPercent:
+      parseInt(process.env.NO_SHOW_ADVANCE_PERCENT, 10) || 25,
+    // How long a waitlisted customer has to claim a freed spot
+    waitlistOfferMinutes:
+      parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 30,
+    // Claim link sent with waitlist offers; the entry id is appended
+    waitlistClaimUrl:
+      process.env.WAITLIST_CLAIM_URL || "clutchgear://waitlist",
+  },
+
+  // Vehicle pickup & drop
+  logistics: {
+    // Pickup window opens this long before the appointment slot
+    pickupLeadMinutes: parseInt(process.env.PICKUP_LEAD_MINUTES, 10) || 60,
+    // Default length of a drop window
+    dropWindowMinutes: parseInt(process.env.DROP_WINDOW_MINUTES, 10) || 120,
+  },
+
   // CORS
   cors: {
     allowedOrigins: process.env.CORS_ALLOWED_ORIGINS || "*",
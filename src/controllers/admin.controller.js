@@ -315,8 +315,8 @@ const updateUserRole = asyncHandler(async (req, res) => {
     throw ApiError.forbidden("Cannot change role for admin/superadmin users");
   }
 
-  // Only allow promoting/demoting mechanic
-  if (role !== "user" && role !== "mechanic") {
+  // Only allow promoting/demoting mechanic or driver
+  if (!["user", "mechanic", "driver"].includes(role)) {
     throw ApiError.badRequest("Invalid role");
   }
 
@@ -550,13 +550,176 @@ const deleteTimeSlot = asyncHandler(async (req, res) => {
   ApiResponse.success(res, "Time slot deleted successfully");
 });
 
+/**
+ * @desc    Get dated slot overrides (Admin)
+ * @route   GET /api/v1/admin/timeslots/overrides
+ * @access  Private/Admin
+ */
+const getSlotOverrides = asyncHandler(async (req, res) => {
+  const { SlotOverride } = require("../models");
+  const { getDateKey } = require("../services/slotBooking.service");
+  const { from, to } = req.query;
+
+  const query = { date: { $gte: getDateKey(from || new Date()) } };
+  if (to) query.date.$lte = getDateKey(to);
+
+  const overrides = await SlotOverride.find(query).sort({ date: 1 });
+  ApiResponse.success(res, "Slot overrides fetched successfully", overrides);
+});
+
+/**
+ * @desc    Create/Update slot override for a date (Admin)
+ * @route   PUT /api/v1/admin/timeslots/overrides/:date
+ * @access  Private/Admin
+ */
+const upsertSlotOverride = asyncHandler(async (req, res) => {
+  const { SlotOverride } = require("../models");
+  const slotBookingService = require("../services/slotBooking.service");
+  const { date } = req.params;
+  const { isClosed, reason, maxBookingsPerSlot, slots } = req.body;
+
+  const override = await SlotOverride.findOneAndUpdate(
+    { date },
+    {
+      date,
+      isClosed: Boolean(isClosed),
+      reason,
+      maxBookingsPerSlot,
+      slots: slots || [],
+      updatedBy: req.userId,
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  // Existing bookings are kept; flag the ones no longer offered
+  const { slots: offered } = await slotBookingService.getDaySlots(date);
+  const offeredTimes = new Set(offered.map((s) => s.startTime));
+  const [year, month, day] = date.split("-").map(Number);
+  const affectedAppointments = await Appointment.find({
+    scheduledDate: {
+      $gte: new Date(year, month - 1, day),
+      $lt: new Date(year, month - 1, day + 1),
+    },
+    status: { $in: ["pending", "confirmed"] },
+  })
+    .select("appointmentNumber timeSlot customer")
+    .lean()
+    .then((appointments) =>
+      appointments.filter((a) => !offeredTimes.has(a.timeSlot.startTime))
+    );
+
+  ApiResponse.success(res, "Slot override saved successfully", {
+    override,
+    affectedAppointments,
+  });
+});
+
+/**
+ * @desc    Delete slot override for a date (Admin)
+ * @route   DELETE /api/v1/admin/timeslots/overrides/:date
+ * @access  Private/Admin
+ */
+const deleteSlotOverride = asyncHandler(async (req, res) => {
+  const { SlotOverride } = require("../models");
+  const override = await SlotOverride.findOneAndDelete({
+    date: req.params.date,
+  });
+
+  if (!override) {
+    throw ApiError.notFound("Slot override not found");
+  }
+
+  ApiResponse.success(res, "Slot override deleted successfully");
+});
+
+/**
+ * @desc    Get workshop bays (Admin)
+ * @route   GET /api/v1/admin/bays
+ * @access  Private/Admin
+ */
+const getBays = asyncHandler(async (req, res) => {
+  const { Bay } = require("../models");
+  const bays = await Bay.find().sort({ name: 1 });
+  ApiResponse.success(res, "Bays fetched successfully", bays);
+});
+
+/**
+ * @desc    Create workshop bay (Admin)
+ * @route   POST /api/v1/admin/bays
+ * @access  Private/Admin
+ */
+const createBay = asyncHandler(async (req, res) => {
+  const { Bay } = require("../models");
+  const { name, type, isActive, notes } = req.body;
+
+  const exists = await Bay.exists({ name });
+  if (exists) {
+    throw ApiError.conflict("A bay with this name already exists");
+  }
+
+  const bay = await Bay.create({ name, type, isActive, notes });
+  ApiResponse.created(res, "Bay created successfully", bay);
+});
+
+/**
+ * @desc    Update workshop bay (Admin)
+ * @route   PUT /api/v1/admin/bays/:id
+ * @access  Private/Admin
+ */
+const updateBay = asyncHandler(async (req, res) => {
+  const { Bay } = require("../models");
+  const { name, type, isActive, notes } = req.body;
+
+  const bay = await Bay.findByIdAndUpdate(
+    req.params.id,
+    { name, type, isActive, notes },
+    { new: true, runValidators: true }
+  );
+
+  if (!bay) {
+    throw ApiError.notFound("Bay not found");
+  }
+
+  ApiResponse.success(res, "Bay updated successfully", bay);
+});
+
+/**
+ * @desc    Delete workshop bay (Admin)
+ * @route   DELETE /api/v1/admin/bays/:id
+ * @access  Private/Admin
+ */
+const deleteBay = asyncHandler(async (req, res) => {
+  const { Bay } = require("../models");
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Deactivate instead while upcoming bookings still use the bay
+  const inUse = await Appointment.exists({
+    bay: req.params.id,
+    scheduledDate: { $gte: today },
+    status: { $in: ["pending", "confirmed", "in-progress"] },
+  });
+  if (inUse) {
+    throw ApiError.conflict(
+      "Bay has upcoming bookings; deactivate it instead"
+    );
+  }
+
+  const bay = await Bay.findByIdAndDelete(req.params.id);
+  if (!bay) {
+    throw ApiError.notFound("Bay not found");
+  }
+
+  ApiResponse.success(res, "Bay deleted successfully");
+});
+
 /**
  * @desc    Create walk-in customer with optional vehicle
  * @route   POST /api/v1/admin/customers/walk-in
  * @access  Private/Admin
  */
 const createWalkInCustomer = asyncHandler(async (req, res) => {
-  const { mobile, name, email, address, vehicle } = req.body;
+  const { mobile, name, email, address, gstin, vehicle } = req.body;
 
   // Check if user exists
   let user = await User.findOne({ mobile });
@@ -568,6 +731,7 @@ const createWalkInCustomer = asyncHandler(async (req, res) => {
     if (address) {
       user.address = { ...user.address, ...address };
     }
+    if (gstin) user.gstin = gstin;
     await user.save();
   } else {
     // Create new user
@@ -576,6 +740,7 @@ const createWalkInCustomer = asyncHandler(async (req, res) => {
       name: name || `Customer ${mobile.slice(-4)}`,
       email,
       address,
+      gstin: gstin || undefined,
       role: "user",
       isVerified: true, // Walk-in customers are verified by admin
       isProfileComplete: !!name,
@@ -921,6 +1086,13 @@ module.exports = {
   getTimeSlots,
   upsertTimeSlot,
   deleteTimeSlot,
+  getSlotOverrides,
+  upsertSlotOverride,
+  deleteSlotOverride,
+  getBays,
+  createBay,
+  updateBay,
+  deleteBay,
   // New endpoints
   createWalkInCustomer,
   getCustomerVehicles,
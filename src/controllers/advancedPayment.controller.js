@@ -10,6 +10,7 @@ const {
   createPaginationMeta,
 } = require("../utils");
 const { getRazorpayClient } = require("../services/razorpay.service");
+const { creditNoteService } = require("../services");
 
 const computeStatus = (payment) => {
   const paid = Number(payment.paidAmount || 0);
@@ -248,18 +249,40 @@ const processRefund = asyncHandler(async (req, res) => {
   const payment = await Payment.findById(refund.paymentId);
   if (!payment) throw ApiError.notFound("Payment not found");
 
-  // If gateway is razorpay, attempt refund (best effort)
+  const credit = await creditNoteService.prepareRefundCreditNote({
+    jobCardId: payment.jobCard,
+    amount: refund.requestedAmount,
+    reason: refund.reason,
+    issuedBy: req.userId || req.user?._id,
+  });
+
+  // Razorpay payments are refunded through the gateway first; if it refuses,
+  // nothing is recorded so the books never show money that did not leave
   if (payment.paymentMethod === "razorpay") {
+    if (!payment.transactionId) {
+      throw ApiError.badRequest(
+        "Payment has no Razorpay transaction to refund"
+      );
+    }
+
+    let gatewayRefund;
     try {
       const razorpay = getRazorpayClient();
-      if (payment.transactionId) {
-        await razorpay.payments.refund(payment.transactionId, {
-          amount: Math.round(refund.requestedAmount * 100),
-        });
-      }
+      gatewayRefund = await razorpay.payments.refund(payment.transactionId, {
+        amount: Math.round(refund.requestedAmount * 100),
+      });
     } catch (error) {
       console.error("Razorpay refund error:", error.message);
+      throw ApiError.serviceUnavailable(
+        "Razorpay could not process the refund. Nothing was recorded; please try again."
+      );
     }
+
+    // Confirmed later by the refund.processed webhook
+    refund.gatewayRefund = {
+      refundId: gatewayRefund.id,
+      status: gatewayRefund.status,
+    };
   }
 
   payment.paidAmount = Math.max(
@@ -285,6 +308,12 @@ const processRefund = asyncHandler(async (req, res) => {
   });
   await refund.save();
 
+  if (credit) {
+    await creditNoteService.issueCreditNote(credit.creditNote, credit.invoice, {
+      refundRequest: refund._id,
+    });
+  }
+
   ApiResponse.success(res, "Refund processed", refund);
 });
 
@@ -6,11 +6,19 @@ const {
   Appointment,
   Vehicle,
   Service,
-  TimeSlot,
   User,
   Garage,
+  WaitlistEntry,
 } = require("../models");
-const { smsService, fcmService, notificationService, jobcardService } = require("../services");
+const {
+  fcmService,
+  notificationService,
+  jobcardService,
+  slotBookingService,
+  reliabilityService,
+  waitlistService,
+  logisticsService,
+} = require("../services");
 const {
   ApiResponse,
   ApiError,
@@ -69,16 +77,34 @@ const getAppointment = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Appointment not found");
   }
 
-  ApiResponse.success(res, "Appointment fetched successfully", appointment);
+  // Pickup / drop progress for the customer
+  const data = appointment.toJSON();
+  data.logistics = await logisticsService.getCustomerTasks({
+    appointment: appointment._id,
+  });
+
+  ApiResponse.success(res, "Appointment fetched successfully", data);
 });
 
+// Booking responses by what the booking still needs before confirmation
+const BOOKING_MESSAGES = {
+  none: "Appointment booked successfully",
+  "confirmation-call":
+    "Appointment booked; we will call to confirm it shortly",
+  "advance-payment":
+    "Appointment booked; it will be confirmed once the advance is paid",
+};
+
 /**
- * @desc    Create appointment
- * @route   POST /api/v1/appointments
- * @access  Private
+ * Book an appointment for a customer: check the vehicle and services,
+ * claim the slot and a bay, then notify and open the job card. Shared by
+ * direct bookings and waitlist claims.
+ *
+ * @returns {Promise<object>} { appointment, bookingRequirement }
  */
-const createAppointment = asyncHandler(async (req, res) => {
-  const {
+const bookAppointment = async (
+  customerId,
+  {
     vehicleId,
     services,
     scheduledDate,
@@ -86,12 +112,14 @@ const createAppointment = asyncHandler(async (req, res) => {
     customerNotes,
     pickupRequired,
     pickupAddress,
-  } = req.body;
+    holdId,
+  },
+) => {
 
   // Verify vehicle belongs to user
   const vehicle = await Vehicle.findOne({
     _id: vehicleId,
-    owner: req.userId,
+    owner: customerId,
     isActive: true,
   });
 
@@ -122,34 +150,11 @@ const createAppointment = asyncHandler(async (req, res) => {
     )
     : 0;
 
-  // Check slot availability
-  const existingBookings = await Appointment.countDocuments({
-    scheduledDate: {
-      $gte: new Date(scheduledDate).setHours(0, 0, 0, 0),
-      $lt: new Date(scheduledDate).setHours(23, 59, 59, 999),
-    },
-    "timeSlot.startTime": timeSlot.startTime,
-    status: { $nin: ["cancelled", "no-show"] },
-  });
-
-  // Check max bookings (default 5)
-  const dayOfWeek = new Date(scheduledDate).getDay();
-  const slot = await TimeSlot.findOne({
-    dayOfWeek,
-    startTime: timeSlot.startTime,
-    isActive: true,
-  });
-
-  const maxBookings = slot?.maxBookings || 5;
-  if (existingBookings >= maxBookings) {
-    throw ApiError.badRequest("This time slot is fully booked");
-  }
-
   let resolvedPickupAddress = pickupAddress;
 
   if (pickupRequired) {
     if (!resolvedPickupAddress) {
-      const user = await User.findById(req.userId).select("address");
+      const user = await User.findById(customerId).select("address");
       resolvedPickupAddress = user?.address || undefined;
     }
 
@@ -181,23 +186,47 @@ const createAppointment = asyncHandler(async (req, res) => {
     }
     : undefined;
 
-  // Create appointment
-  const appointment = await Appointment.create({
-    customer: req.userId,
-    vehicle: vehicleId,
-    services: appointmentServices,
+  // Customers with past no-shows wait for a call or an advance payment
+  const customer = await User.findById(customerId)
+    .select("reliability")
+    .lean();
+  const bookingRequirement =
+    reliabilityService.getBookingRequirement(customer);
+  const autoConfirm = bookingRequirement === "none";
+
+  // Claim a spot and a bay for the services' duration atomically (using
+  // the customer's hold when given), then create the appointment
+  const slot = await slotBookingService.getBookableSlot(
     scheduledDate,
-    timeSlot,
-    workshopSnapshot,
-    customerNotes,
-    pickupRequired,
-    pickupFee,
-    pickupAddress: pickupRequired ? resolvedPickupAddress : undefined,
-    estimatedCost:
-      appointmentServices.reduce((sum, s) => sum + s.price, 0) + pickupFee,
-    status: "confirmed",
-    confirmedAt: new Date(),
-  });
+    timeSlot.startTime,
+  );
+  const appointment = await slotBookingService.createBooking(
+    {
+      date: scheduledDate,
+      startTime: timeSlot.startTime,
+      maxBookings: slot.maxBookings,
+      holdId,
+      customerId,
+    },
+    {
+      customer: customerId,
+      vehicle: vehicleId,
+      services: appointmentServices,
+      scheduledDate,
+      timeSlot,
+      durationMinutes: slotBookingService.getServicesDuration(serviceDetails),
+      workshopSnapshot,
+      customerNotes,
+      pickupRequired,
+      pickupFee,
+      pickupAddress: pickupRequired ? resolvedPickupAddress : undefined,
+      estimatedCost:
+        appointmentServices.reduce((sum, s) => sum + s.price, 0) + pickupFee,
+      bookingRequirement,
+      status: autoConfirm ? "confirmed" : "pending",
+      confirmedAt: autoConfirm ? new Date() : undefined,
+    },
+  );
 
   await appointment.populate([
     { path: "vehicle", select: "vehicleNumber brand model" },
@@ -206,19 +235,17 @@ const createAppointment = asyncHandler(async (req, res) => {
 
   // Send booking confirmation to customer
   try {
-    await notificationService.sendBookingConfirmation(req.userId, appointment);
+    await notificationService.sendBookingConfirmation(customerId, appointment);
   } catch (error) {
     console.error("Customer notification failed:", error);
   }
 
   // Notify admins about new appointment
   try {
-    const admins = await User.find({ role: "admin", isActive: true })
-      .select("deviceInfo")
-      .lean();
-    const adminTokens = admins
-      .filter((a) => a.deviceInfo?.fcmToken)
-      .map((a) => a.deviceInfo.fcmToken);
+    const adminTokens = await User.findPushTokens({
+      role: "admin",
+      isActive: true,
+    });
     if (adminTokens.length > 0) {
       await fcmService.notifyNewAppointment(adminTokens, appointment);
     }
@@ -237,7 +264,50 @@ const createAppointment = asyncHandler(async (req, res) => {
     // Non-blocking – appointment is still valid without a job card
   }
 
-  ApiResponse.created(res, "Appointment booked successfully", appointment);
+  if (bookingRequirement === "advance-payment" && jobCard) {
+    try {
+      const payment = await reliabilityService.requestAdvancePayment(
+        appointment,
+        jobCard,
+      );
+      if (payment) appointment.advancePayment = payment._id;
+    } catch (error) {
+      console.error("Advance payment request failed:", error);
+    }
+  }
+
+  if (pickupRequired) {
+    try {
+      await logisticsService.createPickupTask(appointment, customerId);
+    } catch (error) {
+      console.error("Pickup task creation failed:", error);
+    }
+  }
+
+  return { appointment, bookingRequirement };
+};
+
+/**
+ * @desc    Create appointment
+ * @route   POST /api/v1/appointments
+ * @access  Private
+ */
+const createAppointment = asyncHandler(async (req, res) => {
+  const { appointment, bookingRequirement } = await bookAppointment(
+    req.userId,
+    req.body,
+  );
+
+  // Booked through a waitlist offer's hold
+  if (req.body.holdId) {
+    await waitlistService.markClaimed(
+      req.userId,
+      req.body.holdId,
+      appointment,
+    );
+  }
+
+  ApiResponse.created(res, BOOKING_MESSAGES[bookingRequirement], appointment);
 });
 
 /**
@@ -248,21 +318,39 @@ const createAppointment = asyncHandler(async (req, res) => {
 const cancelAppointment = asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
-  const appointment = await Appointment.findOne({
-    _id: req.params.id,
-    customer: req.userId,
-    status: { $in: ["pending", "confirmed"] },
-  });
+  // Atomic so a double tap releases the slot only once
+  const appointment = await Appointment.findOneAndUpdate(
+    {
+      _id: req.params.id,
+      customer: req.userId,
+      status: { $in: ["pending", "confirmed"] },
+    },
+    {
+      $set: {
+        status: "cancelled",
+        cancelledBy: "customer",
+        cancellationReason: reason,
+        cancelledAt: new Date(),
+      },
+    },
+    { new: true },
+  );
 
   if (!appointment) {
     throw ApiError.notFound("Appointment not found or cannot be cancelled");
   }
 
-  appointment.status = "cancelled";
-  appointment.cancelledBy = "customer";
-  appointment.cancellationReason = reason;
-  appointment.cancelledAt = new Date();
-  await appointment.save();
+  await slotBookingService.releaseBooking(appointment);
+  appointment.lateCancellation =
+    await reliabilityService.recordCancellation(appointment);
+  await logisticsService.syncPickupTask(appointment);
+
+  // Offer the freed spot to the waitlist
+  await waitlistService.offerFreedBooking({
+    date: appointment.scheduledDate,
+    startTime: appointment.timeSlot.startTime,
+    baySlots: appointment.baySlots,
+  });
 
   ApiResponse.success(res, "Appointment cancelled successfully", appointment);
 });
@@ -273,7 +361,7 @@ const cancelAppointment = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const rescheduleAppointment = asyncHandler(async (req, res) => {
-  const { scheduledDate, timeSlot, reason } = req.body;
+  const { scheduledDate, timeSlot, reason, holdId } = req.body;
 
   // Find the appointment
   const appointment = await Appointment.findOne({
@@ -295,32 +383,11 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
     throw ApiError.badRequest("Cannot reschedule to a past date");
   }
 
-  // Check if the new slot has availability
-  const dayOfWeek = newDate.getDay();
-  const slot = await TimeSlot.findOne({
-    dayOfWeek,
-    startTime: timeSlot.startTime,
-    isActive: true,
-  });
-
-  if (!slot) {
-    throw ApiError.badRequest("Selected time slot is not available");
-  }
-
-  // Count existing bookings for the new slot (excluding this appointment)
-  const existingBookings = await Appointment.countDocuments({
-    _id: { $ne: appointment._id },
-    scheduledDate: {
-      $gte: new Date(newDate).setHours(0, 0, 0, 0),
-      $lt: new Date(newDate).setHours(23, 59, 59, 999),
-    },
-    "timeSlot.startTime": timeSlot.startTime,
-    status: { $nin: ["cancelled", "no-show"] },
-  });
-
-  if (existingBookings >= slot.maxBookings) {
-    throw ApiError.badRequest("This time slot is fully booked");
-  }
+  // Check the new slot is offered on that date and hasn't started
+  const slot = await slotBookingService.getBookableSlot(
+    newDate,
+    timeSlot.startTime,
+  );
 
   // Store previous schedule for history
   const previousSchedule = {
@@ -329,30 +396,54 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
     rescheduledAt: new Date(),
     reason: reason || "Customer requested",
   };
+  const freed = {
+    date: appointment.scheduledDate,
+    startTime: appointment.timeSlot.startTime,
+    baySlots: [...(appointment.baySlots || [])],
+  };
 
-  // Initialize rescheduleHistory if not exists
-  if (!appointment.rescheduleHistory) {
-    appointment.rescheduleHistory = [];
-  }
-  appointment.rescheduleHistory.push(previousSchedule);
-
-  // Update the appointment
-  appointment.scheduledDate = scheduledDate;
-  appointment.timeSlot = timeSlot;
-  appointment.status = "pending"; // Reset to pending for re-confirmation
+  // Claim the new slot, release the old one and save in one transaction
+  await slotBookingService.moveBooking(
+    appointment,
+    {
+      date: scheduledDate,
+      startTime: timeSlot.startTime,
+      maxBookings: slot.maxBookings,
+      holdId,
+      customerId: req.userId,
+    },
+    (doc) => {
+      // Initialize rescheduleHistory if not exists
+      if (!doc.rescheduleHistory) {
+        doc.rescheduleHistory = [];
+      }
+      doc.rescheduleHistory.push(previousSchedule);
 
-  await appointment.save();
+      // Update the appointment
+      doc.scheduledDate = scheduledDate;
+      doc.timeSlot = timeSlot;
+      doc.status = "pending"; // Reset to pending for re-confirmation
+    },
+  );
 
   await appointment.populate("services.service", "name basePrice");
+  await logisticsService.syncPickupTask(appointment);
+
+  // The spot left behind goes to the waitlist
+  const leftSlot =
+    slotBookingService.getDateKey(freed.date) !==
+      slotBookingService.getDateKey(scheduledDate) ||
+    freed.startTime !== timeSlot.startTime;
+  if (leftSlot) {
+    await waitlistService.offerFreedBooking(freed);
+  }
 
   // Notify admins about rescheduled appointment
   try {
-    const admins = await User.find({ role: "admin", isActive: true })
-      .select("deviceInfo")
-      .lean();
-    const adminTokens = admins
-      .filter((a) => a.deviceInfo?.fcmToken)
-      .map((a) => a.deviceInfo.fcmToken);
+    const adminTokens = await User.findPushTokens({
+      role: "admin",
+      isActive: true,
+    });
     if (adminTokens.length > 0) {
       await fcmService.notifyAppointmentRescheduled(
         adminTokens,
@@ -369,24 +460,44 @@ const rescheduleAppointment = asyncHandler(async (req, res) => {
 
 /**
  * @desc    Get available time slots
- * @route   GET /api/v1/appointments/slots
+ * @route   GET /api/v1/appointments/slots?date=&services=id1,id2
  * @access  Private
  */
 const getAvailableSlots = asyncHandler(async (req, res) => {
-  const { date } = req.query;
+  const { date, services } = req.query;
 
   if (!date) {
     throw ApiError.badRequest("Date is required");
   }
 
   const selectedDate = new Date(date);
-  const dayOfWeek = selectedDate.getDay();
 
-  // Get slots for this day
-  const slots = await TimeSlot.find({
-    dayOfWeek,
-    isActive: true,
-  }).sort({ startTime: 1 });
+  // Booking length from the selected services (one slot when none given)
+  const serviceIds = services ? String(services).split(",") : [];
+  const serviceDetails = serviceIds.length
+    ? await Service.find({ _id: { $in: serviceIds }, isActive: true }).select(
+      "estimatedDuration",
+    )
+    : [];
+  const durationMinutes =
+    slotBookingService.getServicesDuration(serviceDetails);
+
+  // Weekly slots with holidays, overrides and business hours applied
+  const day = await slotBookingService.getDaySlots(selectedDate);
+
+  if (day.closed) {
+    return ApiResponse.success(
+      res,
+      `The garage is closed on this date (${day.reason})`,
+      [],
+    );
+  }
+
+  // Counters are authoritative; the aggregate covers slots without one yet
+  const [slotUsage, bays] = await Promise.all([
+    slotBookingService.getSlotUsage(selectedDate, req.userId),
+    slotBookingService.getActiveBays(),
+  ]);
 
   // Get existing bookings count for each slot
   const bookingsCount = await Appointment.aggregate([
@@ -412,21 +523,259 @@ const getAvailableSlots = asyncHandler(async (req, res) => {
     bookingsMap[b._id] = b.count;
   });
 
-  // Add availability to slots
-  const availableSlots = slots.map((slot) => ({
-    ...slot.toJSON(),
-    bookedCount: bookingsMap[slot.startTime] || 0,
-    available: (bookingsMap[slot.startTime] || 0) < slot.maxBookings,
-    spotsLeft: slot.maxBookings - (bookingsMap[slot.startTime] || 0),
-  }));
+  if (
+    bays.length &&
+    slotBookingService.isLongerThanDay(day.slots, durationMinutes)
+  ) {
+    return ApiResponse.success(
+      res,
+      "The selected services take longer than one working day and can't be booked online. Please contact the workshop to schedule them.",
+      [],
+    );
+  }
+
+  // Only start times with a bay free for the whole duration are offered
+  const bookableSlots = day.slots
+    .map((slot) => {
+      const baySlots = slotBookingService.getSpannedSlots(
+        day.slots,
+        slot.startTime,
+        durationMinutes,
+      );
+      const baysFree = baySlots
+        ? slotBookingService.getFreeBays(bays, slotUsage, baySlots).length
+        : 0;
+      return { slot, baySlots, baysFree };
+    })
+    .filter(({ baySlots, baysFree }) => !bays.length || baysFree > 0);
+
+  // Add availability to slots (other customers' holds take a spot)
+  const availableSlots = bookableSlots.map(({ slot, baySlots, baysFree }) => {
+    const usage = slotUsage.get(slot.startTime);
+    const bookedCount = usage
+      ? usage.booked
+      : bookingsMap[slot.startTime] || 0;
+    const heldCount = usage?.held || 0;
+    const spotsLeft = Math.max(0, slot.maxBookings - bookedCount - heldCount);
+    const isPast = slotBookingService.isPastSlot(selectedDate, slot.startTime);
+
+    return {
+      ...slot,
+      dayOfWeek: selectedDate.getDay(),
+      displaySlot: `${slot.startTime} - ${slot.endTime}`,
+      bookedCount,
+      heldCount,
+      isPast,
+      available:
+        !isPast && (spotsLeft > 0 || Boolean(usage?.heldByCustomer)),
+      spotsLeft,
+      baysFree: bays.length ? baysFree : null,
+      durationMinutes,
+      endsAt: baySlots
+        ? day.slots.find((s) => s.startTime === baySlots[baySlots.length - 1])
+          .endTime
+        : slot.endTime,
+      hold: usage?.heldByCustomer || null,
+    };
+  });
 
   ApiResponse.success(
     res,
-    "Available slots fetched successfully",
+    day.reason
+      ? `Available slots fetched successfully (${day.reason})`
+      : "Available slots fetched successfully",
     availableSlots,
   );
 });
 
+/**
+ * @desc    Hold a slot while the booking form is completed
+ * @route   POST /api/v1/appointments/slots/hold
+ * @access  Private
+ */
+const holdSlot = asyncHandler(async (req, res) => {
+  const { date, startTime } = req.body;
+
+  const slot = await slotBookingService.getBookableSlot(date, startTime);
+
+  const hold = await slotBookingService.holdSlot({
+    date,
+    startTime,
+    maxBookings: slot.maxBookings,
+    customerId: req.userId,
+  });
+
+  ApiResponse.created(res, "Slot held", {
+    ...hold,
+    date: slotBookingService.getDateKey(date),
+    startTime,
+    endTime: slot.endTime,
+  });
+});
+
+/**
+ * @desc    Release a slot hold
+ * @route   DELETE /api/v1/appointments/slots/hold/:holdId
+ * @access  Private
+ */
+const releaseSlotHold = asyncHandler(async (req, res) => {
+  const released = await slotBookingService.releaseHold(
+    req.params.holdId,
+    req.userId,
+  );
+
+  if (!released) {
+    throw ApiError.notFound("Hold not found or already expired");
+  }
+
+  ApiResponse.success(res, "Slot hold released");
+});
+
+/**
+ * @desc    Join the waitlist for a fully booked date
+ * @route   POST /api/v1/appointments/waitlist
+ * @access  Private
+ */
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const {
+    date,
+    startTime,
+    windowStart,
+    windowEnd,
+    vehicleId,
+    services,
+    customerNotes,
+  } = req.body;
+  const dateKey = slotBookingService.getDateKey(date);
+
+  const vehicle = await Vehicle.exists({
+    _id: vehicleId,
+    owner: req.userId,
+    isActive: true,
+  });
+  if (!vehicle) {
+    throw ApiError.notFound("Vehicle not found");
+  }
+
+  const serviceIds = services.map((s) => s.serviceId);
+  const serviceCount = await Service.countDocuments({
+    _id: { $in: serviceIds },
+    isActive: true,
+  });
+  if (serviceCount !== serviceIds.length) {
+    throw ApiError.badRequest("One or more services not found");
+  }
+
+  const day = await slotBookingService.getDaySlots(dateKey);
+  if (day.closed) {
+    throw ApiError.badRequest(
+      `The garage is closed on this date (${day.reason})`,
+    );
+  }
+
+  const existing = await WaitlistEntry.exists({
+    customer: req.userId,
+    date: dateKey,
+    status: { $in: ["waiting", "offered"] },
+  });
+  if (existing) {
+    throw ApiError.conflict("You are already on the waitlist for this date");
+  }
+
+  const entry = await WaitlistEntry.create({
+    customer: req.userId,
+    vehicle: vehicleId,
+    services: serviceIds,
+    date: dateKey,
+    startTime,
+    windowStart: startTime ? undefined : windowStart,
+    windowEnd: startTime ? undefined : windowEnd,
+    customerNotes,
+  });
+
+  const position = await WaitlistEntry.countDocuments({
+    date: dateKey,
+    status: "waiting",
+    createdAt: { $lte: entry.createdAt },
+  });
+
+  ApiResponse.created(res, "Added to the waitlist", { entry, position });
+});
+
+/**
+ * @desc    Get my active waitlist entries
+ * @route   GET /api/v1/appointments/waitlist
+ * @access  Private
+ */
+const getMyWaitlist = asyncHandler(async (req, res) => {
+  const entries = await WaitlistEntry.find({
+    customer: req.userId,
+    status: { $in: ["waiting", "offered"] },
+  })
+    .populate("vehicle", "vehicleNumber brand model")
+    .populate("services", "name")
+    .sort({ date: 1, createdAt: 1 });
+
+  ApiResponse.success(res, "Waitlist fetched successfully", entries);
+});
+
+/**
+ * @desc    Leave the waitlist
+ * @route   DELETE /api/v1/appointments/waitlist/:id
+ * @access  Private
+ */
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  const entry = await waitlistService.cancelEntry(req.params.id, req.userId);
+
+  if (!entry) {
+    throw ApiError.notFound("Waitlist entry not found");
+  }
+
+  ApiResponse.success(res, "Removed from the waitlist", entry);
+});
+
+/**
+ * @desc    Claim a waitlist offer, booking the held slot
+ * @route   POST /api/v1/appointments/waitlist/:id/claim
+ * @access  Private
+ */
+const claimWaitlistOffer = asyncHandler(async (req, res) => {
+  const entry = await WaitlistEntry.findOne({
+    _id: req.params.id,
+    customer: req.userId,
+    status: "offered",
+    "offer.expiresAt": { $gt: new Date() },
+  });
+
+  if (!entry) {
+    throw ApiError.notFound("Offer not found or already expired");
+  }
+
+  const { appointment, bookingRequirement } = await bookAppointment(
+    req.userId,
+    {
+      vehicleId: entry.vehicle,
+      services: entry.services.map((serviceId) => ({ serviceId })),
+      scheduledDate: entry.date,
+      timeSlot: {
+        startTime: entry.offer.startTime,
+        endTime: entry.offer.endTime,
+      },
+      customerNotes: entry.customerNotes,
+      pickupRequired: false,
+      holdId: entry.offer.holdId,
+    },
+  );
+
+  await waitlistService.markClaimed(
+    req.userId,
+    entry.offer.holdId,
+    appointment,
+  );
+
+  ApiResponse.created(res, BOOKING_MESSAGES[bookingRequirement], appointment);
+});
+
 /**
  * @desc    Get upcoming appointments
  * @route   GET /api/v1/appointments/upcoming
@@ -502,31 +851,24 @@ const updateAppointment = asyncHandler(async (req, res) => {
   const { status, adminNotes, scheduledDate, timeSlot } = req.body;
 
   const appointment = await Appointment.findById(req.params.id)
-    .populate("customer", "mobile")
+    .populate("customer", "name mobile notificationPreferences.language")
     .populate("vehicle", "vehicleNumber");
 
   if (!appointment) {
     throw ApiError.notFound("Appointment not found");
   }
 
+  const previous = {
+    status: appointment.status,
+    date: appointment.scheduledDate,
+    startTime: appointment.timeSlot.startTime,
+    baySlots: [...(appointment.baySlots || [])],
+  };
+
   if (status) {
     appointment.status = status;
     if (status === "confirmed") {
       appointment.confirmedAt = new Date();
-      // Send confirmation SMS
-      try {
-        await smsService.sendAppointmentConfirmation(
-          appointment.customer.mobile,
-          {
-            appointmentNumber: appointment.appointmentNumber,
-            date: new Date(appointment.scheduledDate).toLocaleDateString(),
-            time: appointment.timeSlot.startTime,
-            vehicleNumber: appointment.vehicle.vehicleNumber,
-          },
-        );
-      } catch (error) {
-        console.error("SMS notification failed:", error);
-      }
     }
     if (status === "completed") {
       appointment.completedAt = new Date();
@@ -535,13 +877,76 @@ const updateAppointment = asyncHandler(async (req, res) => {
       appointment.cancelledBy = "admin";
       appointment.cancelledAt = new Date();
     }
+    if (status === "no-show" && previous.status !== "no-show") {
+      appointment.noShowAt = new Date();
+      appointment.noShowMarkedBy = "admin";
+    }
   }
 
   if (adminNotes) appointment.adminNotes = adminNotes;
-  if (scheduledDate) appointment.scheduledDate = scheduledDate;
-  if (timeSlot) appointment.timeSlot = timeSlot;
 
-  await appointment.save();
+  const target = {
+    date: scheduledDate || previous.date,
+    startTime: timeSlot?.startTime || previous.startTime,
+  };
+  const slotChanged =
+    slotBookingService.getDateKey(target.date) !==
+      slotBookingService.getDateKey(previous.date) ||
+    target.startTime !== previous.startTime;
+
+  if (slotChanged && slotBookingService.isCounted(appointment.status)) {
+    const { maxBookings } = await slotBookingService.getSlotCapacity(
+      target.date,
+      target.startTime,
+    );
+    await slotBookingService.moveBooking(
+      appointment,
+      { ...target, maxBookings },
+      (doc) => {
+        if (scheduledDate) doc.scheduledDate = scheduledDate;
+        if (timeSlot) doc.timeSlot = timeSlot;
+      },
+      previous.status,
+    );
+  } else {
+    if (scheduledDate) appointment.scheduledDate = scheduledDate;
+    if (timeSlot) appointment.timeSlot = timeSlot;
+    await slotBookingService.saveWithStatusChange(appointment, previous);
+  }
+
+  // Keep the customer's no-show count in step with manual corrections
+  const wasNoShow = previous.status === "no-show";
+  const isNoShow = appointment.status === "no-show";
+  if (wasNoShow !== isNoShow) {
+    await reliabilityService.recordNoShow(
+      appointment.customer._id || appointment.customer,
+      isNoShow ? 1 : -1,
+    );
+  }
+
+  if (appointment.status !== previous.status || slotChanged) {
+    await logisticsService.syncPickupTask(appointment);
+  }
+
+  // Confirmation goes out by push and tracked SMS
+  if (status === "confirmed" && previous.status !== "confirmed") {
+    try {
+      await notificationService.sendBookingConfirmation(
+        appointment.customer._id,
+        appointment,
+      );
+    } catch (error) {
+      console.error("Customer notification failed:", error);
+    }
+  }
+
+  // A cancelled, no-show or moved booking's spot goes to the waitlist
+  const freedSlot =
+    slotBookingService.isCounted(previous.status) &&
+    (!slotBookingService.isCounted(appointment.status) || slotChanged);
+  if (freedSlot) {
+    await waitlistService.offerFreedBooking(previous);
+  }
 
   ApiResponse.success(res, "Appointment updated successfully", appointment);
 });
@@ -599,6 +1004,12 @@ module.exports = {
   cancelAppointment,
   rescheduleAppointment,
   getAvailableSlots,
+  holdSlot,
+  releaseSlotHold,
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
   getUpcomingAppointments,
   // Admin
   getAllAppointments,
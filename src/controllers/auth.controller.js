@@ -66,6 +66,15 @@ const verifyOTP = asyncHandler(async (req, res) => {
     await user.save();
   }
 
+  // Add this install to the user's push devices
+  if (deviceInfo?.fcmToken) {
+    await User.releaseDeviceToken(deviceInfo.fcmToken, user._id);
+    user.registerDevice({
+      token: deviceInfo.fcmToken,
+      deviceId: deviceInfo.deviceId,
+    });
+  }
+
   // Generate tokens
   const accessToken = user.generateAccessToken();
   const refreshToken = user.generateRefreshToken();
@@ -0,0 +1,222 @@
+/**
+ * Campaign Controller
+ * Admin broadcast campaigns: audience, scheduling, sending and stats
+ */
+const { Campaign } = require("../models");
+const { asyncHandler, ApiError, ApiResponse } = require("../utils");
+const { campaignService } = require("../services");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "audience",
+  "channels",
+  "content",
+  "throttlePerMinute",
+];
+
+const findCampaign = async (id) => {
+  const campaign = await Campaign.findById(id);
+  if (!campaign) {
+    throw ApiError.notFound("Campaign not found");
+  }
+  return campaign;
+};
+
+const ensureEditable = (campaign) => {
+  if (!campaign.isEditable()) {
+    throw ApiError.badRequest(
+      `Cannot change a campaign that is ${campaign.status.toLowerCase()}`
+    );
+  }
+};
+
+// Start anything due right away instead of waiting for the next cron tick
+const kickOff = () => {
+  campaignService.processCampaigns().catch(console.error);
+};
+
+/**
+ * @desc    Get campaigns
+ * @route   GET /api/v1/admin/campaigns
+ * @access  Private/Admin
+ */
+const getCampaigns = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [campaigns, total] = await Promise.all([
+    Campaign.find(query)
+      .populate("createdBy", "name")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    Campaign.countDocuments(query),
+  ]);
+
+  ApiResponse.success(res, "Campaigns retrieved", campaigns, {
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @desc    Get campaign with delivery, open and click stats
+ * @route   GET /api/v1/admin/campaigns/:id
+ * @access  Private/Admin
+ */
+const getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  const stats = await campaignService.getCampaignStats(campaign);
+
+  ApiResponse.success(res, "Campaign retrieved", { campaign, stats });
+});
+
+/**
+ * @desc    Count and sample the customers an audience reaches
+ * @route   POST /api/v1/admin/campaigns/audience/preview
+ * @access  Private/Admin
+ */
+const previewAudience = asyncHandler(async (req, res) => {
+  const preview = await campaignService.previewAudience(req.body.audience);
+  ApiResponse.success(res, "Audience preview", preview);
+});
+
+/**
+ * @desc    Create campaign; with scheduledAt it is scheduled straight away
+ * @route   POST /api/v1/admin/campaigns
+ * @access  Private/Admin
+ */
+const createCampaign = asyncHandler(async (req, res) => {
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map(
+      (field) => [field, req.body[field]]
+    )
+  );
+
+  const campaign = await Campaign.create({
+    ...fields,
+    status: req.body.scheduledAt ? "SCHEDULED" : "DRAFT",
+    scheduledAt: req.body.scheduledAt,
+    createdBy: req.user._id,
+  });
+
+  ApiResponse.created(res, "Campaign created", campaign);
+});
+
+/**
+ * @desc    Update a draft or scheduled campaign
+ * @route   PUT /api/v1/admin/campaigns/:id
+ * @access  Private/Admin
+ */
+const updateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  ensureEditable(campaign);
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) campaign[field] = req.body[field];
+  });
+  if (req.body.scheduledAt) {
+    campaign.scheduledAt = req.body.scheduledAt;
+    campaign.status = "SCHEDULED";
+  }
+  campaign.updatedBy = req.user._id;
+  await campaign.save();
+
+  ApiResponse.success(res, "Campaign updated", campaign);
+});
+
+/**
+ * @desc    Delete a draft or scheduled campaign
+ * @route   DELETE /api/v1/admin/campaigns/:id
+ * @access  Private/Admin
+ */
+const deleteCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  ensureEditable(campaign);
+
+  await campaign.deleteOne();
+
+  ApiResponse.success(res, "Campaign deleted");
+});
+
+/**
+ * @desc    Schedule campaign for later
+ * @route   POST /api/v1/admin/campaigns/:id/schedule
+ * @access  Private/Admin
+ */
+const scheduleCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  ensureEditable(campaign);
+
+  campaign.status = "SCHEDULED";
+  campaign.scheduledAt = req.body.scheduledAt;
+  campaign.updatedBy = req.user._id;
+  await campaign.save();
+
+  ApiResponse.success(res, "Campaign scheduled", campaign);
+});
+
+/**
+ * @desc    Start sending campaign now, at its throttle rate
+ * @route   POST /api/v1/admin/campaigns/:id/send
+ * @access  Private/Admin
+ */
+const sendCampaignNow = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  ensureEditable(campaign);
+
+  campaign.status = "SCHEDULED";
+  campaign.scheduledAt = new Date();
+  campaign.updatedBy = req.user._id;
+  await campaign.save();
+
+  kickOff();
+
+  ApiResponse.success(res, "Campaign sending started", campaign);
+});
+
+/**
+ * @desc    Cancel a scheduled campaign or stop one that is sending
+ * @route   POST /api/v1/admin/campaigns/:id/cancel
+ * @access  Private/Admin
+ */
+const cancelCampaign = asyncHandler(async (req, res) => {
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ["DRAFT", "SCHEDULED", "SENDING"] } },
+    {
+      $set: {
+        status: "CANCELLED",
+        cancelledAt: new Date(),
+        updatedBy: req.user._id,
+      },
+    },
+    { new: true }
+  );
+
+  if (!campaign) {
+    throw ApiError.badRequest("Campaign not found or already finished");
+  }
+
+  ApiResponse.success(res, "Campaign cancelled", campaign);
+});
+
+module.exports = {
+  getCampaigns,
+  getCampaign,
+  previewAudience,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  scheduleCampaign,
+  sendCampaignNow,
+  cancelCampaign,
+};
@@ -0,0 +1,174 @@
+/**
+ * Credit Note Controller
+ * Credit notes against issued invoices (refunds and post-issue corrections)
+ */
+const Invoice = require("../models/invoice.model");
+const CreditNote = require("../models/creditNote.model");
+const { asyncHandler, ApiError, ApiResponse } = require("../utils");
+const { creditNoteService } = require("../services");
+const { generateCreditNotePDF } = require("../services/pdf.service");
+
+const sendCreditNotePDF = async (res, creditNote) => {
+  const pdfBuffer = await generateCreditNotePDF(creditNote);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="CreditNote_${creditNote.creditNoteNumber}.pdf"`
+  );
+  res.send(pdfBuffer);
+};
+
+/**
+ * @desc    Issue a credit note against an invoice (correction, no refund)
+ * @route   POST /api/v1/admin/invoices/:id/credit-notes
+ * @access  Private/Admin
+ */
+const createCreditNote = asyncHandler(async (req, res) => {
+  const { items, amount, reason } = req.body;
+
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice) {
+    throw ApiError.notFound("Invoice not found");
+  }
+
+  const creditNote = await creditNoteService.buildCreditNote(invoice, {
+    items,
+    amount,
+    reason,
+    issuedBy: req.user._id,
+  });
+  await creditNoteService.issueCreditNote(creditNote, invoice);
+
+  ApiResponse.created(res, "Credit note issued", {
+    creditNote,
+    invoice: {
+      _id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      grandTotal: invoice.grandTotal,
+      creditedAmount: invoice.creditedAmount,
+      netPayable: invoice.netPayable,
+      balanceAmount: invoice.balanceAmount,
+      status: invoice.status,
+    },
+  });
+});
+
+/**
+ * @desc    Get credit notes for an invoice
+ * @route   GET /api/v1/admin/invoices/:id/credit-notes
+ * @access  Private/Admin
+ */
+const getInvoiceCreditNotes = asyncHandler(async (req, res) => {
+  const creditNotes = await CreditNote.find({ invoice: req.params.id })
+    .populate("issuedBy", "name")
+    .populate("refundPayment", "paymentNumber amount status")
+    .sort({ issuedAt: -1 })
+    .lean();
+
+  ApiResponse.success(res, "Credit notes retrieved", creditNotes);
+});
+
+/**
+ * @desc    Get all credit notes (Admin)
+ * @route   GET /api/v1/admin/credit-notes
+ * @access  Private/Admin
+ */
+const getCreditNotesAdmin = asyncHandler(async (req, res) => {
+  const {
+    status,
+    customerId,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const query = {};
+
+  if (status && status !== "all") {
+    query.status = status;
+  }
+
+  if (customerId) {
+    query.customer = customerId;
+  }
+
+  if (startDate || endDate) {
+    query.issuedAt = {};
+    if (startDate) query.issuedAt.$gte = new Date(startDate);
+    if (endDate) query.issuedAt.$lte = new Date(endDate);
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [creditNotes, total] = await Promise.all([
+    CreditNote.find(query)
+      .select(
+        "creditNoteNumber invoiceNumber customerSnapshot.name grandTotal refundAmount reason status issuedAt"
+      )
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    CreditNote.countDocuments(query),
+  ]);
+
+  ApiResponse.success(res, "Credit notes retrieved", creditNotes, {
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @desc    Download credit note PDF (Admin)
+ * @route   GET /api/v1/admin/credit-notes/:id/pdf
+ * @access  Private/Admin
+ */
+const downloadCreditNotePDFAdmin = asyncHandler(async (req, res) => {
+  const creditNote = await CreditNote.findById(req.params.id).lean();
+
+  if (!creditNote) {
+    throw ApiError.notFound("Credit note not found");
+  }
+
+  await sendCreditNotePDF(res, creditNote);
+});
+
+/**
+ * @desc    Download credit note PDF
+ * @route   GET /api/v1/invoices/:id/credit-notes/:creditNoteId/pdf
+ * @access  Private/Customer
+ */
+const downloadCreditNotePDF = asyncHandler(async (req, res) => {
+  const creditNote = await CreditNote.findOne({
+    _id: req.params.creditNoteId,
+    invoice: req.params.id,
+  }).lean();
+
+  if (!creditNote) {
+    throw ApiError.notFound("Credit note not found");
+  }
+
+  // Check ownership
+  if (creditNote.customer.toString() !== req.user._id.toString()) {
+    throw ApiError.forbidden("Access denied");
+  }
+
+  await sendCreditNotePDF(res, creditNote);
+});
+
+module.exports = {
+  // Customer
+  downloadCreditNotePDF,
+  // Admin
+  createCreditNote,
+  getInvoiceCreditNotes,
+  getCreditNotesAdmin,
+  downloadCreditNotePDFAdmin,
+};
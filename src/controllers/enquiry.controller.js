@@ -233,20 +233,15 @@ const assignEnquiry = asyncHandler(async (req, res) => {
   enquiry.lastModifiedBy = req.userId;
   await enquiry.save();
 
-  // Notify assigned staff (if they have FCM token)
-  if (assignee.deviceInfo?.fcmToken) {
-    await fcmService.sendToDevice(
-      assignee.deviceInfo.fcmToken,
-      {
-        title: "New Lead Assigned",
-        body: `Lead from ${enquiry.name} (${enquiry.mobile}) has been assigned to you`,
-      },
-      {
-        type: "LEAD_ASSIGNED",
-        enquiryId: enquiry._id.toString(),
-      }
-    );
-  }
+  // Notify assigned staff on their registered devices
+  await fcmService.sendToUser(assignee, {
+    title: "New Lead Assigned",
+    body: `Lead from ${enquiry.name} (${enquiry.mobile}) has been assigned to you`,
+    data: {
+      type: "LEAD_ASSIGNED",
+      enquiryId: enquiry._id.toString(),
+    },
+  });
 
   await enquiry.populate("assignedTo", "name mobile");
 
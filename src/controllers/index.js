@@ -18,18 +18,25 @@ const uploadController = require("./upload.controller");
 const superadminController = require("./superadmin.controller");
 const enquiryController = require("./enquiry.controller");
 const inventoryController = require("./inventory.controller");
+const purchaseOrderController = require("./purchaseOrder.controller");
 const packageController = require("./package.controller");
 const subscriptionController = require("./subscription.controller");
 const washingController = require("./washing.controller");
 const serviceScheduleController = require("./serviceSchedule.controller");
 const advancedPaymentController = require("./advancedPayment.controller");
 const invoiceController = require("./invoice.controller");
+const creditNoteController = require("./creditNote.controller");
 const webhookController = require("./webhook.controller");
 const promotionController = require("./promotion.controller");
 const vehicleCatalogController = require("./vehicleCatalog.controller");
 const partnerController = require("./partner.controller");
 const bannerController = require("./banner.controller");
 const testimonialController = require("./testimonial.controller");
+const logisticsController = require("./logistics.controller");
+const inspectionController = require("./inspection.controller");
+const notificationTemplateController = require("./notificationTemplate.controller");
+const notificationController = require("./notification.controller");
+const campaignController = require("./campaign.controller");
 
 module.exports = {
   authController,
@@ -48,16 +55,23 @@ module.exports = {
   superadminController,
   enquiryController,
   inventoryController,
+  purchaseOrderController,
   packageController,
   subscriptionController,
   washingController,
   serviceScheduleController,
   advancedPaymentController,
   invoiceController,
+  creditNoteController,
   webhookController,
   promotionController,
   vehicleCatalogController,
   partnerController,
   bannerController,
   testimonialController,
+  logisticsController,
+  inspectionController,
+  notificationTemplateController,
+  notificationController,
+  campaignController,
 };
@@ -0,0 +1,295 @@
+/**
+ * Inspection Controller
+ * Check-in inspection checklists, results, photos and customer sign-off
+ */
+const JobCard = require("../models/jobcard.model");
+const InspectionTemplate = require("../models/inspectionTemplate.model");
+const { asyncHandler, ApiError, ApiResponse } = require("../utils");
+const { inspectionService, signatureService } = require("../services");
+
+const sendInspectionPDF = async (res, jobCard) => {
+  await jobCard.populate([
+    { path: "customer", select: "name mobile" },
+    { path: "vehicle", select: "vehicleNumber brand model" },
+  ]);
+  const pdfBuffer = await inspectionService.buildInspectionPDF(jobCard);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="Inspection_${jobCard.jobNumber}.pdf"`
+  );
+  res.send(pdfBuffer);
+};
+
+/**
+ * Job card for admins, or for a mechanic assigned to it
+ */
+const findStaffJobCard = async (req) => {
+  const jobCard = await JobCard.findById(req.params.id);
+
+  if (!jobCard) {
+    throw ApiError.notFound("Job card not found");
+  }
+
+  if (req.user.role === "mechanic") {
+    const assigned = (jobCard.assignedMechanicUserIds || []).some(
+      (id) => id.toString() === req.userId.toString()
+    );
+    if (!assigned) {
+      throw ApiError.forbidden("You are not assigned to this job card");
+    }
+  }
+
+  return jobCard;
+};
+
+const findCustomerJobCard = async (req) => {
+  const jobCard = await JobCard.findOne({
+    _id: req.params.id,
+    customer: req.userId,
+  });
+
+  if (!jobCard) {
+    throw ApiError.notFound("Job card not found");
+  }
+
+  return jobCard;
+};
+
+// ============ Templates (Admin) ============
+
+/**
+ * @desc    Get inspection templates
+ * @route   GET /api/v1/admin/inspection-templates
+ * @access  Private/Admin
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const query = {};
+  if (req.query.vehicleType) query.vehicleType = req.query.vehicleType;
+
+  const templates = await InspectionTemplate.find(query)
+    .sort({ vehicleType: 1, updatedAt: -1 })
+    .lean();
+
+  ApiResponse.success(res, "Inspection templates retrieved", templates);
+});
+
+/**
+ * @desc    Create inspection template
+ * @route   POST /api/v1/admin/inspection-templates
+ * @access  Private/Admin
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const { name, vehicleType, items, isActive } = req.body;
+
+  const template = await InspectionTemplate.create({
+    name,
+    vehicleType,
+    items,
+    isActive,
+    createdBy: req.user._id,
+  });
+
+  ApiResponse.created(res, "Inspection template created", template);
+});
+
+/**
+ * @desc    Update inspection template. Job cards keep the checklist they
+ *          were inspected with.
+ * @route   PUT /api/v1/admin/inspection-templates/:id
+ * @access  Private/Admin
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const { name, vehicleType, items, isActive } = req.body;
+
+  const template = await InspectionTemplate.findByIdAndUpdate(
+    req.params.id,
+    { name, vehicleType, items, isActive },
+    { new: true, runValidators: true }
+  );
+
+  if (!template) {
+    throw ApiError.notFound("Inspection template not found");
+  }
+
+  ApiResponse.success(res, "Inspection template updated", template);
+});
+
+/**
+ * @desc    Delete inspection template
+ * @route   DELETE /api/v1/admin/inspection-templates/:id
+ * @access  Private/Admin
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await InspectionTemplate.findByIdAndDelete(req.params.id);
+
+  if (!template) {
+    throw ApiError.notFound("Inspection template not found");
+  }
+
+  ApiResponse.success(res, "Inspection template deleted");
+});
+
+// ============ Job Card Inspection (Admin / Mechanic) ============
+
+/**
+ * @desc    Get a job card's check-in inspection; the checklist to use when
+ *          it hasn't been started
+ * @route   GET /api/v1/admin/jobcards/:id/inspection
+ * @access  Private/Admin, Mechanic
+ */
+const getInspection = asyncHandler(async (req, res) => {
+  const jobCard = await findStaffJobCard(req);
+
+  const data = inspectionService.getInspectionView(jobCard);
+  if (!data.inspection) {
+    await jobCard.populate("vehicle", "vehicleType");
+    data.template = await inspectionService.getTemplate(
+      jobCard.vehicle?.vehicleType || "other"
+    );
+  }
+
+  ApiResponse.success(res, "Inspection retrieved", data);
+});
+
+/**
+ * @desc    Record check-in inspection results
+ * @route   PUT /api/v1/admin/jobcards/:id/inspection
+ * @access  Private/Admin, Mechanic
+ */
+const updateInspection = asyncHandler(async (req, res) => {
+  const jobCard = await findStaffJobCard(req);
+
+  await inspectionService.recordResults(jobCard, req.body, req.userId);
+
+  ApiResponse.success(
+    res,
+    "Inspection saved",
+    inspectionService.getInspectionView(jobCard)
+  );
+});
+
+/**
+ * @desc    Upload photos for an inspection item
+ * @route   POST /api/v1/admin/jobcards/:id/inspection/photos
+ * @access  Private/Admin, Mechanic
+ */
+const uploadInspectionPhotos = asyncHandler(async (req, res) => {
+  const jobCard = await findStaffJobCard(req);
+
+  const item = await inspectionService.addPhotos(
+    jobCard,
+    {
+      itemKey: req.body.itemKey,
+      panel: req.body.panel,
+      caption: req.body.caption,
+      files: req.files,
+    },
+    req.userId
+  );
+
+  ApiResponse.success(res, "Photos uploaded successfully", item);
+});
+
+/**
+ * @desc    Record the customer's sign-off at the counter
+ * @route   POST /api/v1/admin/jobcards/:id/inspection/sign-off
+ * @access  Private/Admin, Mechanic
+ */
+const recordCounterSignOff = asyncHandler(async (req, res) => {
+  const jobCard = await findStaffJobCard(req);
+  const { name, signature } = req.body;
+
+  // Checked before the signature is uploaded
+  inspectionService.ensureSignable(jobCard);
+
+  const inspection = await inspectionService.signOff(jobCard, {
+    name,
+    method: "counter",
+    customerId: jobCard.customer,
+    recordedBy: req.userId,
+    ipAddress: req.ip,
+    signature: await signatureService.captureSignature({
+      ...signature,
+      name: signature.name || name,
+      method: "counter",
+      folder: `jobcards/${jobCard._id}/signatures`,
+      capturedBy: req.userId,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent"),
+    }),
+  });
+
+  ApiResponse.success(res, "Inspection signed off", inspection);
+});
+
+/**
+ * @desc    Download inspection report PDF
+ * @route   GET /api/v1/admin/jobcards/:id/inspection/pdf
+ * @access  Private/Admin, Mechanic
+ */
+const downloadInspectionPDF = asyncHandler(async (req, res) => {
+  const jobCard = await findStaffJobCard(req);
+  await sendInspectionPDF(res, jobCard);
+});
+
+// ============ Customer ============
+
+/**
+ * @desc    Get check-in inspection of my job card
+ * @route   GET /api/v1/jobcards/:id/inspection
+ * @access  Private
+ */
+const getMyInspection = asyncHandler(async (req, res) => {
+  const jobCard = await findCustomerJobCard(req);
+
+  ApiResponse.success(
+    res,
+    "Inspection retrieved",
+    inspectionService.getInspectionView(jobCard)
+  );
+});
+
+/**
+ * @desc    Sign off the check-in inspection in the app
+ * @route   POST /api/v1/jobcards/:id/inspection/sign-off
+ * @access  Private
+ */
+const signOffInspection = asyncHandler(async (req, res) => {
+  const jobCard = await findCustomerJobCard(req);
+
+  const inspection = await inspectionService.signOff(jobCard, {
+    name: req.body.name || req.user.name,
+    method: "app",
+    customerId: req.userId,
+    ipAddress: req.ip,
+  });
+
+  ApiResponse.success(res, "Inspection signed off", inspection);
+});
+
+/**
+ * @desc    Download inspection report PDF of my job card
+ * @route   GET /api/v1/jobcards/:id/inspection/pdf
+ * @access  Private
+ */
+const downloadMyInspectionPDF = asyncHandler(async (req, res) => {
+  const jobCard = await findCustomerJobCard(req);
+  await sendInspectionPDF(res, jobCard);
+});
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getInspection,
+  updateInspection,
+  uploadInspectionPhotos,
+  recordCounterSignOff,
+  downloadInspectionPDF,
+  getMyInspection,
+  signOffInspection,
+  downloadMyInspectionPDF,
+};
@@ -2,7 +2,7 @@
  * Insurance Job Controller
  */
 const { InsuranceJob, JobCard } = require("../models");
-const { imagekitService } = require("../services");
+const { imagekitService, signatureService } = require("../services");
 const {
   ApiResponse,
   ApiError,
@@ -196,6 +196,43 @@ const deleteDocument = asyncHandler(async (req, res) => {
   ApiResponse.success(res, "Document removed", insuranceJob);
 });
 
+// Sign the claim form once, while the claim is still open
+const signClaimForm = async (insuranceJob, req, method) => {
+  if (insuranceJob.claimFormSignature) {
+    throw ApiError.conflict("Claim form has already been signed");
+  }
+  if (["REJECTED", "SETTLED"].includes(insuranceJob.claimStatus)) {
+    throw ApiError.badRequest(
+      `Cannot sign the claim form of a ${insuranceJob.claimStatus.toLowerCase()} claim`
+    );
+  }
+
+  const { signature } = req.body;
+  insuranceJob.claimFormSignature = await signatureService.captureSignature({
+    ...signature,
+    name: signature.name || insuranceJob.customerId?.name,
+    method,
+    folder: `insurance/${insuranceJob.jobCardId}`,
+    capturedBy: req.userId,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  await insuranceJob.save();
+  return insuranceJob;
+};
+
+const signClaimFormAtCounter = asyncHandler(async (req, res) => {
+  const insuranceJob = await InsuranceJob.findById(req.params.id).populate(
+    "customerId",
+    "name"
+  );
+  if (!insuranceJob) throw ApiError.notFound("Insurance job not found");
+
+  await signClaimForm(insuranceJob, req, "counter");
+  ApiResponse.success(res, "Claim form signed", insuranceJob);
+});
+
 const listMyInsuranceJobs = asyncHandler(async (req, res) => {
   const items = await InsuranceJob.find({ customerId: req.userId })
     .populate("jobCardId", "jobNumber status")
@@ -219,6 +256,17 @@ const getMyInsuranceJob = asyncHandler(async (req, res) => {
   ApiResponse.success(res, "Insurance job", item);
 });
 
+const signMyClaimForm = asyncHandler(async (req, res) => {
+  const insuranceJob = await InsuranceJob.findOne({
+    _id: req.params.id,
+    customerId: req.userId,
+  }).populate("customerId", "name");
+  if (!insuranceJob) throw ApiError.notFound("Insurance job not found");
+
+  await signClaimForm(insuranceJob, req, "app");
+  ApiResponse.success(res, "Claim form signed", insuranceJob);
+});
+
 module.exports = {
   listAdminInsuranceJobs,
   getAdminInsuranceJob,
@@ -227,6 +275,8 @@ module.exports = {
   updateClaimStatus,
   uploadDocument,
   deleteDocument,
+  signClaimFormAtCounter,
   listMyInsuranceJobs,
   getMyInsuranceJob,
+  signMyClaimForm,
 };
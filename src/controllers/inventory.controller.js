@@ -3,8 +3,13 @@
  * Spare parts and stock management for Admin
  */
 const mongoose = require("mongoose");
-const { Inventory, InventoryTransaction, User } = require("../models");
-const { fcmService } = require("../services");
+const {
+  Inventory,
+  InventoryTransaction,
+  JobCard,
+  User,
+} = require("../models");
+const { fcmService, inventoryService } = require("../services");
 const {
   ApiResponse,
   ApiError,
@@ -15,6 +20,15 @@ const {
 
 // ============ Dashboard & Stats ============
 
+/**
+ * On-hand, reserved (held by open job cards) and available stock for a part
+ */
+const getStockLevels = (part) => {
+  const onHand = part.currentStock || 0;
+  const reserved = part.reservedStock || 0;
+  return { onHand, reserved, available: Math.max(0, onHand - reserved) };
+};
+
 /**
  * @desc    Get inventory dashboard stats
  * @route   GET /api/v1/admin/inventory/dashboard
@@ -27,6 +41,7 @@ const getDashboard = asyncHandler(async (req, res) => {
     outOfStockCount,
     stockValue,
     categoryStats,
+    reservedStats,
     recentTransactions,
   ] = await Promise.all([
     Inventory.countDocuments({ isActive: true }),
@@ -53,6 +68,18 @@ const getDashboard = asyncHandler(async (req, res) => {
       },
       { $sort: { totalValue: -1 } },
     ]),
+    Inventory.aggregate([
+      { $match: { isActive: true, reservedStock: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          partsWithReservations: { $sum: 1 },
+          reservedValue: {
+            $sum: { $multiply: ["$reservedStock", "$costPrice"] },
+          },
+        },
+      },
+    ]),
     InventoryTransaction.find()
       .populate("inventory", "name sku")
       .populate("performedBy", "name")
@@ -69,6 +96,13 @@ const getDashboard = asyncHandler(async (req, res) => {
       totalStockValue: stockValue.totalCostValue,
       totalSellingValue: stockValue.totalSellingValue,
       totalStockUnits: stockValue.totalStock,
+      reservedStockUnits: stockValue.totalReserved,
+      availableStockUnits: Math.max(
+        0,
+        stockValue.totalStock - stockValue.totalReserved
+      ),
+      reservedStockValue: reservedStats[0]?.reservedValue || 0,
+      partsWithReservations: reservedStats[0]?.partsWithReservations || 0,
     },
     categoryStats,
     recentTransactions,
@@ -121,6 +155,8 @@ const getSpareParts = asyncHandler(async (req, res) => {
     query.currentStock = 0;
   } else if (stockStatus === "healthy") {
     query.$expr = { $gt: ["$currentStock", "$minStock"] };
+  } else if (stockStatus === "reserved") {
+    query.reservedStock = { $gt: 0 };
   }
 
   const sortOptions = {};
@@ -134,6 +170,7 @@ const getSpareParts = asyncHandler(async (req, res) => {
   // Add computed fields
   const enrichedParts = spareParts.map((part) => ({
     ...part,
+    stock: getStockLevels(part),
     isLowStock: part.currentStock <= part.minStock && part.currentStock > 0,
     isOutOfStock: part.currentStock === 0,
     profitMargin:
@@ -184,7 +221,7 @@ const getSparePart = asyncHandler(async (req, res) => {
   ]);
 
   ApiResponse.success(res, "Spare part fetched successfully", {
-    sparePart: sparePart.toJSON(),
+    sparePart: { ...sparePart.toJSON(), stock: getStockLevels(sparePart) },
     transactions,
     usageStats,
   });
@@ -205,7 +242,10 @@ const getByBarcode = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Spare part not found with this barcode");
   }
 
-  ApiResponse.success(res, "Spare part found", sparePart);
+  ApiResponse.success(res, "Spare part found", {
+    ...sparePart,
+    stock: getStockLevels(sparePart),
+  });
 });
 
 /**
@@ -229,9 +269,11 @@ const createSparePart = asyncHandler(async (req, res) => {
     sellingPrice,
     mrp,
     taxRate,
+    hsnCode,
     location,
     vehicleCompatibility,
     supplier,
+    preferredSupplier,
     warranty,
   } = req.body;
 
@@ -258,9 +300,11 @@ const createSparePart = asyncHandler(async (req, res) => {
     sellingPrice,
     mrp,
     taxRate,
+    hsnCode,
     location,
     vehicleCompatibility,
     supplier,
+    preferredSupplier,
     warranty,
     lastRestocked: currentStock > 0 ? new Date() : undefined,
   });
@@ -309,9 +353,11 @@ const updateSparePart = asyncHandler(async (req, res) => {
     sellingPrice,
     mrp,
     taxRate,
+    hsnCode,
     location,
     vehicleCompatibility,
     supplier,
+    preferredSupplier,
     warranty,
     isActive,
   } = req.body;
@@ -338,10 +384,13 @@ const updateSparePart = asyncHandler(async (req, res) => {
   if (sellingPrice !== undefined) sparePart.sellingPrice = sellingPrice;
   if (mrp !== undefined) sparePart.mrp = mrp;
   if (taxRate !== undefined) sparePart.taxRate = taxRate;
+  if (hsnCode !== undefined) sparePart.hsnCode = hsnCode;
   if (location !== undefined) sparePart.location = location;
   if (vehicleCompatibility !== undefined)
     sparePart.vehicleCompatibility = vehicleCompatibility;
   if (supplier !== undefined) sparePart.supplier = supplier;
+  if (preferredSupplier !== undefined)
+    sparePart.preferredSupplier = preferredSupplier || undefined;
   if (warranty !== undefined) sparePart.warranty = warranty;
   if (isActive !== undefined) sparePart.isActive = isActive;
 
@@ -386,38 +435,16 @@ const addStock = asyncHandler(async (req, res) => {
   session.startTransaction();
 
   try {
-    const sparePart = await Inventory.findById(req.params.id).session(session);
-
-    if (!sparePart) {
-      throw ApiError.notFound("Spare part not found");
-    }
-
-    const previousStock = sparePart.currentStock;
-    const newStock = previousStock + quantity;
-
-    // Update stock
-    sparePart.currentStock = newStock;
-    sparePart.lastRestocked = new Date();
-    await sparePart.save({ session });
-
-    // Create transaction log
-    await InventoryTransaction.create(
-      [
-        {
-          inventory: sparePart._id,
-          type: "purchase",
-          quantity: quantity,
-          previousStock,
-          newStock,
-          unitPrice: unitPrice || sparePart.costPrice,
-          totalAmount: quantity * (unitPrice || sparePart.costPrice),
-          performedBy: req.userId,
-          notes,
-          supplier,
-        },
-      ],
-      { session }
-    );
+    const { sparePart, previousStock, newStock } =
+      await inventoryService.addStock({
+        inventoryId: req.params.id,
+        quantity,
+        unitPrice: unitPrice || undefined,
+        performedBy: req.userId,
+        notes,
+        supplier,
+        session,
+      });
 
     await session.commitTransaction();
 
@@ -457,9 +484,11 @@ const deductStock = asyncHandler(async (req, res) => {
       throw ApiError.notFound("Spare part not found");
     }
 
-    if (sparePart.currentStock < quantity) {
+    // Stock reserved by open job cards cannot be deducted manually
+    const { available } = getStockLevels(sparePart);
+    if (available < quantity) {
       throw ApiError.badRequest(
-        `Insufficient stock. Available: ${sparePart.currentStock}`
+        `Insufficient stock. Available: ${available}, Reserved: ${sparePart.reservedStock}`
       );
     }
 
@@ -688,11 +717,13 @@ const exportStockHistory = asyncHandler(async (req, res) => {
 // ============ Low Stock Alerts ============
 
 /**
- * @desc    Get low stock items
+ * @desc    Get low stock items (?suggest=true adds suggested POs per supplier)
  * @route   GET /api/v1/admin/inventory/low-stock
  * @access  Private/Admin
  */
 const getLowStockItems = asyncHandler(async (req, res) => {
+  const { suggest } = req.query;
+
   const lowStockItems = await Inventory.find({
     isActive: true,
     $expr: { $lte: ["$currentStock", "$minStock"] },
@@ -705,6 +736,12 @@ const getLowStockItems = asyncHandler(async (req, res) => {
     lowStock: lowStockItems.filter((i) => i.currentStock > 0),
   };
 
+  // Optional: suggested purchase orders per supplier
+  if (suggest === "true") {
+    categorized.suggestedPurchaseOrders =
+      await Inventory.getReorderSuggestions();
+  }
+
   ApiResponse.success(res, "Low stock items fetched successfully", categorized);
 });
 
@@ -717,9 +754,8 @@ const sendLowStockAlert = async (sparePart) => {
     const admins = await User.find({
       role: { $in: ["admin", "superadmin"] },
       isActive: true,
-      "deviceInfo.fcmToken": { $exists: true, $ne: null },
     })
-      .select("deviceInfo")
+      .select("_id")
       .lean();
 
     const isOut = sparePart.currentStock === 0;
@@ -729,7 +765,7 @@ const sendLowStockAlert = async (sparePart) => {
       : `${sparePart.name} (${sparePart.sku}) is running low. Current: ${sparePart.currentStock}, Min: ${sparePart.minStock}`;
 
     for (const admin of admins) {
-      await fcmService.sendNotification(admin, {
+      await fcmService.sendToUser(admin, {
         title,
         body,
         data: {
@@ -746,10 +782,35 @@ const sendLowStockAlert = async (sparePart) => {
 
 // ============ Invoice Integration ============
 
+/**
+ * Job card items whose stock moves with the job card itself (reserved on
+ * approval, deducted on delivery), grouped by spare part id
+ */
+const getJobCardStockItems = async (jobCardId, session) => {
+  const byPart = new Map();
+  if (!jobCardId) return { jobCard: null, byPart };
+
+  const jobCard = await JobCard.findById(jobCardId).session(session);
+  (jobCard?.jobItems || [])
+    .filter(
+      (item) =>
+        inventoryService.isStockTracked(item) &&
+        ["reserved", "committed"].includes(item.stockStatus)
+    )
+    .forEach((item) => {
+      const key = item.inventory.toString();
+      byPart.set(key, [...(byPart.get(key) || []), item]);
+    });
+
+  return { jobCard, byPart };
+};
+
 /**
  * @desc    Deduct stock for invoice/job card parts (atomic)
  * @route   POST /api/v1/admin/inventory/deduct-for-invoice
  * @access  Private/Admin
+ * @deprecated Job card parts are deducted when the job card is delivered;
+ *             parts the job card already tracks are skipped here
  */
 const deductForInvoice = asyncHandler(async (req, res) => {
   const { parts, jobCardId, invoiceNumber } = req.body;
@@ -764,10 +825,18 @@ const deductForInvoice = asyncHandler(async (req, res) => {
   try {
     const results = [];
     const errors = [];
+    const skipped = [];
+
+    const { byPart } = await getJobCardStockItems(jobCardId, session);
 
     for (const part of parts) {
       const { partId, quantity } = part;
 
+      if (byPart.has(String(partId))) {
+        skipped.push({ partId, reason: "Deducted with the job card" });
+        continue;
+      }
+
       const sparePart = await Inventory.findById(partId).session(session);
 
       if (!sparePart) {
@@ -775,11 +844,12 @@ const deductForInvoice = asyncHandler(async (req, res) => {
         continue;
       }
 
-      if (sparePart.currentStock < quantity) {
+      const { available } = getStockLevels(sparePart);
+      if (available < quantity) {
         errors.push({
           partId,
           partName: sparePart.name,
-          error: `Insufficient stock. Available: ${sparePart.currentStock}, Required: ${quantity}`,
+          error: `Insufficient stock. Available: ${available}, Required: ${quantity}`,
         });
         continue;
       }
@@ -848,6 +918,7 @@ const deductForInvoice = asyncHandler(async (req, res) => {
 
     ApiResponse.success(res, "Stock deducted for invoice successfully", {
       results,
+      skipped,
     });
   } catch (error) {
     await session.abortTransaction();
@@ -861,6 +932,8 @@ const deductForInvoice = asyncHandler(async (req, res) => {
  * @desc    Return stock from cancelled invoice
  * @route   POST /api/v1/admin/inventory/return-from-invoice
  * @access  Private/Admin
+ * @deprecated Cancelling the job card releases its reserved parts; parts
+ *             still reserved for the job card are released here
  */
 const returnFromInvoice = asyncHandler(async (req, res) => {
   const { parts, jobCardId, invoiceNumber, reason } = req.body;
@@ -875,9 +948,30 @@ const returnFromInvoice = asyncHandler(async (req, res) => {
   try {
     const results = [];
 
+    const { jobCard, byPart } = await getJobCardStockItems(
+      jobCardId,
+      session
+    );
+
     for (const part of parts) {
       const { partId, quantity } = part;
 
+      // Parts never deducted are only held; return them to available stock
+      const reserved = (byPart.get(String(partId)) || []).filter(
+        (item) => item.stockStatus === "reserved"
+      );
+      if (reserved.length > 0) {
+        await inventoryService.releaseForJobCard(
+          jobCard,
+          reserved,
+          req.userId,
+          reason || `Returned from invoice ${invoiceNumber}`,
+          { session }
+        );
+        results.push({ partId, released: reserved.length });
+        continue;
+      }
+
       const sparePart = await Inventory.findById(partId).session(session);
 
       if (!sparePart) {
@@ -923,6 +1017,10 @@ const returnFromInvoice = asyncHandler(async (req, res) => {
       });
     }
 
+    if (jobCard?.isModified()) {
+      await jobCard.save({ session });
+    }
+
     await session.commitTransaction();
 
     ApiResponse.success(res, "Stock returned successfully", { results });
@@ -6,8 +6,16 @@ const Invoice = require("../models/invoice.model");
 const JobCard = require("../models/jobcard.model");
 const Payment = require("../models/payment.model");
 const { asyncHandler, ApiError, ApiResponse } = require("../utils");
-const { generateInvoicePDF } = require("../services/pdf.service");
-const { notificationService } = require("../services");
+const {
+  generateInvoicePDF,
+  drawSignatures,
+} = require("../services/pdf.service");
+const {
+  paymentReconciliationService,
+  signatureService,
+  notificationService,
+} = require("../services");
+const gstReportService = require("../services/gstReport.service");
 
 /**
  * @desc    Get customer invoices
@@ -140,24 +148,10 @@ const getInvoiceByJobCard = asyncHandler(async (req, res) => {
     throw ApiError.forbidden("Access denied");
   }
 
-  // Get payments
-  const payments = await Payment.find({
-    jobCard: req.params.jobCardId,
-    status: "completed",
-  })
-    .select("paymentNumber amount paymentMethod createdAt transactionId")
-    .sort({ createdAt: 1 })
-    .lean();
-
-  const totalPaid = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+  // Payments, credit notes and net balance
+  const invoiceWithPayments = await Invoice.getWithPayments(invoice._id);
 
-  ApiResponse.success(res, "Invoice retrieved", {
-    ...invoice,
-    payments,
-    paidAmount: totalPaid,
-    balanceAmount: Math.max(0, invoice.grandTotal - totalPaid),
-    isPaid: totalPaid >= invoice.grandTotal,
-  });
+  ApiResponse.success(res, "Invoice retrieved", invoiceWithPayments);
 });
 
 /**
@@ -168,7 +162,10 @@ const getInvoiceByJobCard = asyncHandler(async (req, res) => {
 const downloadInvoicePDF = asyncHandler(async (req, res) => {
   const invoice = await Invoice.findById(req.params.id)
     .populate("customer", "name mobile email address gstin")
-    .populate("jobCard", "jobNumber status")
+    .populate(
+      "jobCard",
+      "jobNumber status estimate.approvalSignature deliverySignature"
+    )
     .lean();
 
   if (!invoice) {
@@ -187,7 +184,22 @@ const downloadInvoicePDF = asyncHandler(async (req, res) => {
     );
   }
 
-  // Get payments for the job card
+  const pdfBuffer = await buildInvoicePDF(invoice);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="Invoice_${invoice.invoiceNumber}.pdf"`
+  );
+  res.send(pdfBuffer);
+});
+
+/**
+ * Invoice PDF with its completed payments and the customer's signatures
+ * @param {Object} invoice - Invoice with customer and jobCard populated
+ * @returns {Promise<Buffer>}
+ */
+const buildInvoicePDF = async (invoice) => {
   const payments = await Payment.find({
     jobCard: invoice.jobCard._id,
     status: "completed",
@@ -195,22 +207,13 @@ const downloadInvoicePDF = asyncHandler(async (req, res) => {
     .select("paymentNumber amount paymentMethod createdAt")
     .lean();
 
-  // Prepare data for PDF generation
-  const pdfData = {
+  return generateInvoicePDFFromInvoice({
     invoice,
     payments,
     totalPaid: payments.reduce((sum, p) => sum + (p.amount || 0), 0),
-  };
-
-  const pdfBuffer = await generateInvoicePDFFromInvoice(pdfData);
-
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader(
-    "Content-Disposition",
-    `attachment; filename="Invoice_${invoice.invoiceNumber}.pdf"`
-  );
-  res.send(pdfBuffer);
-});
+    signatures: await signatureService.getJobCardSignatures(invoice.jobCard),
+  });
+};
 
 /**
  * Generate invoice PDF from invoice data
@@ -220,6 +223,7 @@ const downloadInvoicePDF = asyncHandler(async (req, res) => {
 const generateInvoicePDFFromInvoice = async (data) => {
   const PDFDocument = require("pdfkit");
   const config = require("../config");
+  const { getStateName } = require("../utils/gst");
 
   return new Promise((resolve, reject) => {
     try {
@@ -237,7 +241,7 @@ const generateInvoicePDFFromInvoice = async (data) => {
       doc.on("end", () => resolve(Buffer.concat(buffers)));
       doc.on("error", reject);
 
-      const { invoice, payments, totalPaid } = data;
+      const { invoice, payments, totalPaid, signatures } = data;
 
       // ── Design tokens ──
       const primaryColor = "#DC2626";
@@ -287,6 +291,10 @@ const generateInvoicePDFFromInvoice = async (data) => {
       // Brand name
       doc.fontSize(18).fillColor(textColor).font("Helvetica-Bold").text(config.garage?.name || "ClutchGear", marginX + 44, yPos);
       doc.fontSize(10).fillColor(lightMuted).font("Helvetica").text("Auto Services", marginX + 44, yPos + 20);
+      const supplierGstin = invoice.supplierGstin || config.garage?.gst;
+      if (supplierGstin) {
+        doc.fontSize(8).fillColor(mutedColor).font("Helvetica").text(`GSTIN: ${supplierGstin}`, marginX + 44, yPos + 32);
+      }
 
       // Status badge (right side)
       const statusLabels = { PAID: "Paid", PARTIALLY_PAID: "Partial", ISSUED: "Unpaid", CANCELLED: "Cancelled", REFUNDED: "Refunded" };
@@ -345,6 +353,16 @@ const generateInvoicePDFFromInvoice = async (data) => {
       doc.fontSize(11).fillColor(textColor).font("Helvetica-Bold").text(customer.name || "Customer", marginX + 5, yPos + 12);
       doc.fontSize(9).fillColor(mutedColor).font("Helvetica").text(customer.mobile || "", marginX + 5, yPos + 26);
 
+      // GSTIN + place of supply
+      const supplyState = getStateName(invoice.placeOfSupply);
+      const gstLine = [
+        customer.gstin ? `GSTIN: ${customer.gstin}` : "",
+        supplyState ? `Place of supply: ${supplyState} (${invoice.placeOfSupply})` : "",
+      ].filter(Boolean).join("  •  ");
+      if (gstLine) {
+        doc.fontSize(7).fillColor(mutedColor).font("Helvetica").text(gstLine, marginX + 5, yPos + 38, { width: contentW / 2 });
+      }
+
       // Vehicle (right)
       const rightX = pageW - marginX - 5;
       doc.fontSize(8).fillColor(lightMuted).font("Helvetica-Bold").text("VEHICLE", marginX + contentW / 2, yPos, { width: contentW / 2 - 5, align: "right" });
@@ -400,8 +418,18 @@ const generateInvoicePDFFromInvoice = async (data) => {
 
         // Name
         doc.fontSize(10).fillColor(textColor).font("Helvetica-Bold").text(item.name || "Item", marginX + 12, yPos, { width: 210 });
-        // Type label
-        doc.fontSize(7).fillColor(lightMuted).font("Helvetica").text(typeLabels[item.type] || item.type || "", marginX + 12, yPos + 13);
+        // Type label, HSN/SAC and tax split
+        const taxLabel = item.igstRate > 0
+          ? `IGST ${item.igstRate}%`
+          : item.cgstRate > 0
+            ? `CGST ${item.cgstRate}% + SGST ${item.sgstRate}%`
+            : "";
+        const itemMeta = [
+          typeLabels[item.type] || item.type || "",
+          item.hsnCode ? `HSN/SAC ${item.hsnCode}` : "",
+          taxLabel,
+        ].filter(Boolean).join("  •  ");
+        doc.fontSize(7).fillColor(lightMuted).font("Helvetica").text(itemMeta, marginX + 12, yPos + 13, { width: 280 });
 
         // Qty
         doc.fontSize(10).fillColor(textColor).font("Helvetica").text(String(item.quantity || 1), marginX + 230, yPos, { width: 40, align: "center" });
@@ -443,20 +471,36 @@ const generateInvoicePDFFromInvoice = async (data) => {
         doc.fillColor(successColor).text(`-${fmtCurrency(invoice.discount)}`, valX - valW, yPos, { width: valW, align: "right" });
       }
 
+      // Taxable value
+      if (invoice.taxableAmount > 0 && invoice.discount > 0) {
+        yPos += 18;
+        doc.fillColor(mutedColor).text("Taxable Value", labX, yPos);
+        doc.fillColor(textColor).text(fmtCurrency(invoice.taxableAmount), valX - valW, yPos, { width: valW, align: "right" });
+      }
+
+      const rateLabel = (rate) => (rate > 0 ? ` (${rate}%)` : "");
+
       // CGST
       if (invoice.cgstAmount > 0) {
         yPos += 18;
-        doc.fillColor(mutedColor).text(`CGST (${invoice.cgstRate || 9}%)`, labX, yPos);
+        doc.fillColor(mutedColor).text(`CGST${rateLabel(invoice.cgstRate)}`, labX, yPos);
         doc.fillColor(textColor).text(fmtCurrency(invoice.cgstAmount), valX - valW, yPos, { width: valW, align: "right" });
       }
 
       // SGST
       if (invoice.sgstAmount > 0) {
         yPos += 18;
-        doc.fillColor(mutedColor).text(`SGST (${invoice.sgstRate || 9}%)`, labX, yPos);
+        doc.fillColor(mutedColor).text(`SGST${rateLabel(invoice.sgstRate)}`, labX, yPos);
         doc.fillColor(textColor).text(fmtCurrency(invoice.sgstAmount), valX - valW, yPos, { width: valW, align: "right" });
       }
 
+      // IGST (inter-state supply)
+      if (invoice.igstAmount > 0) {
+        yPos += 18;
+        doc.fillColor(mutedColor).text(`IGST${rateLabel(invoice.igstRate)}`, labX, yPos);
+        doc.fillColor(textColor).text(fmtCurrency(invoice.igstAmount), valX - valW, yPos, { width: valW, align: "right" });
+      }
+
       // ── Grand Total ──
       yPos += 24;
       doc.moveTo(labX, yPos).lineTo(valX, yPos).strokeColor(textColor).lineWidth(1.5).stroke();
@@ -482,11 +526,46 @@ const generateInvoicePDFFromInvoice = async (data) => {
       doc.fontSize(8).fillColor(lightMuted).font("Helvetica-Bold").text("Balance Due", stripCenter + 20, yPos + 6, { width: 80, align: "center" });
       doc.fontSize(12).fillColor(balance > 0 ? primaryColor : successColor).font("Helvetica-Bold").text(fmtCurrency(balance), stripCenter + 20, yPos + 18, { width: 80, align: "center" });
 
+      // ══════════════════════════════════════════
+      //  HSN/SAC SUMMARY
+      // ══════════════════════════════════════════
+      const hsnSummary = invoice.hsnSummary || [];
+      if (hsnSummary.length > 0) {
+        yPos += 55;
+        if (yPos > 660) { doc.addPage(); yPos = 50; }
+
+        doc.fontSize(11).fillColor(textColor).font("Helvetica-Bold").text("HSN/SAC Summary", marginX, yPos);
+        yPos += 18;
+
+        const taxCols = invoice.isInterState
+          ? [{ label: "IGST", key: "igstAmount" }]
+          : [{ label: "CGST", key: "cgstAmount" }, { label: "SGST", key: "sgstAmount" }];
+        const cols = [
+          { label: "HSN/SAC", x: marginX, w: 80, align: "left", value: (r) => r.hsnCode || "—" },
+          { label: "TAXABLE", x: marginX + 80, w: 90, align: "right", value: (r) => fmtCurrency(r.taxableValue) },
+          { label: "RATE", x: marginX + 170, w: 50, align: "right", value: (r) => `${r.taxRate || 0}%` },
+          ...taxCols.map((c, i) => ({ label: c.label, x: marginX + 220 + i * 90, w: 90, align: "right", value: (r) => fmtCurrency(r[c.key]) })),
+          { label: "TOTAL TAX", x: marginX + contentW - 90, w: 90, align: "right", value: (r) => fmtCurrency(r.totalTax) },
+        ];
+
+        doc.rect(marginX - 10, yPos, contentW + 20, 18).fillColor(bgLighter).fill();
+        doc.fontSize(7).fillColor(mutedColor).font("Helvetica-Bold");
+        cols.forEach((c) => doc.text(c.label, c.x, yPos + 6, { width: c.w, align: c.align }));
+        yPos += 22;
+
+        hsnSummary.forEach((row) => {
+          if (yPos > 740) { doc.addPage(); yPos = 50; }
+          doc.fontSize(8).fillColor(textColor).font("Helvetica");
+          cols.forEach((c) => doc.text(c.value(row), c.x, yPos, { width: c.w, align: c.align }));
+          yPos += 14;
+        });
+      }
+
       // ══════════════════════════════════════════
       //  PAYMENT HISTORY
       // ══════════════════════════════════════════
       if (payments && payments.length > 0) {
-        yPos += 55;
+        yPos += hsnSummary.length > 0 ? 20 : 55;
         if (yPos > 700) { doc.addPage(); yPos = 50; }
 
         doc.fontSize(11).fillColor(textColor).font("Helvetica-Bold").text("Payment History", marginX, yPos);
@@ -518,6 +597,11 @@ const generateInvoicePDFFromInvoice = async (data) => {
         doc.fontSize(9).fillColor(mutedColor).font("Helvetica").text(invoice.terms, marginX, yPos, { width: contentW });
       }
 
+      // ══════════════════════════════════════════
+      //  CUSTOMER SIGNATURES
+      // ══════════════════════════════════════════
+      drawSignatures(doc, signatures, Math.max(yPos, doc.y) + 25);
+
       // ══════════════════════════════════════════
       //  FOOTER
       // ══════════════════════════════════════════
@@ -649,6 +733,34 @@ const generateInvoiceFromJobCard = asyncHandler(async (req, res) => {
   ApiResponse.created(res, "Invoice generated", invoice);
 });
 
+/**
+ * @desc    GSTR-1 return data for a month (Admin)
+ * @route   GET /api/v1/admin/invoices/reports/gstr1?month=YYYY-MM
+ * @access  Private/Admin
+ */
+const getGstr1Report = asyncHandler(async (req, res) => {
+  const report = await gstReportService.buildGstr1(req.query.month);
+
+  ApiResponse.success(res, "GSTR-1 report generated", report);
+});
+
+/**
+ * @desc    Export sales register CSV for a month (Admin)
+ * @route   GET /api/v1/admin/invoices/reports/sales-register?month=YYYY-MM
+ * @access  Private/Admin
+ */
+const exportSalesRegister = asyncHandler(async (req, res) => {
+  const { month } = req.query;
+  const csv = await gstReportService.buildSalesRegisterCsv(month);
+
+  res.setHeader("Content-Type", "text/csv");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=sales-register-${month}.csv`
+  );
+  res.send(csv);
+});
+
 /**
  * @desc    Cancel invoice (Admin)
  * @route   PUT /api/v1/admin/invoices/:id/cancel
@@ -680,27 +792,17 @@ const cancelInvoice = asyncHandler(async (req, res) => {
 const downloadInvoicePDFAdmin = asyncHandler(async (req, res) => {
   const invoice = await Invoice.findById(req.params.id)
     .populate("customer", "name mobile email address gstin")
-    .populate("jobCard", "jobNumber status")
+    .populate(
+      "jobCard",
+      "jobNumber status estimate.approvalSignature deliverySignature"
+    )
     .lean();
 
   if (!invoice) {
     throw ApiError.notFound("Invoice not found");
   }
 
-  const payments = await Payment.find({
-    jobCard: invoice.jobCard._id,
-    status: "completed",
-  })
-    .select("paymentNumber amount paymentMethod createdAt")
-    .lean();
-
-  const pdfData = {
-    invoice,
-    payments,
-    totalPaid: payments.reduce((sum, p) => sum + (p.amount || 0), 0),
-  };
-
-  const pdfBuffer = await generateInvoicePDFFromInvoice(pdfData);
+  const pdfBuffer = await buildInvoicePDF(invoice);
 
   res.setHeader("Content-Type", "application/pdf");
   res.setHeader(
@@ -710,6 +812,48 @@ const downloadInvoicePDFAdmin = asyncHandler(async (req, res) => {
   res.send(pdfBuffer);
 });
 
+/**
+ * @desc    Send invoice to the customer; WhatsApp opted-in customers get
+ *          the PDF as a document
+ * @route   POST /api/v1/admin/invoices/:id/send
+ * @access  Private/Admin
+ */
+const sendInvoiceToCustomer = asyncHandler(async (req, res) => {
+  const invoice = await Invoice.findById(req.params.id)
+    .populate("customer", "name mobile email address gstin")
+    .populate(
+      "jobCard",
+      "jobNumber status estimate.approvalSignature deliverySignature"
+    )
+    .lean();
+
+  if (!invoice) {
+    throw ApiError.notFound("Invoice not found");
+  }
+
+  if (invoice.status === "CANCELLED") {
+    throw ApiError.badRequest("Cannot send a cancelled invoice");
+  }
+
+  const pdfBuffer = await buildInvoicePDF(invoice);
+  const notification = await notificationService.sendInvoice(
+    invoice.customer._id,
+    invoice,
+    pdfBuffer
+  );
+
+  if (!notification) {
+    throw ApiError.badRequest("Customer has turned off payment notifications");
+  }
+
+  ApiResponse.success(res, "Invoice sent", {
+    notificationId: notification._id,
+    channel: notification.channel,
+    pushStatus: notification.pushStatus,
+    whatsappStatus: notification.whatsappStatus,
+  });
+});
+
 /**
  * @desc    Update invoice payment status (called when payment completes)
  * @param   {String} jobCardId - Job card ID
@@ -758,7 +902,7 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
 
   // Get amount from request or use balance
   let amount = req.body.amount;
-  const balanceAmount = invoice.grandTotal - (invoice.paidAmount || 0);
+  const balanceAmount = invoice.balanceAmount;
 
   if (!amount || amount <= 0) {
     amount = balanceAmount;
@@ -784,6 +928,19 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
     jobCardId: invoice.jobCard._id?.toString() || invoice.jobCard.toString(),
   });
 
+  // Track the open order so stale checkouts can be reconciled
+  const config = require("../config");
+  const expiresAt = new Date(
+    Date.now() + config.payments.checkoutTtlMinutes * 60 * 1000
+  );
+  await Invoice.updateOne(
+    { _id: invoice._id },
+    {
+      $set: { checkout: { orderId: order.id, amount, expiresAt } },
+      $push: { checkoutOrders: { orderId: order.id, amount, expiresAt } },
+    }
+  );
+
   ApiResponse.success(res, "Payment order created", {
     orderId: order.id,
     amount: order.amount / 100, // Convert back to INR
@@ -838,70 +995,13 @@ const verifyPayment = asyncHandler(async (req, res) => {
 
   // Fetch payment details from Razorpay
   const razorpayPayment = await razorpayService.fetchPayment(razorpay_payment_id);
-  const paidAmount = razorpayPayment.amount / 100; // Convert from paise
-
-  // Determine payment method
-  let paymentMethod = "other";
-  if (razorpayPayment.method === "upi") {
-    paymentMethod = "upi";
-  } else if (razorpayPayment.method === "card") {
-    paymentMethod = "card";
-  } else if (razorpayPayment.method === "netbanking") {
-    paymentMethod = "netbanking";
-  } else if (razorpayPayment.method === "wallet") {
-    paymentMethod = "wallet";
-  }
-
-  // Generate payment number
-  const paymentCount = await Payment.countDocuments();
-  const paymentNumber = `PAY${String(paymentCount + 1).padStart(6, "0")}`;
 
-  const remainingBeforePayment = Math.max(
-    0,
-    Number(invoice.grandTotal || 0) - Number(invoice.paidAmount || 0)
+  // Record once; the webhook may already have done it
+  const { payment } = await paymentReconciliationService.recordInvoicePayment(
+    invoice,
+    razorpayPayment,
+    { orderId: razorpay_order_id, signature: razorpay_signature }
   );
-  const paymentType = paidAmount >= remainingBeforePayment ? "full" : "partial";
-
-  // Create payment record
-  const payment = await Payment.create({
-    paymentNumber,
-    customer: req.user._id,
-    jobCard: invoice.jobCard._id || invoice.jobCard,
-    amount: paidAmount,
-    paymentType,
-    paymentMethod,
-    status: "completed",
-    transactionId: razorpay_payment_id,
-    metadata: {
-      razorpay_order_id,
-      razorpay_signature,
-      invoiceId: invoice._id,
-      invoiceNumber: invoice.invoiceNumber,
-      method_details: razorpayPayment.method,
-      vpa: razorpayPayment.vpa, // For UPI
-      bank: razorpayPayment.bank, // For netbanking
-      wallet: razorpayPayment.wallet, // For wallet
-    },
-  });
-
-  // Update invoice paid amount
-  invoice.paidAmount = (invoice.paidAmount || 0) + paidAmount;
-
-  // Determine payment status
-  if (invoice.paidAmount >= invoice.grandTotal) {
-    invoice.paymentStatus = "PAID";
-  } else if (invoice.paidAmount > 0) {
-    invoice.paymentStatus = "PARTIAL";
-  }
-
-  await invoice.save();
-
-  // Send payment success notification
-  try {
-    await notificationService.sendPaymentSuccess(req.user._id, payment);
-  } catch (error) {
-    console.error("Payment notification failed:", error);
-  }
 
   // Return updated invoice details
   const updatedInvoice = await Invoice.getWithPayments(invoice._id);
@@ -920,7 +1020,8 @@ const verifyPayment = asyncHandler(async (req, res) => {
       invoiceNumber: updatedInvoice.invoiceNumber,
       grandTotal: updatedInvoice.grandTotal,
       paidAmount: updatedInvoice.paidAmount,
-      balanceAmount: updatedInvoice.grandTotal - updatedInvoice.paidAmount,
+      netPayable: updatedInvoice.netPayable,
+      balanceAmount: updatedInvoice.balanceAmount,
       paymentStatus: updatedInvoice.paymentStatus,
     },
   });
@@ -940,6 +1041,9 @@ module.exports = {
   generateInvoiceFromJobCard,
   cancelInvoice,
   downloadInvoicePDFAdmin,
+  sendInvoiceToCustomer,
+  getGstr1Report,
+  exportSalesRegister,
   // Utility
   updateInvoicePaymentStatus,
 };
@@ -2,12 +2,24 @@
  * JobCard Controller
  * Handles job card management
  */
-const { JobCard, Vehicle, Appointment, User, Payment } = require("../models");
+const {
+  JobCard,
+  Vehicle,
+  Appointment,
+  User,
+  Payment,
+  Inventory,
+} = require("../models");
 const {
   smsService,
   imagekitService,
   fcmService,
   notificationService,
+  jobcardService,
+  inventoryService,
+  logisticsService,
+  signatureService,
+  pdfService,
 } = require("../services");
 const {
   ApiResponse,
@@ -15,8 +27,17 @@ const {
   asyncHandler,
   parsePagination,
   createPaginationMeta,
+  inTransaction,
 } = require("../utils");
 
+// Statuses in which the customer can decide on a pending estimate; a
+// revised estimate can be decided while work is in progress
+const ESTIMATE_DECISION_STATUSES = [
+  "inspection",
+  "awaiting-approval",
+  "in-progress",
+];
+
 const toUniqueStringIds = (ids = []) => {
   const set = new Set(ids.map((id) => id.toString()));
   return Array.from(set);
@@ -45,6 +66,7 @@ const normalizeJobItems = (jobItems = []) => {
 
     return {
       ...item,
+      inventory: item.inventory || item.inventoryId,
       quantity,
       unitPrice,
       discount: discountPct,
@@ -145,6 +167,16 @@ const getJobCard = asyncHandler(async (req, res) => {
     completedPaymentsCount: count,
   };
 
+  // Pickup / drop progress for the customer
+  data.logistics = await logisticsService.getCustomerTasks({
+    $or: [
+      { jobCard: jobCard._id },
+      ...(jobCard.appointment
+        ? [{ appointment: jobCard.appointment._id, type: "pickup" }]
+        : []),
+    ],
+  });
+
   ApiResponse.success(res, "Job card fetched successfully", data);
 });
 
@@ -166,28 +198,49 @@ const approveJobItems = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Job card not found or not awaiting approval");
   }
 
-  // Approve items
-  jobCard.jobItems.forEach((item) => {
-    if (itemIds.includes(item._id.toString())) {
+  const itemsToApprove = jobCard.jobItems.filter(
+    (item) => itemIds.includes(item._id.toString()) && !item.isApproved,
+  );
+
+  // Stock is reserved and the job card saved in one transaction
+  await inTransaction(null, async (session) => {
+    // Reserve stock for linked parts (refuses approval if stock is short)
+    await inventoryService.reserveForJobCard(
+      jobCard,
+      itemsToApprove,
+      req.userId,
+      { session },
+    );
+
+    // Approve items
+    itemsToApprove.forEach((item) => {
       item.isApproved = true;
       item.approvedAt = new Date();
-    }
-  });
+    });
 
-  // Calculate billing
-  jobCard.calculateBilling({ onlyApproved: true });
+    // Calculate billing
+    jobCard.calculateBilling({ onlyApproved: true });
+
+    // Check if all items are approved
+    const pendingItems = jobCard.jobItems.filter((item) => !item.isApproved);
+    if (pendingItems.length === 0) {
+      // Approving every item approves the estimate, or work could never start
+      if (jobCard.estimate?.status === "PENDING_APPROVAL") {
+        jobCard.estimate.status = "APPROVED";
+        jobCard.estimate.approvedAt = new Date();
+        jobCard.estimate.approvedBy = req.userId;
+      }
 
-  // Check if all items are approved
-  const pendingItems = jobCard.jobItems.filter((item) => !item.isApproved);
-  if (pendingItems.length === 0) {
-    await jobCard.updateStatus(
-      "approved",
-      req.userId,
-      "All items approved by customer",
-    );
-  }
+      await jobcardService.transitionStatus(jobCard, "approved", {
+        userId: req.userId,
+        role: req.userRole,
+        notes: "All items approved by customer",
+        session,
+      });
+    }
 
-  await jobCard.save();
+    await jobCard.save({ session });
+  });
 
   ApiResponse.success(res, "Items approved successfully", jobCard);
 });
@@ -209,7 +262,7 @@ const getJobCardHistory = asyncHandler(async (req, res) => {
 
   ApiResponse.success(res, "Status history fetched successfully", {
     jobNumber: jobCard.jobNumber,
-    history: jobCard.statusHistory,
+    history: jobCard.statusHistory.filter((entry) => !entry.rejected),
   });
 });
 
@@ -382,30 +435,79 @@ const getEstimate = asyncHandler(async (req, res) => {
     ...jobCard.estimate.toObject(),
     canApprove:
       jobCard.estimate.status === "PENDING_APPROVAL" &&
-      ["inspection", "awaiting-approval"].includes(jobCard.status),
+      ESTIMATE_DECISION_STATUSES.includes(jobCard.status),
     canReject:
       jobCard.estimate.status === "PENDING_APPROVAL" &&
-      ["inspection", "awaiting-approval"].includes(jobCard.status),
+      ESTIMATE_DECISION_STATUSES.includes(jobCard.status),
   };
 
   ApiResponse.success(res, "Estimate fetched successfully", estimate);
 });
 
+// Estimate PDF with whatever signatures the job card carries
+const sendEstimatePDF = async (res, jobCard) => {
+  if (!jobCard) {
+    throw ApiError.notFound("Job card not found");
+  }
+
+  if (!jobCard.estimate) {
+    throw ApiError.notFound("No estimate available for this job card");
+  }
+
+  const signatures = await signatureService.getJobCardSignatures(jobCard);
+  const pdfBuffer = await pdfService.generateEstimatePDF(jobCard, signatures);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="estimate-${jobCard.jobNumber}.pdf"`,
+  );
+  res.setHeader("Content-Length", pdfBuffer.length);
+  res.send(pdfBuffer);
+};
+
 /**
- * @desc    Approve estimate (Customer)
- * @route   POST /api/v1/jobcards/:id/estimate/approve
+ * @desc    Download estimate PDF (Customer)
+ * @route   GET /api/v1/jobcards/:id/estimate/pdf
  * @access  Private
  */
-const approveEstimate = asyncHandler(async (req, res) => {
+const downloadEstimatePDF = asyncHandler(async (req, res) => {
   const jobCard = await JobCard.findOne({
     _id: req.params.id,
     customer: req.userId,
-  }).populate("customer", "name mobile deviceInfo");
+  })
+    .populate("customer", "name mobile")
+    .populate("vehicle", "vehicleNumber brand model")
+    .lean();
 
-  if (!jobCard) {
-    throw ApiError.notFound("Job card not found");
-  }
+  await sendEstimatePDF(res, jobCard);
+});
+
+/**
+ * @desc    Download estimate PDF (Admin)
+ * @route   GET /api/v1/admin/jobcards/:id/estimate/pdf
+ * @access  Private/Admin
+ */
+const downloadEstimatePDFAdmin = asyncHandler(async (req, res) => {
+  const jobCard = await JobCard.findById(req.params.id)
+    .populate("customer", "name mobile")
+    .populate("vehicle", "vehicleNumber brand model")
+    .lean();
+
+  await sendEstimatePDF(res, jobCard);
+});
 
+// Who captured a signature and from where
+const getSignatureContext = (req) => ({
+  capturedBy: req.userId,
+  ipAddress: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
+/**
+ * Throw unless the job card's estimate is waiting for the customer
+ */
+const ensureEstimateApprovable = (jobCard) => {
   if (!jobCard.estimate) {
     throw ApiError.notFound("No estimate available for this job card");
   }
@@ -418,7 +520,7 @@ const approveEstimate = asyncHandler(async (req, res) => {
   }
 
   // Check if job card is in correct status
-  if (!["inspection", "awaiting-approval"].includes(jobCard.status)) {
+  if (!ESTIMATE_DECISION_STATUSES.includes(jobCard.status)) {
     throw ApiError.badRequest(
       "Cannot approve estimate at this stage of the job",
     );
@@ -430,52 +532,159 @@ const approveEstimate = asyncHandler(async (req, res) => {
       "This estimate has expired. Please request a new estimate.",
     );
   }
+};
 
-  // Approve the estimate
-  jobCard.estimate.status = "APPROVED";
-  jobCard.estimate.approvedAt = new Date();
-  jobCard.estimate.approvedBy = req.userId;
-
-  // Update job card status to approved
-  await jobCard.updateStatus(req.userId, "Customer approved cost estimate");
-  jobCard.status = "approved";
+/**
+ * Approve the estimate: reserve stock for its items, copy it to billing,
+ * move the job to approved and tell the admins
+ *
+ * @param {Object} params - { approvedBy, userId, role, signature, notes }
+ */
+const applyEstimateApproval = async (
+  jobCard,
+  { approvedBy, userId, role, signature, notes },
+) => {
+  await inTransaction(null, async (session) => {
+    // Estimate approval covers pending job items; reserve their stock first
+    const pendingItems = jobCard.jobItems.filter((item) => !item.isApproved);
+    await inventoryService.reserveForJobCard(jobCard, pendingItems, userId, {
+      session,
+    });
+    pendingItems.forEach((item) => {
+      item.isApproved = true;
+      item.approvedAt = new Date();
+    });
 
-  // Copy estimate to billing for actual invoicing
-  if (jobCard.estimate.grandTotal > 0) {
-    jobCard.billing.subtotal = jobCard.estimate.subtotal;
-    jobCard.billing.discount = jobCard.estimate.discountAmount || 0;
-    jobCard.billing.discountReason = jobCard.estimate.discountReason || "";
-    jobCard.billing.taxRate = jobCard.estimate.taxRate;
-    jobCard.billing.taxAmount = jobCard.estimate.taxAmount;
-    jobCard.billing.grandTotal = jobCard.estimate.grandTotal;
-  }
+    // Approve the estimate
+    jobCard.estimate.status = "APPROVED";
+    jobCard.estimate.approvedAt = new Date();
+    jobCard.estimate.approvedBy = approvedBy;
+    if (signature) jobCard.estimate.approvalSignature = signature;
+
+    // Copy estimate to billing for actual invoicing
+    if (jobCard.estimate.grandTotal > 0) {
+      jobCard.billing.subtotal = jobCard.estimate.subtotal;
+      jobCard.billing.discount = jobCard.estimate.discountAmount || 0;
+      jobCard.billing.discountReason = jobCard.estimate.discountReason || "";
+      jobCard.billing.taxRate = jobCard.estimate.taxRate;
+      jobCard.billing.taxAmount = jobCard.estimate.taxAmount;
+      jobCard.billing.grandTotal = jobCard.estimate.grandTotal;
+    }
 
-  await jobCard.save();
+    // Update job card status to approved (saves the job card)
+    await jobcardService.transitionStatus(jobCard, "approved", {
+      userId,
+      role,
+      notes,
+      session,
+    });
+  });
 
   // Notify admins about approval
   try {
-    const admins = await User.find({
+    const adminTokens = await User.findPushTokens({
       role: { $in: ["admin", "superadmin"] },
-      "deviceInfo.fcmToken": { $exists: true },
-    }).select("deviceInfo.fcmToken");
-
-    const adminTokens = admins
-      .map((a) => a.deviceInfo?.fcmToken)
-      .filter(Boolean);
+    });
     if (adminTokens.length > 0) {
       await fcmService.notifyAdminApproval(adminTokens, jobCard);
     }
   } catch (error) {
     console.error("Failed to notify admins:", error.message);
   }
+};
 
-  ApiResponse.success(res, "Estimate approved successfully", {
-    jobNumber: jobCard.jobNumber,
-    estimateStatus: jobCard.estimate.status,
-    jobCardStatus: jobCard.status,
-    approvedAt: jobCard.estimate.approvedAt,
-    grandTotal: jobCard.estimate.grandTotal,
+const approvalSummary = (jobCard) => ({
+  jobNumber: jobCard.jobNumber,
+  estimateStatus: jobCard.estimate.status,
+  jobCardStatus: jobCard.status,
+  approvedAt: jobCard.estimate.approvedAt,
+  grandTotal: jobCard.estimate.grandTotal,
+  approvalSignature: jobCard.estimate.approvalSignature,
+});
+
+/**
+ * @desc    Approve estimate (Customer), optionally signing it
+ * @route   POST /api/v1/jobcards/:id/estimate/approve
+ * @access  Private
+ */
+const approveEstimate = asyncHandler(async (req, res) => {
+  const jobCard = await JobCard.findOne({
+    _id: req.params.id,
+    customer: req.userId,
+  }).populate("customer", "name mobile deviceInfo");
+
+  if (!jobCard) {
+    throw ApiError.notFound("Job card not found");
+  }
+
+  ensureEstimateApprovable(jobCard);
+
+  const { signature } = req.body;
+  const approvalSignature = signature?.image
+    ? await signatureService.captureSignature({
+        ...signature,
+        name: signature.name || jobCard.customer.name,
+        method: "app",
+        folder: `jobcards/${jobCard._id}/signatures`,
+        ...getSignatureContext(req),
+      })
+    : undefined;
+
+  await applyEstimateApproval(jobCard, {
+    approvedBy: req.userId,
+    userId: req.userId,
+    role: req.userRole,
+    signature: approvalSignature,
+    notes: "Customer approved cost estimate",
+  });
+
+  ApiResponse.success(
+    res,
+    "Estimate approved successfully",
+    approvalSummary(jobCard),
+  );
+});
+
+/**
+ * @desc    Record a walk-in customer's signed estimate approval at the
+ *          counter (Admin)
+ * @route   POST /api/v1/admin/jobcards/:id/estimate/approve
+ * @access  Private/Admin
+ */
+const approveEstimateAtCounter = asyncHandler(async (req, res) => {
+  const jobCard = await JobCard.findById(req.params.id).populate(
+    "customer",
+    "name mobile deviceInfo",
+  );
+
+  if (!jobCard) {
+    throw ApiError.notFound("Job card not found");
+  }
+
+  ensureEstimateApprovable(jobCard);
+
+  const { signature } = req.body;
+  const approvalSignature = await signatureService.captureSignature({
+    ...signature,
+    name: signature.name || jobCard.customer.name,
+    method: "counter",
+    folder: `jobcards/${jobCard._id}/signatures`,
+    ...getSignatureContext(req),
+  });
+
+  await applyEstimateApproval(jobCard, {
+    approvedBy: jobCard.customer._id,
+    userId: req.userId,
+    role: req.userRole,
+    signature: approvalSignature,
+    notes: "Customer approved cost estimate at the counter",
   });
+
+  ApiResponse.success(
+    res,
+    "Estimate approved successfully",
+    approvalSummary(jobCard),
+  );
 });
 
 /**
@@ -507,7 +716,7 @@ const rejectEstimate = asyncHandler(async (req, res) => {
   }
 
   // Check if job card is in correct status
-  if (!["inspection", "awaiting-approval"].includes(jobCard.status)) {
+  if (!ESTIMATE_DECISION_STATUSES.includes(jobCard.status)) {
     throw ApiError.badRequest(
       "Cannot reject estimate at this stage of the job",
     );
@@ -531,14 +740,9 @@ const rejectEstimate = asyncHandler(async (req, res) => {
 
   // Notify admins about rejection
   try {
-    const admins = await User.find({
+    const adminTokens = await User.findPushTokens({
       role: { $in: ["admin", "superadmin"] },
-      "deviceInfo.fcmToken": { $exists: true },
-    }).select("deviceInfo.fcmToken");
-
-    const adminTokens = admins
-      .map((a) => a.deviceInfo?.fcmToken)
-      .filter(Boolean);
+    });
     if (adminTokens.length > 0) {
       await fcmService.sendToMultipleDevices(
         adminTokens,
@@ -640,6 +844,7 @@ const getJobCardById = asyncHandler(async (req, res) => {
     balanceDue,
     completedPaymentsCount: count,
   };
+  data.allowedNextStatuses = jobCard.getAllowedNextStatuses(req.userRole);
 
   ApiResponse.success(res, "Job card fetched successfully", data);
 });
@@ -710,9 +915,24 @@ const createJobCard = asyncHandler(async (req, res) => {
     ],
   });
 
-  // Ensure billing totals are available immediately (for admin views + payments)
-  jobCard.calculateBilling();
-  await jobCard.save();
+  // Hold stock for linked parts until the customer approves
+  try {
+    await inTransaction(null, async (session) => {
+      await inventoryService.reserveForJobCard(
+        jobCard,
+        jobCard.jobItems,
+        req.userId,
+        { expiresAt: inventoryService.getReservationExpiry(), session },
+      );
+
+      // Billing totals are needed immediately (admin views + payments)
+      jobCard.calculateBilling();
+      await jobCard.save({ session });
+    });
+  } catch (error) {
+    await JobCard.deleteOne({ _id: jobCard._id });
+    throw error;
+  }
 
   // Optional: assign mechanics during creation
   if (Array.isArray(mechanicUserIds) && mechanicUserIds.length > 0) {
@@ -799,37 +1019,13 @@ const updateJobCard = asyncHandler(async (req, res) => {
   if (estimatedCompletion) jobCard.estimatedCompletion = estimatedCompletion;
   if (notes) jobCard.notes = notes;
 
-  // Update status with history
+  // Update status with history (transition table + preconditions)
   if (status && status !== jobCard.status) {
-    if (status === "delivered") {
-      if (jobCard.status !== "ready") {
-        throw ApiError.badRequest(
-          "Job card must be marked ready before it can be delivered",
-        );
-      }
-
-      const { totalPaid } = await Payment.getJobCardPayments(jobCard._id);
-      const grandTotal = Number(jobCard.billing?.grandTotal || 0);
-      const balanceDue = Math.max(0, grandTotal - Number(totalPaid || 0));
-
-      if (balanceDue > 0.01) {
-        throw ApiError.badRequest(
-          `Cannot mark delivered until payment is completed. Balance due: ₹${balanceDue.toFixed(
-            2,
-          )}`,
-        );
-      }
-    }
-
-    try {
-      await jobCard.updateStatus(
-        status,
-        req.userId,
-        `Status changed to ${status}`,
-      );
-    } catch (error) {
-      throw ApiError.badRequest(error.message || "Invalid status update");
-    }
+    await jobcardService.transitionStatus(jobCard, status, {
+      userId: req.userId,
+      role: req.userRole,
+      notes: `Status changed to ${status}`,
+    });
 
     // Send notification to customer (handles push + SMS based on preferences)
     try {
@@ -850,6 +1046,69 @@ const updateJobCard = asyncHandler(async (req, res) => {
   ApiResponse.success(res, "Job card updated successfully", jobCard);
 });
 
+/**
+ * @desc    Hand the vehicle over, recording the customer's signature (Admin)
+ * @route   POST /api/v1/admin/jobcards/:id/deliver
+ * @access  Private/Admin
+ */
+const deliverJobCard = asyncHandler(async (req, res) => {
+  const { signature, notes } = req.body;
+
+  const jobCard = await JobCard.findById(req.params.id).populate(
+    "customer",
+    "name mobile",
+  );
+
+  if (!jobCard) {
+    throw ApiError.notFound("Job card not found");
+  }
+
+  if (jobCard.status !== "ready") {
+    throw ApiError.badRequest("Only vehicles marked ready can be delivered");
+  }
+
+  // Check payment and other preconditions before uploading the signature
+  const blocked = await jobcardService.checkTransitionPreconditions(
+    jobCard,
+    "delivered",
+    { signaturePending: true },
+  );
+  if (blocked) {
+    throw ApiError.conflict(blocked);
+  }
+
+  jobCard.deliverySignature = await signatureService.captureSignature({
+    ...signature,
+    name: signature.name || jobCard.customer.name,
+    method: "counter",
+    folder: `jobcards/${jobCard._id}/signatures`,
+    ...getSignatureContext(req),
+  });
+
+  await jobcardService.transitionStatus(jobCard, "delivered", {
+    userId: req.userId,
+    role: req.userRole,
+    notes: notes || "Vehicle handed over to customer",
+  });
+
+  try {
+    await notificationService.sendStatusUpdate(
+      jobCard.customer._id,
+      jobCard,
+      "delivered",
+    );
+  } catch (error) {
+    console.error("Customer notification failed:", error);
+  }
+
+  ApiResponse.success(res, "Vehicle delivered successfully", {
+    jobNumber: jobCard.jobNumber,
+    status: jobCard.status,
+    deliveredAt: jobCard.deliveredAt,
+    deliverySignature: jobCard.deliverySignature,
+  });
+});
+
 /**
  * @desc    Assign mechanics to a job card (Admin)
  * @route   PUT /api/v1/admin/jobcards/:id/assign-mechanics
@@ -997,13 +1256,13 @@ const createOrUpdateEstimate = asyncHandler(async (req, res) => {
 
   // Update job card status to awaiting-approval
   if (jobCard.status === "created" || jobCard.status === "inspection") {
-    await jobCard.updateStatus(
-      req.userId,
-      isRevision
+    await jobcardService.transitionStatus(jobCard, "awaiting-approval", {
+      userId: req.userId,
+      role: req.userRole,
+      notes: isRevision
         ? "Revised estimate sent to customer"
         : "Estimate sent to customer",
-    );
-    jobCard.status = "awaiting-approval";
+    });
   }
 
   await jobCard.save();
@@ -1101,6 +1360,7 @@ const getAssignedJobCard = asyncHandler(async (req, res) => {
     balanceDue,
     completedPaymentsCount: count,
   };
+  data.allowedNextStatuses = jobCard.getAllowedNextStatuses("mechanic");
 
   ApiResponse.success(res, "Job card fetched successfully", data);
 });
@@ -1122,33 +1382,11 @@ const updateAssignedJobCardStatus = asyncHandler(async (req, res) => {
 
   ensureJobCardImageArrays(jobCard);
 
-  if (status !== jobCard.status) {
-    if (status === "delivered") {
-      if (jobCard.status !== "ready") {
-        throw ApiError.badRequest(
-          "Job card must be marked ready before it can be delivered",
-        );
-      }
-
-      const { totalPaid } = await Payment.getJobCardPayments(jobCard._id);
-      const grandTotal = Number(jobCard.billing?.grandTotal || 0);
-      const balanceDue = Math.max(0, grandTotal - Number(totalPaid || 0));
-
-      if (balanceDue > 0.01) {
-        throw ApiError.badRequest(
-          `Cannot mark delivered until payment is completed. Balance due: ₹${balanceDue.toFixed(
-            2,
-          )}`,
-        );
-      }
-    }
-
-    try {
-      await jobCard.updateStatus(status, req.userId, notes || "");
-    } catch (error) {
-      throw ApiError.badRequest(error.message || "Invalid status update");
-    }
-  }
+  await jobcardService.transitionStatus(jobCard, status, {
+    userId: req.userId,
+    role: "mechanic",
+    notes: notes || "",
+  });
 
   ApiResponse.success(res, "Job card status updated successfully", jobCard);
 });
@@ -1200,7 +1438,9 @@ const uploadAssignedJobCardImages = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const addJobItem = asyncHandler(async (req, res) => {
-  const { type, description, quantity, unitPrice, discount } = req.body;
+  const { type, description, quantity, unitPrice, discount, inventoryId } =
+    req.body;
+  let { hsnCode } = req.body;
 
   const jobCard = await JobCard.findById(req.params.id);
 
@@ -1208,6 +1448,17 @@ const addJobItem = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Job card not found");
   }
 
+  if (inventoryId) {
+    const sparePart = await Inventory.findOne({
+      _id: inventoryId,
+      isActive: true,
+    }).select("_id hsnCode");
+    if (!sparePart) {
+      throw ApiError.notFound("Spare part not found");
+    }
+    hsnCode = hsnCode || sparePart.hsnCode;
+  }
+
   const safeQty = Math.max(1, Number(quantity || 1));
   const safeUnitPrice = Math.max(0, Number(unitPrice || 0));
   const discountPct = Math.min(Math.max(Number(discount || 0), 0), 100);
@@ -1218,24 +1469,39 @@ const addJobItem = asyncHandler(async (req, res) => {
   jobCard.jobItems.push({
     type,
     description,
+    hsnCode,
+    inventory: inventoryId,
     quantity: safeQty,
     unitPrice: safeUnitPrice,
     discount: discountPct,
     total: round2(total),
   });
 
-  jobCard.calculateBilling();
+  await inTransaction(null, async (session) => {
+    // Hold stock for the new item until it is approved
+    if (!JobCard.TERMINAL_STATUSES.includes(jobCard.status)) {
+      await inventoryService.reserveForJobCard(
+        jobCard,
+        [jobCard.jobItems[jobCard.jobItems.length - 1]],
+        req.userId,
+        { expiresAt: inventoryService.getReservationExpiry(), session },
+      );
+    }
 
-  // If there are unapproved items, set status to awaiting-approval
-  if (jobCard.status === "inspection" || jobCard.status === "in-progress") {
-    await jobCard.updateStatus(
-      "awaiting-approval",
-      req.userId,
-      "New items added for approval",
-    );
-  } else {
-    await jobCard.save();
-  }
+    jobCard.calculateBilling();
+
+    // If there are unapproved items, set status to awaiting-approval
+    if (jobCard.status === "inspection" || jobCard.status === "in-progress") {
+      await jobcardService.transitionStatus(jobCard, "awaiting-approval", {
+        userId: req.userId,
+        role: req.userRole,
+        notes: "New items added for approval",
+        session,
+      });
+    } else {
+      await jobCard.save({ session });
+    }
+  });
 
   ApiResponse.success(res, "Job item added successfully", jobCard);
 });
@@ -1260,9 +1526,20 @@ const removeJobItem = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Job item not found");
   }
 
-  jobCard.jobItems.splice(itemIndex, 1);
-  jobCard.calculateBilling();
-  await jobCard.save();
+  await inTransaction(null, async (session) => {
+    // Return any stock held for this item
+    await inventoryService.releaseForJobCard(
+      jobCard,
+      [jobCard.jobItems[itemIndex]],
+      req.userId,
+      `Item removed from job ${jobCard.jobNumber}`,
+      { session },
+    );
+
+    jobCard.jobItems.splice(itemIndex, 1);
+    jobCard.calculateBilling();
+    await jobCard.save({ session });
+  });
 
   ApiResponse.success(res, "Job item removed successfully", jobCard);
 });
@@ -1487,13 +1764,17 @@ module.exports = {
   getEstimate,
   approveEstimate,
   rejectEstimate,
+  downloadEstimatePDF,
   // Admin
   getAllJobCards,
   getJobCardById,
   createJobCard,
   updateJobCard,
+  deliverJobCard,
   assignMechanics,
   createOrUpdateEstimate,
+  approveEstimateAtCounter,
+  downloadEstimatePDFAdmin,
   addJobItem,
   removeJobItem,
   updateBilling,
@@ -0,0 +1,304 @@
+/**
+ * Logistics Controller
+ * Vehicle pickup and drop tasks: admin scheduling and driver runs
+ */
+const LogisticsTask = require("../models/logisticsTask.model");
+const Appointment = require("../models/appointment.model");
+const JobCard = require("../models/jobcard.model");
+const { asyncHandler, ApiError, ApiResponse } = require("../utils");
+const { logisticsService } = require("../services");
+
+const populateTask = (query) =>
+  query
+    .populate("customer", "name mobile")
+    .populate("vehicle", "vehicleNumber brand model")
+    .populate("driver", "name mobile")
+    .populate("appointment", "appointmentNumber scheduledDate timeSlot")
+    .populate("jobCard", "jobNumber status");
+
+/**
+ * Task assigned to the requesting driver
+ */
+const findDriverTask = async (req) => {
+  const task = await LogisticsTask.findOne({
+    _id: req.params.id,
+    driver: req.user._id,
+  });
+
+  if (!task) {
+    throw ApiError.notFound("Task not found");
+  }
+
+  return task;
+};
+
+const findTask = async (id) => {
+  const task = await LogisticsTask.findById(id);
+
+  if (!task) {
+    throw ApiError.notFound("Task not found");
+  }
+
+  return task;
+};
+
+// ============ Admin ============
+
+/**
+ * @desc    Get pickup / drop tasks
+ * @route   GET /api/v1/admin/logistics/tasks
+ * @access  Private/Admin
+ */
+const getTasks = asyncHandler(async (req, res) => {
+  const { type, status, driverId, date, page = 1, limit = 20 } = req.query;
+
+  const query = {};
+
+  if (type) query.type = type;
+  if (status && status !== "all") query.status = status;
+  if (driverId) query.driver = driverId;
+
+  if (date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    query["scheduledWindow.start"] = { $gte: start, $lt: end };
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [tasks, total] = await Promise.all([
+    populateTask(LogisticsTask.find(query))
+      .sort({ "scheduledWindow.start": 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    LogisticsTask.countDocuments(query),
+  ]);
+
+  ApiResponse.success(res, "Tasks retrieved", tasks, {
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit)),
+    },
+  });
+});
+
+/**
+ * @desc    Get a task
+ * @route   GET /api/v1/admin/logistics/tasks/:id
+ * @access  Private/Admin
+ */
+const getTaskAdmin = asyncHandler(async (req, res) => {
+  const task = await populateTask(LogisticsTask.findById(req.params.id))
+    .populate("statusHistory.changedBy", "name")
+    .lean();
+
+  if (!task) {
+    throw ApiError.notFound("Task not found");
+  }
+
+  ApiResponse.success(res, "Task retrieved", task);
+});
+
+/**
+ * @desc    Create a pickup task for an appointment or a drop task for a
+ *          job card
+ * @route   POST /api/v1/admin/logistics/tasks
+ * @access  Private/Admin
+ */
+const createTask = asyncHandler(async (req, res) => {
+  const { type, appointmentId, jobCardId, address, window, driverId } =
+    req.body;
+
+  let task;
+  if (type === "pickup") {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      throw ApiError.notFound("Appointment not found");
+    }
+    if (["cancelled", "no-show", "completed"].includes(appointment.status)) {
+      throw ApiError.badRequest(
+        `Cannot schedule a pickup for a ${appointment.status} appointment`
+      );
+    }
+
+    if (address) {
+      appointment.pickupAddress = address;
+    }
+    if (!appointment.pickupAddress?.street) {
+      throw ApiError.badRequest("A pickup address is required");
+    }
+    if (!appointment.pickupRequired || address) {
+      appointment.pickupRequired = true;
+      await appointment.save();
+    }
+
+    task = await logisticsService.createPickupTask(appointment, req.user._id);
+  } else {
+    const jobCard = await JobCard.findById(jobCardId);
+    if (!jobCard) {
+      throw ApiError.notFound("Job card not found");
+    }
+
+    task = await logisticsService.createDropTask(jobCard, {
+      address,
+      window,
+      createdBy: req.user._id,
+    });
+  }
+
+  if (driverId) {
+    await logisticsService.assignDriver(task, {
+      driverId,
+      window,
+      assignedBy: req.user._id,
+    });
+  }
+
+  ApiResponse.created(res, "Task created", task);
+});
+
+/**
+ * @desc    Assign a driver to a task
+ * @route   PATCH /api/v1/admin/logistics/tasks/:id/assign
+ * @access  Private/Admin
+ */
+const assignTask = asyncHandler(async (req, res) => {
+  const task = await findTask(req.params.id);
+
+  await logisticsService.assignDriver(task, {
+    driverId: req.body.driverId,
+    window: req.body.window,
+    assignedBy: req.user._id,
+  });
+
+  ApiResponse.success(res, "Driver assigned", task);
+});
+
+/**
+ * @desc    Cancel a task
+ * @route   PATCH /api/v1/admin/logistics/tasks/:id/cancel
+ * @access  Private/Admin
+ */
+const cancelTask = asyncHandler(async (req, res) => {
+  const task = await findTask(req.params.id);
+
+  await logisticsService.cancelTask(task, {
+    reason: req.body.reason,
+    cancelledBy: req.user._id,
+  });
+
+  ApiResponse.success(res, "Task cancelled", task);
+});
+
+// ============ Driver ============
+
+/**
+ * @desc    Get tasks assigned to the driver
+ * @route   GET /api/v1/logistics/tasks
+ * @access  Private/Driver
+ */
+const getMyTasks = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const query = { driver: req.user._id };
+  if (status === "active") {
+    query.status = { $nin: LogisticsTask.TERMINAL_STATUSES };
+  } else if (status && status !== "all") {
+    query.status = status;
+  }
+
+  const tasks = await populateTask(LogisticsTask.find(query))
+    .sort({ "scheduledWindow.start": 1 })
+    .lean();
+
+  ApiResponse.success(res, "Tasks retrieved", tasks);
+});
+
+/**
+ * @desc    Get an assigned task
+ * @route   GET /api/v1/logistics/tasks/:id
+ * @access  Private/Driver
+ */
+const getMyTask = asyncHandler(async (req, res) => {
+  const task = await populateTask(
+    LogisticsTask.findOne({ _id: req.params.id, driver: req.user._id })
+  ).lean();
+
+  if (!task) {
+    throw ApiError.notFound("Task not found");
+  }
+
+  ApiResponse.success(res, "Task retrieved", task);
+});
+
+/**
+ * @desc    Move an assigned task to its next step
+ * @route   PATCH /api/v1/logistics/tasks/:id/status
+ * @access  Private/Driver
+ */
+const updateTaskStatus = asyncHandler(async (req, res) => {
+  const task = await findDriverTask(req);
+
+  await logisticsService.advanceStatus(task, {
+    status: req.body.status,
+    userId: req.user._id,
+    notes: req.body.notes,
+    location: req.body.location,
+  });
+
+  ApiResponse.success(res, `Task marked ${task.status}`, task);
+});
+
+/**
+ * @desc    Resend the customer's handover OTP
+ * @route   POST /api/v1/logistics/tasks/:id/otp
+ * @access  Private/Driver
+ */
+const resendHandoverOtp = asyncHandler(async (req, res) => {
+  const task = await findDriverTask(req);
+
+  if (!LogisticsTask.HANDOVER_STATUSES.includes(task.getNextStatus())) {
+    throw ApiError.badRequest(`No handover is due while ${task.status}`);
+  }
+
+  await logisticsService.sendHandoverOtp(task);
+
+  ApiResponse.success(res, "OTP sent to the customer");
+});
+
+/**
+ * @desc    Confirm a handover with the customer's OTP and photos
+ * @route   POST /api/v1/logistics/tasks/:id/handover
+ * @access  Private/Driver
+ */
+const confirmHandover = asyncHandler(async (req, res) => {
+  const task = await findDriverTask(req);
+
+  const { lat, lng } = req.body;
+  await logisticsService.completeHandover(task, {
+    otp: req.body.otp,
+    files: req.files,
+    userId: req.user._id,
+    location: lat && lng ? { lat: Number(lat), lng: Number(lng) } : undefined,
+  });
+
+  ApiResponse.success(res, "Handover confirmed", task);
+});
+
+module.exports = {
+  getTasks,
+  getTaskAdmin,
+  createTask,
+  assignTask,
+  cancelTask,
+  getMyTasks,
+  getMyTask,
+  updateTaskStatus,
+  resendHandoverOtp,
+  confirmHandover,
+};
@@ -1,8 +1,8 @@
 /**
  * Notification Controller
- * Customer notification endpoints
+ * Customer notification endpoints and the admin SMS delivery report
  */
-const { Notification, User } = require("../models");
+const { Notification, NotificationTemplate, User } = require("../models");
 const { asyncHandler, ApiResponse, ApiError } = require("../utils");
 
 /**
@@ -87,6 +87,35 @@ const getNotification = asyncHandler(async (req, res) => {
   ApiResponse.success(res, "Notification retrieved", notification);
 });
 
+/**
+ * @desc    Record that the customer opened the notification's deep link
+ * @route   POST /api/v1/notifications/:id/click
+ * @access  Private/Customer
+ */
+const trackClick = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!notification) {
+    throw ApiError.notFound("Notification not found");
+  }
+
+  // A click also counts as an open
+  if (!notification.isRead) {
+    notification.isRead = true;
+    notification.readAt = now;
+  }
+  if (!notification.clickedAt) {
+    notification.clickedAt = now;
+  }
+  await notification.save();
+
+  ApiResponse.success(res, "Click recorded");
+});
+
 /**
  * @desc    Delete a notification
  * @route   DELETE /api/v1/notifications/:id
@@ -121,6 +150,8 @@ const getPreferences = asyncHandler(async (req, res) => {
     statusUpdates: true,
     paymentAlerts: true,
     promotions: false,
+    whatsappEnabled: false,
+    language: NotificationTemplate.DEFAULT_LANGUAGE,
   };
 
   ApiResponse.success(res, "Preferences retrieved", preferences);
@@ -149,6 +180,23 @@ const updatePreferences = asyncHandler(async (req, res) => {
     }
   }
 
+  // Record when the customer opted in to WhatsApp messages
+  if (typeof req.body.whatsappEnabled === "boolean") {
+    updates["notificationPreferences.whatsappEnabled"] =
+      req.body.whatsappEnabled;
+    updates["notificationPreferences.whatsappOptedInAt"] =
+      req.body.whatsappEnabled ? new Date() : null;
+  }
+
+  if (req.body.language !== undefined) {
+    if (!NotificationTemplate.LANGUAGES.includes(req.body.language)) {
+      throw ApiError.badRequest(
+        `Language must be one of: ${NotificationTemplate.LANGUAGES.join(", ")}`
+      );
+    }
+    updates["notificationPreferences.language"] = req.body.language;
+  }
+
   if (Object.keys(updates).length === 0) {
     throw ApiError.badRequest("No valid preference fields provided");
   }
@@ -162,42 +210,65 @@ const updatePreferences = asyncHandler(async (req, res) => {
   ApiResponse.success(res, "Preferences updated", user.notificationPreferences);
 });
 
+const PLATFORMS = ["android", "ios", "web"];
+
 /**
- * @desc    Register FCM token
+ * @desc    Register a device's push token
  * @route   POST /api/v1/notifications/register-token
  * @access  Private/Customer
  */
 const registerToken = asyncHandler(async (req, res) => {
-  const { fcmToken, deviceId, deviceType } = req.body;
-
-  if (!fcmToken) {
-    throw ApiError.badRequest("FCM token is required");
+  const { deviceId, appVersion } = req.body;
+  // Older app builds send fcmToken / deviceType
+  const token = req.body.token || req.body.fcmToken;
+  const platform = (req.body.platform || req.body.deviceType || "")
+    .toString()
+    .toLowerCase();
+
+  if (!token) {
+    throw ApiError.badRequest("Push token is required");
   }
 
-  const updateData = {
-    "deviceInfo.fcmToken": fcmToken,
-    "deviceInfo.fcmTokenUpdatedAt": new Date(),
-  };
-
-  if (deviceId) updateData["deviceInfo.deviceId"] = deviceId;
-  if (deviceType) updateData["deviceInfo.deviceType"] = deviceType;
+  await User.releaseDeviceToken(token, req.user._id);
 
-  await User.findByIdAndUpdate(req.user._id, { $set: updateData });
+  const user = await User.findById(req.user._id).select("devices deviceInfo");
+  const device = user.registerDevice({
+    token,
+    platform: PLATFORMS.includes(platform) ? platform : undefined,
+    deviceId,
+    appVersion,
+  });
+  await user.save();
 
-  ApiResponse.success(res, "FCM token registered");
+  ApiResponse.success(res, "Push token registered", {
+    device,
+    deviceCount: user.devices.length,
+  });
 });
 
 /**
- * @desc    Unregister FCM token (logout)
+ * @desc    Unregister a device's push token (logout). Without a token or
+ *          deviceId in the body, the device the user last logged in on is
+ *          removed.
  * @route   DELETE /api/v1/notifications/register-token
  * @access  Private/Customer
  */
 const unregisterToken = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(req.user._id, {
+  const token = req.body?.token || req.body?.fcmToken;
+  const deviceId = req.body?.deviceId || req.user.deviceInfo?.deviceId;
+
+  if (!token && !deviceId) {
+    throw ApiError.badRequest("Push token or deviceId is required");
+  }
+
+  const update = {
     $unset: { "deviceInfo.fcmToken": 1 },
-  });
+    $pull: { devices: token ? { token } : { deviceId } },
+  };
+
+  await User.findByIdAndUpdate(req.user._id, update);
 
-  ApiResponse.success(res, "FCM token unregistered");
+  ApiResponse.success(res, "Push token unregistered");
 });
 
 /**
@@ -206,9 +277,12 @@ const unregisterToken = asyncHandler(async (req, res) => {
  * @access  Private/Customer
  */
 const sendTestNotification = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.user._id).select("deviceInfo name");
+  const user = await User.findById(req.user._id).select(
+    "devices deviceInfo name"
+  );
+  const pushTokens = User.getPushTokens(user);
 
-  if (!user.deviceInfo?.fcmToken) {
+  if (pushTokens.length === 0) {
     throw ApiError.badRequest(
       "No push token registered for this device. Please enable push notifications in the app."
     );
@@ -232,8 +306,8 @@ const sendTestNotification = asyncHandler(async (req, res) => {
   });
 
   // Also send directly for debugging
-  const directResult = await pushService.sendToDevice(
-    user.deviceInfo.fcmToken,
+  const directResult = await pushService.sendToMultipleDevices(
+    pushTokens,
     {
       title: "🧪 Push Direct Test",
       body: "This is a direct test message to verify token registration.",
@@ -251,24 +325,42 @@ const sendTestNotification = asyncHandler(async (req, res) => {
       pushStatus: notification.pushStatus,
     } : null,
     directPush: directResult,
-    deviceInfo: {
-      tokenPrefix: user.deviceInfo.fcmToken?.substring(0, 30) + "...",
-      deviceType: user.deviceInfo.deviceType,
-      tokenUpdatedAt: user.deviceInfo.fcmTokenUpdatedAt,
-    },
+    devices: user.devices.map((device) => ({
+      tokenPrefix: device.token.substring(0, 30) + "...",
+      platform: device.platform,
+      appVersion: device.appVersion,
+      lastSeenAt: device.lastSeenAt,
+    })),
   });
 });
 
+/**
+ * @desc    SMS delivery rates per notification type
+ * @route   GET /api/v1/admin/notifications/sms-delivery-report
+ * @access  Private/Admin
+ */
+const getSmsDeliveryReport = asyncHandler(async (req, res) => {
+  const { smsDeliveryService } = require("../services");
+  const report = await smsDeliveryService.getDeliveryReport({
+    from: req.query.from,
+    to: req.query.to,
+  });
+
+  ApiResponse.success(res, "SMS delivery report fetched", report);
+});
+
 module.exports = {
   getNotifications,
   getUnreadCount,
   markAsRead,
   markAllAsRead,
   getNotification,
+  trackClick,
   deleteNotification,
   getPreferences,
   updatePreferences,
   registerToken,
   unregisterToken,
   sendTestNotification,
+  getSmsDeliveryReport,
 };
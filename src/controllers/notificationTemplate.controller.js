@@ -0,0 +1,194 @@
+/**
+ * Notification Template Controller
+ * Admin management and preview of notification message templates
+ */
+const NotificationTemplate = require("../models/notificationTemplate.model");
+const { asyncHandler, ApiError, ApiResponse } = require("../utils");
+const { notificationTemplateService } = require("../services");
+
+// SMS and WhatsApp messages have no title
+const hasTitle = (channel) => ["PUSH", "IN_APP"].includes(channel);
+
+/**
+ * Reject placeholders the notification type cannot fill
+ */
+const ensureKnownPlaceholders = (type, title, body) => {
+  const unknown = notificationTemplateService.getUnknownPlaceholders(
+    type,
+    title,
+    body
+  );
+  if (unknown.length > 0) {
+    throw ApiError.badRequest(
+      `Unknown placeholders for ${type}: ${unknown.join(", ")}`
+    );
+  }
+};
+
+/**
+ * @desc    Notification types, channels, languages and the placeholders
+ *          each type supports
+ * @route   GET /api/v1/admin/notification-templates/catalog
+ * @access  Private/Admin
+ */
+const getTemplateCatalog = asyncHandler(async (req, res) => {
+  const { TEMPLATE_VARIABLES, TEMPLATE_EVENTS } = notificationTemplateService;
+
+  ApiResponse.success(res, "Notification template catalog retrieved", {
+    channels: NotificationTemplate.CHANNELS,
+    languages: NotificationTemplate.LANGUAGES,
+    defaultLanguage: NotificationTemplate.DEFAULT_LANGUAGE,
+    types: NotificationTemplate.TYPES.map((type) => ({
+      type,
+      variables: TEMPLATE_VARIABLES[type],
+      events: TEMPLATE_EVENTS[type] || [],
+    })),
+  });
+});
+
+/**
+ * @desc    Get notification templates
+ * @route   GET /api/v1/admin/notification-templates
+ * @access  Private/Admin
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const query = {};
+  ["type", "channel", "language"].forEach((field) => {
+    if (req.query[field]) query[field] = req.query[field];
+  });
+
+  const templates = await NotificationTemplate.find(query)
+    .sort({ type: 1, event: 1, channel: 1, language: 1 })
+    .lean();
+
+  ApiResponse.success(res, "Notification templates retrieved", templates);
+});
+
+/**
+ * @desc    Create notification template
+ * @route   POST /api/v1/admin/notification-templates
+ * @access  Private/Admin
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const {
+    type,
+    event,
+    channel,
+    language,
+    title,
+    body,
+    providerTemplate,
+    isActive,
+  } = req.body;
+
+  ensureKnownPlaceholders(type, title, body);
+
+  const template = await NotificationTemplate.create({
+    type,
+    event,
+    channel,
+    language,
+    title: hasTitle(channel) ? title : undefined,
+    body,
+    providerTemplate: channel === "WHATSAPP" ? providerTemplate : undefined,
+    isActive,
+    createdBy: req.user._id,
+  });
+
+  ApiResponse.created(res, "Notification template created", template);
+});
+
+/**
+ * @desc    Update notification template
+ * @route   PUT /api/v1/admin/notification-templates/:id
+ * @access  Private/Admin
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const {
+    type,
+    event,
+    channel,
+    language,
+    title,
+    body,
+    providerTemplate,
+    isActive,
+  } = req.body;
+
+  ensureKnownPlaceholders(type, title, body);
+
+  const template = await NotificationTemplate.findByIdAndUpdate(
+    req.params.id,
+    {
+      type,
+      event,
+      channel,
+      language,
+      title: hasTitle(channel) ? title : undefined,
+      body,
+      providerTemplate: channel === "WHATSAPP" ? providerTemplate : undefined,
+      isActive,
+      updatedBy: req.user._id,
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!template) {
+    throw ApiError.notFound("Notification template not found");
+  }
+
+  ApiResponse.success(res, "Notification template updated", template);
+});
+
+/**
+ * @desc    Delete notification template; sends fall back to the next
+ *          matching template or the built-in text
+ * @route   DELETE /api/v1/admin/notification-templates/:id
+ * @access  Private/Admin
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const template = await NotificationTemplate.findByIdAndDelete(req.params.id);
+
+  if (!template) {
+    throw ApiError.notFound("Notification template not found");
+  }
+
+  ApiResponse.success(res, "Notification template deleted");
+});
+
+/**
+ * @desc    Preview a saved template, or unsaved text, with sample values
+ * @route   POST /api/v1/admin/notification-templates/preview
+ * @access  Private/Admin
+ */
+const previewTemplate = asyncHandler(async (req, res) => {
+  let { type, title, body } = req.body;
+
+  if (req.body.templateId) {
+    const template = await NotificationTemplate.findById(
+      req.body.templateId
+    ).lean();
+    if (!template) {
+      throw ApiError.notFound("Notification template not found");
+    }
+    ({ type, title, body } = template);
+  }
+
+  const preview = notificationTemplateService.previewTemplate({
+    type,
+    title,
+    body,
+    variables: req.body.variables,
+  });
+
+  ApiResponse.success(res, "Notification template preview", preview);
+});
+
+module.exports = {
+  getTemplateCatalog,
+  getTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+};
@@ -134,6 +134,7 @@ const createPackage = asyncHandler(async (req, res) => {
     validFrom,
     validUntil,
     maxSubscriptions,
+    maxPauseDays,
   } = req.body;
 
   // Validate services exist
@@ -167,6 +168,7 @@ const createPackage = asyncHandler(async (req, res) => {
     validFrom,
     validUntil,
     maxSubscriptions,
+    maxPauseDays,
   });
 
   await pkg.populate("services.service", "name category basePrice");
@@ -219,6 +221,7 @@ const updatePackage = asyncHandler(async (req, res) => {
     "validFrom",
     "validUntil",
     "maxSubscriptions",
+    "maxPauseDays",
   ];
 
   allowedFields.forEach((field) => {
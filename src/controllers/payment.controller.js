@@ -2,8 +2,20 @@
  * Payment Controller
  * Handles payment operations
  */
-const { Payment, JobCard, User } = require("../models");
-const { pdfService, fcmService, notificationService } = require("../services");
+const {
+  Payment,
+  JobCard,
+  User,
+  ReconciliationReport,
+} = require("../models");
+const {
+  pdfService,
+  fcmService,
+  notificationService,
+  creditNoteService,
+  paymentReconciliationService,
+  signatureService,
+} = require("../services");
 const {
   getRazorpayClient,
   getRazorpayKeyId,
@@ -19,6 +31,9 @@ const {
 
 const CHECKOUT_TOKEN_TTL_MINUTES = 30;
 
+// A failed attempt or lapsed checkout leaves the payment open for another try
+const PAYABLE_STATUSES = ["pending", "failed", "expired"];
+
 function createCheckoutToken() {
   return crypto.randomBytes(24).toString("hex");
 }
@@ -126,7 +141,7 @@ const createRazorpayOrderForPayment = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Payment not found");
   }
 
-  if (payment.status !== "pending") {
+  if (!PAYABLE_STATUSES.includes(payment.status)) {
     throw ApiError.badRequest("Only pending payments can be paid online");
   }
 
@@ -179,6 +194,7 @@ const createRazorpayOrderForPayment = asyncHandler(async (req, res) => {
     gateway: "razorpay",
     orderId: order.id,
   };
+  payment.status = "pending";
   payment.checkout = { token, expiresAt };
   await payment.save();
 
@@ -208,7 +224,7 @@ const createRazorpayOrderForPaymentAdmin = asyncHandler(async (req, res) => {
     throw ApiError.badRequest("Refunds cannot be paid online");
   }
 
-  if (payment.status !== "pending") {
+  if (!PAYABLE_STATUSES.includes(payment.status)) {
     throw ApiError.badRequest("Only pending payments can be paid online");
   }
 
@@ -261,6 +277,7 @@ const createRazorpayOrderForPaymentAdmin = asyncHandler(async (req, res) => {
     gateway: "razorpay",
     orderId: order.id,
   };
+  payment.status = "pending";
   payment.checkout = { token, expiresAt };
   await payment.save();
 
@@ -286,7 +303,7 @@ const renderRazorpayCheckout = asyncHandler(async (req, res) => {
     .populate("jobCard", "jobNumber")
     .populate("customer", "name");
 
-  if (!payment || payment.status !== "pending") {
+  if (!payment || !PAYABLE_STATUSES.includes(payment.status)) {
     res.status(404).send("Invalid or expired checkout link");
     return;
   }
@@ -451,7 +468,7 @@ const verifyRazorpayPayment = asyncHandler(async (req, res) => {
   }
 
   const payment = await Payment.findOne({ "checkout.token": token });
-  if (!payment || payment.status !== "pending") {
+  if (!payment || !PAYABLE_STATUSES.includes(payment.status)) {
     throw ApiError.notFound("Invalid or expired checkout token");
   }
 
@@ -523,7 +540,7 @@ const verifyRazorpayPaymentNative = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Payment not found");
   }
 
-  if (payment.status !== "pending") {
+  if (!PAYABLE_STATUSES.includes(payment.status)) {
     throw ApiError.badRequest("Payment is not pending");
   }
 
@@ -596,7 +613,7 @@ const verifyRazorpayPaymentNativeUser = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Payment not found");
   }
 
-  if (payment.status !== "pending") {
+  if (!PAYABLE_STATUSES.includes(payment.status)) {
     throw ApiError.badRequest("Payment is not pending");
   }
 
@@ -702,6 +719,73 @@ const getAllPayments = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Run payment reconciliation with Razorpay now (Admin)
+ * @route   POST /api/v1/admin/payments/reconciliation/run
+ * @access  Private/Admin
+ */
+const runPaymentReconciliation = asyncHandler(async (req, res) => {
+  const report = await paymentReconciliationService.runReconciliation({
+    trigger: "manual",
+    triggeredBy: req.userId,
+  });
+
+  if (!report) {
+    throw ApiError.conflict("A reconciliation run is already in progress");
+  }
+
+  ApiResponse.success(res, "Reconciliation completed", report);
+});
+
+/**
+ * @desc    Get payment reconciliation reports (Admin)
+ * @route   GET /api/v1/admin/payments/reconciliation/reports
+ * @access  Private/Admin
+ */
+const getReconciliationReports = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find()
+      .select("-items")
+      .populate("triggeredBy", "name")
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ReconciliationReport.countDocuments(),
+  ]);
+
+  ApiResponse.paginated(
+    res,
+    "Reconciliation reports fetched successfully",
+    reports,
+    createPaginationMeta(total, page, limit)
+  );
+});
+
+/**
+ * @desc    Get a payment reconciliation report (Admin)
+ * @route   GET /api/v1/admin/payments/reconciliation/reports/:id
+ * @access  Private/Admin
+ */
+const getReconciliationReport = asyncHandler(async (req, res) => {
+  const report = await ReconciliationReport.findById(req.params.id)
+    .populate("triggeredBy", "name")
+    .lean();
+
+  if (!report) {
+    throw ApiError.notFound("Reconciliation report not found");
+  }
+
+  // ?mismatches=true lists only records that disagreed with the gateway
+  if (req.query.mismatches === "true") {
+    report.items = report.items.filter((item) => item.mismatch);
+  }
+
+  ApiResponse.success(res, "Reconciliation report fetched", report);
+});
+
 /**
  * @desc    Create payment (Admin)
  * @route   POST /api/v1/admin/payments
@@ -805,7 +889,7 @@ const updatePayment = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 const processRefund = asyncHandler(async (req, res) => {
-  const { amount, reason } = req.body;
+  const { amount, reason, items } = req.body;
 
   const originalPayment = await Payment.findById(req.params.id);
 
@@ -821,6 +905,15 @@ const processRefund = asyncHandler(async (req, res) => {
     throw ApiError.badRequest("Refund amount cannot exceed original payment");
   }
 
+  // Credit the job card's invoice (validated before any money moves)
+  const credit = await creditNoteService.prepareRefundCreditNote({
+    jobCardId: originalPayment.jobCard,
+    amount,
+    items,
+    reason,
+    issuedBy: req.userId,
+  });
+
   // Create refund record
   const refund = await Payment.create({
     jobCard: originalPayment.jobCard,
@@ -849,7 +942,19 @@ const processRefund = asyncHandler(async (req, res) => {
   };
   await originalPayment.save();
 
-  ApiResponse.success(res, "Refund processed successfully", refund);
+  let creditNote = null;
+  if (credit) {
+    creditNote = await creditNoteService.issueCreditNote(
+      credit.creditNote,
+      credit.invoice,
+      { refundPayment: refund._id }
+    );
+  }
+
+  ApiResponse.success(res, "Refund processed successfully", {
+    ...refund.toJSON(),
+    creditNote,
+  });
 });
 
 /**
@@ -949,8 +1054,13 @@ const downloadInvoice = asyncHandler(async (req, res) => {
     throw ApiError.notFound("Job card not found for this payment");
   }
 
-  // Generate PDF
-  const pdfBuffer = await pdfService.generateInvoicePDF(payment, jobCard);
+  // Generate PDF, signed by the customer where signatures were captured
+  const signatures = await signatureService.getJobCardSignatures(jobCard);
+  const pdfBuffer = await pdfService.generateInvoicePDF(
+    payment,
+    jobCard,
+    signatures
+  );
 
   // Set response headers for PDF download
   const invoiceNumber =
@@ -1023,6 +1133,9 @@ module.exports = {
   updatePayment,
   processRefund,
   getPaymentSummary,
+  runPaymentReconciliation,
+  getReconciliationReports,
+  getReconciliationReport,
   getTodayCollection,
   downloadInvoice,
 };
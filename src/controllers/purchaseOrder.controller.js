@@ -0,0 +1,525 @@
+/**
+ * Purchase Order Controller
+ * Supplier management and purchase order workflow for inventory restocking
+ */
+const mongoose = require("mongoose");
+const { Inventory, Supplier, PurchaseOrder } = require("../models");
+const { inventoryService } = require("../services");
+const {
+  ApiResponse,
+  ApiError,
+  asyncHandler,
+  parsePagination,
+  createPaginationMeta,
+} = require("../utils");
+
+/**
+ * Build PO line items from request items, snapshotting inventory details
+ */
+const buildOrderItems = async (items = []) => {
+  const inventoryIds = items.map((item) => item.inventoryId);
+  const parts = await Inventory.find({
+    _id: { $in: inventoryIds },
+    isActive: true,
+  }).lean();
+
+  const partMap = {};
+  parts.forEach((part) => {
+    partMap[part._id.toString()] = part;
+  });
+
+  return items.map((item) => {
+    const part = partMap[item.inventoryId?.toString()];
+    if (!part) {
+      throw ApiError.badRequest(`Spare part not found: ${item.inventoryId}`);
+    }
+
+    return {
+      inventory: part._id,
+      name: part.name,
+      sku: part.sku,
+      quantityOrdered: Number(item.quantity),
+      unitCost:
+        item.unitCost !== undefined ? Number(item.unitCost) : part.costPrice,
+      taxRate: item.taxRate !== undefined ? Number(item.taxRate) : part.taxRate,
+    };
+  });
+};
+
+const SUPPLIER_FIELDS = [
+  "name",
+  "contactPerson",
+  "mobile",
+  "email",
+  "gstin",
+  "address",
+  "leadTime",
+  "paymentTerms",
+  "notes",
+  "isActive",
+];
+
+const toSupplierSnapshot = (supplier) => ({
+  name: supplier.name,
+  mobile: supplier.mobile,
+  email: supplier.email,
+  gstin: supplier.gstin,
+});
+
+// ============ Suppliers ============
+
+/**
+ * @desc    Get suppliers
+ * @route   GET /api/v1/admin/inventory/suppliers
+ * @access  Private/Admin
+ */
+const getSuppliers = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { search, isActive } = req.query;
+
+  const query = {};
+  if (isActive !== undefined) query.isActive = isActive === "true";
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { code: { $regex: search, $options: "i" } },
+      { mobile: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const [suppliers, total] = await Promise.all([
+    Supplier.find(query).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+    Supplier.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(
+    res,
+    "Suppliers fetched successfully",
+    suppliers,
+    createPaginationMeta(total, page, limit)
+  );
+});
+
+/**
+ * @desc    Get single supplier with linked parts
+ * @route   GET /api/v1/admin/inventory/suppliers/:supplierId
+ * @access  Private/Admin
+ */
+const getSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.supplierId).lean();
+
+  if (!supplier) {
+    throw ApiError.notFound("Supplier not found");
+  }
+
+  const [parts, openOrders] = await Promise.all([
+    Inventory.find({ preferredSupplier: supplier._id, isActive: true })
+      .select("name sku currentStock minStock maxStock costPrice")
+      .lean(),
+    PurchaseOrder.countDocuments({
+      supplier: supplier._id,
+      status: { $in: ["DRAFT", "SENT", "PARTIALLY_RECEIVED"] },
+    }),
+  ]);
+
+  ApiResponse.success(res, "Supplier fetched successfully", {
+    supplier,
+    parts,
+    openOrders,
+  });
+});
+
+/**
+ * @desc    Create supplier
+ * @route   POST /api/v1/admin/inventory/suppliers
+ * @access  Private/Admin
+ */
+const createSupplier = asyncHandler(async (req, res) => {
+  const data = {};
+  SUPPLIER_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const supplier = await Supplier.create(data);
+  ApiResponse.created(res, "Supplier created successfully", supplier);
+});
+
+/**
+ * @desc    Update supplier
+ * @route   PUT /api/v1/admin/inventory/suppliers/:supplierId
+ * @access  Private/Admin
+ */
+const updateSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.supplierId);
+
+  if (!supplier) {
+    throw ApiError.notFound("Supplier not found");
+  }
+
+  SUPPLIER_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) supplier[field] = req.body[field];
+  });
+
+  await supplier.save();
+
+  ApiResponse.success(res, "Supplier updated successfully", supplier);
+});
+
+/**
+ * @desc    Deactivate supplier (soft delete)
+ * @route   DELETE /api/v1/admin/inventory/suppliers/:supplierId
+ * @access  Private/Admin
+ */
+const deleteSupplier = asyncHandler(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.supplierId);
+
+  if (!supplier) {
+    throw ApiError.notFound("Supplier not found");
+  }
+
+  supplier.isActive = false;
+  await supplier.save();
+
+  ApiResponse.success(res, "Supplier deleted successfully");
+});
+
+// ============ Purchase Orders ============
+
+/**
+ * @desc    Get purchase orders
+ * @route   GET /api/v1/admin/inventory/purchase-orders
+ * @access  Private/Admin
+ */
+const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { status, supplierId, dateFrom, dateTo } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (supplierId) query.supplier = supplierId;
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) query.createdAt.$lte = new Date(dateTo);
+  }
+
+  const [orders, total] = await Promise.all([
+    PurchaseOrder.find(query)
+      .populate("supplier", "name code mobile")
+      .select("-receipts -statusHistory")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    PurchaseOrder.countDocuments(query),
+  ]);
+
+  ApiResponse.paginated(
+    res,
+    "Purchase orders fetched successfully",
+    orders,
+    createPaginationMeta(total, page, limit)
+  );
+});
+
+/**
+ * @desc    Get single purchase order
+ * @route   GET /api/v1/admin/inventory/purchase-orders/:poId
+ * @access  Private/Admin
+ */
+const getPurchaseOrder = asyncHandler(async (req, res) => {
+  const order = await PurchaseOrder.findById(req.params.poId)
+    .populate("supplier")
+    .populate("items.inventory", "name sku currentStock unit")
+    .populate("receipts.receivedBy", "name")
+    .populate("createdBy", "name");
+
+  if (!order) {
+    throw ApiError.notFound("Purchase order not found");
+  }
+
+  ApiResponse.success(res, "Purchase order fetched successfully", order);
+});
+
+/**
+ * @desc    Create purchase order (draft)
+ * @route   POST /api/v1/admin/inventory/purchase-orders
+ * @access  Private/Admin
+ */
+const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const { supplierId, items, expectedDeliveryDate, notes } = req.body;
+
+  const supplier = await Supplier.findOne({ _id: supplierId, isActive: true });
+  if (!supplier) {
+    throw ApiError.notFound("Supplier not found");
+  }
+
+  const order = new PurchaseOrder({
+    supplier: supplier._id,
+    supplierSnapshot: toSupplierSnapshot(supplier),
+    items: await buildOrderItems(items),
+    expectedDeliveryDate:
+      expectedDeliveryDate ||
+      new Date(Date.now() + (supplier.leadTime || 0) * 24 * 60 * 60 * 1000),
+    notes,
+    createdBy: req.userId,
+    statusHistory: [
+      {
+        status: "DRAFT",
+        changedAt: new Date(),
+        changedBy: req.userId,
+        notes: "Purchase order created",
+      },
+    ],
+  });
+
+  order.calculateTotals();
+  await order.save();
+
+  ApiResponse.created(res, "Purchase order created successfully", order);
+});
+
+/**
+ * @desc    Create draft purchase orders from low stock suggestions
+ * @route   POST /api/v1/admin/inventory/purchase-orders/from-suggestions
+ * @access  Private/Admin
+ */
+const createFromSuggestions = asyncHandler(async (req, res) => {
+  const { supplierIds } = req.body;
+
+  const suggestions = await Inventory.getReorderSuggestions();
+  const selected = suggestions.filter(
+    (group) =>
+      group.supplierId &&
+      (!Array.isArray(supplierIds) ||
+        supplierIds.length === 0 ||
+        supplierIds.includes(group.supplierId.toString()))
+  );
+
+  const skipped = suggestions
+    .filter((group) => !group.supplierId)
+    .map((group) => ({
+      supplierName: group.supplierName,
+      itemCount: group.items.length,
+      reason: "No supplier record linked to these parts",
+    }));
+
+  const suppliers = await Supplier.find({
+    _id: { $in: selected.map((group) => group.supplierId) },
+  });
+  const supplierMap = {};
+  suppliers.forEach((supplier) => {
+    supplierMap[supplier._id.toString()] = supplier;
+  });
+
+  const orders = [];
+  for (const group of selected) {
+    const supplier = supplierMap[group.supplierId.toString()];
+    if (!supplier) continue;
+
+    const order = new PurchaseOrder({
+      supplier: supplier._id,
+      supplierSnapshot: toSupplierSnapshot(supplier),
+      items: group.items.map((item) => ({
+        inventory: item.inventory,
+        name: item.name,
+        sku: item.sku,
+        quantityOrdered: item.suggestedQuantity,
+        unitCost: item.unitCost,
+        taxRate: item.taxRate,
+      })),
+      expectedDeliveryDate: group.expectedDeliveryDate,
+      notes: "Generated from low stock suggestions",
+      createdBy: req.userId,
+      statusHistory: [
+        {
+          status: "DRAFT",
+          changedAt: new Date(),
+          changedBy: req.userId,
+          notes: "Generated from low stock suggestions",
+        },
+      ],
+    });
+
+    order.calculateTotals();
+    await order.save();
+    orders.push(order);
+  }
+
+  ApiResponse.created(res, "Suggested purchase orders created", {
+    orders,
+    skipped,
+  });
+});
+
+/**
+ * @desc    Update draft purchase order
+ * @route   PUT /api/v1/admin/inventory/purchase-orders/:poId
+ * @access  Private/Admin
+ */
+const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const { items, expectedDeliveryDate, notes } = req.body;
+
+  const order = await PurchaseOrder.findById(req.params.poId);
+  if (!order) {
+    throw ApiError.notFound("Purchase order not found");
+  }
+
+  if (order.status !== "DRAFT") {
+    throw ApiError.badRequest("Only draft purchase orders can be edited");
+  }
+
+  if (Array.isArray(items)) order.items = await buildOrderItems(items);
+  if (expectedDeliveryDate !== undefined)
+    order.expectedDeliveryDate = expectedDeliveryDate;
+  if (notes !== undefined) order.notes = notes;
+
+  order.calculateTotals();
+  await order.save();
+
+  ApiResponse.success(res, "Purchase order updated successfully", order);
+});
+
+/**
+ * @desc    Change purchase order status (send / close / cancel)
+ * @route   PATCH /api/v1/admin/inventory/purchase-orders/:poId/status
+ * @access  Private/Admin
+ */
+const updatePurchaseOrderStatus = asyncHandler(async (req, res) => {
+  const { status, notes } = req.body;
+
+  const order = await PurchaseOrder.findById(req.params.poId);
+  if (!order) {
+    throw ApiError.notFound("Purchase order not found");
+  }
+
+  try {
+    order.changeStatus(status, req.userId, notes || "");
+  } catch (error) {
+    throw ApiError.badRequest(error.message);
+  }
+
+  await order.save();
+
+  ApiResponse.success(res, `Purchase order marked ${status}`, order);
+});
+
+/**
+ * @desc    Record goods receipt against a purchase order
+ * @route   POST /api/v1/admin/inventory/purchase-orders/:poId/receive
+ * @access  Private/Admin
+ */
+const receivePurchaseOrder = asyncHandler(async (req, res) => {
+  const { items, supplierInvoiceNumber, supplierInvoiceDate, notes } =
+    req.body;
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await PurchaseOrder.findById(req.params.poId).session(
+      session
+    );
+    if (!order) {
+      throw ApiError.notFound("Purchase order not found");
+    }
+
+    if (!["SENT", "PARTIALLY_RECEIVED"].includes(order.status)) {
+      throw ApiError.badRequest(
+        "Goods can only be received against a sent purchase order"
+      );
+    }
+
+    const receiptLines = [];
+    for (const line of items) {
+      const orderItem = order.items.id(line.itemId);
+      if (!orderItem) {
+        throw ApiError.badRequest(`Purchase order line not found: ${line.itemId}`);
+      }
+
+      const quantity = Number(line.quantity);
+      const pending = orderItem.quantityOrdered - orderItem.quantityReceived;
+      if (quantity > pending) {
+        throw ApiError.badRequest(
+          `Cannot receive ${quantity} of ${orderItem.name}. Pending: ${pending}`
+        );
+      }
+
+      const unitCost =
+        line.unitCost !== undefined ? Number(line.unitCost) : orderItem.unitCost;
+
+      const { transaction } = await inventoryService.addStock({
+        inventoryId: orderItem.inventory,
+        quantity,
+        unitPrice: unitCost,
+        updateCostPrice: true,
+        performedBy: req.userId,
+        notes: `Received against ${order.poNumber}`,
+        supplier: {
+          name: order.supplierSnapshot?.name,
+          invoiceNumber: supplierInvoiceNumber,
+          invoiceDate: supplierInvoiceDate,
+        },
+        reference: {
+          type: "purchase",
+          id: order._id,
+          number: order.poNumber,
+        },
+        session,
+      });
+
+      orderItem.quantityReceived += quantity;
+      receiptLines.push({
+        item: orderItem._id,
+        inventory: orderItem.inventory,
+        quantity,
+        unitCost,
+        transaction: transaction._id,
+      });
+    }
+
+    order.receipts.push({
+      receivedAt: new Date(),
+      receivedBy: req.userId,
+      supplierInvoiceNumber,
+      supplierInvoiceDate,
+      notes,
+      lines: receiptLines,
+    });
+
+    order.changeStatus(
+      order.isFullyReceived ? "RECEIVED" : "PARTIALLY_RECEIVED",
+      req.userId,
+      supplierInvoiceNumber
+        ? `Goods received (supplier invoice ${supplierInvoiceNumber})`
+        : "Goods received"
+    );
+
+    await order.save({ session });
+    await session.commitTransaction();
+
+    ApiResponse.success(res, "Goods received successfully", order);
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+});
+
+module.exports = {
+  // Suppliers
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  // Purchase orders
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  createFromSuggestions,
+  updatePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+};
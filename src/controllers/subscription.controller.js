@@ -17,26 +17,99 @@ const {
   parsePagination,
   createPaginationMeta,
 } = require("../utils");
+const config = require("../config");
 const razorpayService = require("../services/razorpay.service");
+const paymentReconciliationService = require("../services/paymentReconciliation.service");
 const fcmService = require("../services/fcm.service");
+const subscriptionService = require("../services/subscription.service");
+
+const { calculateEndDate } = subscriptionService;
+
+// Authorization charge (₹) when saving a recurring payment mandate
+const MANDATE_AUTH_AMOUNT = 1;
+const MANDATE_VALIDITY_YEARS = 10;
+
+/**
+ * Snapshot of the package terms at purchase
+ */
+const buildPackageSnapshot = (pkg) => ({
+  name: pkg.name,
+  code: pkg.code,
+  type: pkg.type,
+  price: pkg.price,
+  duration: pkg.duration,
+  maxPauseDays: pkg.maxPauseDays,
+  services: pkg.services.map((s) => ({
+    serviceId: s.service._id,
+    serviceName: s.service.name,
+    maxUsage: s.maxUsage,
+  })),
+});
+
+/**
+ * Fresh usage tracking for the package's services
+ */
+const buildUsage = (pkg) =>
+  pkg.services.map((s) => ({
+    service: s.service._id,
+    usedCount: 0,
+    maxAllowed: s.maxUsage,
+    history: [],
+  }));
 
 /**
- * Calculate end date based on duration
+ * Active subscription of the customer and the package to switch it to
  */
-const calculateEndDate = (startDate, duration) => {
-  const date = new Date(startDate);
-  switch (duration.unit) {
-    case "days":
-      date.setDate(date.getDate() + duration.value);
-      break;
-    case "months":
-      date.setMonth(date.getMonth() + duration.value);
-      break;
-    case "years":
-      date.setFullYear(date.getFullYear() + duration.value);
-      break;
-  }
-  return date;
+const loadPlanChange = async (subscriptionId, customerId, packageId) => {
+  const subscription = await Subscription.findOne({
+    _id: subscriptionId,
+    customer: customerId,
+  }).populate("vehicle", "vehicleNumber type");
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  if (subscription.status === "paused") {
+    throw new ApiError(400, "Resume the subscription before changing plan");
+  }
+
+  if (subscription.status !== "active") {
+    throw new ApiError(400, "Only active subscriptions can change plan");
+  }
+
+  if (subscription.package.toString() === packageId) {
+    throw new ApiError(400, "You are already subscribed to this package");
+  }
+
+  const pkg = await Package.findById(packageId).populate(
+    "services.service",
+    "name"
+  );
+
+  if (!pkg) {
+    throw new ApiError(404, "Package not found");
+  }
+
+  if (!pkg.isAvailable) {
+    throw new ApiError(
+      400,
+      "This package is not currently available for purchase"
+    );
+  }
+
+  const vehicleType = subscription.vehicle?.type;
+  if (
+    !pkg.vehicleTypes.includes("all") &&
+    !pkg.vehicleTypes.includes(vehicleType)
+  ) {
+    throw new ApiError(
+      400,
+      `This package is not available for ${vehicleType} vehicles`
+    );
+  }
+
+  return { subscription, pkg };
 };
 
 /**
@@ -169,27 +242,8 @@ const purchasePackage = asyncHandler(async (req, res) => {
   const subStartDate = startDate ? new Date(startDate) : new Date();
   const subEndDate = calculateEndDate(subStartDate, pkg.duration);
 
-  // Create package snapshot
-  const packageSnapshot = {
-    name: pkg.name,
-    code: pkg.code,
-    type: pkg.type,
-    price: pkg.price,
-    duration: pkg.duration,
-    services: pkg.services.map((s) => ({
-      serviceId: s.service._id,
-      serviceName: s.service.name,
-      maxUsage: s.maxUsage,
-    })),
-  };
-
-  // Initialize usage tracking
-  const usage = pkg.services.map((s) => ({
-    service: s.service._id,
-    usedCount: 0,
-    maxAllowed: s.maxUsage,
-    history: [],
-  }));
+  const packageSnapshot = buildPackageSnapshot(pkg);
+  const usage = buildUsage(pkg);
 
   // Calculate total amount with tax
   const taxAmount = (pkg.price * pkg.taxRate) / 100;
@@ -254,6 +308,11 @@ const createPaymentOrder = asyncHandler(async (req, res) => {
 
   // Store order ID for verification
   subscription.payment.orderId = order.id;
+  subscription.checkout = {
+    expiresAt: new Date(
+      Date.now() + config.payments.checkoutTtlMinutes * 60 * 1000
+    ),
+  };
   await subscription.save();
 
   return ApiResponse.success(res, "Payment order created", {
@@ -275,11 +334,12 @@ const verifyPaymentAndActivate = asyncHandler(async (req, res) => {
   const { razorpay_order_id, razorpay_payment_id, razorpay_signature } =
     req.body;
 
-  const subscription = await Subscription.findOne({
+  // Active when the payment webhook got here first
+  let subscription = await Subscription.findOne({
     _id: req.params.id,
     customer: req.user._id,
-    status: "pending",
-  }).populate("package", "name");
+    status: { $in: ["pending", "active"] },
+  });
 
   if (!subscription) {
     throw new ApiError(404, "Pending subscription not found");
@@ -301,62 +361,483 @@ const verifyPaymentAndActivate = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Payment verification failed");
   }
 
-  // Create payment record
-  const payment = await Payment.create({
+  // Activate subscription (no-op if already active)
+  subscription =
+    (await paymentReconciliationService.activateSubscription(
+      subscription._id,
+      { paymentId: razorpay_payment_id, activatedBy: req.user._id }
+    )) || subscription;
+
+  await subscription.populate([
+    { path: "package", select: "name code type image" },
+    { path: "vehicle", select: "vehicleNumber brand model" },
+  ]);
+
+  return ApiResponse.success(
+    res,
+    "Subscription activated successfully",
+    subscription
+  );
+});
+
+/**
+ * @desc    Turn auto-renewal on or off
+ * @route   PUT /api/v1/subscriptions/:id/auto-renew
+ * @access  Private
+ */
+const setAutoRenew = asyncHandler(async (req, res) => {
+  const { enabled } = req.body;
+
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
     customer: req.user._id,
-    amount: subscription.payment.amount,
-    paymentType: "subscription",
-    paymentMethod: "online",
-    status: "completed",
-    transactionId: razorpay_payment_id,
-    metadata: {
-      razorpay_order_id,
-      razorpay_signature,
-      subscriptionId: subscription._id,
+    status: { $in: ["pending", "active", "paused"] },
+  });
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  subscription.autoRenew.enabled = enabled;
+  await subscription.save();
+
+  const mandateActive = subscription.autoRenew.mandate?.status === "active";
+
+  return ApiResponse.success(
+    res,
+    enabled
+      ? mandateActive
+        ? "Auto-renewal enabled"
+        : "Auto-renewal enabled. Save a payment method to renew without paying manually."
+      : "Auto-renewal disabled",
+    {
+      autoRenew: subscription.autoRenew,
+      endDate: subscription.endDate,
+    }
+  );
+});
+
+/**
+ * @desc    Create Razorpay order that saves a recurring payment mandate
+ * @route   POST /api/v1/subscriptions/:id/auto-renew/mandate
+ * @access  Private
+ */
+const createMandateOrder = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+    status: { $in: ["pending", "active", "paused"] },
+  });
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  const customer = await razorpayService.createCustomer({
+    name: req.user.name,
+    contact: req.user.mobile,
+    email: req.user.email,
+  });
+
+  const expireAt = new Date();
+  expireAt.setFullYear(expireAt.getFullYear() + MANDATE_VALIDITY_YEARS);
+
+  const order = await razorpayService.createOrder(
+    MANDATE_AUTH_AMOUNT,
+    `MANDATE_${subscription.subscriptionNumber}`,
+    {
+      subscriptionId: subscription._id.toString(),
+      customerId: req.user._id.toString(),
+      mandate: "true",
     },
+    {
+      customer_id: customer.id,
+      token: {
+        max_amount: Math.round(
+          subscriptionService.getRenewalAmount(subscription) * 100
+        ),
+        expire_at: Math.floor(expireAt.getTime() / 1000),
+        frequency: "as_presented",
+      },
+    }
+  );
+
+  subscription.autoRenew.mandate = {
+    customerId: customer.id,
+    orderId: order.id,
+    status: "pending",
+  };
+  await subscription.save();
+
+  return ApiResponse.success(res, "Mandate order created", {
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    keyId: razorpayService.getKeyId(),
+    customerId: customer.id,
+    recurring: "1",
+    subscriptionNumber: subscription.subscriptionNumber,
   });
+});
 
-  // Activate subscription
-  subscription.status = "active";
-  subscription.payment.paymentId = payment._id;
-  subscription.payment.paidAt = new Date();
-  subscription.payment.method = "online";
-  subscription.activatedBy = req.user._id;
+/**
+ * @desc    Verify mandate authorization and enable auto-renewal
+ * @route   POST /api/v1/subscriptions/:id/auto-renew/mandate/verify
+ * @access  Private
+ */
+const verifyMandate = asyncHandler(async (req, res) => {
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } =
+    req.body;
+
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  if (subscription.autoRenew.mandate?.orderId !== razorpay_order_id) {
+    throw new ApiError(400, "Order ID mismatch");
+  }
+
+  const isValid = razorpayService.verifyPaymentSignature(
+    razorpay_order_id,
+    razorpay_payment_id,
+    razorpay_signature
+  );
+
+  if (!isValid) {
+    throw new ApiError(400, "Payment verification failed");
+  }
+
+  const payment = await razorpayService.fetchPayment(razorpay_payment_id);
+  if (!payment.token_id) {
+    throw new ApiError(400, "Payment method was not saved for renewals");
+  }
+
+  subscription.autoRenew.enabled = true;
+  subscription.autoRenew.mandate.tokenId = payment.token_id;
+  subscription.autoRenew.mandate.method = payment.method;
+  subscription.autoRenew.mandate.status = "active";
+  subscription.autoRenew.mandate.authorizedAt = new Date();
+
+  // The authorization charge only saves the card; give it back
+  if (
+    payment.status === "captured" &&
+    !subscription.autoRenew.mandate.authRefundId
+  ) {
+    try {
+      const refund = await razorpayService.initiateRefund(
+        razorpay_payment_id,
+        MANDATE_AUTH_AMOUNT,
+        {
+          subscriptionId: subscription._id.toString(),
+          reason: "Auto-renewal authorization",
+        }
+      );
+      subscription.autoRenew.mandate.authRefundId = refund.id;
+    } catch (error) {
+      console.error(
+        `[Subscription] Mandate authorization refund failed for ${subscription.subscriptionNumber}:`,
+        error.error?.description || error.message
+      );
+    }
+  }
   await subscription.save();
 
-  // Increment package subscription count now that payment is confirmed
-  try {
-    await Package.findByIdAndUpdate(subscription.package, {
-      $inc: { currentSubscriptions: 1 },
-    });
-  } catch (countErr) {
-    console.error("Failed to increment subscription count:", countErr);
+  return ApiResponse.success(res, "Auto-renewal enabled", {
+    autoRenew: subscription.autoRenew,
+    endDate: subscription.endDate,
+  });
+});
+
+/**
+ * @desc    Revoke saved mandate
+ * @route   DELETE /api/v1/subscriptions/:id/auto-renew/mandate
+ * @access  Private
+ */
+const revokeMandate = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+    "autoRenew.mandate.status": "active",
+  });
+
+  if (!subscription) {
+    throw new ApiError(404, "No saved payment method for this subscription");
   }
 
-  // Send notification
+  const { customerId, tokenId } = subscription.autoRenew.mandate;
   try {
-    await fcmService.sendToUser(req.user._id, {
-      title: "Subscription Activated! 🎉",
-      body: `Your ${subscription.package.name
-        } subscription is now active until ${subscription.endDate.toLocaleDateString()}`,
-      data: {
-        type: "subscription_activated",
-        subscriptionId: subscription._id.toString(),
+    await razorpayService.deleteToken(customerId, tokenId);
+  } catch (error) {
+    // Revoke locally anyway; the token is never charged again
+    console.error("Failed to delete Razorpay token:", error);
+  }
+
+  subscription.autoRenew.mandate.status = "revoked";
+  await subscription.save();
+
+  return ApiResponse.success(
+    res,
+    subscription.autoRenew.enabled
+      ? "Saved payment method removed. Renewals will need to be paid manually."
+      : "Saved payment method removed",
+    { autoRenew: subscription.autoRenew }
+  );
+});
+
+/**
+ * @desc    Get the open renewal order to pay manually
+ * @route   GET /api/v1/subscriptions/:id/renewal
+ * @access  Private
+ */
+const getRenewal = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  }).populate("package", "name code");
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  const orderIds = subscription.renewal?.orderIds || [];
+  if (orderIds.length === 0) {
+    throw new ApiError(404, "No renewal is due for this subscription");
+  }
+
+  return ApiResponse.success(res, "Renewal retrieved", {
+    orderId: orderIds[orderIds.length - 1],
+    amount: Math.round(subscription.renewal.amount * 100),
+    currency: "INR",
+    keyId: razorpayService.getKeyId(),
+    attempts: subscription.renewal.attempts,
+    nextRetryAt: subscription.renewal.nextRetryAt,
+    graceEndsAt: subscription.renewal.graceEndsAt,
+    lastError: subscription.renewal.lastError,
+    subscriptionNumber: subscription.subscriptionNumber,
+    packageName: subscription.package?.name,
+  });
+});
+
+/**
+ * @desc    Verify renewal payment and extend subscription
+ * @route   POST /api/v1/subscriptions/:id/renewal/verify
+ * @access  Private
+ */
+const verifyRenewalPayment = asyncHandler(async (req, res) => {
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } =
+    req.body;
+
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  // Applied already when the payment webhook got here first
+  const alreadyApplied = subscription.renewalHistory.some(
+    (entry) => entry.orderId === razorpay_order_id
+  );
+  if (
+    !alreadyApplied &&
+    !subscription.renewal?.orderIds?.includes(razorpay_order_id)
+  ) {
+    throw new ApiError(400, "Order does not belong to a pending renewal");
+  }
+
+  const isValid = razorpayService.verifyPaymentSignature(
+    razorpay_order_id,
+    razorpay_payment_id,
+    razorpay_signature
+  );
+
+  if (!isValid) {
+    throw new ApiError(400, "Payment verification failed");
+  }
+
+  const payment = await razorpayService.fetchPayment(razorpay_payment_id);
+  const renewed = await subscriptionService.applyRenewal(razorpay_order_id, {
+    paymentId: razorpay_payment_id,
+    amount: payment.amount / 100,
+  });
+
+  const result = renewed || (await Subscription.findById(subscription._id));
+  if (
+    !result.renewalHistory.some((entry) => entry.orderId === razorpay_order_id)
+  ) {
+    throw new ApiError(
+      400,
+      result.renewal?.lastError || "Renewal payment could not be applied"
+    );
+  }
+  await result.populate([
+    { path: "package", select: "name code type image" },
+    { path: "vehicle", select: "vehicleNumber brand model" },
+  ]);
+
+  return ApiResponse.success(res, "Subscription renewed successfully", result);
+});
+
+/**
+ * @desc    Quote credit for switching to another package
+ * @route   GET /api/v1/subscriptions/:id/change-plan/quote
+ * @access  Private
+ */
+const getPlanChangeQuote = asyncHandler(async (req, res) => {
+  const { subscription, pkg } = await loadPlanChange(
+    req.params.id,
+    req.user._id,
+    req.query.packageId
+  );
+
+  const quote = subscriptionService.getPlanChangeQuote(subscription, pkg);
+
+  return ApiResponse.success(res, "Plan change quote", {
+    currentPackage: subscription.packageSnapshot.name,
+    newPackage: pkg.name,
+    ...quote,
+  });
+});
+
+/**
+ * @desc    Upgrade/downgrade to another package with prorated credit
+ * @route   POST /api/v1/subscriptions/:id/change-plan
+ * @access  Private
+ */
+const changePlan = asyncHandler(async (req, res) => {
+  const { packageId } = req.body;
+
+  const { subscription, pkg } = await loadPlanChange(
+    req.params.id,
+    req.user._id,
+    packageId
+  );
+
+  const quote = subscriptionService.getPlanChangeQuote(subscription, pkg);
+
+  // Only the latest unpaid switch stays open
+  await Subscription.updateMany(
+    { "changedFrom.subscription": subscription._id, status: "pending" },
+    {
+      $set: {
+        status: "cancelled",
+        cancellation: {
+          cancelledAt: new Date(),
+          reason: "Superseded by a newer plan change",
+          refundAmount: 0,
+          refundStatus: "none",
+        },
       },
-    });
-  } catch (notifError) {
-    console.error("Failed to send subscription notification:", notifError);
+    }
+  );
+
+  const startDate = new Date();
+  let newSubscription = await Subscription.create({
+    customer: req.user._id,
+    package: pkg._id,
+    vehicle: subscription.vehicle._id,
+    packageSnapshot: buildPackageSnapshot(pkg),
+    startDate,
+    endDate: calculateEndDate(startDate, pkg.duration),
+    status: "pending",
+    usage: buildUsage(pkg),
+    payment: {
+      amount: quote.payable,
+      credit: quote.appliedCredit,
+    },
+    changedFrom: {
+      subscription: subscription._id,
+      type: quote.type,
+      credit: quote.appliedCredit,
+    },
+  });
+
+  // Credit covers the whole new plan
+  const paymentRequired = quote.payable > 0;
+  if (!paymentRequired) {
+    newSubscription =
+      (await paymentReconciliationService.activateSubscription(
+        newSubscription._id,
+        { activatedBy: req.user._id, method: "credit" }
+      )) || newSubscription;
   }
 
-  await subscription.populate([
+  await newSubscription.populate([
     { path: "package", select: "name code type image" },
     { path: "vehicle", select: "vehicleNumber brand model" },
   ]);
 
+  return ApiResponse.created(
+    res,
+    paymentRequired
+      ? `Plan change created. Please pay ₹${quote.payable} to switch.`
+      : "Plan changed successfully",
+    {
+      subscription: newSubscription,
+      paymentRequired,
+      amount: quote.payable,
+      quote,
+    }
+  );
+});
+
+/**
+ * @desc    Pause subscription
+ * @route   POST /api/v1/subscriptions/:id/pause
+ * @access  Private
+ */
+const pauseMySubscription = asyncHandler(async (req, res) => {
+  const { days, reason } = req.body;
+
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  });
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  await subscriptionService.pauseSubscription(subscription, {
+    days,
+    reason,
+    pausedBy: req.user._id,
+  });
+
+  return ApiResponse.success(res, "Subscription paused", subscription);
+});
+
+/**
+ * @desc    Resume paused subscription
+ * @route   POST /api/v1/subscriptions/:id/resume
+ * @access  Private
+ */
+const resumeMySubscription = asyncHandler(async (req, res) => {
+  const subscription = await Subscription.findOne({
+    _id: req.params.id,
+    customer: req.user._id,
+  }).select("_id");
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  const resumed = await subscriptionService.resumeSubscription(
+    subscription._id,
+    { resumedBy: req.user._id }
+  );
+
   return ApiResponse.success(
     res,
-    "Subscription activated successfully",
-    subscription
+    `Subscription resumed. Valid until ${resumed.endDate.toLocaleDateString()}`,
+    resumed
   );
 });
 
@@ -385,9 +866,25 @@ const checkServiceCoverage = asyncHandler(async (req, res) => {
     .populate("vehicle", "vehicleNumber brand model");
 
   if (!subscription) {
+    // A paused plan covers nothing until it is resumed
+    const paused = await Subscription.findOne({
+      ...query,
+      status: "paused",
+    }).select("subscriptionNumber pauseHistory");
+
     return ApiResponse.success(res, "Service coverage checked", {
       covered: false,
-      message: "No active subscription covers this service",
+      paused: Boolean(paused),
+      message: paused
+        ? "Your subscription is paused. Resume it to use this service."
+        : "No active subscription covers this service",
+      ...(paused && {
+        subscription: {
+          _id: paused._id,
+          subscriptionNumber: paused.subscriptionNumber,
+          resumeAt: paused.pauseHistory.find((p) => !p.resumedAt)?.resumeAt,
+        },
+      }),
     });
   }
 
@@ -442,6 +939,10 @@ const useSubscriptionService = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Subscription not found");
   }
 
+  if (subscription.status === "paused") {
+    throw new ApiError(400, "Subscription is paused");
+  }
+
   if (subscription.status !== "active") {
     throw new ApiError(400, "Subscription is not active");
   }
@@ -564,7 +1065,7 @@ const getSubscriptionDetails = asyncHandler(async (req, res) => {
 const activateSubscription = asyncHandler(async (req, res) => {
   const { paymentMethod, transactionId, notes } = req.body;
 
-  const subscription = await Subscription.findById(req.params.id);
+  let subscription = await Subscription.findById(req.params.id);
 
   if (!subscription) {
     throw new ApiError(404, "Subscription not found");
@@ -616,6 +1117,11 @@ const activateSubscription = asyncHandler(async (req, res) => {
     console.error("Failed to increment subscription count:", countErr);
   }
 
+  // Upgrade/downgrade: retire the old plan and start the new term today
+  if (subscription.changedFrom?.subscription) {
+    subscription = await subscriptionService.completePlanChange(subscription);
+  }
+
   // Send notification
   try {
     await fcmService.sendToUser(subscription.customer, {
@@ -730,6 +1236,7 @@ const extendSubscription = asyncHandler(async (req, res) => {
 
   // Log extension
   subscription.renewalHistory.push({
+    type: "extension",
     renewedAt: new Date(),
     previousEndDate,
     newEndDate,
@@ -746,6 +1253,53 @@ const extendSubscription = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Pause subscription (Admin)
+ * @route   POST /api/v1/admin/subscriptions/:id/pause
+ * @access  Private/Admin
+ */
+const pauseSubscription = asyncHandler(async (req, res) => {
+  const { days, reason } = req.body;
+
+  const subscription = await Subscription.findById(req.params.id);
+
+  if (!subscription) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  await subscriptionService.pauseSubscription(subscription, {
+    days,
+    reason: reason || "Paused by admin",
+    pausedBy: req.user._id,
+  });
+
+  return ApiResponse.success(res, "Subscription paused", subscription);
+});
+
+/**
+ * @desc    Resume subscription (Admin)
+ * @route   POST /api/v1/admin/subscriptions/:id/resume
+ * @access  Private/Admin
+ */
+const resumeSubscription = asyncHandler(async (req, res) => {
+  const exists = await Subscription.exists({ _id: req.params.id });
+
+  if (!exists) {
+    throw new ApiError(404, "Subscription not found");
+  }
+
+  const subscription = await subscriptionService.resumeSubscription(
+    req.params.id,
+    { resumedBy: req.user._id }
+  );
+
+  return ApiResponse.success(
+    res,
+    `Subscription resumed. Valid until ${subscription.endDate.toLocaleDateString()}`,
+    subscription
+  );
+});
+
 /**
  * @desc    Get subscription usage report (Admin)
  * @route   GET /api/v1/admin/subscriptions/reports/usage
@@ -846,6 +1400,16 @@ module.exports = {
   purchasePackage,
   createPaymentOrder,
   verifyPaymentAndActivate,
+  setAutoRenew,
+  createMandateOrder,
+  verifyMandate,
+  revokeMandate,
+  getRenewal,
+  verifyRenewalPayment,
+  pauseMySubscription,
+  resumeMySubscription,
+  getPlanChangeQuote,
+  changePlan,
   checkServiceCoverage,
   useSubscriptionService,
   // Admin operations
@@ -854,6 +1418,8 @@ module.exports = {
   activateSubscription,
   cancelSubscription,
   extendSubscription,
+  pauseSubscription,
+  resumeSubscription,
   getUsageReport,
   expireSubscriptions,
 };
@@ -40,20 +40,26 @@ const updateProfile = asyncHandler(async (req, res) => {
     throw ApiError.badRequest("Mobile number cannot be updated");
   }
 
-  const { name, email, address, isProfileComplete } = req.body;
+  const { name, email, address, gstin, isProfileComplete } = req.body;
 
   const updateData = sanitizeObject({
     name,
     email,
     address,
+    gstin,
     isProfileComplete,
   });
 
-  const user = await User.findByIdAndUpdate(
-    req.userId,
-    { $set: updateData },
-    { new: true, runValidators: true }
-  );
+  const update = { $set: updateData };
+  // Clearing the GSTIN makes later invoices B2C
+  if (gstin === "" || gstin === null) {
+    update.$unset = { gstin: 1 };
+  }
+
+  const user = await User.findByIdAndUpdate(req.userId, update, {
+    new: true,
+    runValidators: true,
+  });
 
   if (!user) {
     throw ApiError.notFound("User not found");
@@ -150,20 +156,19 @@ const deleteProfileImage = asyncHandler(async (req, res) => {
 const updateDeviceInfo = asyncHandler(async (req, res) => {
   const { deviceId, deviceType, fcmToken } = req.body;
 
-  const user = await User.findByIdAndUpdate(
-    req.userId,
-    {
-      $set: {
-        deviceInfo: sanitizeObject({ deviceId, deviceType, fcmToken }),
-      },
-    },
-    { new: true }
-  );
+  const user = await User.findById(req.userId).select("devices deviceInfo");
 
   if (!user) {
     throw ApiError.notFound("User not found");
   }
 
+  user.deviceInfo = sanitizeObject({ deviceId, deviceType });
+  if (fcmToken) {
+    await User.releaseDeviceToken(fcmToken, user._id);
+    user.registerDevice({ token: fcmToken, deviceId });
+  }
+  await user.save();
+
   ApiResponse.success(res, "Device info updated successfully");
 });
 
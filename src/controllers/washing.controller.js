@@ -3,7 +3,14 @@
  * Handles daily car washing operations, zone/area management, and reporting
  */
 const mongoose = require("mongoose");
-const { Zone, Area, CarWash, Vehicle, User } = require("../models");
+const {
+  Zone,
+  Area,
+  CarWash,
+  Vehicle,
+  User,
+  Subscription,
+} = require("../models");
 
 /**
  * ==================== ZONE MANAGEMENT ====================
@@ -1123,10 +1130,20 @@ exports.initializeDailyWash = async (req, res) => {
 
     const existingSet = new Set(existingLogs.map((id) => id.toString()));
 
+    // Skip vehicles whose wash plan is paused
+    const pausedVehicles = await Subscription.find({
+      vehicle: { $in: vehicles.map((v) => v._id) },
+      status: "paused",
+      "packageSnapshot.type": { $in: ["car-wash", "comprehensive"] },
+    }).distinct("vehicle");
+
+    const pausedSet = new Set(pausedVehicles.map((id) => id.toString()));
+
     // Create pending entries for vehicles without logs
     const newEntries = [];
     for (const vehicle of vehicles) {
-      if (!existingSet.has(vehicle._id.toString())) {
+      const vehicleId = vehicle._id.toString();
+      if (!existingSet.has(vehicleId) && !pausedSet.has(vehicleId)) {
         newEntries.push({
           vehicle: vehicle._id,
           customer: vehicle.owner,
@@ -1146,7 +1163,11 @@ exports.initializeDailyWash = async (req, res) => {
       success: true,
       message: `Initialized ${newEntries.length} wash entries for ${targetDate.toISOString().split("T")[0]
         }`,
-      data: { created: newEntries.length, total: vehicles.length },
+      data: {
+        created: newEntries.length,
+        total: vehicles.length,
+        skippedPaused: pausedSet.size,
+      },
     });
   } catch (error) {
     console.error("Initialize daily wash error:", error);
@@ -4,9 +4,14 @@
  */
 const config = require("../config");
 const { ApiResponse, ApiError, asyncHandler } = require("../utils");
+const razorpayService = require("../services/razorpay.service");
+const {
+    paymentReconciliationService,
+    smsDeliveryService,
+} = require("../services");
 
 /**
- * @desc    MSG91 webhook (Events & Actions)
+ * @desc    MSG91 webhook (Events & Actions, SMS delivery reports)
  * @route   POST /api/v1/webhooks/msg91/events
  * @access  Public (secured via token header/query if configured)
  */
@@ -17,14 +22,66 @@ const handleMsg91Events = asyncHandler(async (req, res) => {
         throw ApiError.unauthorized("Invalid webhook token");
     }
 
-    // Log payload for auditing/debugging. Customize as needed.
-    console.log("[MSG91 Webhook] Events payload:", req.body);
+    const { reports, matched } = await smsDeliveryService.processMsg91Webhook(
+        req.body
+    );
+
+    // Counts only; payloads carry customer numbers and message text
+    console.log(
+        `[MSG91 Webhook] ${reports} delivery report(s), ${matched} matched`
+    );
+
+    return ApiResponse.success(res, "Webhook received", {
+        received: true,
+        reports,
+        matched,
+    });
+});
+
+/**
+ * @desc    Razorpay webhook (payment.captured, payment.failed,
+ *          refund.processed, order.paid)
+ * @route   POST /api/v1/webhooks/razorpay
+ * @access  Public (secured via X-Razorpay-Signature)
+ */
+const handleRazorpayEvents = asyncHandler(async (req, res) => {
+    const signature = req.headers["x-razorpay-signature"];
+
+    let isValid;
+    try {
+        isValid =
+            Boolean(req.rawBody) &&
+            razorpayService.verifyWebhookSignature(req.rawBody, signature);
+    } catch (error) {
+        throw ApiError.serviceUnavailable("Razorpay webhook is not configured");
+    }
+
+    if (!isValid) {
+        throw ApiError.unauthorized("Invalid webhook signature");
+    }
+
+    const { event, payload } = req.body || {};
+    if (!event || !payload) {
+        throw ApiError.badRequest("Invalid webhook payload");
+    }
+
+    // Razorpay sends the same event id on every retry of a delivery
+    const eventId =
+        req.headers["x-razorpay-event-id"] ||
+        `${event}:${(payload.payment || payload.refund || payload.order)?.entity?.id}`;
+
+    const outcome = await paymentReconciliationService.processRazorpayEvent(
+        eventId,
+        req.body
+    );
 
     return ApiResponse.success(res, "Webhook received", {
         received: true,
+        ...outcome,
     });
 });
 
 module.exports = {
     handleMsg91Events,
+    handleRazorpayEvents,
 };
@@ -47,6 +47,18 @@ const appointmentSchema = new mongoose.Schema(
         required: true,
       },
     },
+    // Summed estimated duration of the booked services
+    durationMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Workshop bay reserved for the booking and the slots it spans
+    bay: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bay",
+    },
+    baySlots: [String],
     workshopSnapshot: {
       name: String,
       address: {
@@ -108,6 +120,26 @@ const appointmentSchema = new mongoose.Schema(
     },
     cancellationReason: String,
     cancelledAt: Date,
+    // Cancelled by the customer shortly before the slot
+    lateCancellation: {
+      type: Boolean,
+      default: false,
+    },
+    noShowAt: Date,
+    noShowMarkedBy: {
+      type: String,
+      enum: ["system", "admin"],
+    },
+    // Set at booking from the customer's no-show record
+    bookingRequirement: {
+      type: String,
+      enum: ["none", "confirmation-call", "advance-payment"],
+      default: "none",
+    },
+    advancePayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
     confirmedAt: Date,
     completedAt: Date,
     rescheduleHistory: [
@@ -0,0 +1,42 @@
+/**
+ * Bay Model
+ * Workshop bays / lifts. Each bay takes one vehicle at a time and is
+ * reserved per slot for the length of a booking.
+ */
+const mongoose = require("mongoose");
+
+const baySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Bay name is required"],
+      trim: true,
+      unique: true,
+      maxlength: [50, "Bay name cannot exceed 50 characters"],
+    },
+    type: {
+      type: String,
+      enum: ["lift", "general", "wash", "paint", "alignment"],
+      default: "general",
+    },
+    // Inactive bays (under maintenance) take no new bookings
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Notes cannot exceed 200 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+baySchema.index({ isActive: 1, name: 1 });
+
+const Bay = mongoose.model("Bay", baySchema);
+
+module.exports = Bay;
@@ -0,0 +1,126 @@
+/**
+ * Campaign Model
+ * Admin broadcast messages to a filtered audience of customers
+ */
+const mongoose = require("mongoose");
+
+const CHANNELS = ["PUSH", "SMS"];
+const STATUSES = ["DRAFT", "SCHEDULED", "SENDING", "COMPLETED", "CANCELLED"];
+const VEHICLE_TYPES = [
+  "car",
+  "bike",
+  "scooter",
+  "auto",
+  "truck",
+  "bus",
+  "other",
+];
+
+// Statuses in which the campaign can still be edited or rescheduled
+const EDITABLE_STATUSES = ["DRAFT", "SCHEDULED"];
+
+const campaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Campaign name is required"],
+      trim: true,
+      maxlength: [100, "Name cannot exceed 100 characters"],
+    },
+    // Every filter narrows the audience; empty filters are ignored
+    audience: {
+      vehicleTypes: [{ type: String, enum: VEHICLE_TYPES }],
+      brands: [{ type: String, trim: true }],
+      // Last delivered job card
+      lastServiceBefore: Date,
+      lastServiceAfter: Date,
+      // Active subscription to one of these packages
+      packages: [{ type: mongoose.Schema.Types.ObjectId, ref: "Package" }],
+      // Wash zone / area of one of the customer's vehicles
+      zones: [{ type: mongoose.Schema.Types.ObjectId, ref: "Zone" }],
+      areas: [{ type: mongoose.Schema.Types.ObjectId, ref: "Area" }],
+      // No app login for this many days
+      inactiveDays: { type: Number, min: 1 },
+    },
+    channels: {
+      type: [{ type: String, enum: CHANNELS }],
+      validate: {
+        validator: (channels) => channels.length > 0,
+        message: "At least one channel is required",
+      },
+    },
+    content: {
+      title: {
+        type: String,
+        required: [true, "Title is required"],
+        trim: true,
+        maxlength: [200, "Title cannot exceed 200 characters"],
+      },
+      body: {
+        type: String,
+        required: [true, "Message body is required"],
+        trim: true,
+        maxlength: [500, "Body cannot exceed 500 characters"],
+      },
+      imageUrl: String,
+      // Deep link opened from the push notification
+      screen: String,
+      params: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "DRAFT",
+    },
+    scheduledAt: Date,
+    // Messages sent per minute once the campaign starts
+    throttlePerMinute: {
+      type: Number,
+      default: 100,
+      min: [1, "Throttle must be at least 1 per minute"],
+      max: [1000, "Throttle cannot exceed 1000 per minute"],
+    },
+    // Audience snapshot taken when sending starts, worked through in order
+    recipients: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false,
+    },
+    progress: {
+      cursor: { type: Number, default: 0 },
+      audienceSize: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      // Opted out since the snapshot or already messaged
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    startedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignSchema.index({ createdAt: -1 });
+
+campaignSchema.methods.isEditable = function () {
+  return EDITABLE_STATUSES.includes(this.status);
+};
+
+campaignSchema.statics.CHANNELS = CHANNELS;
+campaignSchema.statics.STATUSES = STATUSES;
+campaignSchema.statics.VEHICLE_TYPES = VEHICLE_TYPES;
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+
+module.exports = Campaign;
@@ -0,0 +1,213 @@
+/**
+ * Credit Note Model
+ * Reduces the value of an issued invoice (refunds, post-issue corrections)
+ */
+const mongoose = require("mongoose");
+
+// Credited portion of an invoice line
+const creditNoteItemSchema = new mongoose.Schema(
+  {
+    invoiceItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    type: String,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    hsnCode: String,
+    // Units credited; 0 when the credit is a value adjustment
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    taxRate: {
+      type: Number,
+      default: 0,
+    },
+    taxableValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    cgstAmount: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Credited value including tax
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: true }
+);
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    creditNoteNumber: {
+      type: String,
+      unique: true,
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      required: [true, "Invoice is required"],
+    },
+    invoiceNumber: String,
+    jobCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobCard",
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Customer is required"],
+    },
+    // Money returned with this credit note, if any
+    refundPayment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    refundRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefundRequest",
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    // Copied from the invoice so the note stands on its own
+    customerSnapshot: {
+      name: String,
+      mobile: String,
+      email: String,
+      gstin: String,
+    },
+    placeOfSupply: String,
+    isInterState: {
+      type: Boolean,
+      default: false,
+    },
+    items: {
+      type: [creditNoteItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "Credit note must have at least one item",
+      },
+    },
+    taxableAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    cgstAmount: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
+    totalTax: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    grandTotal: {
+      type: Number,
+      required: true,
+      min: [0.01, "Credit amount must be greater than 0"],
+    },
+    status: {
+      type: String,
+      enum: ["ISSUED", "CANCELLED"],
+      default: "ISSUED",
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        ret.id = ret._id;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+creditNoteSchema.index({ invoice: 1, status: 1 });
+creditNoteSchema.index({ customer: 1, createdAt: -1 });
+creditNoteSchema.index({ issuedAt: -1 });
+
+// Pre-save: Generate credit note number (own series, CN<yy><mm><nnnn>)
+creditNoteSchema.pre("save", async function (next) {
+  if (this.isNew && !this.creditNoteNumber) {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+
+    const count = await this.constructor.countDocuments({
+      createdAt: {
+        $gte: new Date(date.getFullYear(), date.getMonth(), 1),
+        $lt: new Date(date.getFullYear(), date.getMonth() + 1, 1),
+      },
+    });
+
+    this.creditNoteNumber = `CN${year}${month}${(count + 1)
+      .toString()
+      .padStart(4, "0")}`;
+  }
+  next();
+});
+
+/**
+ * Totals of issued credit notes for an invoice
+ */
+creditNoteSchema.statics.getInvoiceTotals = async function (
+  invoiceId,
+  session = null
+) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        invoice: new mongoose.Types.ObjectId(String(invoiceId)),
+        status: "ISSUED",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        creditedAmount: { $sum: "$grandTotal" },
+        refundedAmount: { $sum: "$refundAmount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]).session(session);
+
+  return result || { creditedAmount: 0, refundedAmount: 0, count: 0 };
+};
+
+const CreditNote = mongoose.model("CreditNote", creditNoteSchema);
+
+module.exports = CreditNote;
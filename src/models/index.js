@@ -7,17 +7,27 @@ const OTP = require("./otp.model");
 const Vehicle = require("./vehicle.model");
 const Service = require("./service.model");
 const TimeSlot = require("./timeslot.model");
+const SlotCounter = require("./slotCounter.model");
+const SlotOverride = require("./slotOverride.model");
+const Bay = require("./bay.model");
+const WaitlistEntry = require("./waitlistEntry.model");
 const Appointment = require("./appointment.model");
+const LogisticsTask = require("./logisticsTask.model");
 const JobCard = require("./jobcard.model");
+const InspectionTemplate = require("./inspectionTemplate.model");
 const Payment = require("./payment.model");
 const RefundRequest = require("./refundRequest.model");
 const Review = require("./review.model");
 const AdminActivity = require("./adminActivity.model");
 const Enquiry = require("./enquiry.model");
+const WebhookEvent = require("./webhookEvent.model");
+const ReconciliationReport = require("./reconciliationReport.model");
 
 // Phase 2 Models
 const Inventory = require("./inventory.model");
 const InventoryTransaction = require("./inventoryTransaction.model");
+const Supplier = require("./supplier.model");
+const PurchaseOrder = require("./purchaseOrder.model");
 const Package = require("./package.model");
 const Subscription = require("./subscription.model");
 const CarWash = require("./carwash.model");
@@ -32,6 +42,9 @@ const Area = require("./area.model");
 
 // Notifications
 const Notification = require("./notification.model");
+const PushTicket = require("./pushTicket.model");
+const NotificationTemplate = require("./notificationTemplate.model");
+const Campaign = require("./campaign.model");
 
 // Promotions
 const Promotion = require("./promotion.model");
@@ -52,16 +65,26 @@ module.exports = {
   Vehicle,
   Service,
   TimeSlot,
+  SlotCounter,
+  SlotOverride,
+  Bay,
+  WaitlistEntry,
   Appointment,
+  LogisticsTask,
   JobCard,
+  InspectionTemplate,
   Payment,
   RefundRequest,
   Review,
   AdminActivity,
   Enquiry,
+  WebhookEvent,
+  ReconciliationReport,
   // Phase 2
   Inventory,
   InventoryTransaction,
+  Supplier,
+  PurchaseOrder,
   Package,
   Subscription,
   CarWash,
@@ -74,6 +97,9 @@ module.exports = {
   Area,
   // Notifications
   Notification,
+  PushTicket,
+  NotificationTemplate,
+  Campaign,
   // Promotions
   Promotion,
   // Vehicle Catalog
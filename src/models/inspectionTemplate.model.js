@@ -0,0 +1,149 @@
+/**
+ * Inspection Template Model
+ * Check-in checklists per vehicle type: what is inspected when a vehicle
+ * is received and which body panel each check belongs to
+ */
+const mongoose = require("mongoose");
+
+const VEHICLE_TYPES = [
+  "car",
+  "bike",
+  "scooter",
+  "auto",
+  "truck",
+  "bus",
+  "other",
+];
+
+const CATEGORIES = [
+  "tyres",
+  "lights",
+  "wipers",
+  "body",
+  "glass",
+  "interior",
+  "accessories",
+  "other",
+];
+
+// Damage map panels by body layout
+const PANELS = {
+  "four-wheeler": [
+    "front-bumper",
+    "bonnet",
+    "windshield",
+    "roof",
+    "rear-windshield",
+    "boot",
+    "rear-bumper",
+    "left-front-fender",
+    "left-front-door",
+    "left-rear-door",
+    "left-rear-quarter",
+    "right-front-fender",
+    "right-front-door",
+    "right-rear-door",
+    "right-rear-quarter",
+  ],
+  "two-wheeler": [
+    "front-mudguard",
+    "headlamp-visor",
+    "handlebar",
+    "fuel-tank",
+    "seat",
+    "left-side-panel",
+    "right-side-panel",
+    "engine-guard",
+    "rear-mudguard",
+    "tail-lamp",
+  ],
+};
+
+const getPanelLayout = (vehicleType) =>
+  ["bike", "scooter"].includes(vehicleType) ? "two-wheeler" : "four-wheeler";
+
+const ALL_PANELS = [...PANELS["four-wheeler"], ...PANELS["two-wheeler"]];
+
+const templateItemSchema = new mongoose.Schema(
+  {
+    // Stable id the recorded results refer to
+    key: {
+      type: String,
+      required: [true, "Item key is required"],
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, "Item key may only use a-z, 0-9 and -"],
+    },
+    label: {
+      type: String,
+      required: [true, "Item label is required"],
+      trim: true,
+      maxlength: [100, "Item label cannot exceed 100 characters"],
+    },
+    category: {
+      type: String,
+      enum: CATEGORIES,
+      default: "other",
+    },
+    panel: {
+      type: String,
+      enum: ALL_PANELS,
+    },
+  },
+  { _id: false }
+);
+
+const inspectionTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+    vehicleType: {
+      type: String,
+      enum: VEHICLE_TYPES,
+      required: [true, "Vehicle type is required"],
+    },
+    items: {
+      type: [templateItemSchema],
+      validate: [
+        {
+          validator: (items) => items.length > 0,
+          message: "A template needs at least one item",
+        },
+        {
+          validator: (items) =>
+            new Set(items.map((item) => item.key)).size === items.length,
+          message: "Item keys must be unique",
+        },
+      ],
+    },
+    // Only the latest active template per vehicle type is used
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inspectionTemplateSchema.index({ vehicleType: 1, isActive: 1, updatedAt: -1 });
+
+inspectionTemplateSchema.statics.CATEGORIES = CATEGORIES;
+inspectionTemplateSchema.statics.PANELS = PANELS;
+inspectionTemplateSchema.statics.getPanelLayout = getPanelLayout;
+
+const InspectionTemplate = mongoose.model(
+  "InspectionTemplate",
+  inspectionTemplateSchema
+);
+
+module.exports = InspectionTemplate;
@@ -3,6 +3,7 @@
  * Tracks insurance related job cards and documents
  */
 const mongoose = require("mongoose");
+const signatureSchema = require("./schemas/signature.schema");
 
 const documentSchema = new mongoose.Schema(
   {
@@ -74,6 +75,8 @@ const insuranceJobSchema = new mongoose.Schema(
       default: "INITIATED",
     },
     documents: [documentSchema],
+    // Customer's signature on the claim form
+    claimFormSignature: signatureSchema,
     statusHistory: [
       {
         status: String,
@@ -65,6 +65,12 @@ const inventorySchema = new mongoose.Schema(
       default: 0,
       min: [0, "Stock cannot be negative"],
     },
+    // Quantity held by open job card items, not yet consumed
+    reservedStock: {
+      type: Number,
+      default: 0,
+      min: [0, "Reserved stock cannot be negative"],
+    },
     minStock: {
       type: Number,
       default: 5,
@@ -93,6 +99,11 @@ const inventorySchema = new mongoose.Schema(
       default: 18,
       min: [0, "Tax rate cannot be negative"],
     },
+    // HSN code for GST invoicing
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
     location: {
       rack: String,
       shelf: String,
@@ -114,6 +125,11 @@ const inventorySchema = new mongoose.Schema(
       email: String,
       leadTime: Number, // days
     },
+    // Linked supplier record used for purchase orders
+    preferredSupplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+    },
     images: [
       {
         url: String,
@@ -151,6 +167,14 @@ inventorySchema.index({ category: 1 });
 inventorySchema.index({ currentStock: 1, minStock: 1 });
 inventorySchema.index({ isActive: 1 });
 inventorySchema.index({ "supplier.name": 1 });
+inventorySchema.index({ preferredSupplier: 1 });
+
+/**
+ * Stock not held by open job cards
+ */
+inventorySchema.virtual("availableStock").get(function () {
+  return Math.max(0, this.currentStock - (this.reservedStock || 0));
+});
 
 /**
  * Check if item is low on stock
@@ -214,6 +238,88 @@ inventorySchema.statics.getLowStockItems = async function () {
   }).lean();
 };
 
+/**
+ * Static: Build suggested purchase orders for low stock items, grouped by supplier.
+ * Stock is what is available (on hand less reserved) plus what open purchase
+ * orders still have to deliver; items are reordered up to maxStock, and items
+ * already covered by open orders are left out. Expected delivery uses the
+ * supplier lead time.
+ */
+inventorySchema.statics.getReorderSuggestions = async function () {
+  const items = await this.find({
+    $expr: {
+      $lte: [
+        { $subtract: ["$currentStock", { $ifNull: ["$reservedStock", 0] }] },
+        "$minStock",
+      ],
+    },
+    isActive: true,
+  })
+    .populate("preferredSupplier", "name mobile email leadTime isActive")
+    .lean();
+
+  const onOrder = await mongoose
+    .model("PurchaseOrder")
+    .getOnOrderQuantities(items.map((item) => item._id));
+
+  const groups = {};
+  items.forEach((item) => {
+    const available = Math.max(
+      0,
+      Number(item.currentStock || 0) - Number(item.reservedStock || 0)
+    );
+    const ordered = onOrder.get(item._id.toString()) || 0;
+    const target = Math.max(Number(item.maxStock || 0), Number(item.minStock || 0));
+    const quantity = Math.max(1, target - available) - ordered;
+    if (quantity <= 0) return;
+
+    const linked =
+      item.preferredSupplier && item.preferredSupplier.isActive !== false
+        ? item.preferredSupplier
+        : null;
+    const key = linked
+      ? linked._id.toString()
+      : `name:${item.supplier?.name || "unassigned"}`;
+
+    if (!groups[key]) {
+      groups[key] = {
+        supplierId: linked?._id || null,
+        supplierName: linked?.name || item.supplier?.name || "Unassigned",
+        leadTime: 0,
+        items: [],
+        estimatedCost: 0,
+      };
+    }
+
+    const leadTime = Number(linked?.leadTime ?? item.supplier?.leadTime ?? 0);
+
+    const group = groups[key];
+    group.leadTime = Math.max(group.leadTime, leadTime);
+    group.items.push({
+      inventory: item._id,
+      name: item.name,
+      sku: item.sku,
+      currentStock: item.currentStock,
+      availableStock: available,
+      onOrder: ordered,
+      minStock: item.minStock,
+      maxStock: item.maxStock,
+      suggestedQuantity: quantity,
+      unitCost: item.costPrice,
+      taxRate: item.taxRate,
+    });
+    group.estimatedCost += quantity * Number(item.costPrice || 0);
+  });
+
+  return Object.values(groups).map((group) => ({
+    ...group,
+    estimatedCost: Math.round(group.estimatedCost * 100) / 100,
+    expectedDeliveryDate: new Date(
+      Date.now() + group.leadTime * 24 * 60 * 60 * 1000
+    ),
+  }));
+};
+
 /**
  * Static: Get stock value
  */
@@ -231,6 +337,7 @@ inventorySchema.statics.getTotalStockValue = async function () {
         },
         totalItems: { $sum: 1 },
         totalStock: { $sum: "$currentStock" },
+        totalReserved: { $sum: { $ifNull: ["$reservedStock", 0] } },
       },
     },
   ]);
@@ -240,6 +347,7 @@ inventorySchema.statics.getTotalStockValue = async function () {
       totalSellingValue: 0,
       totalItems: 0,
       totalStock: 0,
+      totalReserved: 0,
     }
   );
 };
@@ -25,6 +25,8 @@ const inventoryTransactionSchema = new mongoose.Schema(
         "adjustment", // Manual adjustment
         "damage", // Damaged/expired
         "transfer", // Between locations
+        "reservation", // Held for a job card item (stock unchanged)
+        "release", // Reservation released (stock unchanged)
       ],
     },
     quantity: {
@@ -55,7 +57,10 @@ const inventoryTransactionSchema = new mongoose.Schema(
     performedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // Automatic reservation releases have no acting user
+      required: function () {
+        return this.type !== "release";
+      },
     },
     notes: {
       type: String,
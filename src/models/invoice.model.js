@@ -3,6 +3,11 @@
  * Represents a finalized bill for a job card
  */
 const mongoose = require("mongoose");
+const config = require("../config");
+const { getPlaceOfSupply, splitTax, buildHsnSummary } = require("../utils/gst");
+const CreditNote = require("./creditNote.model");
+
+const round2 = (n) => Math.round((Number(n || 0) + Number.EPSILON) * 100) / 100;
 
 // Invoice item schema for line items
 const invoiceItemSchema = new mongoose.Schema(
@@ -50,6 +55,19 @@ const invoiceItemSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Line total less its share of the invoice discount
+    taxableValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // GST split: CGST+SGST for intra-state supply, IGST for inter-state
+    cgstRate: { type: Number, default: 0 },
+    cgstAmount: { type: Number, default: 0 },
+    sgstRate: { type: Number, default: 0 },
+    sgstAmount: { type: Number, default: 0 },
+    igstRate: { type: Number, default: 0 },
+    igstAmount: { type: Number, default: 0 },
     total: {
       type: Number,
       required: true,
@@ -86,6 +104,22 @@ const invoiceItemSchema = new mongoose.Schema(
   { _id: true }
 );
 
+// HSN/SAC-wise tax summary row (GSTR-1 table 12)
+const hsnSummarySchema = new mongoose.Schema(
+  {
+    hsnCode: String,
+    description: String,
+    taxRate: Number,
+    quantity: Number,
+    taxableValue: Number,
+    cgstAmount: Number,
+    sgstAmount: Number,
+    igstAmount: Number,
+    totalTax: Number,
+  },
+  { _id: false }
+);
+
 const invoiceSchema = new mongoose.Schema(
   {
     invoiceNumber: {
@@ -173,6 +207,23 @@ const invoiceSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    igstRate: {
+      type: Number,
+      default: 0,
+    },
+    igstAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Place of supply
+    supplierGstin: String,
+    supplierStateCode: String,
+    placeOfSupply: String,
+    isInterState: {
+      type: Boolean,
+      default: false,
+    },
+    hsnSummary: [hsnSummarySchema],
     totalTax: {
       type: Number,
       default: 0,
@@ -183,6 +234,22 @@ const invoiceSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Credit notes: value credited and money refunded against this invoice
+    creditedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Grand total less credited amount
+    netPayable: {
+      type: Number,
+      min: 0,
+    },
     // Payment tracking
     paidAmount: {
       type: Number,
@@ -194,6 +261,28 @@ const invoiceSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Open Razorpay order for online payment
+    checkout: {
+      orderId: String,
+      amount: Number,
+      expiresAt: Date,
+    },
+    // Every order opened for this invoice; an older order can still be paid
+    // from another tab, so each one is reconciled until it is closed
+    checkoutOrders: [
+      {
+        _id: false,
+        orderId: String,
+        amount: Number,
+        expiresAt: Date,
+        status: {
+          type: String,
+          enum: ["open", "paid", "failed", "expired"],
+          default: "open",
+        },
+        closedAt: Date,
+      },
+    ],
     // Status
     status: {
       type: String,
@@ -238,6 +327,11 @@ invoiceSchema.index({ customer: 1, createdAt: -1 });
 invoiceSchema.index({ jobCard: 1 });
 invoiceSchema.index({ status: 1 });
 invoiceSchema.index({ issuedAt: -1 });
+invoiceSchema.index({ "checkout.expiresAt": 1 });
+invoiceSchema.index({
+  "checkoutOrders.status": 1,
+  "checkoutOrders.expiresAt": 1,
+});
 
 // Pre-save: Generate invoice number
 invoiceSchema.pre("save", async function (next) {
@@ -259,17 +353,30 @@ invoiceSchema.pre("save", async function (next) {
       .padStart(4, "0")}`;
   }
 
-  // Calculate balance
-  this.balanceAmount = Math.max(0, this.grandTotal - this.paidAmount);
+  // Calculate net payable and balance (payments net of refunds)
+  this.netPayable = round2(
+    Math.max(0, this.grandTotal - (this.creditedAmount || 0))
+  );
+  const netPaid = Math.max(0, this.paidAmount - (this.refundedAmount || 0));
+  this.balanceAmount = round2(Math.max(0, this.netPayable - netPaid));
+
+  // Fully credited invoices are closed as refunded
+  if (
+    this.status !== "CANCELLED" &&
+    this.creditedAmount > 0 &&
+    this.netPayable <= 0
+  ) {
+    this.status = "REFUNDED";
+  }
 
   // Update status based on payment
   if (this.status !== "CANCELLED" && this.status !== "REFUNDED") {
-    if (this.paidAmount >= this.grandTotal) {
+    if (netPaid >= this.netPayable) {
       this.status = "PAID";
       if (!this.paidAt) {
         this.paidAt = new Date();
       }
-    } else if (this.paidAmount > 0) {
+    } else if (netPaid > 0) {
       this.status = "PARTIALLY_PAID";
     }
   }
@@ -277,6 +384,138 @@ invoiceSchema.pre("save", async function (next) {
   next();
 });
 
+/**
+ * Compute per-line taxable value and CGST/SGST or IGST from the place of
+ * supply, then roll up invoice tax totals and the HSN summary.
+ * The invoice discount is apportioned across lines by line total.
+ */
+invoiceSchema.methods.calculateGst = function () {
+  const { supplierStateCode, placeOfSupply, isInterState } = getPlaceOfSupply(
+    this.customerSnapshot || {}
+  );
+
+  const items = this.items || [];
+  const linesTotal = items.reduce((sum, item) => sum + (item.total || 0), 0);
+  const discount = Math.min(Math.max(0, this.discount || 0), linesTotal);
+
+  let taxableAmount = 0;
+  let totalTax = 0;
+
+  items.forEach((item) => {
+    const share = linesTotal > 0 ? (discount * (item.total || 0)) / linesTotal : 0;
+    const taxableValue = Math.max(0, (item.total || 0) - share);
+    const tax = splitTax(taxableValue, item.taxRate, isInterState);
+
+    taxableAmount += taxableValue;
+    totalTax += tax.taxAmount;
+
+    item.taxableValue = round2(taxableValue);
+    item.taxAmount = round2(tax.taxAmount);
+    item.cgstRate = tax.cgstRate;
+    item.cgstAmount = round2(tax.cgstAmount);
+    item.sgstRate = tax.sgstRate;
+    item.sgstAmount = round2(tax.sgstAmount);
+    item.igstRate = tax.igstRate;
+    item.igstAmount = round2(tax.igstAmount);
+  });
+
+  // Header rates are only meaningful when every line shares one rate
+  const rates = [...new Set(items.map((item) => item.taxRate || 0))];
+  const rate = rates.length === 1 ? rates[0] : 0;
+
+  this.supplierGstin = config.garage.gst || undefined;
+  this.supplierStateCode = supplierStateCode || undefined;
+  this.placeOfSupply = placeOfSupply || undefined;
+  this.isInterState = isInterState;
+  this.taxableAmount = round2(taxableAmount);
+  this.totalTax = round2(totalTax);
+
+  if (isInterState) {
+    this.igstRate = rate;
+    this.igstAmount = this.totalTax;
+    this.cgstRate = 0;
+    this.cgstAmount = 0;
+    this.sgstRate = 0;
+    this.sgstAmount = 0;
+  } else {
+    this.cgstRate = rate / 2;
+    this.cgstAmount = round2(this.totalTax / 2);
+    this.sgstRate = rate / 2;
+    this.sgstAmount = round2(this.totalTax - this.cgstAmount);
+    this.igstRate = 0;
+    this.igstAmount = 0;
+  }
+
+  this.hsnSummary = buildHsnSummary(items);
+  return this;
+};
+
+/**
+ * Close a checkout order with its outcome. The open checkout is cleared
+ * when it is that order.
+ */
+invoiceSchema.statics.closeCheckoutOrder = async function (
+  invoiceId,
+  orderId,
+  status
+) {
+  await this.updateOne(
+    { _id: invoiceId },
+    {
+      $set: {
+        "checkoutOrders.$[order].status": status,
+        "checkoutOrders.$[order].closedAt": new Date(),
+      },
+    },
+    { arrayFilters: [{ "order.orderId": orderId, "order.status": "open" }] }
+  );
+  await this.updateOne(
+    { _id: invoiceId, "checkout.orderId": orderId },
+    { $unset: { checkout: "" } }
+  );
+};
+
+/**
+ * Add a received payment to an invoice.
+ *
+ * paidAmount is incremented atomically. The balance and status derived from
+ * it by the pre-save hook are only saved while paidAmount is unchanged, so a
+ * concurrent payment cannot leave a stale status behind.
+ *
+ * @param {string} invoiceId
+ * @param {number} amount
+ * @param {Object} [options] – { orderId } closes that checkout order as paid
+ * @returns {Object|null} updated invoice
+ */
+invoiceSchema.statics.applyPayment = async function (
+  invoiceId,
+  amount,
+  { orderId } = {}
+) {
+  if (orderId) {
+    await this.closeCheckoutOrder(invoiceId, orderId, "paid");
+  }
+
+  let invoice = await this.findByIdAndUpdate(
+    invoiceId,
+    { $inc: { paidAmount: amount } },
+    { new: true }
+  );
+
+  for (let attempt = 1; invoice; attempt++) {
+    invoice.$where = { paidAmount: invoice.paidAmount };
+    try {
+      await invoice.save();
+      return invoice;
+    } catch (error) {
+      const moved = error instanceof mongoose.Error.DocumentNotFoundError;
+      if (!moved || attempt === 3) throw error;
+      invoice = await this.findById(invoiceId);
+    }
+  }
+  return invoice;
+};
+
 /**
  * Get invoice with payment summary
  */
@@ -290,23 +529,38 @@ invoiceSchema.statics.getWithPayments = async function (invoiceId) {
 
   if (!invoice) return null;
 
-  // Get all payments for the related job card
-  const payments = await Payment.find({
-    jobCard: invoice.jobCard._id,
-    status: "completed",
-  })
-    .select("paymentNumber amount paymentMethod createdAt transactionId")
-    .sort({ createdAt: 1 })
-    .lean();
+  // Get all payments for the related job card (refunded ones were received too)
+  const [payments, creditNotes] = await Promise.all([
+    Payment.find({
+      jobCard: invoice.jobCard._id,
+      status: { $in: ["completed", "refunded"] },
+    })
+      .select(
+        "paymentNumber amount paymentType paymentMethod createdAt transactionId"
+      )
+      .sort({ createdAt: 1 })
+      .lean(),
+    CreditNote.find({ invoice: invoice._id, status: "ISSUED" })
+      .select("creditNoteNumber grandTotal refundAmount reason issuedAt")
+      .sort({ issuedAt: 1 })
+      .lean(),
+  ]);
 
-  const totalPaid = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
+  // Money refunded is tracked on the invoice through its credit notes
+  const totalReceived = payments
+    .filter((p) => p.paymentType !== "refund")
+    .reduce((sum, p) => sum + (p.amount || 0), 0);
+  const totalPaid = Math.max(0, totalReceived - (invoice.refundedAmount || 0));
+  const netPayable = invoice.netPayable ?? invoice.grandTotal;
 
   return {
     ...invoice,
     payments,
+    creditNotes,
+    netPayable,
     paidAmount: totalPaid,
-    balanceAmount: Math.max(0, invoice.grandTotal - totalPaid),
-    isPaid: totalPaid >= invoice.grandTotal,
+    balanceAmount: Math.max(0, netPayable - totalPaid),
+    isPaid: totalPaid >= netPayable,
   };
 };
 
@@ -359,18 +613,29 @@ invoiceSchema.statics.getCustomerInvoices = async function (
 invoiceSchema.statics.createFromJobCard = async function (jobCard, options = {}) {
   const { generatedBy, terms, notes } = options;
 
-  // Map job items to invoice items
-  const items = (jobCard.jobItems || []).map((item) => ({
-    type: item.type === "labour" ? "labour" : item.type === "part" ? "part" : "service",
-    name: item.description,
-    description: item.description,
-    quantity: item.quantity || 1,
-    unitPrice: item.unitPrice || 0,
-    discount: item.discount || 0,
-    taxRate: jobCard.billing?.taxRate || 18,
-    taxAmount: ((item.total || 0) * (jobCard.billing?.taxRate || 18)) / 100,
-    total: item.total || 0,
-  }));
+  const taxRate = Number.isFinite(Number(jobCard.billing?.taxRate))
+    ? Number(jobCard.billing.taxRate)
+    : 18;
+
+  // Map job items to invoice items; goods carry their HSN, services the garage SAC
+  const items = (jobCard.jobItems || []).map((item) => {
+    const type = ["labour", "part", "consumable"].includes(item.type)
+      ? item.type
+      : "service";
+    const isGoods = type === "part" || type === "consumable";
+
+    return {
+      type,
+      name: item.description,
+      description: item.description,
+      hsnCode: item.hsnCode || (isGoods ? "" : config.garage.serviceSac),
+      quantity: item.quantity || 1,
+      unitPrice: item.unitPrice || 0,
+      discount: item.discount || 0,
+      taxRate,
+      total: item.total || 0,
+    };
+  });
 
   // Customer snapshot
   const customer = jobCard.customer || {};
@@ -385,14 +650,6 @@ invoiceSchema.statics.createFromJobCard = async function (jobCard, options = {})
   // Vehicle snapshot
   const vehicleSnapshot = jobCard.vehicleSnapshot || {};
 
-  // Calculate tax breakdown (assuming 18% GST split into CGST/SGST)
-  const taxRate = jobCard.billing?.taxRate || 18;
-  const taxableAmount = (jobCard.billing?.subtotal || 0) - (jobCard.billing?.discount || 0);
-  const cgstRate = taxRate / 2;
-  const sgstRate = taxRate / 2;
-  const cgstAmount = (taxableAmount * cgstRate) / 100;
-  const sgstAmount = (taxableAmount * sgstRate) / 100;
-
   const invoice = new this({
     jobCard: jobCard._id,
     customer: jobCard.customer._id || jobCard.customer,
@@ -400,19 +657,12 @@ invoiceSchema.statics.createFromJobCard = async function (jobCard, options = {})
     customerSnapshot,
     vehicleSnapshot,
     items,
-    subtotal: jobCard.billing?.subtotal || 0,
+    subtotal: round2(items.reduce((sum, item) => sum + item.total, 0)),
     discount: jobCard.billing?.discount || 0,
     discountReason: jobCard.billing?.discountReason,
     coupon: jobCard.billing?.coupon,
-    taxableAmount,
-    cgstRate,
-    cgstAmount,
-    sgstRate,
-    sgstAmount,
-    totalTax: jobCard.billing?.taxAmount || 0,
-    grandTotal: jobCard.billing?.grandTotal || 0,
     jobNumber: jobCard.jobNumber,
-    terms: terms || require("../config").garage?.invoiceTerms || "",
+    terms: terms || config.garage?.invoiceTerms || "",
     notes,
     generatedBy,
     status: "ISSUED",
@@ -420,6 +670,9 @@ invoiceSchema.statics.createFromJobCard = async function (jobCard, options = {})
     dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
   });
 
+  // Bill what the invoice lines and their tax add up to
+  invoice.calculateGst();
+  invoice.grandTotal = round2(invoice.taxableAmount + invoice.totalTax);
   await invoice.save();
   return invoice;
 };
@@ -3,6 +3,7 @@
  * Detailed work tracking for vehicle service
  */
 const mongoose = require("mongoose");
+const signatureSchema = require("./schemas/signature.schema");
 
 // Estimate item schema for cost breakdown
 const estimateItemSchema = new mongoose.Schema(
@@ -105,6 +106,7 @@ const estimateSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    approvalSignature: signatureSchema,
     rejectedAt: Date,
     rejectedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -132,6 +134,11 @@ const jobItemSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // HSN/SAC code carried onto the invoice line
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
     quantity: {
       type: Number,
       default: 1,
@@ -156,10 +163,85 @@ const jobItemSchema = new mongoose.Schema(
       default: false,
     },
     approvedAt: Date,
+    // Linked spare part for stock tracking (part/consumable items)
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+    },
+    stockStatus: {
+      type: String,
+      enum: ["none", "reserved", "committed", "released"],
+      default: "none",
+    },
+    // Unapproved reservations lapse at this time; cleared once approved
+    reservationExpiresAt: Date,
   },
   { _id: true },
 );
 
+// Check-in inspection: one checklist line and its evidence
+const inspectionItemSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    label: { type: String, required: true },
+    category: String,
+    panel: String,
+    result: {
+      type: String,
+      enum: ["pass", "fail", "attention"],
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    photos: [
+      {
+        url: String,
+        fileId: String,
+        // Panel the photo shows; defaults to the item's panel
+        panel: String,
+        caption: String,
+      },
+    ],
+  },
+  { _id: false },
+);
+
+const checkInInspectionSchema = new mongoose.Schema(
+  {
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InspectionTemplate",
+    },
+    templateName: String,
+    panelLayout: {
+      type: String,
+      enum: ["four-wheeler", "two-wheeler"],
+    },
+    items: [inspectionItemSchema],
+    // Belongings left in the vehicle at intake
+    accessories: [{ type: String, trim: true }],
+    inspectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    inspectedAt: Date,
+    // Customer acknowledgement at intake; locks the inspection
+    signOff: {
+      name: String,
+      signedAt: Date,
+      method: { type: String, enum: ["app", "counter"] },
+      customer: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      ipAddress: String,
+      // Drawn at the counter on a staff device
+      signature: signatureSchema,
+    },
+  },
+  { _id: false },
+);
+
 const jobCardSchema = new mongoose.Schema(
   {
     jobNumber: {
@@ -196,6 +278,7 @@ const jobCardSchema = new mongoose.Schema(
       enum: ["empty", "quarter", "half", "three-quarter", "full"],
     },
     customerComplaints: [String],
+    checkInInspection: checkInInspectionSchema,
     diagnostics: {
       findings: [String],
       recommendations: [String],
@@ -246,9 +329,12 @@ const jobCardSchema = new mongoose.Schema(
     statusHistory: [
       {
         status: String,
+        fromStatus: String,
         changedAt: { type: Date, default: Date.now },
         changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         notes: String,
+        // Rejected attempts are kept for audit; status was not changed
+        rejected: { type: Boolean, default: false },
       },
     ],
     estimatedCompletion: Date,
@@ -258,6 +344,8 @@ const jobCardSchema = new mongoose.Schema(
       default: Date.now,
     },
     deliveredAt: Date,
+    // Customer's signature on taking the vehicle back
+    deliverySignature: signatureSchema,
     billing: {
       subtotal: { type: Number, default: 0 },
       discount: { type: Number, default: 0 },
@@ -335,18 +423,49 @@ const jobCardSchema = new mongoose.Schema(
   },
 );
 
-const STATUS_FLOW = [
-  "created",
-  "inspection",
-  "awaiting-approval",
-  "approved",
-  "in-progress",
-  "quality-check",
-  "ready",
-  "delivered",
-];
 const TERMINAL_STATUSES = ["delivered", "cancelled"];
 
+/**
+ * Allowed status transitions (from -> [to])
+ */
+const STATUS_TRANSITIONS = {
+  created: ["inspection", "awaiting-approval", "cancelled"],
+  inspection: ["awaiting-approval", "approved", "cancelled"],
+  "awaiting-approval": ["approved", "inspection", "cancelled"],
+  approved: ["in-progress", "cancelled"],
+  // A revised estimate can be approved while work carries on
+  "in-progress": [
+    "awaiting-approval",
+    "approved",
+    "quality-check",
+    "cancelled",
+  ],
+  "quality-check": ["in-progress", "ready", "cancelled"],
+  ready: ["delivered", "quality-check"],
+  delivered: [],
+  cancelled: [],
+};
+
+/**
+ * Transitions each role may perform. Admins may perform any allowed transition.
+ * Mechanics keep to the workshop statuses their endpoint has always accepted
+ * (inspection, in-progress, quality-check, ready): delivery needs the
+ * customer's handover and cancelling a job stays with admins.
+ */
+const ROLE_TRANSITIONS = {
+  mechanic: {
+    created: ["inspection"],
+    approved: ["in-progress"],
+    "in-progress": ["quality-check"],
+    "quality-check": ["in-progress", "ready"],
+  },
+  user: {
+    inspection: ["approved"],
+    "awaiting-approval": ["approved"],
+    "in-progress": ["approved"],
+  },
+};
+
 // Indexes (jobNumber index created by unique: true)
 jobCardSchema.index({ customer: 1, status: 1 });
 jobCardSchema.index({ vehicle: 1 });
@@ -354,6 +473,10 @@ jobCardSchema.index({ status: 1 });
 jobCardSchema.index({ createdAt: -1 });
 jobCardSchema.index({ "statusHistory.changedAt": -1 });
 jobCardSchema.index({ assignedMechanicUserIds: 1, status: 1 });
+jobCardSchema.index({
+  "jobItems.stockStatus": 1,
+  "jobItems.reservationExpiresAt": 1,
+});
 
 /**
  * Generate job number before saving
@@ -410,6 +533,8 @@ jobCardSchema.methods.calculateBilling = function () {
 
 /**
  * Add status to history
+ *
+ * options: { role, session } – session saves within the caller's transaction
  */
 jobCardSchema.methods.updateStatus = async function (
   newStatus,
@@ -417,7 +542,6 @@ jobCardSchema.methods.updateStatus = async function (
   notes = "",
   options = {},
 ) {
-  const allowSkip = Boolean(options?.allowSkip);
   const currentStatus = this.status;
 
   if (TERMINAL_STATUSES.includes(currentStatus)) {
@@ -428,21 +552,10 @@ jobCardSchema.methods.updateStatus = async function (
     return;
   }
 
-  if (!STATUS_FLOW.includes(newStatus) && newStatus !== "cancelled") {
-    throw new Error("Invalid status update");
-  }
-
-  if (newStatus !== "cancelled") {
-    const currentIndex = STATUS_FLOW.indexOf(currentStatus);
-    const nextIndex = STATUS_FLOW.indexOf(newStatus);
-
-    if (nextIndex < currentIndex) {
-      throw new Error("Job status cannot regress");
-    }
-
-    if (!allowSkip && nextIndex > currentIndex + 1) {
-      throw new Error("Job status cannot skip stages");
-    }
+  if (!this.canTransitionTo(newStatus, options?.role)) {
+    throw new Error(
+      `Cannot change status from ${currentStatus} to ${newStatus}`,
+    );
   }
 
   this.status = newStatus;
@@ -458,11 +571,32 @@ jobCardSchema.methods.updateStatus = async function (
 
   this.statusHistory.push({
     status: newStatus,
+    fromStatus: currentStatus,
     changedAt: new Date(),
     changedBy: userId,
     notes,
   });
-  await this.save();
+  await this.save({ session: options?.session });
+};
+
+/**
+ * Get statuses reachable from the current status, optionally limited by role
+ */
+jobCardSchema.methods.getAllowedNextStatuses = function (role) {
+  const next = STATUS_TRANSITIONS[this.status] || [];
+  if (!role || ["admin", "superadmin", "system"].includes(role)) {
+    return [...next];
+  }
+
+  const allowedForRole = ROLE_TRANSITIONS[role]?.[this.status] || [];
+  return next.filter((status) => allowedForRole.includes(status));
+};
+
+/**
+ * Check whether a transition is allowed by the table (and role, if given)
+ */
+jobCardSchema.methods.canTransitionTo = function (newStatus, role) {
+  return this.getAllowedNextStatuses(role).includes(newStatus);
 };
 
 /**
@@ -485,6 +619,10 @@ jobCardSchema.virtual("approvedTotal").get(function () {
 
 jobCardSchema.set("toJSON", { virtuals: true });
 
+jobCardSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+jobCardSchema.statics.ROLE_TRANSITIONS = ROLE_TRANSITIONS;
+jobCardSchema.statics.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
 const JobCard = mongoose.model("JobCard", jobCardSchema);
 
 module.exports = JobCard;
@@ -0,0 +1,166 @@
+/**
+ * Logistics Task Model
+ * Vehicle pickup (customer → workshop) and drop (workshop → customer)
+ * runs, with driver assignment, status steps and OTP-confirmed handover
+ */
+const mongoose = require("mongoose");
+
+// Status steps per task type, in order
+const STEPS = {
+  pickup: ["pending", "assigned", "en-route", "picked-up", "at-workshop"],
+  drop: ["pending", "assigned", "out-for-delivery", "dropped"],
+};
+
+// Steps where the vehicle changes hands: need the customer's OTP and photos
+const HANDOVER_STATUSES = ["picked-up", "dropped"];
+
+const TERMINAL_STATUSES = ["at-workshop", "dropped", "cancelled"];
+
+const handoverPhotoSchema = new mongoose.Schema(
+  {
+    url: String,
+    fileId: String,
+    stage: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const logisticsTaskSchema = new mongoose.Schema(
+  {
+    taskNumber: {
+      type: String,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(STEPS),
+      required: [true, "Task type is required"],
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    jobCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JobCard",
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Customer is required"],
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      pincode: String,
+      landmark: String,
+    },
+    contactMobile: String,
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    scheduledWindow: {
+      start: Date,
+      end: Date,
+    },
+    status: {
+      type: String,
+      enum: [...new Set([...STEPS.pickup, ...STEPS.drop, "cancelled"])],
+      default: "pending",
+    },
+    statusHistory: [
+      {
+        status: String,
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        notes: String,
+        location: {
+          lat: Number,
+          lng: Number,
+        },
+      },
+    ],
+    // Driver's last reported position
+    lastLocation: {
+      lat: Number,
+      lng: Number,
+      updatedAt: Date,
+    },
+    handover: {
+      otpHash: { type: String, select: false },
+      otpSentAt: Date,
+      otpAttempts: { type: Number, default: 0 },
+      confirmedAt: Date,
+    },
+    photos: [handoverPhotoSchema],
+    cancellationReason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes (taskNumber index created by unique: true)
+logisticsTaskSchema.index({ appointment: 1, type: 1 });
+logisticsTaskSchema.index({ jobCard: 1, type: 1 });
+logisticsTaskSchema.index({ driver: 1, status: 1 });
+logisticsTaskSchema.index({ status: 1, "scheduledWindow.start": 1 });
+
+/**
+ * Generate task number before saving
+ */
+logisticsTaskSchema.pre("save", async function (next) {
+  if (!this.taskNumber) {
+    const date = new Date();
+    const dateStr = `${date.getFullYear()}${String(
+      date.getMonth() + 1
+    ).padStart(2, "0")}${String(date.getDate()).padStart(2, "0")}`;
+    const count = await mongoose.model("LogisticsTask").countDocuments({
+      createdAt: {
+        $gte: new Date(date.setHours(0, 0, 0, 0)),
+        $lt: new Date(date.setHours(23, 59, 59, 999)),
+      },
+    });
+    const prefix = this.type === "drop" ? "DRP" : "PKP";
+    this.taskNumber = `${prefix}${dateStr}${String(count + 1).padStart(
+      4,
+      "0"
+    )}`;
+  }
+  next();
+});
+
+/**
+ * Next status step for the task, or null when there is none
+ */
+logisticsTaskSchema.methods.getNextStatus = function () {
+  const steps = STEPS[this.type];
+  const index = steps.indexOf(this.status);
+  return index === -1 ? null : steps[index + 1] || null;
+};
+
+logisticsTaskSchema.statics.STEPS = STEPS;
+logisticsTaskSchema.statics.HANDOVER_STATUSES = HANDOVER_STATUSES;
+logisticsTaskSchema.statics.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+const LogisticsTask = mongoose.model("LogisticsTask", logisticsTaskSchema);
+
+module.exports = LogisticsTask;
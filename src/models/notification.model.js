@@ -24,6 +24,8 @@ const notificationSchema = new mongoose.Schema(
         "ESTIMATE_APPROVAL",
         "VEHICLE_READY",
         "APPOINTMENT_REMINDER",
+        "WAITLIST_OFFER",
+        "PROMOTION",
         "GENERAL",
       ],
       required: true,
@@ -32,7 +34,7 @@ const notificationSchema = new mongoose.Schema(
     // Channel used for delivery
     channel: {
       type: String,
-      enum: ["PUSH", "SMS", "BOTH"],
+      enum: ["PUSH", "SMS", "BOTH", "WHATSAPP"],
       required: true,
     },
 
@@ -65,12 +67,48 @@ const notificationSchema = new mongoose.Schema(
       deliveredAt: Date,
       error: String,
       messageId: String,
+      // Fan-out across the customer's devices
+      deviceCount: Number,
+      successCount: Number,
     },
     smsStatus: {
       sent: { type: Boolean, default: false },
       sentAt: Date,
       error: String,
       provider: String,
+      // Provider request id, matched against delivery reports
+      messageId: String,
+      // Text actually sent, kept for a retry on the fallback provider
+      message: String,
+      status: {
+        type: String,
+        enum: ["sent", "delivered", "failed"],
+      },
+      deliveredAt: Date,
+      failedAt: Date,
+      failureReason: String,
+      // One retry on the other configured provider after a failure
+      retry: {
+        provider: String,
+        messageId: String,
+        sentAt: Date,
+        status: {
+          type: String,
+          enum: ["sent", "failed"],
+        },
+        error: String,
+      },
+    },
+    whatsappStatus: {
+      sent: { type: Boolean, default: false },
+      sentAt: Date,
+      error: String,
+      provider: String,
+      messageId: String,
+      // Approved template the message was sent with
+      templateName: String,
+      // Private ImageKit file attached as a document header
+      mediaFileId: String,
     },
 
     // Read status
@@ -79,10 +117,23 @@ const notificationSchema = new mongoose.Schema(
       default: false,
     },
     readAt: Date,
+    // Deep link opened from the notification
+    clickedAt: Date,
 
     // Reference to related entity
     relatedEntity: {
-      type: { type: String, enum: ["appointment", "jobcard", "payment", "invoice", "vehicle"] },
+      type: {
+        type: String,
+        enum: [
+          "appointment",
+          "jobcard",
+          "payment",
+          "invoice",
+          "vehicle",
+          "waitlist",
+          "campaign",
+        ],
+      },
       id: mongoose.Schema.Types.ObjectId,
     },
 
@@ -99,6 +150,8 @@ notificationSchema.index({ customer: 1, createdAt: -1 });
 notificationSchema.index({ customer: 1, isRead: 1 });
 notificationSchema.index({ customer: 1, type: 1 });
 notificationSchema.index({ createdAt: -1 });
+notificationSchema.index({ "smsStatus.messageId": 1 }, { sparse: true });
+notificationSchema.index({ "relatedEntity.type": 1, "relatedEntity.id": 1 });
 
 /**
  * Get customer notifications with pagination
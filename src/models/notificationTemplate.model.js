@@ -0,0 +1,100 @@
+/**
+ * Notification Template Model
+ * Admin-editable message text per notification type, channel and language
+ */
+const mongoose = require("mongoose");
+
+// English, Hindi and the regional languages customers can pick
+const LANGUAGES = ["en", "hi", "ta", "te", "kn", "ml", "mr", "bn", "gu"];
+const DEFAULT_LANGUAGE = "en";
+
+const CHANNELS = ["PUSH", "SMS", "IN_APP", "WHATSAPP"];
+
+// Customer-facing notification types whose text can be templated
+const TYPES = [
+  "BOOKING_CONFIRMATION",
+  "STATUS_UPDATE",
+  "PAYMENT_ALERT",
+  "SERVICE_REMINDER",
+  "ESTIMATE_APPROVAL",
+  "VEHICLE_READY",
+  "APPOINTMENT_REMINDER",
+  "WAITLIST_OFFER",
+];
+
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: TYPES,
+      required: [true, "Notification type is required"],
+    },
+    // Narrows a type to one case, e.g. the job status for STATUS_UPDATE.
+    // Empty applies to every case without a more specific template.
+    event: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    channel: {
+      type: String,
+      enum: CHANNELS,
+      required: [true, "Channel is required"],
+    },
+    language: {
+      type: String,
+      enum: LANGUAGES,
+      default: DEFAULT_LANGUAGE,
+    },
+    // Not used for SMS or WhatsApp
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    body: {
+      type: String,
+      required: [true, "Template body is required"],
+      trim: true,
+      maxlength: [500, "Body cannot exceed 500 characters"],
+    },
+    // WhatsApp only: name of the approved MSG91 template. Its variables
+    // are filled from the placeholders in `body`, in order.
+    providerTemplate: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationTemplateSchema.index(
+  { type: 1, event: 1, channel: 1, language: 1 },
+  { unique: true }
+);
+
+notificationTemplateSchema.statics.LANGUAGES = LANGUAGES;
+notificationTemplateSchema.statics.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+notificationTemplateSchema.statics.CHANNELS = CHANNELS;
+notificationTemplateSchema.statics.TYPES = TYPES;
+
+const NotificationTemplate = mongoose.model(
+  "NotificationTemplate",
+  notificationTemplateSchema
+);
+
+module.exports = NotificationTemplate;
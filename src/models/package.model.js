@@ -106,6 +106,12 @@ const packageSchema = new mongoose.Schema(
       type: Number,
       default: -1, // -1 means unlimited
     },
+    // Days a subscription can be paused per term (0 disables pausing)
+    maxPauseDays: {
+      type: Number,
+      default: 30,
+      min: [0, "Max pause days cannot be negative"],
+    },
     currentSubscriptions: {
       type: Number,
       default: 0,
@@ -79,7 +79,7 @@ const paymentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "completed", "failed", "refunded"],
+      enum: ["pending", "completed", "failed", "refunded", "expired"],
       default: "pending",
     },
     transactionId: String,
@@ -107,6 +107,8 @@ const paymentSchema = new mongoose.Schema(
       refundedAt: Date,
       reason: String,
       refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      gatewayRefundId: String,
+      gatewayStatus: String,
     },
   },
   {
@@ -130,6 +132,19 @@ paymentSchema.index({ status: 1 });
 paymentSchema.index({ paymentStatus: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ transactionId: 1 });
+// A gateway payment id is recorded at most once (verify call and webhook
+// race); refunds and manual references carry no gateway and are left out
+paymentSchema.index(
+  { transactionId: 1, "transactionDetails.gateway": 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      transactionId: { $type: "string" },
+      "transactionDetails.gateway": "razorpay",
+    },
+  }
+);
+paymentSchema.index({ "transactionDetails.orderId": 1 });
 paymentSchema.index({ invoiceId: 1 });
 
 /**
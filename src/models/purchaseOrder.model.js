@@ -0,0 +1,313 @@
+/**
+ * Purchase Order Model
+ * Restocking orders raised against suppliers
+ */
+const mongoose = require("mongoose");
+
+const purchaseOrderItemSchema = new mongoose.Schema(
+  {
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Inventory item is required"],
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    sku: String,
+    quantityOrdered: {
+      type: Number,
+      required: [true, "Quantity is required"],
+      min: [1, "Quantity must be at least 1"],
+    },
+    quantityReceived: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    unitCost: {
+      type: Number,
+      required: [true, "Unit cost is required"],
+      min: [0, "Unit cost cannot be negative"],
+    },
+    taxRate: {
+      type: Number,
+      default: 18,
+      min: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: true }
+);
+
+const goodsReceiptSchema = new mongoose.Schema(
+  {
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    supplierInvoiceNumber: String,
+    supplierInvoiceDate: Date,
+    notes: String,
+    lines: [
+      {
+        item: mongoose.Schema.Types.ObjectId, // purchaseOrderItem _id
+        inventory: { type: mongoose.Schema.Types.ObjectId, ref: "Inventory" },
+        quantity: Number,
+        unitCost: Number,
+        transaction: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "InventoryTransaction",
+        },
+      },
+    ],
+  },
+  { _id: true }
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      unique: true,
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    supplierSnapshot: {
+      name: String,
+      mobile: String,
+      email: String,
+      gstin: String,
+    },
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.length > 0,
+        message: "At least one item is required",
+      },
+    },
+    status: {
+      type: String,
+      enum: [
+        "DRAFT",
+        "SENT",
+        "PARTIALLY_RECEIVED",
+        "RECEIVED",
+        "CLOSED",
+        "CANCELLED",
+      ],
+      default: "DRAFT",
+    },
+    subtotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    grandTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expectedDeliveryDate: Date,
+    notes: {
+      type: String,
+      trim: true,
+    },
+    receipts: [goodsReceiptSchema],
+    statusHistory: [
+      {
+        status: String,
+        changedAt: { type: Date, default: Date.now },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        notes: String,
+      },
+    ],
+    sentAt: Date,
+    receivedAt: Date,
+    closedAt: Date,
+    cancelledAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Allowed status transitions (from -> [to]); receipts drive the received states
+const STATUS_TRANSITIONS = {
+  DRAFT: ["SENT", "CANCELLED"],
+  SENT: ["PARTIALLY_RECEIVED", "RECEIVED", "CANCELLED"],
+  PARTIALLY_RECEIVED: ["PARTIALLY_RECEIVED", "RECEIVED", "CLOSED"],
+  RECEIVED: ["CLOSED"],
+  CLOSED: [],
+  CANCELLED: [],
+};
+
+// Orders whose outstanding quantities are still expected to arrive
+const OPEN_STATUSES = ["DRAFT", "SENT", "PARTIALLY_RECEIVED"];
+
+// Indexes (poNumber index created by unique: true)
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ "items.inventory": 1 });
+
+/**
+ * Generate PO number before saving
+ */
+purchaseOrderSchema.pre("save", async function (next) {
+  if (this.isNew && !this.poNumber) {
+    const date = new Date();
+    const year = date.getFullYear().toString().slice(-2);
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+
+    const count = await this.constructor.countDocuments({
+      createdAt: {
+        $gte: new Date(date.getFullYear(), date.getMonth(), 1),
+        $lt: new Date(date.getFullYear(), date.getMonth() + 1, 1),
+      },
+    });
+
+    this.poNumber = `PO${year}${month}${(count + 1)
+      .toString()
+      .padStart(4, "0")}`;
+  }
+  next();
+});
+
+/**
+ * Calculate line and order totals
+ */
+purchaseOrderSchema.methods.calculateTotals = function () {
+  const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+
+  let subtotal = 0;
+  let taxAmount = 0;
+  this.items.forEach((item) => {
+    const lineTotal = Number(item.quantityOrdered || 0) * Number(item.unitCost || 0);
+    item.total = round2(lineTotal);
+    subtotal += lineTotal;
+    taxAmount += (lineTotal * Number(item.taxRate || 0)) / 100;
+  });
+
+  this.subtotal = round2(subtotal);
+  this.taxAmount = round2(taxAmount);
+  this.grandTotal = round2(subtotal + taxAmount);
+
+  return this;
+};
+
+/**
+ * Change status with history
+ */
+purchaseOrderSchema.methods.changeStatus = function (
+  newStatus,
+  userId,
+  notes = ""
+) {
+  const allowed = STATUS_TRANSITIONS[this.status] || [];
+  if (!allowed.includes(newStatus)) {
+    throw new Error(
+      `Cannot change purchase order status from ${this.status} to ${newStatus}`
+    );
+  }
+
+  this.status = newStatus;
+  const now = new Date();
+  if (newStatus === "SENT") this.sentAt = now;
+  if (newStatus === "RECEIVED") this.receivedAt = now;
+  if (newStatus === "CLOSED") this.closedAt = now;
+  if (newStatus === "CANCELLED") this.cancelledAt = now;
+
+  this.statusHistory.push({
+    status: newStatus,
+    changedAt: now,
+    changedBy: userId,
+    notes,
+  });
+
+  return this;
+};
+
+/**
+ * Check whether every line has been fully received
+ */
+purchaseOrderSchema.virtual("isFullyReceived").get(function () {
+  const items = Array.isArray(this.items) ? this.items : [];
+  return (
+    items.length > 0 &&
+    items.every((item) => item.quantityReceived >= item.quantityOrdered)
+  );
+});
+
+/**
+ * Static: Quantities ordered but not yet received on open orders
+ * @returns {Promise<Map>} inventory id → outstanding quantity
+ */
+purchaseOrderSchema.statics.getOnOrderQuantities = async function (
+  inventoryIds
+) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        status: { $in: OPEN_STATUSES },
+        "items.inventory": { $in: inventoryIds },
+      },
+    },
+    { $unwind: "$items" },
+    { $match: { "items.inventory": { $in: inventoryIds } } },
+    {
+      $group: {
+        _id: "$items.inventory",
+        onOrder: {
+          $sum: {
+            $max: [
+              0,
+              {
+                $subtract: [
+                  "$items.quantityOrdered",
+                  { $ifNull: ["$items.quantityReceived", 0] },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.onOrder]));
+};
+
+purchaseOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+purchaseOrderSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,30 @@
+/**
+ * Push Ticket Model
+ * Expo push tickets waiting for their delivery receipt
+ */
+const mongoose = require("mongoose");
+
+const pushTicketSchema = new mongoose.Schema(
+  {
+    ticketId: {
+      type: String,
+      required: [true, "Ticket ID is required"],
+      unique: true,
+    },
+    token: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Expo keeps receipts for a day; unchecked tickets are useless after that
+pushTicketSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("PushTicket", pushTicketSchema);
@@ -0,0 +1,84 @@
+/**
+ * Reconciliation Report Model
+ * Outcome of a payment reconciliation run against the Razorpay gateway
+ */
+const mongoose = require("mongoose");
+
+const reconciliationItemSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ["payment", "invoice", "subscription"],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Payment, invoice or subscription number
+    reference: String,
+    orderId: String,
+    gatewayPaymentId: String,
+    localStatus: String,
+    gatewayStatus: String,
+    // What the run did: completed, failed, expired, none or error
+    action: {
+      type: String,
+      enum: ["completed", "failed", "expired", "none", "error"],
+      required: true,
+    },
+    // Our record disagreed with the gateway
+    mismatch: {
+      type: Boolean,
+      default: false,
+    },
+    amount: Number,
+    note: String,
+  },
+  { _id: false }
+);
+
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["cron", "manual"],
+      default: "cron",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: Date,
+    summary: {
+      checked: { type: Number, default: 0 },
+      completed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      expired: { type: Number, default: 0 },
+      mismatches: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    items: [reconciliationItemSchema],
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+reconciliationReportSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model(
+  "ReconciliationReport",
+  reconciliationReportSchema
+);
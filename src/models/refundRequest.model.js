@@ -47,6 +47,12 @@ const refundRequestSchema = new mongoose.Schema(
     },
     requestedAt: { type: Date, default: Date.now },
     processedAt: Date,
+    // Refund initiated on the payment gateway, confirmed by webhook
+    gatewayRefund: {
+      refundId: { type: String, index: true },
+      status: String,
+      processedAt: Date,
+    },
     logs: [
       {
         action: String,
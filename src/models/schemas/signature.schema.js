@@ -0,0 +1,46 @@
+/**
+ * Signature Schema
+ * A customer's drawn signature with who signed, when and from where.
+ * Embedded wherever the customer has to put their name to something.
+ */
+const mongoose = require("mongoose");
+
+const signatureSchema = new mongoose.Schema(
+  {
+    // Private ImageKit file; only ever served through a signed URL
+    filePath: String,
+    fileId: String,
+    // Public URL of signatures captured before they were stored privately
+    url: String,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    signedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Signed by the customer in the app, or on a staff device at the counter
+    method: {
+      type: String,
+      enum: ["app", "counter"],
+      required: true,
+    },
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    ipAddress: String,
+    userAgent: String,
+    device: {
+      platform: String,
+      model: String,
+      osVersion: String,
+      appVersion: String,
+    },
+  },
+  { _id: false }
+);
+
+module.exports = signatureSchema;
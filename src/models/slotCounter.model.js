@@ -0,0 +1,70 @@
+/**
+ * Slot Counter Model
+ * Bookings and short-lived holds per time slot per date; capacity is
+ * enforced with conditional updates on this document
+ */
+const mongoose = require("mongoose");
+
+// Spot reserved while a customer completes the booking form
+const slotHoldSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Checkout holds are one per customer; waitlist offers sit beside them
+    kind: {
+      type: String,
+      enum: ["checkout", "waitlist"],
+      default: "checkout",
+    },
+  },
+  { _id: true }
+);
+
+const slotCounterSchema = new mongoose.Schema(
+  {
+    // Local calendar date, YYYY-MM-DD
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Invalid date key (YYYY-MM-DD)"],
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: [/^([01]\d|2[0-3]):([0-5]\d)$/, "Invalid time format (HH:MM)"],
+    },
+    // Appointments holding this slot (not cancelled / no-show)
+    booked: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    holds: [slotHoldSchema],
+    // Bays reserved during this slot (by bookings starting here or earlier)
+    bays: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Bay",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+slotCounterSchema.index({ date: 1, startTime: 1 }, { unique: true });
+slotCounterSchema.index({ "holds._id": 1 });
+slotCounterSchema.index({ "holds.customer": 1 });
+
+const SlotCounter = mongoose.model("SlotCounter", slotCounterSchema);
+
+module.exports = SlotCounter;
@@ -0,0 +1,75 @@
+/**
+ * Slot Override Model
+ * Date-specific changes to the weekly TimeSlot schedule (holidays, extra
+ * slots, reduced capacity)
+ */
+const mongoose = require("mongoose");
+
+const TIME_FORMAT = [
+  /^([01]\d|2[0-3]):([0-5]\d)$/,
+  "Invalid time format (HH:MM)",
+];
+
+// Replaces the weekly slot with the same start time, or adds one
+const overrideSlotSchema = new mongoose.Schema(
+  {
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_FORMAT,
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_FORMAT,
+    },
+    maxBookings: {
+      type: Number,
+      min: 1,
+    },
+    // false removes the weekly slot on this date
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const slotOverrideSchema = new mongoose.Schema(
+  {
+    // Local calendar date, YYYY-MM-DD
+    date: {
+      type: String,
+      required: true,
+      unique: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Invalid date (YYYY-MM-DD)"],
+    },
+    isClosed: {
+      type: Boolean,
+      default: false,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Reason cannot exceed 200 characters"],
+    },
+    // Caps every slot on this date
+    maxBookingsPerSlot: {
+      type: Number,
+      min: 1,
+    },
+    slots: [overrideSlotSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SlotOverride = mongoose.model("SlotOverride", slotOverrideSchema);
+
+module.exports = SlotOverride;
@@ -29,12 +29,14 @@ const subscriptionSchema = new mongoose.Schema(
     packageSnapshot: {
       name: String,
       code: String,
-      type: String,
+      // Wrapped so mongoose doesn't read the key as this path's type
+      type: { type: String },
       price: Number,
       duration: {
         value: Number,
         unit: String,
       },
+      maxPauseDays: Number,
       services: [
         {
           serviceId: mongoose.Schema.Types.ObjectId,
@@ -82,8 +84,15 @@ const subscriptionSchema = new mongoose.Schema(
     payment: {
       amount: Number,
       paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+      orderId: String, // Razorpay order
+      transactionId: String, // Razorpay payment
       paidAt: Date,
       method: String,
+      credit: Number, // Plan-change credit deducted from the amount
+    },
+    // Open Razorpay checkout for the pending subscription
+    checkout: {
+      expiresAt: Date,
     },
     renewalHistory: [
       {
@@ -91,16 +100,78 @@ const subscriptionSchema = new mongoose.Schema(
         previousEndDate: Date,
         newEndDate: Date,
         paymentId: mongoose.Schema.Types.ObjectId,
+        type: {
+          type: String,
+          enum: ["extension", "auto_renewal"],
+          default: "extension",
+        },
+        amount: Number,
+        orderId: String,
+        transactionId: String,
+        reason: String,
+        extendedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
       },
     ],
+    // Opt-in renewal at endDate
+    autoRenew: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Saved Razorpay recurring token, charged without the customer present
+      mandate: {
+        customerId: String,
+        tokenId: String,
+        method: String,
+        orderId: String, // Authorization order
+        status: {
+          type: String,
+          enum: ["pending", "active", "revoked"],
+        },
+        authorizedAt: Date,
+        authRefundId: String, // Refund of the authorization charge
+      },
+    },
+    // Renewal in progress for the period ending at endDate
+    renewal: {
+      orderIds: [String], // Latest last
+      amount: Number,
+      attempts: Number,
+      lastAttemptAt: Date,
+      nextRetryAt: Date,
+      graceEndsAt: Date,
+      lastError: String,
+      // Captures refunded for not matching the renewal amount
+      refundedPaymentIds: [String],
+    },
     pauseHistory: [
       {
         pausedAt: Date,
+        resumeAt: Date, // Scheduled automatic resume
         resumedAt: Date,
         reason: String,
         pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        resumedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
       },
     ],
+    // Plan change links (upgrade/downgrade)
+    changedFrom: {
+      subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+      },
+      type: { type: String, enum: ["upgrade", "downgrade"] },
+      credit: Number,
+      changedAt: Date,
+    },
+    changedTo: {
+      subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+      },
+      type: { type: String, enum: ["upgrade", "downgrade"] },
+      changedAt: Date,
+    },
     cancellation: {
       cancelledAt: Date,
       reason: String,
@@ -131,6 +202,11 @@ subscriptionSchema.index({ vehicle: 1 });
 subscriptionSchema.index({ package: 1 });
 subscriptionSchema.index({ status: 1 });
 subscriptionSchema.index({ endDate: 1 });
+subscriptionSchema.index({ "payment.orderId": 1 });
+subscriptionSchema.index({ "renewal.orderIds": 1 });
+subscriptionSchema.index({ "autoRenew.enabled": 1, status: 1, endDate: 1 });
+subscriptionSchema.index({ status: 1, "pauseHistory.resumeAt": 1 });
+subscriptionSchema.index({ "changedFrom.subscription": 1 });
 
 /**
  * Generate subscription number before saving
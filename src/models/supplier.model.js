@@ -0,0 +1,93 @@
+/**
+ * Supplier Model
+ * Vendors that spare parts and consumables are purchased from
+ */
+const mongoose = require("mongoose");
+
+const supplierSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+      maxlength: [200, "Name cannot exceed 200 characters"],
+    },
+    code: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      uppercase: true,
+    },
+    contactPerson: {
+      type: String,
+      trim: true,
+    },
+    mobile: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      pincode: String,
+    },
+    leadTime: {
+      type: Number, // days
+      default: 3,
+      min: [0, "Lead time cannot be negative"],
+    },
+    paymentTerms: {
+      type: String,
+      trim: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes
+supplierSchema.index({ name: 1 });
+supplierSchema.index({ isActive: 1 });
+
+/**
+ * Generate supplier code before saving
+ */
+supplierSchema.pre("save", async function (next) {
+  if (!this.code) {
+    const count = await mongoose.model("Supplier").countDocuments();
+    this.code = `SUP${String(count + 1).padStart(4, "0")}`;
+  }
+  next();
+});
+
+const Supplier = mongoose.model("Supplier", supplierSchema);
+
+module.exports = Supplier;
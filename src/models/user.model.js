@@ -6,6 +6,28 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const config = require("../config");
+const { LANGUAGES, DEFAULT_LANGUAGE } = require("./notificationTemplate.model");
+const { GSTIN_PATTERN } = require("../utils/gst");
+
+// Oldest devices are dropped once a user signs in on more than this many
+const MAX_DEVICES = 10;
+
+/**
+ * A signed-in app install; push notifications go to every device
+ */
+const deviceSchema = new mongoose.Schema(
+  {
+    token: { type: String, required: true },
+    platform: {
+      type: String,
+      enum: ["android", "ios", "web"],
+    },
+    deviceId: String,
+    appVersion: String,
+    lastSeenAt: { type: Date, default: Date.now },
+  },
+  { timestamps: { createdAt: "registeredAt", updatedAt: false } }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -33,7 +55,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin", "superadmin", "mechanic"],
+      enum: ["user", "admin", "superadmin", "mechanic", "driver"],
       default: "user",
     },
     isActive: {
@@ -59,17 +81,26 @@ const userSchema = new mongoose.Schema(
       pincode: String,
       landmark: String,
     },
+    // Registered business customers get B2B tax invoices
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, "Please enter a valid GSTIN"],
+    },
     refreshToken: {
       type: String,
       select: false,
     },
     lastLoginAt: Date,
+    // Legacy single-device token, still read until the app re-registers
     deviceInfo: {
       deviceId: String,
       deviceType: String,
       fcmToken: String,
       fcmTokenUpdatedAt: Date,
     },
+    devices: [deviceSchema],
     // Notification preferences
     notificationPreferences: {
       pushEnabled: { type: Boolean, default: true },
@@ -80,6 +111,21 @@ const userSchema = new mongoose.Schema(
       statusUpdates: { type: Boolean, default: true },
       paymentAlerts: { type: Boolean, default: true },
       promotions: { type: Boolean, default: false },
+      // WhatsApp is opt-in; the timestamp records the customer's consent
+      whatsappEnabled: { type: Boolean, default: false },
+      whatsappOptedInAt: Date,
+      // Language notification templates are picked in
+      language: {
+        type: String,
+        enum: LANGUAGES,
+        default: DEFAULT_LANGUAGE,
+      },
+    },
+    // Appointment attendance; booking rules follow from noShowCount
+    reliability: {
+      noShowCount: { type: Number, default: 0, min: 0 },
+      lateCancelCount: { type: Number, default: 0, min: 0 },
+      lastNoShowAt: Date,
     },
   },
   {
@@ -98,6 +144,7 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ "devices.token": 1 });
 
 /**
  * Generate JWT Access Token
@@ -135,12 +182,98 @@ userSchema.methods.toPublicProfile = function () {
     role: this.role,
     profileImage: this.profileImage?.url,
     address: this.address,
+    gstin: this.gstin,
     isVerified: this.isVerified,
     isProfileComplete: this.isProfileComplete,
     createdAt: this.createdAt,
   };
 };
 
+/**
+ * Add or refresh a push device. A device that re-registers with a new
+ * token (same deviceId) replaces its old entry.
+ */
+userSchema.methods.registerDevice = function ({
+  token,
+  platform,
+  deviceId,
+  appVersion,
+}) {
+  const existing = this.devices.find(
+    (d) => d.token === token || (deviceId && d.deviceId === deviceId)
+  );
+
+  if (existing) {
+    existing.token = token;
+    if (platform) existing.platform = platform;
+    if (deviceId) existing.deviceId = deviceId;
+    if (appVersion) existing.appVersion = appVersion;
+    existing.lastSeenAt = new Date();
+  } else {
+    this.devices.push({ token, platform, deviceId, appVersion });
+  }
+
+  if (this.devices.length > MAX_DEVICES) {
+    this.devices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    this.devices.splice(MAX_DEVICES);
+  }
+
+  // The legacy token now lives in the registry (or was replaced)
+  if (this.deviceInfo?.fcmToken) {
+    this.deviceInfo.fcmToken = undefined;
+  }
+
+  return this.devices.find((d) => d.token === token);
+};
+
+/**
+ * Push tokens of every registered device (works on lean documents too)
+ */
+userSchema.statics.getPushTokens = function (user) {
+  const tokens = (user?.devices || []).map((d) => d.token);
+  if (user?.deviceInfo?.fcmToken) tokens.push(user.deviceInfo.fcmToken);
+  return [...new Set(tokens.filter(Boolean))];
+};
+
+/**
+ * Push tokens for all users matching a filter, e.g. every active admin
+ */
+userSchema.statics.findPushTokens = async function (filter) {
+  const users = await this.find(filter)
+    .select("devices.token deviceInfo.fcmToken")
+    .lean();
+  return [...new Set(users.flatMap((user) => this.getPushTokens(user)))];
+};
+
+/**
+ * Remove tokens the push service reports as no longer registered
+ */
+userSchema.statics.removePushTokens = async function (tokens) {
+  if (!tokens?.length) return;
+  await this.updateMany(
+    { "devices.token": { $in: tokens } },
+    { $pull: { devices: { token: { $in: tokens } } } }
+  );
+  await this.updateMany(
+    { "deviceInfo.fcmToken": { $in: tokens } },
+    { $unset: { "deviceInfo.fcmToken": 1 } }
+  );
+};
+
+/**
+ * A token belongs to one install; drop it from any other account
+ */
+userSchema.statics.releaseDeviceToken = async function (token, userId) {
+  await this.updateMany(
+    { _id: { $ne: userId }, "devices.token": token },
+    { $pull: { devices: { token } } }
+  );
+  await this.updateMany(
+    { _id: { $ne: userId }, "deviceInfo.fcmToken": token },
+    { $unset: { "deviceInfo.fcmToken": 1 } }
+  );
+};
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
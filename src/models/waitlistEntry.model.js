@@ -0,0 +1,89 @@
+/**
+ * Waitlist Entry Model
+ * A customer waiting for a spot on a fully booked date. Freed spots are
+ * offered in joining order, each offer backed by a slot hold.
+ */
+const mongoose = require("mongoose");
+
+const TIME_FORMAT = [
+  /^([01]\d|2[0-3]):([0-5]\d)$/,
+  "Invalid time format (HH:MM)",
+];
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Customer is required"],
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Vehicle",
+      required: [true, "Vehicle is required"],
+    },
+    services: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+      },
+    ],
+    // Local calendar date, YYYY-MM-DD
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, "Invalid date (YYYY-MM-DD)"],
+    },
+    // A specific slot, or any slot starting within the window
+    startTime: {
+      type: String,
+      match: TIME_FORMAT,
+    },
+    windowStart: {
+      type: String,
+      match: TIME_FORMAT,
+    },
+    windowEnd: {
+      type: String,
+      match: TIME_FORMAT,
+    },
+    customerNotes: {
+      type: String,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: [
+        "waiting", // In line
+        "offered", // Holding a freed spot until offer.expiresAt
+        "claimed", // Booked from the offer
+        "expired", // Offer not claimed in time
+        "cancelled", // Left the waitlist
+      ],
+      default: "waiting",
+    },
+    offer: {
+      startTime: String,
+      endTime: String,
+      holdId: mongoose.Schema.Types.ObjectId,
+      offeredAt: Date,
+      expiresAt: Date,
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+waitlistEntrySchema.index({ date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+waitlistEntrySchema.index({ customer: 1, status: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+module.exports = WaitlistEntry;
@@ -0,0 +1,53 @@
+/**
+ * Webhook Event Model
+ * Processed provider webhook events, used to make deliveries idempotent
+ */
+const mongoose = require("mongoose");
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["razorpay"],
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: [true, "Event ID is required"],
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    // Gateway ids the event refers to
+    orderId: String,
+    entityId: String,
+    // What the event changed, e.g. "invoice_payment_recorded"
+    result: String,
+    error: String,
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ orderId: 1 });
+// Event ids only need to outlive provider retries; keep 90 days
+webhookEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -20,10 +20,16 @@ const {
   couponController,
   insuranceJobController,
   invoiceController,
+  creditNoteController,
   promotionController,
   partnerController,
   bannerController,
   testimonialController,
+  logisticsController,
+  inspectionController,
+  notificationTemplateController,
+  notificationController,
+  campaignController,
 } = require("../controllers");
 const {
   authenticate,
@@ -33,6 +39,10 @@ const {
 } = require("../middlewares");
 const {
   updateAppointmentValidation,
+  slotOverrideValidation,
+  slotOverrideDateValidation,
+  listSlotOverridesValidation,
+  bayValidation,
   updateUserRoleValidation,
   createJobCardValidation,
   updateJobCardValidation,
@@ -70,6 +80,7 @@ const {
   activateSubscriptionValidation,
   cancelSubscriptionValidation,
   extendSubscriptionValidation,
+  pauseSubscriptionValidation,
   createPromotionValidation,
   updatePromotionValidation,
   listPromotionValidation,
@@ -83,6 +94,25 @@ const {
   createTestimonialValidation,
   updateTestimonialValidation,
   listTestimonialValidation,
+  gstReportValidation,
+  createCreditNoteValidation,
+  createLogisticsTaskValidation,
+  assignLogisticsTaskValidation,
+  cancelLogisticsTaskValidation,
+  listLogisticsTasksValidation,
+  inspectionTemplateValidation,
+  updateInspectionValidation,
+  inspectionPhotoValidation,
+  inspectionSignOffValidation,
+  signatureValidation,
+  notificationTemplateValidation,
+  previewNotificationTemplateValidation,
+  listNotificationTemplateValidation,
+  smsDeliveryReportValidation,
+  campaignValidation,
+  audiencePreviewValidation,
+  scheduleCampaignValidation,
+  listCampaignValidation,
 } = require("../validators");
 
 // Image upload config
@@ -224,12 +254,198 @@ router.put(
 // Time Slots
 router.get("/timeslots", adminController.getTimeSlots);
 router.post("/timeslots", adminController.upsertTimeSlot);
+router.get(
+  "/timeslots/overrides",
+  listSlotOverridesValidation,
+  validate,
+  adminController.getSlotOverrides,
+);
+router.put(
+  "/timeslots/overrides/:date",
+  slotOverrideValidation,
+  validate,
+  adminController.upsertSlotOverride,
+);
+router.delete(
+  "/timeslots/overrides/:date",
+  slotOverrideDateValidation,
+  validate,
+  adminController.deleteSlotOverride,
+);
 router.delete(
   "/timeslots/:id",
   validateObjectId("id"),
   adminController.deleteTimeSlot,
 );
 
+// Workshop Bays
+router.get("/bays", adminController.getBays);
+router.post("/bays", bayValidation, validate, adminController.createBay);
+router.put(
+  "/bays/:id",
+  validateObjectId("id"),
+  bayValidation,
+  validate,
+  adminController.updateBay,
+);
+router.delete(
+  "/bays/:id",
+  validateObjectId("id"),
+  adminController.deleteBay,
+);
+
+// Inspection checklists
+router.get("/inspection-templates", inspectionController.getTemplates);
+router.post(
+  "/inspection-templates",
+  inspectionTemplateValidation,
+  validate,
+  inspectionController.createTemplate,
+);
+router.put(
+  "/inspection-templates/:id",
+  validateObjectId("id"),
+  inspectionTemplateValidation,
+  validate,
+  inspectionController.updateTemplate,
+);
+router.delete(
+  "/inspection-templates/:id",
+  validateObjectId("id"),
+  inspectionController.deleteTemplate,
+);
+
+// Notification templates
+router.get(
+  "/notification-templates/catalog",
+  notificationTemplateController.getTemplateCatalog,
+);
+router.post(
+  "/notification-templates/preview",
+  previewNotificationTemplateValidation,
+  validate,
+  notificationTemplateController.previewTemplate,
+);
+router.get(
+  "/notification-templates",
+  listNotificationTemplateValidation,
+  validate,
+  notificationTemplateController.getTemplates,
+);
+router.post(
+  "/notification-templates",
+  notificationTemplateValidation,
+  validate,
+  notificationTemplateController.createTemplate,
+);
+router.put(
+  "/notification-templates/:id",
+  validateObjectId("id"),
+  notificationTemplateValidation,
+  validate,
+  notificationTemplateController.updateTemplate,
+);
+router.delete(
+  "/notification-templates/:id",
+  validateObjectId("id"),
+  notificationTemplateController.deleteTemplate,
+);
+
+// Notification delivery
+router.get(
+  "/notifications/sms-delivery-report",
+  smsDeliveryReportValidation,
+  validate,
+  notificationController.getSmsDeliveryReport,
+);
+
+// Broadcast campaigns
+router.post(
+  "/campaigns/audience/preview",
+  audiencePreviewValidation,
+  validate,
+  campaignController.previewAudience,
+);
+router.get(
+  "/campaigns",
+  listCampaignValidation,
+  validate,
+  campaignController.getCampaigns,
+);
+router.post(
+  "/campaigns",
+  campaignValidation,
+  validate,
+  campaignController.createCampaign,
+);
+router.get(
+  "/campaigns/:id",
+  validateObjectId("id"),
+  campaignController.getCampaign,
+);
+router.put(
+  "/campaigns/:id",
+  validateObjectId("id"),
+  campaignValidation,
+  validate,
+  campaignController.updateCampaign,
+);
+router.delete(
+  "/campaigns/:id",
+  validateObjectId("id"),
+  campaignController.deleteCampaign,
+);
+router.post(
+  "/campaigns/:id/schedule",
+  validateObjectId("id"),
+  scheduleCampaignValidation,
+  validate,
+  campaignController.scheduleCampaign,
+);
+router.post(
+  "/campaigns/:id/send",
+  validateObjectId("id"),
+  campaignController.sendCampaignNow,
+);
+router.post(
+  "/campaigns/:id/cancel",
+  validateObjectId("id"),
+  campaignController.cancelCampaign,
+);
+
+// Pickup & Drop
+router.get(
+  "/logistics/tasks",
+  listLogisticsTasksValidation,
+  validate,
+  logisticsController.getTasks,
+);
+router.post(
+  "/logistics/tasks",
+  createLogisticsTaskValidation,
+  validate,
+  logisticsController.createTask,
+);
+router.get(
+  "/logistics/tasks/:id",
+  validateObjectId("id"),
+  logisticsController.getTaskAdmin,
+);
+router.patch(
+  "/logistics/tasks/:id/assign",
+  validateObjectId("id"),
+  assignLogisticsTaskValidation,
+  validate,
+  logisticsController.assignTask,
+);
+router.patch(
+  "/logistics/tasks/:id/cancel",
+  validateObjectId("id"),
+  cancelLogisticsTaskValidation,
+  validate,
+  logisticsController.cancelTask,
+);
+
 // Appointments
 router.get("/appointments", appointmentController.getAllAppointments);
 router.get("/appointments/today", appointmentController.getTodayAppointments);
@@ -274,11 +490,30 @@ router.put(
   validate,
   jobcardController.assignMechanics,
 );
+router.post(
+  "/jobcards/:id/deliver",
+  validateObjectId("id"),
+  signatureValidation,
+  validate,
+  jobcardController.deliverJobCard,
+);
 router.put(
   "/jobcards/:id/estimate",
   validateObjectId("id"),
   jobcardController.createOrUpdateEstimate,
 );
+router.post(
+  "/jobcards/:id/estimate/approve",
+  validateObjectId("id"),
+  signatureValidation,
+  validate,
+  jobcardController.approveEstimateAtCounter,
+);
+router.get(
+  "/jobcards/:id/estimate/pdf",
+  validateObjectId("id"),
+  jobcardController.downloadEstimatePDFAdmin,
+);
 router.post(
   "/jobcards/:id/items",
   validateObjectId("id"),
@@ -305,6 +540,41 @@ router.post(
   jobcardController.uploadJobCardImages,
 );
 
+// Check-in inspection
+router.get(
+  "/jobcards/:id/inspection",
+  validateObjectId("id"),
+  inspectionController.getInspection,
+);
+router.put(
+  "/jobcards/:id/inspection",
+  validateObjectId("id"),
+  updateInspectionValidation,
+  validate,
+  inspectionController.updateInspection,
+);
+router.post(
+  "/jobcards/:id/inspection/photos",
+  validateObjectId("id"),
+  imageUpload.array("images", 10),
+  inspectionPhotoValidation,
+  validate,
+  inspectionController.uploadInspectionPhotos,
+);
+router.post(
+  "/jobcards/:id/inspection/sign-off",
+  validateObjectId("id"),
+  inspectionSignOffValidation,
+  signatureValidation,
+  validate,
+  inspectionController.recordCounterSignOff,
+);
+router.get(
+  "/jobcards/:id/inspection/pdf",
+  validateObjectId("id"),
+  inspectionController.downloadInspectionPDF,
+);
+
 // Video uploads for job cards
 router.post(
   "/jobcards/:id/videos",
@@ -325,6 +595,19 @@ router.post(
 router.get("/payments", paymentController.getAllPayments);
 router.get("/payments/summary", paymentController.getPaymentSummary);
 router.get("/payments/today", paymentController.getTodayCollection);
+router.post(
+  "/payments/reconciliation/run",
+  paymentController.runPaymentReconciliation,
+);
+router.get(
+  "/payments/reconciliation/reports",
+  paymentController.getReconciliationReports,
+);
+router.get(
+  "/payments/reconciliation/reports/:id",
+  validateObjectId("id"),
+  paymentController.getReconciliationReport,
+);
 router.post(
   "/payments",
   createPaymentValidation,
@@ -506,6 +789,13 @@ router.delete(
   validateObjectId("docId"),
   insuranceJobController.deleteDocument,
 );
+router.post(
+  "/insurance-jobs/:id/claim-signature",
+  validateObjectId("id"),
+  signatureValidation,
+  validate,
+  insuranceJobController.signClaimFormAtCounter,
+);
 
 // Garage Profile
 router.get("/garage/profile", garageController.getAdminProfile);
@@ -633,6 +923,18 @@ router.post(
   validate,
   subscriptionController.extendSubscription,
 );
+router.post(
+  "/subscriptions/:id/pause",
+  validateObjectId("id"),
+  pauseSubscriptionValidation,
+  validate,
+  subscriptionController.pauseSubscription,
+);
+router.post(
+  "/subscriptions/:id/resume",
+  validateObjectId("id"),
+  subscriptionController.resumeSubscription,
+);
 router.post(
   "/subscriptions/:id/use-service",
   validateObjectId("id"),
@@ -643,6 +945,18 @@ router.post(
 
 // ============ Invoice Management ============
 router.get("/invoices", invoiceController.getInvoicesAdmin);
+router.get(
+  "/invoices/reports/gstr1",
+  gstReportValidation,
+  validate,
+  invoiceController.getGstr1Report,
+);
+router.get(
+  "/invoices/reports/sales-register",
+  gstReportValidation,
+  validate,
+  invoiceController.exportSalesRegister,
+);
 router.get(
   "/invoices/:id",
   validateObjectId("id"),
@@ -653,11 +967,34 @@ router.get(
   validateObjectId("id"),
   invoiceController.downloadInvoicePDFAdmin,
 );
+router.post(
+  "/invoices/:id/send",
+  validateObjectId("id"),
+  invoiceController.sendInvoiceToCustomer,
+);
 router.put(
   "/invoices/:id/cancel",
   validateObjectId("id"),
   invoiceController.cancelInvoice,
 );
+router.get(
+  "/invoices/:id/credit-notes",
+  validateObjectId("id"),
+  creditNoteController.getInvoiceCreditNotes,
+);
+router.post(
+  "/invoices/:id/credit-notes",
+  validateObjectId("id"),
+  createCreditNoteValidation,
+  validate,
+  creditNoteController.createCreditNote,
+);
+router.get("/credit-notes", creditNoteController.getCreditNotesAdmin);
+router.get(
+  "/credit-notes/:id/pdf",
+  validateObjectId("id"),
+  creditNoteController.downloadCreditNotePDFAdmin,
+);
 router.post(
   "/jobcards/:id/generate-invoice",
   validateObjectId("id"),
@@ -9,6 +9,9 @@ const {
   createAppointmentValidation,
   cancelAppointmentValidation,
   rescheduleAppointmentValidation,
+  holdSlotValidation,
+  availableSlotsValidation,
+  joinWaitlistValidation,
 } = require("../validators");
 
 // All routes require authentication
@@ -17,7 +20,40 @@ router.use(authenticate);
 // User routes
 router.get("/", appointmentController.getAppointments);
 router.get("/upcoming", appointmentController.getUpcomingAppointments);
-router.get("/slots", appointmentController.getAvailableSlots);
+router.get(
+  "/slots",
+  availableSlotsValidation,
+  validate,
+  appointmentController.getAvailableSlots
+);
+router.post(
+  "/slots/hold",
+  holdSlotValidation,
+  validate,
+  appointmentController.holdSlot
+);
+router.delete(
+  "/slots/hold/:holdId",
+  validateObjectId("holdId"),
+  appointmentController.releaseSlotHold
+);
+router.get("/waitlist", appointmentController.getMyWaitlist);
+router.post(
+  "/waitlist",
+  joinWaitlistValidation,
+  validate,
+  appointmentController.joinWaitlist
+);
+router.delete(
+  "/waitlist/:id",
+  validateObjectId("id"),
+  appointmentController.leaveWaitlist
+);
+router.post(
+  "/waitlist/:id/claim",
+  validateObjectId("id"),
+  appointmentController.claimWaitlistOffer
+);
 router.post(
   "/",
   createAppointmentValidation,
@@ -20,6 +20,7 @@ const uploadRoutes = require("./upload.routes");
 const adminRoutes = require("./admin.routes");
 const superadminRoutes = require("./superadmin.routes");
 const mechanicRoutes = require("./mechanic.routes");
+const logisticsRoutes = require("./logistics.routes");
 const inventoryRoutes = require("./inventory.routes");
 const packageRoutes = require("./package.routes");
 const subscriptionRoutes = require("./subscription.routes");
@@ -65,6 +66,7 @@ router.use("/washing", washingUserRoutes);
 router.use("/admin/service-schedules", serviceScheduleRoutes);
 router.use("/superadmin", superadminRoutes);
 router.use("/mechanic", mechanicRoutes);
+router.use("/logistics", logisticsRoutes);
 router.use("/packages", packageRoutes);
 router.use("/subscriptions", subscriptionRoutes);
 router.use("/service-schedules", serviceScheduleUserRoutes);
@@ -4,7 +4,8 @@
 const express = require("express");
 const router = express.Router();
 const { insuranceJobController } = require("../controllers");
-const { authenticate, validateObjectId } = require("../middlewares");
+const { authenticate, validate, validateObjectId } = require("../middlewares");
+const { signatureValidation } = require("../validators");
 
 router.use(authenticate);
 
@@ -14,5 +15,12 @@ router.get(
   validateObjectId("id"),
   insuranceJobController.getMyInsuranceJob
 );
+router.post(
+  "/:id/claim-signature",
+  validateObjectId("id"),
+  signatureValidation,
+  validate,
+  insuranceJobController.signMyClaimForm
+);
 
 module.exports = router;
@@ -5,6 +5,7 @@
 const express = require("express");
 const router = express.Router();
 const inventoryController = require("../controllers/inventory.controller");
+const purchaseOrderController = require("../controllers/purchaseOrder.controller");
 const {
   authenticate,
   isAdmin,
@@ -20,6 +21,15 @@ const {
   deductForInvoiceValidation,
   returnFromInvoiceValidation,
 } = require("../validators/inventory.validator");
+const {
+  createSupplierValidation,
+  updateSupplierValidation,
+  createPurchaseOrderValidation,
+  updatePurchaseOrderValidation,
+  suggestedPurchaseOrderValidation,
+  purchaseOrderStatusValidation,
+  receivePurchaseOrderValidation,
+} = require("../validators/purchaseOrder.validator");
 
 // All routes require admin authentication
 router.use(authenticate, isAdmin);
@@ -51,6 +61,73 @@ router.post(
   inventoryController.returnFromInvoice
 );
 
+// Suppliers
+router.get("/suppliers", purchaseOrderController.getSuppliers);
+router.post(
+  "/suppliers",
+  createSupplierValidation,
+  validate,
+  purchaseOrderController.createSupplier
+);
+router.get(
+  "/suppliers/:supplierId",
+  validateObjectId("supplierId"),
+  purchaseOrderController.getSupplier
+);
+router.put(
+  "/suppliers/:supplierId",
+  validateObjectId("supplierId"),
+  updateSupplierValidation,
+  validate,
+  purchaseOrderController.updateSupplier
+);
+router.delete(
+  "/suppliers/:supplierId",
+  validateObjectId("supplierId"),
+  purchaseOrderController.deleteSupplier
+);
+
+// Purchase orders
+router.get("/purchase-orders", purchaseOrderController.getPurchaseOrders);
+router.post(
+  "/purchase-orders",
+  createPurchaseOrderValidation,
+  validate,
+  purchaseOrderController.createPurchaseOrder
+);
+router.post(
+  "/purchase-orders/from-suggestions",
+  suggestedPurchaseOrderValidation,
+  validate,
+  purchaseOrderController.createFromSuggestions
+);
+router.get(
+  "/purchase-orders/:poId",
+  validateObjectId("poId"),
+  purchaseOrderController.getPurchaseOrder
+);
+router.put(
+  "/purchase-orders/:poId",
+  validateObjectId("poId"),
+  updatePurchaseOrderValidation,
+  validate,
+  purchaseOrderController.updatePurchaseOrder
+);
+router.patch(
+  "/purchase-orders/:poId/status",
+  validateObjectId("poId"),
+  purchaseOrderStatusValidation,
+  validate,
+  purchaseOrderController.updatePurchaseOrderStatus
+);
+router.post(
+  "/purchase-orders/:poId/receive",
+  validateObjectId("poId"),
+  receivePurchaseOrderValidation,
+  validate,
+  purchaseOrderController.receivePurchaseOrder
+);
+
 // Barcode lookup (must be before :id route)
 router.get("/barcode/:barcode", inventoryController.getByBarcode);
 
@@ -12,6 +12,9 @@ const {
   createPaymentOrder,
   verifyPayment,
 } = require("../controllers/invoice.controller");
+const {
+  downloadCreditNotePDF,
+} = require("../controllers/creditNote.controller");
 const { authenticate, authorize } = require("../middlewares");
 
 // All routes require authentication
@@ -41,6 +44,14 @@ router.get(
   downloadInvoicePDF
 );
 
+// @route   GET /api/v1/invoices/:id/credit-notes/:creditNoteId/pdf
+// @desc    Download credit note PDF
+router.get(
+  "/:id/credit-notes/:creditNoteId/pdf",
+  authorize("customer", "admin", "superadmin"),
+  downloadCreditNotePDF
+);
+
 // @route   POST /api/v1/invoices/:id/payment/order
 // @desc    Create Razorpay order for invoice payment
 router.post(
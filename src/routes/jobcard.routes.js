@@ -3,9 +3,12 @@
  */
 const express = require("express");
 const router = express.Router();
-const { jobcardController } = require("../controllers");
+const { jobcardController, inspectionController } = require("../controllers");
 const { authenticate, validate, validateObjectId } = require("../middlewares");
-const { approveItemsValidation } = require("../validators");
+const {
+  approveItemsValidation,
+  optionalSignatureValidation,
+} = require("../validators");
 
 // All routes require authentication
 router.use(authenticate);
@@ -24,6 +27,21 @@ router.get(
   validateObjectId("id"),
   jobcardController.getInspectionMedia
 );
+router.get(
+  "/:id/inspection",
+  validateObjectId("id"),
+  inspectionController.getMyInspection
+);
+router.post(
+  "/:id/inspection/sign-off",
+  validateObjectId("id"),
+  inspectionController.signOffInspection
+);
+router.get(
+  "/:id/inspection/pdf",
+  validateObjectId("id"),
+  inspectionController.downloadMyInspectionPDF
+);
 
 // Estimate routes (Customer)
 router.get(
@@ -31,9 +49,16 @@ router.get(
   validateObjectId("id"),
   jobcardController.getEstimate
 );
+router.get(
+  "/:id/estimate/pdf",
+  validateObjectId("id"),
+  jobcardController.downloadEstimatePDF
+);
 router.post(
   "/:id/estimate/approve",
   validateObjectId("id"),
+  optionalSignatureValidation,
+  validate,
   jobcardController.approveEstimate
 );
 router.post(
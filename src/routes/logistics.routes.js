@@ -0,0 +1,68 @@
+/**
+ * Logistics Routes
+ * Driver endpoints for pickup and drop runs
+ */
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+
+const { logisticsController } = require("../controllers");
+const {
+  authenticate,
+  authorize,
+  validate,
+  validateObjectId,
+} = require("../middlewares");
+const {
+  listLogisticsTasksValidation,
+  logisticsStatusValidation,
+  handoverValidation,
+} = require("../validators");
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith("image/")) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only image files are allowed"), false);
+    }
+  },
+});
+
+router.use(authenticate, authorize("driver", "mechanic"));
+
+router.get(
+  "/tasks",
+  listLogisticsTasksValidation,
+  validate,
+  logisticsController.getMyTasks
+);
+router.get(
+  "/tasks/:id",
+  validateObjectId("id"),
+  logisticsController.getMyTask
+);
+router.patch(
+  "/tasks/:id/status",
+  validateObjectId("id"),
+  logisticsStatusValidation,
+  validate,
+  logisticsController.updateTaskStatus
+);
+router.post(
+  "/tasks/:id/otp",
+  validateObjectId("id"),
+  logisticsController.resendHandoverOtp
+);
+router.post(
+  "/tasks/:id/handover",
+  validateObjectId("id"),
+  upload.array("photos", 10),
+  handoverValidation,
+  validate,
+  logisticsController.confirmHandover
+);
+
+module.exports = router;
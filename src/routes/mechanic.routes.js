@@ -6,14 +6,20 @@ const express = require("express");
 const multer = require("multer");
 const router = express.Router();
 
-const { jobcardController } = require("../controllers");
+const { jobcardController, inspectionController } = require("../controllers");
 const {
   authenticate,
   isMechanic,
   validate,
   validateObjectId,
 } = require("../middlewares");
-const { mechanicUpdateStatusValidation } = require("../validators");
+const {
+  mechanicUpdateStatusValidation,
+  updateInspectionValidation,
+  inspectionPhotoValidation,
+  inspectionSignOffValidation,
+  signatureValidation,
+} = require("../validators");
 
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -49,4 +55,39 @@ router.post(
   jobcardController.uploadAssignedJobCardImages
 );
 
+// Check-in inspection
+router.get(
+  "/jobcards/:id/inspection",
+  validateObjectId("id"),
+  inspectionController.getInspection
+);
+router.put(
+  "/jobcards/:id/inspection",
+  validateObjectId("id"),
+  updateInspectionValidation,
+  validate,
+  inspectionController.updateInspection
+);
+router.post(
+  "/jobcards/:id/inspection/photos",
+  validateObjectId("id"),
+  upload.array("images", 10),
+  inspectionPhotoValidation,
+  validate,
+  inspectionController.uploadInspectionPhotos
+);
+router.post(
+  "/jobcards/:id/inspection/sign-off",
+  validateObjectId("id"),
+  inspectionSignOffValidation,
+  signatureValidation,
+  validate,
+  inspectionController.recordCounterSignOff
+);
+router.get(
+  "/jobcards/:id/inspection/pdf",
+  validateObjectId("id"),
+  inspectionController.downloadInspectionPDF
+);
+
 module.exports = router;
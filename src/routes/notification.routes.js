@@ -10,6 +10,7 @@ const {
   markAsRead,
   markAllAsRead,
   getNotification,
+  trackClick,
   deleteNotification,
   getPreferences,
   updatePreferences,
@@ -46,17 +47,21 @@ router.put("/mark-read", markAsRead);
 router.put("/mark-all-read", markAllAsRead);
 
 // @route   POST /api/v1/notifications/register-token
-// @desc    Register FCM token for push notifications
+// @desc    Register this device's push token (one entry per device)
 router.post("/register-token", registerToken);
 
 // @route   DELETE /api/v1/notifications/register-token
-// @desc    Unregister FCM token (on logout)
+// @desc    Unregister this device's push token (on logout)
 router.delete("/register-token", unregisterToken);
 
 // @route   GET /api/v1/notifications/:id
 // @desc    Get single notification
 router.get("/:id", getNotification);
 
+// @route   POST /api/v1/notifications/:id/click
+// @desc    Record a tap on the notification's deep link
+router.post("/:id/click", trackClick);
+
 // @route   DELETE /api/v1/notifications/:id
 // @desc    Delete a notification
 router.delete("/:id", deleteNotification);
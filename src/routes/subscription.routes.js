@@ -9,6 +9,10 @@ const { authenticate, validate, validateObjectId } = require("../middlewares");
 const {
   purchasePackageValidation,
   verifyPaymentValidation,
+  autoRenewValidation,
+  pauseSubscriptionValidation,
+  changePlanValidation,
+  planChangeQuoteValidation,
 } = require("../validators/subscription.validator");
 
 // All routes require authentication
@@ -55,4 +59,81 @@ router.post(
   subscriptionController.verifyPaymentAndActivate
 );
 
+// Turn auto-renewal on or off
+router.put(
+  "/:id/auto-renew",
+  validateObjectId("id"),
+  autoRenewValidation,
+  validate,
+  subscriptionController.setAutoRenew
+);
+
+// Save a payment mandate for auto-renewal
+router.post(
+  "/:id/auto-renew/mandate",
+  validateObjectId("id"),
+  subscriptionController.createMandateOrder
+);
+
+router.post(
+  "/:id/auto-renew/mandate/verify",
+  validateObjectId("id"),
+  verifyPaymentValidation,
+  validate,
+  subscriptionController.verifyMandate
+);
+
+router.delete(
+  "/:id/auto-renew/mandate",
+  validateObjectId("id"),
+  subscriptionController.revokeMandate
+);
+
+// Pay a due renewal manually
+router.get(
+  "/:id/renewal",
+  validateObjectId("id"),
+  subscriptionController.getRenewal
+);
+
+router.post(
+  "/:id/renewal/verify",
+  validateObjectId("id"),
+  verifyPaymentValidation,
+  validate,
+  subscriptionController.verifyRenewalPayment
+);
+
+// Pause / resume
+router.post(
+  "/:id/pause",
+  validateObjectId("id"),
+  pauseSubscriptionValidation,
+  validate,
+  subscriptionController.pauseMySubscription
+);
+
+router.post(
+  "/:id/resume",
+  validateObjectId("id"),
+  subscriptionController.resumeMySubscription
+);
+
+// Upgrade / downgrade
+router.get(
+  "/:id/change-plan/quote",
+  validateObjectId("id"),
+  planChangeQuoteValidation,
+  validate,
+  subscriptionController.getPlanChangeQuote
+);
+
+router.post(
+  "/:id/change-plan",
+  validateObjectId("id"),
+  changePlanValidation,
+  validate,
+  subscriptionController.changePlan
+);
+
 module.exports = router;
@@ -6,5 +6,6 @@ const router = express.Router();
 const { webhookController } = require("../controllers");
 
 router.post("/msg91/events", webhookController.handleMsg91Events);
+router.post("/razorpay", webhookController.handleRazorpayEvents);
 
 module.exports = router;
@@ -0,0 +1,343 @@
+/**
+ * Campaign Service
+ * Builds campaign audiences from customer filters and sends broadcasts
+ * at the campaign's throttle rate. Only customers who opted in to
+ * promotions are messaged.
+ */
+const cron = require("node-cron");
+const {
+  Campaign,
+  Notification,
+  User,
+  Vehicle,
+  Subscription,
+  JobCard,
+} = require("../models");
+const notificationService = require("./notification.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Keep only ids present in every list
+const intersect = (lists) => {
+  const [first, ...rest] = lists.map((ids) => ids.map(String));
+  const sets = rest.map((ids) => new Set(ids));
+  return first.filter((id) => sets.every((set) => set.has(id)));
+};
+
+/**
+ * Customers whose last delivered job card falls in the given range
+ */
+const findCustomersByLastService = async ({ before, after }) => {
+  const range = {};
+  if (before) range.$lt = new Date(before);
+  if (after) range.$gte = new Date(after);
+
+  const rows = await JobCard.aggregate([
+    { $match: { status: "delivered", deliveredAt: { $exists: true } } },
+    { $group: { _id: "$customer", lastServiceAt: { $max: "$deliveredAt" } } },
+    { $match: { lastServiceAt: range } },
+  ]);
+  return rows.map((row) => row._id);
+};
+
+/**
+ * Build the MongoDB filter for a campaign audience
+ * @param {Object} audience - Campaign audience filters
+ * @returns {Object} User filter
+ */
+const buildAudienceFilter = async (audience = {}) => {
+  const filter = {
+    role: "user",
+    isActive: true,
+    // Promotions are opt-in
+    "notificationPreferences.promotions": true,
+  };
+  const idLists = [];
+
+  const vehicleFilter = {};
+  if (audience.vehicleTypes?.length) {
+    vehicleFilter.vehicleType = { $in: audience.vehicleTypes };
+  }
+  if (audience.brands?.length) {
+    vehicleFilter.brand = {
+      $in: audience.brands.map(
+        (brand) => new RegExp(`^${escapeRegex(brand)}$`, "i")
+      ),
+    };
+  }
+  if (audience.zones?.length) vehicleFilter.washZone = { $in: audience.zones };
+  if (audience.areas?.length) vehicleFilter.washArea = { $in: audience.areas };
+  if (Object.keys(vehicleFilter).length > 0) {
+    idLists.push(
+      await Vehicle.distinct("owner", { ...vehicleFilter, isActive: true })
+    );
+  }
+
+  if (audience.packages?.length) {
+    idLists.push(
+      await Subscription.distinct("customer", {
+        package: { $in: audience.packages },
+        status: "active",
+        endDate: { $gte: new Date() },
+      })
+    );
+  }
+
+  if (audience.lastServiceBefore || audience.lastServiceAfter) {
+    idLists.push(
+      await findCustomersByLastService({
+        before: audience.lastServiceBefore,
+        after: audience.lastServiceAfter,
+      })
+    );
+  }
+
+  if (audience.inactiveDays) {
+    const cutoff = new Date(Date.now() - audience.inactiveDays * DAY_MS);
+    filter.$or = [
+      { lastLoginAt: { $lt: cutoff } },
+      { lastLoginAt: { $exists: false }, createdAt: { $lt: cutoff } },
+    ];
+  }
+
+  if (idLists.length > 0) {
+    filter._id = { $in: intersect(idLists) };
+  }
+  return filter;
+};
+
+/**
+ * Count and sample the customers a set of filters reaches
+ */
+const previewAudience = async (audience, sampleSize = 10) => {
+  const filter = await buildAudienceFilter(audience);
+  const [count, sample] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter)
+      .select("name mobile lastLoginAt")
+      .sort({ createdAt: -1 })
+      .limit(sampleSize)
+      .lean(),
+  ]);
+  return { count, sample };
+};
+
+/**
+ * Snapshot the audience and move a due campaign to SENDING
+ * @returns {Object|null} the campaign, or null if another run claimed it
+ */
+const startCampaign = async (campaignId) => {
+  const scheduled = await Campaign.findOne({
+    _id: campaignId,
+    status: "SCHEDULED",
+  })
+    .select("audience")
+    .lean();
+  if (!scheduled) return null;
+
+  const filter = await buildAudienceFilter(scheduled.audience);
+  const recipients = await User.distinct("_id", filter);
+
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: campaignId, status: "SCHEDULED" },
+    {
+      $set: {
+        status: "SENDING",
+        startedAt: new Date(),
+        recipients,
+        "progress.audienceSize": recipients.length,
+      },
+    },
+    { new: true }
+  );
+  if (!campaign) return null;
+
+  console.log(
+    `[Campaign] ${campaign.name} started for ${recipients.length} customers`
+  );
+  return campaign;
+};
+
+/**
+ * Send one campaign message
+ * @returns {string} sent, skipped or failed
+ */
+const sendToRecipient = async (campaign, customerId) => {
+  try {
+    const notification = await notificationService.sendNotification({
+      customerId,
+      type: "PROMOTION",
+      title: campaign.content.title,
+      body: campaign.content.body,
+      imageUrl: campaign.content.imageUrl || null,
+      data: {
+        screen: campaign.content.screen,
+        params: campaign.content.params,
+      },
+      sendPush: campaign.channels.includes("PUSH"),
+      sendSms: campaign.channels.includes("SMS"),
+      relatedEntity: { type: "campaign", id: campaign._id },
+    });
+    return notification ? "sent" : "skipped";
+  } catch (error) {
+    console.error(`[Campaign] Send to ${customerId} failed:`, error.message);
+    return "failed";
+  }
+};
+
+/**
+ * Send the next throttled batch of a SENDING campaign
+ */
+const sendNextBatch = async (campaignId) => {
+  const campaign = await Campaign.findOne({
+    _id: campaignId,
+    status: "SENDING",
+  }).select("+recipients");
+  if (!campaign) return null;
+
+  const { cursor } = campaign.progress;
+  const batch = campaign.recipients.slice(
+    cursor,
+    cursor + campaign.throttlePerMinute
+  );
+
+  // Skip anyone messaged before a restart interrupted the last batch
+  const alreadySent = new Set(
+    (
+      await Notification.distinct("customer", {
+        "relatedEntity.type": "campaign",
+        "relatedEntity.id": campaign._id,
+        customer: { $in: batch },
+      })
+    ).map(String)
+  );
+
+  const counts = { sent: 0, skipped: 0, failed: 0 };
+  for (const customerId of batch) {
+    const outcome = alreadySent.has(String(customerId))
+      ? "skipped"
+      : await sendToRecipient(campaign, customerId);
+    counts[outcome]++;
+  }
+
+  const done = cursor + batch.length >= campaign.recipients.length;
+  const update = {
+    $inc: {
+      "progress.cursor": batch.length,
+      "progress.sent": counts.sent,
+      "progress.skipped": counts.skipped,
+      "progress.failed": counts.failed,
+    },
+  };
+  if (done) {
+    update.$set = { status: "COMPLETED", completedAt: new Date() };
+  }
+
+  // A campaign cancelled mid-batch keeps its status
+  await Campaign.updateOne({ _id: campaign._id, status: "SENDING" }, update);
+  if (done) console.log(`[Campaign] ${campaign.name} completed`);
+  return counts;
+};
+
+let isProcessing = false;
+
+/**
+ * Start due campaigns and send one batch of every running campaign
+ */
+const processCampaigns = async (now = new Date()) => {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  try {
+    const due = await Campaign.find({
+      status: "SCHEDULED",
+      scheduledAt: { $lte: now },
+    }).select("_id");
+    for (const { _id } of due) {
+      await startCampaign(_id);
+    }
+
+    const running = await Campaign.find({ status: "SENDING" }).select("_id");
+    for (const { _id } of running) {
+      await sendNextBatch(_id);
+    }
+  } finally {
+    isProcessing = false;
+  }
+};
+
+const percent = (part, total) =>
+  total ? Math.round((part / total) * 10000) / 100 : 0;
+
+/**
+ * Delivery, open and click stats from the campaign's notifications
+ */
+const getCampaignStats = async (campaign) => {
+  const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  const [stats] = await Notification.aggregate([
+    {
+      $match: {
+        "relatedEntity.type": "campaign",
+        "relatedEntity.id": campaign._id,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        messaged: { $sum: 1 },
+        pushSent: countWhen("$pushStatus.sent"),
+        smsSent: countWhen("$smsStatus.sent"),
+        smsDelivered: countWhen({
+          $eq: ["$smsStatus.status", "delivered"],
+        }),
+        smsFailed: countWhen({ $eq: ["$smsStatus.status", "failed"] }),
+        opened: countWhen("$isRead"),
+        clicked: countWhen({ $gt: ["$clickedAt", null] }),
+      },
+    },
+  ]);
+
+  const totals = stats || {
+    messaged: 0,
+    pushSent: 0,
+    smsSent: 0,
+    smsDelivered: 0,
+    smsFailed: 0,
+    opened: 0,
+    clicked: 0,
+  };
+  delete totals._id;
+
+  return {
+    ...campaign.toObject().progress,
+    ...totals,
+    smsDeliveryRate: percent(totals.smsDelivered, totals.smsSent),
+    openRate: percent(totals.opened, totals.messaged),
+    clickRate: percent(totals.clicked, totals.messaged),
+  };
+};
+
+/**
+ * Initialize cron jobs for campaigns
+ */
+const initCronJobs = () => {
+  // Start due campaigns and send throttled batches every minute
+  cron.schedule("* * * * *", () => {
+    processCampaigns().catch(console.error);
+  });
+
+  console.log("[Cron] Campaign cron jobs initialized");
+};
+
+module.exports = {
+  buildAudienceFilter,
+  previewAudience,
+  startCampaign,
+  sendNextBatch,
+  processCampaigns,
+  getCampaignStats,
+  initCronJobs,
+};
@@ -0,0 +1,324 @@
+/**
+ * Credit Note Service
+ * Issues credit notes against invoices and keeps invoice totals in sync
+ */
+const Invoice = require("../models/invoice.model");
+const CreditNote = require("../models/creditNote.model");
+const ApiError = require("../utils/apiError");
+const { inTransaction } = require("../utils/helpers");
+
+// Only issued (or part-paid/paid) invoices can be credited
+const CREDITABLE_STATUSES = ["ISSUED", "PARTIALLY_PAID", "PAID"];
+
+const round2 = (n) => Math.round((Number(n || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Latest invoice that can still be credited for a job card
+ */
+const findCreditableInvoice = (jobCardId) =>
+  Invoice.findOne({
+    jobCard: jobCardId,
+    status: { $in: CREDITABLE_STATUSES },
+  }).sort({ createdAt: -1 });
+
+/**
+ * Value (incl. tax) still creditable per invoice line
+ */
+const getRemainingByLine = async (invoice) => {
+  const notes = await CreditNote.find({
+    invoice: invoice._id,
+    status: "ISSUED",
+  })
+    .select("items.invoiceItem items.total items.quantity")
+    .lean();
+
+  const credited = new Map();
+  notes.forEach((note) =>
+    note.items.forEach((item) => {
+      const key = String(item.invoiceItem);
+      const entry = credited.get(key) || { total: 0, quantity: 0 };
+      entry.total += item.total || 0;
+      entry.quantity += item.quantity || 0;
+      credited.set(key, entry);
+    })
+  );
+
+  return new Map(
+    invoice.items.map((line) => {
+      // Invoices without a GST split fall back to the line total
+      const lineGross =
+        (line.taxableValue || line.total || 0) + (line.taxAmount || 0);
+      const done = credited.get(String(line._id)) || { total: 0, quantity: 0 };
+      return [
+        String(line._id),
+        {
+          line,
+          gross: lineGross,
+          remaining: round2(Math.max(0, lineGross - done.total)),
+          remainingQuantity: Math.max(0, (line.quantity || 0) - done.quantity),
+        },
+      ];
+    })
+  );
+};
+
+/**
+ * Credit note line for `gross` (incl. tax) of an invoice line
+ */
+const buildCreditLine = (line, gross, quantity, isInterState) => {
+  const rate = line.taxRate || 0;
+  const taxableValue = round2(gross / (1 + rate / 100));
+  const taxAmount = round2(gross - taxableValue);
+  const cgstAmount = isInterState ? 0 : round2(taxAmount / 2);
+
+  return {
+    invoiceItem: line._id,
+    type: line.type,
+    name: line.name,
+    hsnCode: line.hsnCode,
+    quantity,
+    taxRate: rate,
+    taxableValue,
+    cgstAmount,
+    sgstAmount: isInterState ? 0 : round2(taxAmount - cgstAmount),
+    igstAmount: isInterState ? taxAmount : 0,
+    taxAmount,
+    total: round2(gross),
+  };
+};
+
+/**
+ * Build (unsaved) credit note for an invoice.
+ *
+ * Either credit specific lines (`items`: [{ itemId, quantity } | { itemId, amount }])
+ * or a tax-inclusive `amount` apportioned across lines by remaining value.
+ *
+ * @param {Object} invoice – Invoice document
+ * @param {Object} params
+ * @param {Array} [params.items]
+ * @param {number} [params.amount]
+ * @param {string} params.reason
+ * @param {number} [params.refundAmount] – money returned with this note
+ * @param {string} [params.issuedBy]
+ * @returns {Object} unsaved CreditNote document
+ */
+const buildCreditNote = async (
+  invoice,
+  { items, amount, reason, refundAmount = 0, issuedBy }
+) => {
+  if (!CREDITABLE_STATUSES.includes(invoice.status)) {
+    throw ApiError.badRequest(
+      `Cannot issue a credit note for a ${invoice.status.toLowerCase()} invoice`
+    );
+  }
+
+  const remainingByLine = await getRemainingByLine(invoice);
+  const isInterState = Boolean(invoice.isInterState);
+  const lines = [];
+
+  if (Array.isArray(items) && items.length > 0) {
+    const errors = [];
+
+    items.forEach((requested) => {
+      const entry = remainingByLine.get(String(requested.itemId));
+      if (!entry) {
+        errors.push({
+          itemId: requested.itemId,
+          message: "Invoice line not found",
+        });
+        return;
+      }
+
+      const { line, gross, remaining, remainingQuantity } = entry;
+      let creditGross;
+      let quantity = 0;
+
+      if (requested.quantity) {
+        quantity = Number(requested.quantity);
+        if (quantity > remainingQuantity) {
+          errors.push({
+            itemId: requested.itemId,
+            message: `Only ${remainingQuantity} of ${line.name} can be credited`,
+          });
+          return;
+        }
+        creditGross = (gross * quantity) / (line.quantity || 1);
+      } else {
+        creditGross = Number(requested.amount || 0);
+      }
+
+      if (creditGross <= 0 || round2(creditGross) > remaining + 0.01) {
+        errors.push({
+          itemId: requested.itemId,
+          message: `Credit for ${line.name} must be between 0 and ₹${remaining.toFixed(2)}`,
+        });
+        return;
+      }
+
+      lines.push(
+        buildCreditLine(
+          line,
+          Math.min(creditGross, remaining),
+          quantity,
+          isInterState
+        )
+      );
+    });
+
+    if (errors.length > 0) {
+      throw ApiError.badRequest("Invalid credit note items", errors);
+    }
+  } else {
+    const entries = [...remainingByLine.values()].filter((e) => e.remaining > 0);
+    const totalRemaining = entries.reduce((sum, e) => sum + e.remaining, 0);
+    const creditAmount = Number(amount || 0);
+
+    if (creditAmount <= 0) {
+      throw ApiError.badRequest("Credit amount or items are required");
+    }
+    if (creditAmount > totalRemaining + 0.01) {
+      throw ApiError.badRequest(
+        `Credit amount cannot exceed ₹${totalRemaining.toFixed(2)} remaining on invoice ${invoice.invoiceNumber}`
+      );
+    }
+
+    // Apportion by remaining value; last line absorbs rounding
+    let allocated = 0;
+    entries.forEach((entry, idx) => {
+      const share =
+        idx === entries.length - 1
+          ? round2(creditAmount - allocated)
+          : round2((creditAmount * entry.remaining) / totalRemaining);
+      allocated += share;
+      if (share > 0) {
+        lines.push(buildCreditLine(entry.line, share, 0, isInterState));
+      }
+    });
+  }
+
+  const sum = (key) => round2(lines.reduce((s, l) => s + (l[key] || 0), 0));
+
+  return new CreditNote({
+    invoice: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    jobCard: invoice.jobCard?._id || invoice.jobCard,
+    customer: invoice.customer?._id || invoice.customer,
+    reason,
+    refundAmount: round2(refundAmount),
+    customerSnapshot: {
+      name: invoice.customerSnapshot?.name,
+      mobile: invoice.customerSnapshot?.mobile,
+      email: invoice.customerSnapshot?.email,
+      gstin: invoice.customerSnapshot?.gstin,
+    },
+    placeOfSupply: invoice.placeOfSupply,
+    isInterState,
+    items: lines,
+    taxableAmount: sum("taxableValue"),
+    cgstAmount: sum("cgstAmount"),
+    sgstAmount: sum("sgstAmount"),
+    igstAmount: sum("igstAmount"),
+    totalTax: sum("taxAmount"),
+    grandTotal: sum("total"),
+    issuedBy,
+  });
+};
+
+/**
+ * Recompute credited/refunded amounts, net payable and status of an invoice
+ *
+ * @param {Object} [session] – run in the caller's transaction
+ */
+const recalculateInvoiceCredits = async (invoice, session = null) => {
+  const totals = await CreditNote.getInvoiceTotals(invoice._id, session);
+  invoice.creditedAmount = round2(totals.creditedAmount);
+  invoice.refundedAmount = round2(totals.refundedAmount);
+  // Pre-save hook updates net payable and status
+  await invoice.save({ session });
+  return invoice;
+};
+
+/**
+ * Save a built credit note and update its invoice. The credit is claimed on
+ * the invoice with a conditional increment first, so concurrent notes can
+ * never credit more than the invoice total.
+ *
+ * @param {Object} creditNote – unsaved CreditNote from buildCreditNote
+ * @param {Object} invoice – Invoice document
+ * @param {Object} [links] – { refundPayment, refundRequest }
+ * @throws {ApiError} 409 when the invoice no longer has enough left to credit
+ */
+const issueCreditNote = async (creditNote, invoice, links = {}) => {
+  if (links.refundPayment) creditNote.refundPayment = links.refundPayment;
+  if (links.refundRequest) creditNote.refundRequest = links.refundRequest;
+
+  const total = round2(creditNote.grandTotal);
+
+  await inTransaction(null, async (session) => {
+    const claimed = await Invoice.updateOne(
+      {
+        _id: invoice._id,
+        $expr: {
+          $lte: [
+            { $add: [{ $ifNull: ["$creditedAmount", 0] }, total] },
+            { $add: ["$grandTotal", 0.01] },
+          ],
+        },
+      },
+      { $inc: { creditedAmount: total } },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw ApiError.conflict(
+        `Credit of ₹${total.toFixed(2)} exceeds what is left to credit on invoice ${invoice.invoiceNumber}`
+      );
+    }
+
+    await creditNote.save({ session });
+    await recalculateInvoiceCredits(invoice, session);
+  });
+
+  return creditNote;
+};
+
+/**
+ * Build the credit note for a refund of `amount` on a job card, capped at
+ * what is still creditable. Call before moving money so invalid items are
+ * rejected up front; issue it once the refund is recorded.
+ *
+ * @returns {Object|null} { invoice, creditNote }, or null when the job card
+ *   has no creditable invoice
+ */
+const prepareRefundCreditNote = async ({
+  jobCardId,
+  amount,
+  items,
+  reason,
+  issuedBy,
+}) => {
+  const invoice = await findCreditableInvoice(jobCardId);
+  if (!invoice) return null;
+
+  const remaining = round2(
+    Math.max(0, invoice.grandTotal - (invoice.creditedAmount || 0))
+  );
+  if (remaining <= 0) return null;
+
+  const creditNote = await buildCreditNote(invoice, {
+    items,
+    amount: items?.length ? undefined : Math.min(Number(amount || 0), remaining),
+    reason,
+    refundAmount: amount,
+    issuedBy,
+  });
+
+  return { invoice, creditNote };
+};
+
+module.exports = {
+  findCreditableInvoice,
+  buildCreditNote,
+  issueCreditNote,
+  prepareRefundCreditNote,
+  recalculateInvoiceCredits,
+};
@@ -4,6 +4,13 @@
  * Tokens stored as Expo Push Tokens (ExponentPushToken[xxx]).
  */
 
+const cron = require("node-cron");
+const { User, PushTicket } = require("../models");
+const templateService = require("./notificationTemplate.service");
+
+// Expo recommends waiting before asking for delivery receipts
+const RECEIPT_DELAY_MINUTES = 15;
+
 // expo-server-sdk is ESM-only; lazy-load via dynamic import()
 let _expo = null;
 let _Expo = null;
@@ -26,6 +33,33 @@ const isExpoPushToken = (token) => {
   );
 };
 
+/**
+ * Prune tokens Expo rejected as unregistered and queue accepted tickets
+ * for a receipt check
+ * @param {string[]} tokens - Tokens in the same order as the tickets
+ * @param {object[]} tickets - Expo push tickets
+ */
+const handleTickets = async (tokens, tickets) => {
+  const stale = [];
+  const pending = [];
+  tickets.forEach((ticket, idx) => {
+    if (ticket.status === "ok") {
+      pending.push({ ticketId: ticket.id, token: tokens[idx] });
+    } else if (ticket.details?.error === "DeviceNotRegistered") {
+      stale.push(tokens[idx]);
+    }
+  });
+
+  try {
+    await User.removePushTokens(stale);
+    if (pending.length > 0) {
+      await PushTicket.insertMany(pending, { ordered: false });
+    }
+  } catch (error) {
+    console.error("[Push] Failed to track tickets:", error.message);
+  }
+};
+
 /**
  * Send push notification to a single device
  * @param {string} pushToken - Expo push token
@@ -66,6 +100,7 @@ const sendToDevice = async (pushToken, notification, data = {}) => {
       const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
       tickets.push(...ticketChunk);
     }
+    await handleTickets([pushToken], tickets);
 
     const ticket = tickets[0];
     if (ticket.status === "ok") {
@@ -120,6 +155,7 @@ const sendToMultipleDevices = async (pushTokens, notification, data = {}) => {
       const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
       tickets.push(...ticketChunk);
     }
+    await handleTickets(validTokens, tickets);
 
     let successCount = 0;
     let failureCount = 0;
@@ -148,6 +184,65 @@ const sendToMultipleDevices = async (pushTokens, notification, data = {}) => {
   }
 };
 
+/**
+ * Send push notification to every registered device of a user
+ * @param {string|object} user - User id or document
+ * @param {object} notification - { title, body, data? }
+ * @returns {object|null} null when the user has no devices
+ */
+const sendToUser = async (user, { data = {}, ...notification }) => {
+  const record = await User.findById(user?._id || user)
+    .select("devices.token deviceInfo.fcmToken")
+    .lean();
+  const tokens = User.getPushTokens(record);
+  if (tokens.length === 0) return null;
+
+  return sendToMultipleDevices(tokens, notification, data);
+};
+
+/**
+ * Look up receipts for tickets old enough to have one and prune tokens
+ * whose devices are no longer registered
+ * @returns {number} tokens removed
+ */
+const checkPushReceipts = async () => {
+  const cutoff = new Date(Date.now() - RECEIPT_DELAY_MINUTES * 60 * 1000);
+  const tickets = await PushTicket.find({ createdAt: { $lte: cutoff } })
+    .limit(1000)
+    .lean();
+  if (tickets.length === 0) return 0;
+
+  const { expo } = await getExpo();
+  const tokenByTicket = new Map(tickets.map((t) => [t.ticketId, t.token]));
+  const checked = [];
+  const stale = new Set();
+
+  const chunks = expo.chunkPushNotificationReceiptIds([
+    ...tokenByTicket.keys(),
+  ]);
+  for (const chunk of chunks) {
+    const receipts = await expo.getPushNotificationReceiptsAsync(chunk);
+    for (const [ticketId, receipt] of Object.entries(receipts)) {
+      checked.push(ticketId);
+      if (receipt.status !== "error") continue;
+      if (receipt.details?.error === "DeviceNotRegistered") {
+        stale.add(tokenByTicket.get(ticketId));
+      } else {
+        console.error("[Push] Receipt error:", receipt.message);
+      }
+    }
+  }
+
+  // Receipts not ready yet are retried on the next run
+  await User.removePushTokens([...stale]);
+  await PushTicket.deleteMany({ ticketId: { $in: checked } });
+
+  if (stale.size > 0) {
+    console.log(`[Push] Removed ${stale.size} unregistered device tokens`);
+  }
+  return stale.size;
+};
+
 /**
  * Send notification by topic (not supported by Expo – sends individually)
  * Kept for interface compatibility; callers should prefer sendToMultipleDevices.
@@ -178,8 +273,6 @@ const unsubscribeFromTopic = async (_tokens, _topic) => {
  * Notify customer about job status update
  */
 const notifyJobStatusUpdate = async (user, jobCard, newStatus) => {
-  if (!user.deviceInfo?.fcmToken) return null;
-
   const statusMessages = {
     inspection: "Your vehicle is being inspected",
     "awaiting-approval": "Cost estimate ready for your approval",
@@ -191,76 +284,114 @@ const notifyJobStatusUpdate = async (user, jobCard, newStatus) => {
     cancelled: "Your job has been cancelled",
   };
 
-  return sendToDevice(
-    user.deviceInfo.fcmToken,
-    {
+  const message = await templateService.renderForUser(user, {
+    type: "STATUS_UPDATE",
+    event: newStatus,
+    channel: "PUSH",
+    variables: {
+      jobNumber: jobCard.jobNumber,
+      status: newStatus,
+      statusMessage: statusMessages[newStatus],
+      vehicleNumber: jobCard.vehicleSnapshot?.vehicleNumber,
+    },
+    fallback: {
       title: `Job ${jobCard.jobNumber} Update`,
       body: statusMessages[newStatus] || `Status updated to ${newStatus}`,
     },
-    {
+  });
+
+  return sendToUser(user, {
+    ...message,
+    data: {
       type: "JOB_STATUS_UPDATE",
       jobCardId: jobCard._id.toString(),
       status: newStatus,
-    }
-  );
+    },
+  });
 };
 
 /**
  * Notify customer about cost estimate
  */
 const notifyCostEstimate = async (user, jobCard, estimatedAmount) => {
-  if (!user.deviceInfo?.fcmToken) return null;
-
-  return sendToDevice(
-    user.deviceInfo.fcmToken,
-    {
+  const message = await templateService.renderForUser(user, {
+    type: "ESTIMATE_APPROVAL",
+    channel: "PUSH",
+    variables: {
+      jobNumber: jobCard.jobNumber,
+      amount: estimatedAmount,
+      vehicleNumber: jobCard.vehicleSnapshot?.vehicleNumber,
+    },
+    fallback: {
       title: "Cost Estimate Ready",
       body: `Estimated cost for ${jobCard.vehicleSnapshot?.vehicleNumber}: ₹${estimatedAmount}. Tap to approve.`,
     },
-    {
+  });
+
+  return sendToUser(user, {
+    ...message,
+    data: {
       type: "COST_ESTIMATE",
       jobCardId: jobCard._id.toString(),
       amount: estimatedAmount.toString(),
-    }
-  );
+    },
+  });
 };
 
 /**
  * Notify customer about vehicle ready for pickup
  */
 const notifyVehicleReady = async (user, jobCard) => {
-  if (!user.deviceInfo?.fcmToken) return null;
-
-  return sendToDevice(
-    user.deviceInfo.fcmToken,
-    {
+  const vehicle = jobCard.vehicleSnapshot || {};
+  const message = await templateService.renderForUser(user, {
+    type: "VEHICLE_READY",
+    channel: "PUSH",
+    variables: {
+      jobNumber: jobCard.jobNumber,
+      vehicleName: [vehicle.brand, vehicle.model].filter(Boolean).join(" "),
+      vehicleNumber: vehicle.vehicleNumber,
+    },
+    fallback: {
       title: "Vehicle Ready! 🎉",
-      body: `Your ${jobCard.vehicleSnapshot?.brand} ${jobCard.vehicleSnapshot?.model} is ready for pickup.`,
+      body: `Your ${vehicle.brand} ${vehicle.model} is ready for pickup.`,
     },
-    {
+  });
+
+  return sendToUser(user, {
+    ...message,
+    data: {
       type: "VEHICLE_READY",
       jobCardId: jobCard._id.toString(),
-    }
-  );
+    },
+  });
 };
 
 /**
  * Notify mechanic about new job assignment
  */
 const notifyMechanicAssignment = async (mechanic, jobCard) => {
-  if (!mechanic.deviceInfo?.fcmToken) return null;
-
-  return sendToDevice(
-    mechanic.deviceInfo.fcmToken,
-    {
-      title: "New Job Assigned",
-      body: `Job ${jobCard.jobNumber} - ${jobCard.vehicleSnapshot?.brand} ${jobCard.vehicleSnapshot?.model}`,
-    },
-    {
+  return sendToUser(mechanic, {
+    title: "New Job Assigned",
+    body: `Job ${jobCard.jobNumber} - ${jobCard.vehicleSnapshot?.brand} ${jobCard.vehicleSnapshot?.model}`,
+    data: {
       type: "JOB_ASSIGNED",
       jobCardId: jobCard._id.toString(),
-    }
-  );
+    },
+  });
+};
+
+/**
+ * Notify driver about a pickup / drop task
+ */
+const notifyDriverAssignment = async (driver, task) => {
+  return sendToUser(driver, {
+    title: task.type === "drop" ? "New Drop Assigned" : "New Pickup Assigned",
+    body: `Task ${task.taskNumber} - ${task.address?.street || ""}, ${task.address?.city || ""}`,
+    data: {
+      type: "LOGISTICS_TASK_ASSIGNED",
+      taskId: task._id.toString(),
+    },
+  });
 };
 
 /**
@@ -286,46 +417,61 @@ const notifyAdminApproval = async (adminTokens, jobCard) => {
  * Notify about payment received
  */
 const notifyPaymentReceived = async (user, payment) => {
-  if (!user.deviceInfo?.fcmToken) return null;
-
-  return sendToDevice(
-    user.deviceInfo.fcmToken,
-    {
+  const message = await templateService.renderForUser(user, {
+    type: "PAYMENT_ALERT",
+    event: "success",
+    channel: "PUSH",
+    variables: { amount: payment.amount },
+    fallback: {
       title: "Payment Confirmed",
       body: `Payment of ₹${payment.amount} received. Thank you!`,
     },
-    {
+  });
+
+  return sendToUser(user, {
+    ...message,
+    data: {
       type: "PAYMENT_RECEIVED",
       paymentId: payment._id.toString(),
       amount: payment.amount.toString(),
-    }
-  );
+    },
+  });
 };
 
 /**
  * Notify about appointment reminder
  */
 const notifyAppointmentReminder = async (user, appointment) => {
-  if (!user.deviceInfo?.fcmToken) return null;
-
   const date = new Date(appointment.scheduledDate);
   const formattedDate = date.toLocaleDateString("en-IN", {
     weekday: "short",
     month: "short",
     day: "numeric",
   });
-
-  return sendToDevice(
-    user.deviceInfo.fcmToken,
-    {
+  const time = appointment.timeSlot?.startTime || appointment.timeSlot;
+
+  const message = await templateService.renderForUser(user, {
+    type: "APPOINTMENT_REMINDER",
+    channel: "PUSH",
+    variables: {
+      appointmentNumber: appointment.appointmentNumber,
+      date: formattedDate,
+      time,
+      timeLabel: `on ${formattedDate}`,
+    },
+    fallback: {
       title: "Appointment Reminder",
-      body: `Your service appointment is scheduled for ${formattedDate} at ${appointment.timeSlot}`,
+      body: `Your service appointment is scheduled for ${formattedDate} at ${time}`,
     },
-    {
+  });
+
+  return sendToUser(user, {
+    ...message,
+    data: {
       type: "APPOINTMENT_REMINDER",
       appointmentId: appointment._id.toString(),
-    }
-  );
+    },
+  });
 };
 
 /**
@@ -370,9 +516,23 @@ const notifyAppointmentRescheduled = async (adminTokens, appointment, previousSc
   );
 };
 
+/**
+ * Initialize cron jobs for push receipts
+ */
+const initCronJobs = () => {
+  cron.schedule(`*/${RECEIPT_DELAY_MINUTES} * * * *`, () => {
+    checkPushReceipts().catch(console.error);
+  });
+
+  console.log("[Cron] Push receipt cron jobs initialized");
+};
+
 module.exports = {
   sendToDevice,
   sendToMultipleDevices,
+  sendToUser,
+  checkPushReceipts,
+  initCronJobs,
   sendToTopic,
   subscribeToTopic,
   unsubscribeFromTopic,
@@ -381,6 +541,7 @@ module.exports = {
   notifyCostEstimate,
   notifyVehicleReady,
   notifyMechanicAssignment,
+  notifyDriverAssignment,
   notifyAdminApproval,
   notifyPaymentReceived,
   notifyAppointmentReminder,
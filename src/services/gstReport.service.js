@@ -0,0 +1,370 @@
+/**
+ * GST Report Service
+ * Builds GSTR-1 returns and the sales register for a tax period (month)
+ */
+const Invoice = require("../models/invoice.model");
+const CreditNote = require("../models/creditNote.model");
+const config = require("../config");
+const {
+  getSupplierStateCode,
+  buildHsnSummary,
+  isValidGstin,
+} = require("../utils/gst");
+
+// Invoices that never became a supply are left out of returns
+const EXCLUDED_STATUSES = ["DRAFT", "CANCELLED"];
+
+const round2 = (n) => Math.round((Number(n || 0) + Number.EPSILON) * 100) / 100;
+
+// Tax periods and document dates follow Indian Standard Time
+const IST_OFFSET = "+05:30";
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const startOfIstMonth = (year, mon) =>
+  new Date(`${year}-${String(mon).padStart(2, "0")}-01T00:00:00${IST_OFFSET}`);
+
+/**
+ * Date range for a "YYYY-MM" period, whatever the server time zone
+ */
+const getPeriodRange = (month) => {
+  const [year, mon] = month.split("-").map(Number);
+  const [nextYear, nextMon] = mon === 12 ? [year + 1, 1] : [year, mon + 1];
+  return {
+    start: startOfIstMonth(year, mon),
+    end: startOfIstMonth(nextYear, nextMon),
+  };
+};
+
+// GSTR-1 dates are dd-mm-yyyy in IST, the return period is mmyyyy
+const formatGstDate = (date) => {
+  const d = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return [
+    String(d.getUTCDate()).padStart(2, "0"),
+    String(d.getUTCMonth() + 1).padStart(2, "0"),
+    d.getUTCFullYear(),
+  ].join("-");
+};
+
+const formatReturnPeriod = (month) => {
+  const [year, mon] = month.split("-");
+  return `${mon}${year}`;
+};
+
+const isRegistered = (invoice) => isValidGstin(invoice.customerSnapshot?.gstin);
+
+// Large inter-state supplies to unregistered customers
+const isB2cl = (invoice) =>
+  !isRegistered(invoice) &&
+  Boolean(invoice.isInterState) &&
+  Number(invoice.grandTotal || 0) > config.garage.b2clThreshold;
+
+const emptyTax = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addTax = (target, line, factor = 1) => {
+  target.txval += (line.taxableValue || 0) * factor;
+  target.iamt += (line.igstAmount || 0) * factor;
+  target.camt += (line.cgstAmount || 0) * factor;
+  target.samt += (line.sgstAmount || 0) * factor;
+  return target;
+};
+
+const roundTax = (row) => ({
+  ...row,
+  txval: round2(row.txval),
+  iamt: round2(row.iamt),
+  camt: round2(row.camt),
+  samt: round2(row.samt),
+  csamt: round2(row.csamt),
+});
+
+/**
+ * Rate-wise item details for an invoice or note, scaled by `factor`
+ */
+const rateWiseItems = (invoice, factor = 1) => {
+  const byRate = new Map();
+  (invoice.items || []).forEach((line) => {
+    const rate = line.taxRate || 0;
+    byRate.set(rate, addTax(byRate.get(rate) || emptyTax(), line, factor));
+  });
+
+  return [...byRate.entries()].map(([rt, tax], idx) => ({
+    num: idx + 1,
+    itm_det: roundTax({ rt, ...tax }),
+  }));
+};
+
+/**
+ * Issued invoices for the period
+ */
+const getPeriodInvoices = async (month) => {
+  const { start, end } = getPeriodRange(month);
+  return Invoice.find({
+    status: { $nin: EXCLUDED_STATUSES },
+    issuedAt: { $gte: start, $lt: end },
+  })
+    .sort({ issuedAt: 1 })
+    .lean();
+};
+
+/**
+ * Credit notes issued in the period
+ */
+const getPeriodCreditNotes = async (month) => {
+  const { start, end } = getPeriodRange(month);
+  return CreditNote.find({
+    status: "ISSUED",
+    issuedAt: { $gte: start, $lt: end },
+  })
+    .sort({ issuedAt: 1 })
+    .lean();
+};
+
+/**
+ * Invoices that the period's credit notes were raised against, by id
+ */
+const getCreditedInvoices = async (creditNotes) => {
+  if (creditNotes.length === 0) return new Map();
+
+  const invoices = await Invoice.find({
+    _id: { $in: creditNotes.map((note) => note.invoice) },
+  })
+    .select("grandTotal isInterState customerSnapshot")
+    .lean();
+  return new Map(invoices.map((invoice) => [String(invoice._id), invoice]));
+};
+
+/**
+ * Build a GSTR-1 shaped return for a month ("YYYY-MM")
+ *
+ * B2B: registered customers, invoice-wise
+ * B2CL: inter-state invoices to unregistered customers above the B2CL limit
+ * B2CS: other unregistered supplies, by place of supply and rate (net of
+ * their credit notes)
+ * HSN: HSN/SAC-wise summary
+ * CDNR: credit notes issued to registered customers
+ * CDNUR: credit notes against B2CL invoices
+ */
+const buildGstr1 = async (month) => {
+  const [invoices, creditNotes] = await Promise.all([
+    getPeriodInvoices(month),
+    getPeriodCreditNotes(month),
+  ]);
+  const creditedInvoices = await getCreditedInvoices(creditNotes);
+  const supplierState = getSupplierStateCode();
+
+  // A credit note is reported in the section of the invoice it reduces
+  const isB2clNote = (note) => {
+    const invoice = creditedInvoices.get(String(note.invoice));
+    return Boolean(invoice) && isB2cl(invoice);
+  };
+
+  // ── B2B ──
+  const b2bByCtin = new Map();
+  invoices.filter(isRegistered).forEach((invoice) => {
+    const ctin = invoice.customerSnapshot.gstin.toUpperCase();
+    const entry = b2bByCtin.get(ctin) || { ctin, inv: [] };
+    entry.inv.push({
+      inum: invoice.invoiceNumber,
+      idt: formatGstDate(invoice.issuedAt),
+      val: round2(invoice.grandTotal),
+      pos: invoice.placeOfSupply || supplierState,
+      rchrg: "N",
+      inv_typ: "R",
+      itms: rateWiseItems(invoice),
+    });
+    b2bByCtin.set(ctin, entry);
+  });
+
+  // ── B2CL ──
+  const b2clByPos = new Map();
+  invoices.filter(isB2cl).forEach((invoice) => {
+    const pos = invoice.placeOfSupply || supplierState;
+    const entry = b2clByPos.get(pos) || { pos, inv: [] };
+    entry.inv.push({
+      inum: invoice.invoiceNumber,
+      idt: formatGstDate(invoice.issuedAt),
+      val: round2(invoice.grandTotal),
+      itms: rateWiseItems(invoice),
+    });
+    b2clByPos.set(pos, entry);
+  });
+
+  // ── B2CS ──
+  const b2csByKey = new Map();
+  const addB2cs = (invoice, factor) => {
+    (invoice.items || []).forEach((line) => {
+      const pos = invoice.placeOfSupply || supplierState;
+      const rt = line.taxRate || 0;
+      const key = `${pos}|${rt}`;
+      const row = b2csByKey.get(key) || {
+        sply_ty: invoice.isInterState ? "INTER" : "INTRA",
+        pos,
+        typ: "OE",
+        rt,
+        ...emptyTax(),
+      };
+      b2csByKey.set(key, addTax(row, line, factor));
+    });
+  };
+  invoices
+    .filter((invoice) => !isRegistered(invoice) && !isB2cl(invoice))
+    .forEach((invoice) => addB2cs(invoice, 1));
+  creditNotes
+    .filter((note) => !isRegistered(note) && !isB2clNote(note))
+    .forEach((note) => addB2cs(note, -1));
+
+  // ── CDNR ──
+  const cdnrByCtin = new Map();
+  creditNotes
+    .filter(isRegistered)
+    .forEach((note) => {
+      const ctin = note.customerSnapshot.gstin.toUpperCase();
+      const entry = cdnrByCtin.get(ctin) || { ctin, nt: [] };
+      entry.nt.push({
+        ntty: "C",
+        nt_num: note.creditNoteNumber,
+        nt_dt: formatGstDate(note.issuedAt),
+        val: round2(note.grandTotal),
+        pos: note.placeOfSupply || supplierState,
+        rchrg: "N",
+        inv_typ: "R",
+        itms: rateWiseItems(note),
+      });
+      cdnrByCtin.set(ctin, entry);
+    });
+
+  // ── CDNUR ──
+  const cdnur = creditNotes.filter(isB2clNote).map((note) => ({
+    typ: "B2CL",
+    ntty: "C",
+    nt_num: note.creditNoteNumber,
+    nt_dt: formatGstDate(note.issuedAt),
+    val: round2(note.grandTotal),
+    pos: note.placeOfSupply || supplierState,
+    itms: rateWiseItems(note),
+  }));
+
+  // ── HSN (net of credit notes) ──
+  const hsnByKey = new Map();
+  const addHsn = (row, sign) => {
+    const key = `${row.hsnCode}|${row.taxRate}`;
+    const entry = hsnByKey.get(key) || {
+      hsn_sc: row.hsnCode,
+      desc: row.description || "",
+      // Services (SAC 99xxxx) carry no unit quantity code
+      uqc: String(row.hsnCode).startsWith("99") ? "NA" : "NOS",
+      qty: 0,
+      rt: row.taxRate || 0,
+      ...emptyTax(),
+    };
+    entry.qty += (row.quantity || 0) * sign;
+    entry.txval += (row.taxableValue || 0) * sign;
+    entry.iamt += (row.igstAmount || 0) * sign;
+    entry.camt += (row.cgstAmount || 0) * sign;
+    entry.samt += (row.sgstAmount || 0) * sign;
+    hsnByKey.set(key, entry);
+  };
+  invoices.forEach((invoice) =>
+    (invoice.hsnSummary || []).forEach((row) => addHsn(row, 1))
+  );
+  creditNotes.forEach((note) =>
+    buildHsnSummary(note.items).forEach((row) => addHsn(row, -1))
+  );
+
+  return {
+    gstin: config.garage.gst,
+    fp: formatReturnPeriod(month),
+    b2b: [...b2bByCtin.values()],
+    b2cl: [...b2clByPos.values()],
+    b2cs: [...b2csByKey.values()].map(roundTax),
+    cdnr: [...cdnrByCtin.values()],
+    cdnur,
+    hsn: {
+      data: [...hsnByKey.values()].map((row, idx) => ({
+        num: idx + 1,
+        ...roundTax(row),
+        val: round2(row.txval + row.iamt + row.camt + row.samt + row.csamt),
+      })),
+    },
+  };
+};
+
+const SALES_REGISTER_HEADERS = [
+  "Document Type",
+  "Document Number",
+  "Date",
+  "Reference Invoice",
+  "Customer",
+  "Customer GSTIN",
+  "Place of Supply",
+  "Supply Type",
+  "Taxable Value",
+  "CGST",
+  "SGST",
+  "IGST",
+  "Total Tax",
+  "Document Value",
+  "Status",
+];
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Sales register CSV for a month: one row per invoice, credit notes as
+ * negative rows
+ */
+const buildSalesRegisterCsv = async (month) => {
+  const [invoices, creditNotes] = await Promise.all([
+    getPeriodInvoices(month),
+    getPeriodCreditNotes(month),
+  ]);
+
+  const invoiceRows = invoices.map((invoice) => [
+    "Invoice",
+    invoice.invoiceNumber,
+    formatGstDate(invoice.issuedAt),
+    "",
+    invoice.customerSnapshot?.name || "",
+    invoice.customerSnapshot?.gstin || "",
+    invoice.placeOfSupply || "",
+    invoice.isInterState ? "Inter-state" : "Intra-state",
+    round2(invoice.taxableAmount),
+    round2(invoice.cgstAmount),
+    round2(invoice.sgstAmount),
+    round2(invoice.igstAmount),
+    round2(invoice.totalTax),
+    round2(invoice.grandTotal),
+    invoice.status,
+  ]);
+
+  const noteRows = creditNotes.map((note) => [
+    "Credit Note",
+    note.creditNoteNumber,
+    formatGstDate(note.issuedAt),
+    note.invoiceNumber,
+    note.customerSnapshot?.name || "",
+    note.customerSnapshot?.gstin || "",
+    note.placeOfSupply || "",
+    note.isInterState ? "Inter-state" : "Intra-state",
+    -round2(note.taxableAmount),
+    -round2(note.cgstAmount),
+    -round2(note.sgstAmount),
+    -round2(note.igstAmount),
+    -round2(note.totalTax),
+    -round2(note.grandTotal),
+    note.status,
+  ]);
+
+  return [SALES_REGISTER_HEADERS, ...invoiceRows, ...noteRows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\n");
+};
+
+module.exports = {
+  getPeriodRange,
+  buildGstr1,
+  buildSalesRegisterCsv,
+};
@@ -3,6 +3,7 @@
  * Handles image uploads to ImageKit CDN
  */
 const ImageKit = require("imagekit");
+const axios = require("axios");
 const config = require("../config");
 
 // Initialize ImageKit
@@ -60,6 +61,37 @@ const uploadMultipleImages = async (files, folder = "uploads") => {
   return await Promise.all(uploadPromises);
 };
 
+// Only has to outlive the download that follows straight away
+const DOWNLOAD_LINK_SECONDS = 60;
+
+/**
+ * Download an uploaded image, resized to `width`, e.g. to embed in a PDF
+ * @returns {Promise<Buffer|null>} null when the image can't be fetched
+ */
+const downloadImage = (url, width = 600) =>
+  fetchImage(`${url}?tr=w-${width}`);
+
+/**
+ * Download a private file's image through a short-lived signed URL,
+ * resized to `width`
+ * @returns {Promise<Buffer|null>} null when the image can't be fetched
+ */
+const downloadPrivateImage = (filePath, width = 600) =>
+  fetchImage(getSignedUrl(filePath, DOWNLOAD_LINK_SECONDS, [{ width }]));
+
+const fetchImage = async (url) => {
+  try {
+    const response = await axios.get(url, {
+      responseType: "arraybuffer",
+      timeout: 10000,
+    });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error("ImageKit download error:", error.message);
+    return null;
+  }
+};
+
 /**
  * Delete image from ImageKit
  */
@@ -174,6 +206,47 @@ const uploadMultipleMedia = async (files, folder = "media") => {
   return await Promise.all(uploadPromises);
 };
 
+/**
+ * Upload a private file; it can only be fetched through a signed URL
+ */
+const uploadPrivateFile = async (file, fileName, folder = "private") => {
+  try {
+    const ik = getImageKit();
+
+    const response = await ik.upload({
+      file,
+      fileName,
+      folder: `/clutchgear/${folder}`,
+      useUniqueFileName: true,
+      isPrivateFile: true,
+    });
+
+    return {
+      success: true,
+      fileId: response.fileId,
+      filePath: response.filePath,
+      name: response.name,
+    };
+  } catch (error) {
+    console.error("ImageKit private upload error:", error);
+    throw new Error("Failed to upload file");
+  }
+};
+
+/**
+ * Get a signed URL for a private file that expires after `expireSeconds`,
+ * optionally with transformations (they are part of what gets signed)
+ */
+const getSignedUrl = (filePath, expireSeconds, transformation) => {
+  const ik = getImageKit();
+  return ik.url({
+    path: filePath,
+    signed: true,
+    expireSeconds,
+    transformation,
+  });
+};
+
 /**
  * Get image URL with transformations
  */
@@ -224,10 +297,14 @@ const getAuthParams = () => {
 module.exports = {
   uploadImage,
   uploadMultipleImages,
+  downloadImage,
+  downloadPrivateImage,
   uploadVideo,
   uploadMultipleVideos,
   uploadMedia,
   uploadMultipleMedia,
+  uploadPrivateFile,
+  getSignedUrl,
   deleteImage,
   deleteMultipleImages,
   getImageUrl,
@@ -9,6 +9,19 @@ const fcmService = require("./fcm.service");
 const pdfService = require("./pdf.service");
 const notificationService = require("./notification.service");
 const jobcardService = require("./jobcard.service");
+const inventoryService = require("./inventory.service");
+const creditNoteService = require("./creditNote.service");
+const paymentReconciliationService = require("./paymentReconciliation.service");
+const slotBookingService = require("./slotBooking.service");
+const reliabilityService = require("./reliability.service");
+const waitlistService = require("./waitlist.service");
+const logisticsService = require("./logistics.service");
+const inspectionService = require("./inspection.service");
+const signatureService = require("./signature.service");
+const notificationTemplateService = require("./notificationTemplate.service");
+const smsDeliveryService = require("./smsDelivery.service");
+const whatsappService = require("./whatsapp.service");
+const campaignService = require("./campaign.service");
 
 module.exports = {
   smsService,
@@ -18,4 +31,17 @@ module.exports = {
   pdfService,
   notificationService,
   jobcardService,
+  inventoryService,
+  creditNoteService,
+  paymentReconciliationService,
+  slotBookingService,
+  reliabilityService,
+  waitlistService,
+  logisticsService,
+  inspectionService,
+  signatureService,
+  notificationTemplateService,
+  smsDeliveryService,
+  whatsappService,
+  campaignService,
 };
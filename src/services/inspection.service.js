@@ -0,0 +1,394 @@
+/**
+ * Inspection Service
+ * Check-in inspections: checklist from the vehicle type's template,
+ * results and panel photos, customer sign-off and the PDF report
+ */
+const { InspectionTemplate, Vehicle } = require("../models");
+const ApiError = require("../utils/apiError");
+const imagekitService = require("./imagekit.service");
+const pdfService = require("./pdf.service");
+const signatureService = require("./signature.service");
+
+// Photos beyond this are left out of the PDF to keep it small
+const MAX_PDF_PHOTOS = 24;
+
+// Worst result wins when several checks cover one panel
+const RESULT_RANK = { pass: 1, attention: 2, fail: 3 };
+
+// Checklists used until admins configure a template for a vehicle type
+const DEFAULT_ITEMS = {
+  "four-wheeler": [
+    { key: "tyre-front-left", label: "Front left tyre", category: "tyres" },
+    { key: "tyre-front-right", label: "Front right tyre", category: "tyres" },
+    { key: "tyre-rear-left", label: "Rear left tyre", category: "tyres" },
+    { key: "tyre-rear-right", label: "Rear right tyre", category: "tyres" },
+    { key: "spare-tyre", label: "Spare tyre", category: "tyres" },
+    { key: "headlamps", label: "Headlamps", category: "lights" },
+    { key: "tail-lamps", label: "Tail & brake lamps", category: "lights" },
+    { key: "indicators", label: "Indicators", category: "lights" },
+    { key: "wipers", label: "Wipers & washer", category: "wipers" },
+    {
+      key: "windshield",
+      label: "Windshield",
+      category: "glass",
+      panel: "windshield",
+    },
+    {
+      key: "front-bumper",
+      label: "Front bumper",
+      category: "body",
+      panel: "front-bumper",
+    },
+    { key: "bonnet", label: "Bonnet", category: "body", panel: "bonnet" },
+    { key: "roof", label: "Roof", category: "body", panel: "roof" },
+    { key: "boot", label: "Boot lid", category: "body", panel: "boot" },
+    {
+      key: "rear-bumper",
+      label: "Rear bumper",
+      category: "body",
+      panel: "rear-bumper",
+    },
+    {
+      key: "left-front-door",
+      label: "Left front door",
+      category: "body",
+      panel: "left-front-door",
+    },
+    {
+      key: "left-rear-door",
+      label: "Left rear door",
+      category: "body",
+      panel: "left-rear-door",
+    },
+    {
+      key: "right-front-door",
+      label: "Right front door",
+      category: "body",
+      panel: "right-front-door",
+    },
+    {
+      key: "right-rear-door",
+      label: "Right rear door",
+      category: "body",
+      panel: "right-rear-door",
+    },
+    { key: "mirrors", label: "Mirrors", category: "body" },
+    { key: "infotainment", label: "Music system", category: "interior" },
+    { key: "floor-mats", label: "Floor mats", category: "accessories" },
+    { key: "tool-kit", label: "Jack & tool kit", category: "accessories" },
+  ],
+  "two-wheeler": [
+    { key: "tyre-front", label: "Front tyre", category: "tyres" },
+    { key: "tyre-rear", label: "Rear tyre", category: "tyres" },
+    { key: "headlamp", label: "Headlamp", category: "lights" },
+    { key: "tail-lamp", label: "Tail & brake lamp", category: "lights" },
+    { key: "indicators", label: "Indicators", category: "lights" },
+    {
+      key: "front-mudguard",
+      label: "Front mudguard",
+      category: "body",
+      panel: "front-mudguard",
+    },
+    {
+      key: "fuel-tank",
+      label: "Fuel tank",
+      category: "body",
+      panel: "fuel-tank",
+    },
+    { key: "seat", label: "Seat", category: "body", panel: "seat" },
+    {
+      key: "left-side-panel",
+      label: "Left side panel",
+      category: "body",
+      panel: "left-side-panel",
+    },
+    {
+      key: "right-side-panel",
+      label: "Right side panel",
+      category: "body",
+      panel: "right-side-panel",
+    },
+    { key: "mirrors", label: "Mirrors", category: "body" },
+    { key: "tool-kit", label: "Tool kit", category: "accessories" },
+  ],
+};
+
+/**
+ * Active checklist for a vehicle type, or the built-in default
+ */
+const getTemplate = async (vehicleType) => {
+  const template = await InspectionTemplate.findOne({
+    vehicleType,
+    isActive: true,
+  })
+    .sort({ updatedAt: -1 })
+    .lean();
+  if (template) return template;
+
+  return {
+    name: "Standard check-in",
+    vehicleType,
+    items: DEFAULT_ITEMS[InspectionTemplate.getPanelLayout(vehicleType)],
+  };
+};
+
+const isSignedOff = (jobCard) =>
+  Boolean(jobCard.checkInInspection?.signOff?.signedAt);
+
+const ensureEditable = (jobCard) => {
+  if (isSignedOff(jobCard)) {
+    throw ApiError.badRequest(
+      "Inspection has been signed off by the customer and is locked"
+    );
+  }
+  if (["delivered", "cancelled"].includes(jobCard.status)) {
+    throw ApiError.badRequest(`Job card is already ${jobCard.status}`);
+  }
+};
+
+/**
+ * Start the check-in inspection from the vehicle's checklist unless it
+ * has been started already
+ */
+const startInspection = async (jobCard, userId) => {
+  if (jobCard.checkInInspection?.items?.length) {
+    return jobCard.checkInInspection;
+  }
+
+  const vehicle = await Vehicle.findById(
+    jobCard.vehicle?._id || jobCard.vehicle
+  )
+    .select("vehicleType")
+    .lean();
+  const vehicleType = vehicle?.vehicleType || "other";
+  const template = await getTemplate(vehicleType);
+
+  jobCard.checkInInspection = {
+    template: template._id,
+    templateName: template.name,
+    panelLayout: InspectionTemplate.getPanelLayout(vehicleType),
+    items: template.items.map(({ key, label, category, panel }) => ({
+      key,
+      label,
+      category,
+      panel,
+    })),
+    inspectedBy: userId,
+  };
+  return jobCard.checkInInspection;
+};
+
+/**
+ * Record checklist results along with the odometer and fuel readings
+ *
+ * @param {Object} params
+ * @param {Array} [params.items] - [{ key, result, notes }]
+ * @param {Array} [params.accessories] - belongings left in the vehicle
+ */
+const recordResults = async (
+  jobCard,
+  { items = [], accessories, odometerReading, fuelLevel },
+  userId
+) => {
+  ensureEditable(jobCard);
+  const inspection = await startInspection(jobCard, userId);
+
+  const byKey = new Map(inspection.items.map((item) => [item.key, item]));
+  const unknown = items
+    .filter((item) => !byKey.has(item.key))
+    .map((item) => ({ key: item.key, message: "Not on this checklist" }));
+  if (unknown.length > 0) {
+    throw ApiError.badRequest("Invalid inspection items", unknown);
+  }
+
+  items.forEach(({ key, result, notes }) => {
+    const item = byKey.get(key);
+    if (result !== undefined) item.result = result;
+    if (notes !== undefined) item.notes = notes;
+  });
+  if (accessories) inspection.accessories = accessories;
+  if (odometerReading !== undefined) jobCard.odometerReading = odometerReading;
+  if (fuelLevel) jobCard.fuelLevel = fuelLevel;
+
+  inspection.inspectedBy = userId;
+  inspection.inspectedAt = new Date();
+  await jobCard.save();
+
+  return jobCard.checkInInspection;
+};
+
+/**
+ * Upload photos for a checklist item, linked to a panel
+ *
+ * @param {Object} params - { itemKey, panel, caption, files }
+ */
+const addPhotos = async (
+  jobCard,
+  { itemKey, panel, caption, files },
+  userId
+) => {
+  ensureEditable(jobCard);
+  if (!files?.length) {
+    throw ApiError.badRequest("Please upload at least one image");
+  }
+
+  const inspection = await startInspection(jobCard, userId);
+  const item = inspection.items.find((entry) => entry.key === itemKey);
+  if (!item) {
+    throw ApiError.badRequest(`${itemKey} is not on this checklist`);
+  }
+
+  const uploads = await imagekitService.uploadMultipleImages(
+    files,
+    `jobcards/${jobCard._id}/inspection`
+  );
+  item.photos.push(
+    ...uploads.map((upload) => ({
+      url: upload.url,
+      fileId: upload.fileId,
+      panel: panel || item.panel,
+      caption,
+    }))
+  );
+
+  inspection.inspectedBy = userId;
+  inspection.inspectedAt = new Date();
+  await jobCard.save();
+
+  return item;
+};
+
+/**
+ * Throw unless the inspection is complete and not yet signed off
+ */
+const ensureSignable = (jobCard) => {
+  const inspection = jobCard.checkInInspection;
+  if (!inspection?.items?.length) {
+    throw ApiError.badRequest("Inspection has not been started");
+  }
+  if (isSignedOff(jobCard)) {
+    throw ApiError.conflict("Inspection has already been signed off");
+  }
+
+  const pending = inspection.items
+    .filter((item) => !item.result)
+    .map((item) => ({ key: item.key, message: `${item.label} not checked` }));
+  if (pending.length > 0) {
+    throw ApiError.badRequest("Inspection is incomplete", pending);
+  }
+};
+
+/**
+ * Record the customer's acknowledgement of the inspection. Every item
+ * needs a result first; the inspection is locked afterwards.
+ *
+ * @param {Object} params - { name, method, customerId, recordedBy,
+ *   ipAddress, signature } (signature from signatureService.captureSignature)
+ */
+const signOff = async (
+  jobCard,
+  { name, method, customerId, recordedBy, ipAddress, signature }
+) => {
+  ensureSignable(jobCard);
+
+  const inspection = jobCard.checkInInspection;
+  inspection.signOff = {
+    name,
+    signedAt: new Date(),
+    method,
+    customer: customerId,
+    recordedBy,
+    ipAddress,
+    signature,
+  };
+  await jobCard.save();
+
+  return inspection;
+};
+
+/**
+ * Worst recorded result per panel, for the damage map
+ */
+const getPanelStates = (inspection) => {
+  const states = {};
+  (inspection?.items || []).forEach((item) => {
+    if (!item.result) return;
+    const panels = new Set(
+      [item.panel, ...(item.photos || []).map((photo) => photo.panel)].filter(
+        Boolean
+      )
+    );
+    panels.forEach((panel) => {
+      if (RESULT_RANK[item.result] > (RESULT_RANK[states[panel]] || 0)) {
+        states[panel] = item.result;
+      }
+    });
+  });
+  return states;
+};
+
+/**
+ * Inspection as shown to customers and staff
+ */
+const getInspectionView = (jobCard) => ({
+  jobNumber: jobCard.jobNumber,
+  odometerReading: jobCard.odometerReading,
+  fuelLevel: jobCard.fuelLevel,
+  inspection: jobCard.checkInInspection || null,
+  damageMap: getPanelStates(jobCard.checkInInspection),
+  isSignedOff: isSignedOff(jobCard),
+});
+
+/**
+ * Render the inspection report PDF
+ *
+ * @param {Object} jobCard - JobCard with customer and vehicle populated
+ * @returns {Promise<Buffer>}
+ */
+const buildInspectionPDF = async (jobCard) => {
+  const inspection = jobCard.checkInInspection;
+  if (!inspection?.items?.length) {
+    throw ApiError.notFound("No check-in inspection recorded");
+  }
+
+  const photos = inspection.items
+    .flatMap((item) =>
+      item.photos.map((photo) => ({
+        url: photo.url,
+        caption: [item.label, photo.panel, photo.caption]
+          .filter(Boolean)
+          .join(" - "),
+      }))
+    )
+    .slice(0, MAX_PDF_PHOTOS);
+
+  // Photos that can't be downloaded are left out
+  const buffers = await Promise.all(
+    photos.map((photo) => imagekitService.downloadImage(photo.url))
+  );
+  const signatures = await signatureService.loadSignatures([
+    {
+      label: "Inspection acknowledged",
+      signature: inspection.signOff?.signature,
+    },
+  ]);
+
+  return pdfService.generateInspectionPDF(jobCard, {
+    panelStates: getPanelStates(inspection),
+    signatures,
+    photos: photos
+      .map((photo, idx) => ({ caption: photo.caption, buffer: buffers[idx] }))
+      .filter((photo) => photo.buffer),
+  });
+};
+
+module.exports = {
+  getTemplate,
+  startInspection,
+  recordResults,
+  addPhotos,
+  ensureSignable,
+  signOff,
+  getInspectionView,
+  buildInspectionPDF,
+};
@@ -0,0 +1,434 @@
+/**
+ * Inventory Service
+ * Shared stock movement logic used by controllers and workflows
+ */
+const cron = require("node-cron");
+const { Inventory, InventoryTransaction, JobCard } = require("../models");
+const ApiError = require("../utils/apiError");
+const { inTransaction } = require("../utils/helpers");
+const config = require("../config");
+
+/**
+ * Add stock to an inventory item and log the movement.
+ *
+ * @param {Object} params
+ * @param {string} params.inventoryId – Inventory item id
+ * @param {number} params.quantity – quantity to add (> 0)
+ * @param {number} [params.unitPrice] – cost price per unit (defaults to item cost price)
+ * @param {string} params.performedBy – user id
+ * @param {string} [params.notes]
+ * @param {Object} [params.supplier] – { name, invoiceNumber, invoiceDate }
+ * @param {Object} [params.reference] – { type, id, number }
+ * @param {boolean} [params.updateCostPrice] – store unitPrice as the item's cost price
+ * @param {Object} [params.session] – mongoose session
+ * @returns {Object} { sparePart, transaction, previousStock, newStock }
+ */
+const addStock = async ({
+  inventoryId,
+  quantity,
+  unitPrice,
+  performedBy,
+  notes,
+  supplier,
+  reference,
+  updateCostPrice = false,
+  session = null,
+}) => {
+  if (!quantity || quantity <= 0) {
+    throw ApiError.badRequest("Quantity must be greater than 0");
+  }
+
+  const sparePart = await Inventory.findById(inventoryId).session(session);
+
+  if (!sparePart) {
+    throw ApiError.notFound("Spare part not found");
+  }
+
+  const price = unitPrice ?? sparePart.costPrice;
+  const previousStock = sparePart.currentStock;
+  const newStock = previousStock + quantity;
+
+  // Update stock
+  sparePart.currentStock = newStock;
+  sparePart.lastRestocked = new Date();
+  if (updateCostPrice && unitPrice !== undefined) {
+    sparePart.costPrice = unitPrice;
+  }
+  await sparePart.save({ session });
+
+  // Create transaction log
+  const [transaction] = await InventoryTransaction.create(
+    [
+      {
+        inventory: sparePart._id,
+        type: "purchase",
+        quantity,
+        previousStock,
+        newStock,
+        unitPrice: price,
+        totalAmount: quantity * price,
+        reference,
+        performedBy,
+        notes,
+        supplier,
+      },
+    ],
+    { session }
+  );
+
+  return { sparePart, transaction, previousStock, newStock };
+};
+
+// ============ Job Card Stock ============
+
+const STOCK_ITEM_TYPES = ["part", "consumable"];
+
+/**
+ * Whether a job item moves inventory (part/consumable linked to a spare part)
+ */
+const isStockTracked = (item) =>
+  Boolean(item?.inventory) && STOCK_ITEM_TYPES.includes(item.type);
+
+const jobCardReference = (jobCard) => ({
+  type: "jobcard",
+  id: jobCard._id,
+  number: jobCard.jobNumber,
+});
+
+/**
+ * Expiry for a reservation held on an item that is not yet approved
+ */
+const getReservationExpiry = (from = new Date()) =>
+  new Date(
+    from.getTime() + config.inventory.reservationHoldHours * 60 * 60 * 1000
+  );
+
+/**
+ * Reserve stock for job card items. All-or-nothing: if any item lacks
+ * available stock (current - reserved), nothing is reserved.
+ *
+ * Marks each reserved item's stockStatus in memory; caller saves the job card,
+ * in the same session so a failed save never leaves stock held.
+ * Without `expiresAt` the reservation is held until delivery or cancellation,
+ * and any expiry on items already reserved is cleared.
+ *
+ * @param {Object} jobCard – JobCard document
+ * @param {Array} items – job item subdocuments to reserve
+ * @param {string} performedBy – user id
+ * @param {Object} [options]
+ * @param {Date} [options.expiresAt] – release automatically after this time
+ * @param {Object} [options.session] – run in the caller's transaction
+ * @returns {Array} reserved items
+ */
+const reserveForJobCard = async (
+  jobCard,
+  items,
+  performedBy,
+  { expiresAt = null, session: callerSession = null } = {}
+) => {
+  const tracked = (items || []).filter(isStockTracked);
+  if (!expiresAt) {
+    tracked
+      .filter((item) => item.stockStatus === "reserved")
+      .forEach((item) => {
+        item.reservationExpiresAt = undefined;
+      });
+  }
+
+  const pending = tracked.filter(
+    (item) => !["reserved", "committed"].includes(item.stockStatus)
+  );
+  if (pending.length === 0) return [];
+
+  await inTransaction(callerSession, async (session) => {
+    const errors = [];
+
+    for (const item of pending) {
+      const quantity = Number(item.quantity || 1);
+
+      const sparePart = await Inventory.findOneAndUpdate(
+        {
+          _id: item.inventory,
+          isActive: true,
+          $expr: {
+            $gte: [{ $subtract: ["$currentStock", "$reservedStock"] }, quantity],
+          },
+        },
+        { $inc: { reservedStock: quantity } },
+        { new: true, session }
+      );
+
+      if (!sparePart) {
+        const part = await Inventory.findById(item.inventory)
+          .select("name currentStock reservedStock")
+          .session(session)
+          .lean();
+        const available = part
+          ? Math.max(0, part.currentStock - (part.reservedStock || 0))
+          : 0;
+        errors.push({
+          field: "jobItems",
+          itemId: item._id,
+          message: part
+            ? `Insufficient stock for ${part.name}. Available: ${available}, Required: ${quantity}`
+            : `Spare part not found for ${item.description}`,
+        });
+        continue;
+      }
+
+      await InventoryTransaction.create(
+        [
+          {
+            inventory: sparePart._id,
+            type: "reservation",
+            quantity,
+            previousStock: sparePart.currentStock,
+            newStock: sparePart.currentStock,
+            unitPrice: item.unitPrice,
+            totalAmount: item.total,
+            reference: jobCardReference(jobCard),
+            performedBy,
+            notes: `Reserved for job ${jobCard.jobNumber}`,
+          },
+        ],
+        { session }
+      );
+    }
+
+    if (errors.length > 0) {
+      throw ApiError.badRequest("Insufficient stock for job items", errors);
+    }
+  });
+
+  pending.forEach((item) => {
+    item.stockStatus = "reserved";
+    item.reservationExpiresAt = expiresAt || undefined;
+  });
+  return pending;
+};
+
+/**
+ * Release reservations for job card items (cancellation or item removal).
+ * Marks each item's stockStatus in memory; caller saves the job card.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.session] – run in the caller's transaction
+ */
+const releaseForJobCard = async (
+  jobCard,
+  items,
+  performedBy,
+  reason = "",
+  { session: callerSession = null } = {}
+) => {
+  const reserved = (items || []).filter(
+    (item) => isStockTracked(item) && item.stockStatus === "reserved"
+  );
+  if (reserved.length === 0) return [];
+
+  await inTransaction(callerSession, async (session) => {
+    for (const item of reserved) {
+      const quantity = Number(item.quantity || 1);
+
+      const sparePart = await Inventory.findById(item.inventory).session(
+        session
+      );
+      if (!sparePart) continue;
+
+      sparePart.reservedStock = Math.max(
+        0,
+        (sparePart.reservedStock || 0) - quantity
+      );
+      await sparePart.save({ session });
+
+      await InventoryTransaction.create(
+        [
+          {
+            inventory: sparePart._id,
+            type: "release",
+            quantity,
+            previousStock: sparePart.currentStock,
+            newStock: sparePart.currentStock,
+            reference: jobCardReference(jobCard),
+            performedBy,
+            notes: reason || `Reservation released for job ${jobCard.jobNumber}`,
+          },
+        ],
+        { session }
+      );
+    }
+  });
+
+  reserved.forEach((item) => {
+    item.stockStatus = "released";
+    item.reservationExpiresAt = undefined;
+  });
+  return reserved;
+};
+
+/**
+ * Commit reserved stock for a job card (on delivery): deducts currentStock
+ * and clears the reservation. Only approved items are used; holds still on
+ * unapproved items are released in the same transaction. Marks items in
+ * memory.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.session] – run in the caller's transaction
+ * @returns {Array} spare parts that dropped to or below minStock
+ */
+const commitForJobCard = async (
+  jobCard,
+  performedBy,
+  { session: callerSession = null } = {}
+) => {
+  const reserved = (jobCard.jobItems || []).filter(
+    (item) => isStockTracked(item) && item.stockStatus === "reserved"
+  );
+  if (reserved.length === 0) return [];
+
+  const approved = reserved.filter((item) => item.isApproved);
+  const unapproved = reserved.filter((item) => !item.isApproved);
+
+  const lowStockParts = [];
+  await inTransaction(callerSession, async (session) => {
+    await releaseForJobCard(
+      jobCard,
+      unapproved,
+      performedBy,
+      `Unapproved item not used in job ${jobCard.jobNumber}`,
+      { session }
+    );
+
+    for (const item of approved) {
+      const quantity = Number(item.quantity || 1);
+
+      const sparePart = await Inventory.findById(item.inventory).session(
+        session
+      );
+      if (!sparePart) {
+        throw ApiError.notFound(`Spare part not found for ${item.description}`);
+      }
+
+      if (sparePart.currentStock < quantity) {
+        throw ApiError.badRequest(
+          `Insufficient stock for ${sparePart.name}. Available: ${sparePart.currentStock}, Required: ${quantity}`
+        );
+      }
+
+      const previousStock = sparePart.currentStock;
+      const newStock = previousStock - quantity;
+
+      sparePart.currentStock = newStock;
+      sparePart.reservedStock = Math.max(
+        0,
+        (sparePart.reservedStock || 0) - quantity
+      );
+      sparePart.lastUsed = new Date();
+      await sparePart.save({ session });
+
+      await InventoryTransaction.create(
+        [
+          {
+            inventory: sparePart._id,
+            type: "sale",
+            quantity: -quantity,
+            previousStock,
+            newStock,
+            unitPrice: item.unitPrice,
+            totalAmount: item.total,
+            reference: jobCardReference(jobCard),
+            performedBy,
+            notes: `Used in job ${jobCard.jobNumber}`,
+          },
+        ],
+        { session }
+      );
+
+      if (newStock <= sparePart.minStock) {
+        lowStockParts.push(sparePart);
+      }
+    }
+  });
+
+  approved.forEach((item) => {
+    item.stockStatus = "committed";
+    item.reservationExpiresAt = undefined;
+  });
+  return lowStockParts;
+};
+
+/**
+ * Release reservations on unapproved job items whose hold has lapsed
+ *
+ * @returns {number} count of released items
+ */
+const releaseExpiredReservations = async () => {
+  const now = new Date();
+  const jobCards = await JobCard.find({
+    status: { $nin: JobCard.TERMINAL_STATUSES },
+    jobItems: {
+      $elemMatch: {
+        stockStatus: "reserved",
+        reservationExpiresAt: { $lte: now },
+      },
+    },
+  });
+
+  let releasedCount = 0;
+
+  for (const jobCard of jobCards) {
+    try {
+      const expired = jobCard.jobItems.filter(
+        (item) =>
+          item.stockStatus === "reserved" &&
+          item.reservationExpiresAt &&
+          item.reservationExpiresAt <= now
+      );
+
+      // The card is saved in the release's transaction, so a failed save
+      // cannot leave the items reserved for the next run to release again
+      const released = await inTransaction(null, async (session) => {
+        const items = await releaseForJobCard(
+          jobCard,
+          expired,
+          null,
+          `Reservation expired for job ${jobCard.jobNumber}`,
+          { session }
+        );
+        await jobCard.save({ session });
+        return items;
+      });
+      releasedCount += released.length;
+    } catch (error) {
+      console.error(
+        `Failed to release expired reservations for job ${jobCard.jobNumber}:`,
+        error.message
+      );
+    }
+  }
+
+  return releasedCount;
+};
+
+/**
+ * Initialize inventory cron jobs
+ */
+const initCronJobs = () => {
+  // Release lapsed reservations every 15 minutes
+  cron.schedule("*/15 * * * *", () => {
+    releaseExpiredReservations().catch(console.error);
+  });
+
+  console.log("[Cron] Inventory cron jobs initialized");
+};
+
+module.exports = {
+  addStock,
+  isStockTracked,
+  getReservationExpiry,
+  reserveForJobCard,
+  releaseForJobCard,
+  commitForJobCard,
+  releaseExpiredReservations,
+  initCronJobs,
+};
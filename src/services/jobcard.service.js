@@ -2,7 +2,19 @@
  * Job Card Service
  * Handles automatic job card creation from appointments
  */
-const { JobCard, Vehicle, Service, Appointment } = require("../models");
+const {
+    JobCard,
+    Vehicle,
+    Service,
+    Appointment,
+    Payment,
+} = require("../models");
+const Invoice = require("../models/invoice.model");
+const ApiError = require("../utils/apiError");
+const { inTransaction } = require("../utils/helpers");
+const inventoryService = require("./inventory.service");
+const logisticsService = require("./logistics.service");
+const { isSigned } = require("./signature.service");
 
 /**
  * Create a job card automatically from a confirmed appointment.
@@ -92,6 +104,169 @@ const createJobCardFromAppointment = async (appointment) => {
     return jobCard;
 };
 
+/**
+ * Check business preconditions for entering a status. Delivery needs the
+ * customer's handover signature, so only the deliver endpoint can reach it,
+ * unless the vehicle goes back on a drop: the customer then confirms the
+ * handover with the drop task's OTP.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.signaturePending] - the handover signature is
+ *   captured after this check passes
+ * @returns {string|null} reason the transition is blocked, or null if allowed
+ */
+const checkTransitionPreconditions = async (
+    jobCard,
+    newStatus,
+    { signaturePending = false } = {},
+) => {
+    if (newStatus === "in-progress") {
+        if (jobCard.estimate && jobCard.estimate.status !== "APPROVED") {
+            return "Estimate must be approved before work can start";
+        }
+    }
+
+    if (newStatus === "delivered") {
+        if (
+            !signaturePending &&
+            !isSigned(jobCard.deliverySignature) &&
+            !(await logisticsService.returnsByDrop(jobCard))
+        ) {
+            return "Vehicle must be handed over with the customer's signature";
+        }
+
+        const grandTotal = Number(jobCard.billing?.grandTotal || 0);
+        if (grandTotal <= 0) return null;
+
+        const invoice = await Invoice.findOne({
+            jobCard: jobCard._id,
+            status: { $nin: ["CANCELLED", "DRAFT"] },
+        })
+            .sort({ createdAt: -1 })
+            .select("invoiceNumber status grandTotal netPayable");
+
+        if (!invoice) {
+            return "Invoice must be generated and paid before delivery";
+        }
+
+        if (invoice.status !== "PAID") {
+            // Invoice paidAmount can lag behind recorded payments
+            const { totalPaid } = await Payment.getJobCardPayments(jobCard._id);
+            const balanceDue = Math.max(
+                0,
+                Number(invoice.netPayable ?? invoice.grandTotal ?? 0) -
+                    Number(totalPaid || 0),
+            );
+            if (balanceDue > 0.01) {
+                return `Invoice ${invoice.invoiceNumber} must be paid before delivery. Balance due: ₹${balanceDue.toFixed(2)}`;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Record a rejected status change attempt without touching other pending
+ * modifications on the document.
+ */
+const recordRejectedTransition = async (jobCard, newStatus, userId, reason) => {
+    const entry = {
+        status: newStatus,
+        fromStatus: jobCard.status,
+        changedAt: new Date(),
+        changedBy: userId,
+        notes: reason,
+        rejected: true,
+    };
+
+    await JobCard.updateOne(
+        { _id: jobCard._id },
+        { $push: { statusHistory: entry } },
+    );
+};
+
+/**
+ * Move a job card to a new status through the transition table.
+ *
+ * Enforces allowed transitions, per-role permissions and preconditions.
+ * Illegal attempts are written to statusHistory (rejected: true) and
+ * surface as a 409 listing the statuses the caller may move to.
+ * Delivery commits reserved stock and cancellation releases it, in the
+ * same transaction as the status change. Pass `session` to make the change
+ * part of the caller's transaction.
+ *
+ * @param {Object} jobCard – JobCard document
+ * @param {string} newStatus – requested status
+ * @param {Object} options – { userId, role, notes, session }
+ * @returns {Object} the updated JobCard document
+ */
+const transitionStatus = async (jobCard, newStatus, options = {}) => {
+    const { userId, role = "system", notes = "", session = null } = options;
+
+    if (!newStatus || newStatus === jobCard.status) {
+        return jobCard;
+    }
+
+    const allowedStatuses = jobCard.getAllowedNextStatuses(role);
+
+    let reason = null;
+    if (!allowedStatuses.includes(newStatus)) {
+        reason = JobCard.TERMINAL_STATUSES.includes(jobCard.status)
+            ? `Job card is already ${jobCard.status}`
+            : `Cannot change status from ${jobCard.status} to ${newStatus}`;
+    } else {
+        reason = await checkTransitionPreconditions(jobCard, newStatus);
+    }
+
+    if (reason) {
+        await recordRejectedTransition(jobCard, newStatus, userId, reason);
+
+        const allowedText = allowedStatuses.length
+            ? allowedStatuses.join(", ")
+            : "none";
+        throw new ApiError(409, `${reason}. Allowed next statuses: ${allowedText}`, [
+            {
+                field: "status",
+                message: reason,
+                currentStatus: jobCard.status,
+                allowedStatuses,
+            },
+        ]);
+    }
+
+    await inTransaction(session, async (txn) => {
+        // Reserved parts are consumed on delivery and returned on cancellation
+        if (newStatus === "delivered") {
+            await inventoryService.commitForJobCard(jobCard, userId, {
+                session: txn,
+            });
+        } else if (newStatus === "cancelled") {
+            await inventoryService.releaseForJobCard(
+                jobCard,
+                jobCard.jobItems,
+                userId,
+                `Job ${jobCard.jobNumber} cancelled`,
+                { session: txn },
+            );
+        }
+
+        await jobCard.updateStatus(newStatus, userId, notes, {
+            role,
+            session: txn,
+        });
+    });
+
+    // Vehicles that came in on a pickup go back on a drop
+    if (newStatus === "delivered") {
+        await logisticsService.createDropTaskForDelivery(jobCard, userId);
+    }
+
+    return jobCard;
+};
+
 module.exports = {
     createJobCardFromAppointment,
+    transitionStatus,
+    checkTransitionPreconditions,
 };
@@ -0,0 +1,437 @@
+/**
+ * Logistics Service
+ * Pickup and drop tasks: created from appointments that asked for pickup
+ * and from delivered job cards, assigned to drivers, moved through their
+ * status steps and closed with an OTP-confirmed, photographed handover
+ */
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { LogisticsTask, Appointment, User } = require("../models");
+const config = require("../config");
+const ApiError = require("../utils/apiError");
+const smsService = require("./sms.service");
+const fcmService = require("./fcm.service");
+const imagekitService = require("./imagekit.service");
+const notificationService = require("./notification.service");
+
+const MINUTE_MS = 60 * 1000;
+
+// Tasks still to be run; the vehicle hasn't changed hands yet
+const OPEN_STATUSES = ["pending", "assigned", "en-route", "out-for-delivery"];
+
+// Users who can be sent on a pickup or drop
+const DRIVER_ROLES = ["driver", "mechanic"];
+
+// What customers see of a task
+const CUSTOMER_FIELDS =
+  "taskNumber type status scheduledWindow driver lastLocation photos " +
+  "handover.confirmedAt statusHistory.status statusHistory.changedAt";
+
+const STATUS_MESSAGES = {
+  assigned: "A driver has been assigned",
+  "en-route": "Your driver is on the way to pick up your vehicle",
+  "picked-up": "Your vehicle has been picked up",
+  "at-workshop": "Your vehicle has reached the workshop",
+  "out-for-delivery": "Your vehicle is out for delivery",
+  dropped: "Your vehicle has been delivered",
+  cancelled: "Your pickup/drop has been cancelled",
+};
+
+/**
+ * Pickup window for an appointment: the lead time before its slot starts
+ */
+const getPickupWindow = (appointment) => {
+  const [hours, minutes] = appointment.timeSlot.startTime
+    .split(":")
+    .map(Number);
+  const end = new Date(appointment.scheduledDate);
+  end.setHours(hours, minutes, 0, 0);
+  return {
+    start: new Date(
+      end.getTime() - config.logistics.pickupLeadMinutes * MINUTE_MS
+    ),
+    end,
+  };
+};
+
+/**
+ * Push a status step to the customer; failures are only logged
+ */
+const notifyCustomer = async (task) => {
+  const entity = task.appointment
+    ? { type: "appointment", id: task.appointment }
+    : { type: "jobcard", id: task.jobCard };
+
+  try {
+    await notificationService.sendNotification({
+      customerId: task.customer,
+      type: "STATUS_UPDATE",
+      title: `${task.type === "drop" ? "Drop" : "Pickup"} ${task.taskNumber}`,
+      body: STATUS_MESSAGES[task.status],
+      data: {
+        screen: task.appointment ? "appointments/[id]" : "jobcards/[id]",
+        params: { id: entity.id.toString() },
+      },
+      relatedEntity: entity,
+    });
+  } catch (error) {
+    console.error("Logistics notification failed:", error.message);
+  }
+};
+
+/**
+ * Create the pickup task for an appointment that asked for pickup.
+ * Returns the open task if there already is one.
+ */
+const createPickupTask = async (appointment, createdBy) => {
+  const existing = await LogisticsTask.findOne({
+    appointment: appointment._id,
+    type: "pickup",
+    status: { $ne: "cancelled" },
+  });
+  if (existing) return existing;
+
+  const customerId = appointment.customer?._id || appointment.customer;
+  const customer = await User.findById(customerId).select("mobile").lean();
+
+  return LogisticsTask.create({
+    type: "pickup",
+    appointment: appointment._id,
+    jobCard: appointment.jobCard,
+    customer: customerId,
+    vehicle: appointment.vehicle?._id || appointment.vehicle,
+    address: appointment.pickupAddress,
+    contactMobile: customer?.mobile,
+    scheduledWindow: getPickupWindow(appointment),
+    statusHistory: [{ status: "pending", changedBy: createdBy }],
+    createdBy,
+  });
+};
+
+/**
+ * Create the drop task returning a job card's vehicle. The address falls
+ * back to the appointment's pickup address, then the customer's own.
+ *
+ * @param {object} jobCard - JobCard document
+ * @param {object} [options] - { address, window, createdBy }
+ */
+const createDropTask = async (jobCard, { address, window, createdBy } = {}) => {
+  const existing = await LogisticsTask.findOne({
+    jobCard: jobCard._id,
+    type: "drop",
+    status: { $ne: "cancelled" },
+  });
+  if (existing) return existing;
+
+  const appointmentId = jobCard.appointment?._id || jobCard.appointment;
+  const customerId = jobCard.customer?._id || jobCard.customer;
+  const [appointment, customer] = await Promise.all([
+    appointmentId
+      ? Appointment.findById(appointmentId).select("pickupAddress").lean()
+      : null,
+    User.findById(customerId).select("mobile address").lean(),
+  ]);
+
+  const dropAddress =
+    address || appointment?.pickupAddress || customer?.address;
+  if (!dropAddress?.street) {
+    throw ApiError.badRequest("A drop address is required");
+  }
+
+  const start = window?.start ? new Date(window.start) : new Date();
+  return LogisticsTask.create({
+    type: "drop",
+    appointment: appointmentId,
+    jobCard: jobCard._id,
+    customer: customerId,
+    vehicle: jobCard.vehicle?._id || jobCard.vehicle,
+    address: dropAddress,
+    contactMobile: customer?.mobile,
+    scheduledWindow: {
+      start,
+      end: window?.end
+        ? new Date(window.end)
+        : new Date(
+            start.getTime() + config.logistics.dropWindowMinutes * MINUTE_MS
+          ),
+    },
+    statusHistory: [{ status: "pending", changedBy: createdBy }],
+    createdBy,
+  });
+};
+
+/**
+ * Whether a job card's vehicle goes back to the customer on a drop: it
+ * came in on a pickup or its appointment asked for one. The drop's
+ * OTP-confirmed handover then stands in for a counter signature.
+ */
+const returnsByDrop = async (jobCard) => {
+  const pickup = await LogisticsTask.exists({
+    jobCard: jobCard._id,
+    type: "pickup",
+    status: { $ne: "cancelled" },
+  });
+  if (pickup) return true;
+
+  const appointment = jobCard.appointment
+    ? await Appointment.findById(jobCard.appointment._id || jobCard.appointment)
+        .select("pickupRequired")
+        .lean()
+    : null;
+  return Boolean(appointment?.pickupRequired);
+};
+
+/**
+ * Open a drop task when a job card whose vehicle was picked up is
+ * delivered. Never fails the delivery itself.
+ */
+const createDropTaskForDelivery = async (jobCard, createdBy) => {
+  try {
+    if (!(await returnsByDrop(jobCard))) return null;
+
+    return await createDropTask(jobCard, { createdBy });
+  } catch (error) {
+    console.error("Drop task creation failed:", error.message);
+    return null;
+  }
+};
+
+/**
+ * Keep an appointment's open pickup task in step with it: cancelled with
+ * the appointment, re-timed when it is rescheduled
+ */
+const syncPickupTask = async (appointment) => {
+  const open = {
+    appointment: appointment._id,
+    type: "pickup",
+    status: { $in: OPEN_STATUSES },
+  };
+
+  if (["cancelled", "no-show"].includes(appointment.status)) {
+    const tasks = await LogisticsTask.find(open);
+    for (const task of tasks) {
+      task.status = "cancelled";
+      task.cancellationReason = `Appointment ${appointment.status}`;
+      task.statusHistory.push({ status: "cancelled" });
+      await task.save();
+      await notifyCustomer(task);
+    }
+    return;
+  }
+
+  await LogisticsTask.updateMany(
+    { ...open, status: { $in: ["pending", "assigned"] } },
+    { $set: { scheduledWindow: getPickupWindow(appointment) } }
+  );
+};
+
+/**
+ * Assign (or reassign) a task's driver, optionally re-timing it
+ */
+const assignDriver = async (task, { driverId, window, assignedBy }) => {
+  if (!["pending", "assigned"].includes(task.status)) {
+    throw ApiError.badRequest(
+      `Cannot assign a driver to a task that is ${task.status}`
+    );
+  }
+
+  const driver = await User.findOne({
+    _id: driverId,
+    role: { $in: DRIVER_ROLES },
+    isActive: true,
+  }).select("name mobile deviceInfo");
+  if (!driver) {
+    throw ApiError.notFound("Driver not found");
+  }
+
+  task.driver = driver._id;
+  if (window?.start) task.scheduledWindow.start = new Date(window.start);
+  if (window?.end) task.scheduledWindow.end = new Date(window.end);
+  if (task.status !== "assigned") {
+    task.status = "assigned";
+    task.statusHistory.push({ status: "assigned", changedBy: assignedBy });
+  }
+  await task.save();
+
+  try {
+    await fcmService.notifyDriverAssignment(driver, task);
+  } catch (error) {
+    console.error("Driver notification failed:", error.message);
+  }
+  await notifyCustomer(task);
+
+  return task;
+};
+
+/**
+ * Text the customer a fresh handover OTP for the task
+ */
+const sendHandoverOtp = async (task) => {
+  const otp = String(crypto.randomInt(0, 10 ** config.otp.length)).padStart(
+    config.otp.length,
+    "0"
+  );
+
+  await LogisticsTask.updateOne(
+    { _id: task._id },
+    {
+      $set: {
+        "handover.otpHash": await bcrypt.hash(otp, 10),
+        "handover.otpSentAt": new Date(),
+        "handover.otpAttempts": 0,
+      },
+    }
+  );
+
+  const action = task.type === "drop" ? "delivery" : "pickup";
+  await smsService.sendSMS(
+    task.contactMobile,
+    `${otp} is your OTP for vehicle ${action} ${task.taskNumber}. Share it with the driver only when handing over the vehicle.`
+  );
+};
+
+/**
+ * Move a task to its next step. Handover steps go through
+ * completeHandover; the OTP goes out as the driver sets off.
+ *
+ * @param {object} params - { status, userId, notes, location }
+ */
+const advanceStatus = async (task, { status, userId, notes, location }) => {
+  const next = task.getNextStatus();
+  if (status !== next) {
+    throw ApiError.badRequest(
+      next
+        ? `Task can only move to ${next} from ${task.status}`
+        : `Task is already ${task.status}`
+    );
+  }
+  if (LogisticsTask.HANDOVER_STATUSES.includes(status)) {
+    throw ApiError.badRequest(
+      "Confirm the handover with the customer's OTP and photos"
+    );
+  }
+
+  task.status = status;
+  task.statusHistory.push({ status, changedBy: userId, notes, location });
+  if (location) task.lastLocation = { ...location, updatedAt: new Date() };
+  await task.save();
+
+  if (LogisticsTask.HANDOVER_STATUSES.includes(task.getNextStatus())) {
+    await sendHandoverOtp(task);
+  }
+  await notifyCustomer(task);
+
+  return task;
+};
+
+/**
+ * Confirm a handover: check the customer's OTP, store the handover photos
+ * and move the task to its handover step
+ *
+ * @param {object} params - { otp, files, userId, location }
+ */
+const completeHandover = async (task, { otp, files, userId, location }) => {
+  const status = task.getNextStatus();
+  if (!LogisticsTask.HANDOVER_STATUSES.includes(status)) {
+    throw ApiError.badRequest(`No handover is due while ${task.status}`);
+  }
+  if (!files?.length) {
+    throw ApiError.badRequest("At least one handover photo is required");
+  }
+
+  const { handover } = await LogisticsTask.findById(task._id)
+    .select("+handover.otpHash handover.otpAttempts")
+    .lean();
+  if (!handover?.otpHash) {
+    throw ApiError.badRequest("No handover OTP has been sent");
+  }
+  if (handover.otpAttempts >= config.otp.maxAttempts) {
+    throw ApiError.tooManyRequests(
+      "Too many wrong OTPs; send the customer a new one"
+    );
+  }
+
+  const isMatch = await bcrypt.compare(String(otp), handover.otpHash);
+  if (!isMatch) {
+    await LogisticsTask.updateOne(
+      { _id: task._id },
+      { $inc: { "handover.otpAttempts": 1 } }
+    );
+    const remaining = config.otp.maxAttempts - handover.otpAttempts - 1;
+    throw ApiError.badRequest(`Invalid OTP. ${remaining} attempts remaining`);
+  }
+
+  const uploads = await imagekitService.uploadMultipleImages(
+    files,
+    `logistics/${task._id}/${status}`
+  );
+
+  task.photos.push(
+    ...uploads.map((upload) => ({
+      url: upload.url,
+      fileId: upload.fileId,
+      stage: status,
+      uploadedBy: userId,
+    }))
+  );
+  task.status = status;
+  task.statusHistory.push({
+    status,
+    changedBy: userId,
+    notes: "Handover confirmed with customer OTP",
+    location,
+  });
+  if (location) task.lastLocation = { ...location, updatedAt: new Date() };
+  task.handover.confirmedAt = new Date();
+  task.handover.otpHash = undefined;
+  await task.save();
+
+  await notifyCustomer(task);
+  return task;
+};
+
+/**
+ * Cancel a task that hasn't changed hands yet
+ */
+const cancelTask = async (task, { reason, cancelledBy }) => {
+  if (!OPEN_STATUSES.includes(task.status)) {
+    throw ApiError.badRequest(`Cannot cancel a task that is ${task.status}`);
+  }
+
+  task.status = "cancelled";
+  task.cancellationReason = reason;
+  task.statusHistory.push({
+    status: "cancelled",
+    changedBy: cancelledBy,
+    notes: reason,
+  });
+  await task.save();
+
+  await notifyCustomer(task);
+  return task;
+};
+
+/**
+ * Tasks as customers see them
+ */
+const getCustomerTasks = (filter) =>
+  LogisticsTask.find(filter)
+    .select(CUSTOMER_FIELDS)
+    .populate("driver", "name mobile")
+    .sort({ createdAt: 1 })
+    .lean();
+
+module.exports = {
+  OPEN_STATUSES,
+  createPickupTask,
+  createDropTask,
+  returnsByDrop,
+  createDropTaskForDelivery,
+  syncPickupTask,
+  assignDriver,
+  sendHandoverOtp,
+  advanceStatus,
+  completeHandover,
+  cancelTask,
+  getCustomerTasks,
+};
@@ -1,15 +1,79 @@
 /**
  * Notification Service
- * Centralized notification management - handles both push and SMS
+ * Centralized notification management - handles push, SMS and WhatsApp
  */
 const Notification = require("../models/notification.model");
 const User = require("../models/user.model");
 const fcmService = require("./fcm.service");
-const smsService = require("./sms.service");
+const smsDeliveryService = require("./smsDelivery.service");
+const templateService = require("./notificationTemplate.service");
+const whatsappService = require("./whatsapp.service");
+const imagekitService = require("./imagekit.service");
+const pdfService = require("./pdf.service");
+
+const formatTime = (timeSlot) => timeSlot?.startTime || timeSlot || "";
+
+// How long MSG91 may fetch an attached PDF
+const DOCUMENT_LINK_SECONDS = 60 * 60;
+
+/**
+ * Send a notification's WhatsApp template. The attachment is uploaded
+ * as a private file and MSG91 gets a signed URL that expires, so
+ * receipts and invoices are never publicly reachable.
+ */
+const sendWhatsAppMessage = async (
+  notification,
+  mobile,
+  message,
+  attachment
+) => {
+  const whatsappStatus = { sentAt: new Date(), templateName: message.name };
+
+  try {
+    let document = null;
+    if (attachment) {
+      const buffer = await attachment.generate();
+      const upload = await imagekitService.uploadPrivateFile(
+        buffer,
+        attachment.fileName,
+        "documents"
+      );
+      const url = imagekitService.getSignedUrl(
+        upload.filePath,
+        DOCUMENT_LINK_SECONDS
+      );
+      document = { url, fileName: attachment.fileName };
+      whatsappStatus.mediaFileId = upload.fileId;
+    }
+
+    const result = await whatsappService.sendTemplate(mobile, {
+      name: message.name,
+      language: message.language,
+      parameters: message.parameters,
+      document,
+    });
+    Object.assign(whatsappStatus, {
+      sent: result.success,
+      provider: result.provider,
+      messageId: result.messageId,
+    });
+  } catch (error) {
+    console.error("[Notification] WhatsApp error:", error.message);
+    Object.assign(whatsappStatus, { sent: false, error: error.message });
+  }
+
+  notification.whatsappStatus = whatsappStatus;
+  await notification.save();
+};
 
 /**
  * Send notification to a customer
- * Respects user preferences and sends via appropriate channels
+ * Respects user preferences and sends via appropriate channels.
+ * With `template` ({ event, variables }) each channel uses the admin
+ * template for `type` in the customer's language; title/body are the
+ * fallback text. WhatsApp goes to opted-in customers when the type has
+ * an approved WhatsApp template; `attachment` ({ fileName, generate })
+ * is a PDF sent with it as a document.
  */
 const sendNotification = async ({
   customerId,
@@ -19,9 +83,12 @@ const sendNotification = async ({
   data = {},
   sendPush = true,
   sendSms = false,
+  sendWhatsApp = true,
   imageUrl = null,
   relatedEntity = null,
   metadata = null,
+  template = null,
+  attachment = null,
 }) => {
   try {
     // Get user with preferences
@@ -44,8 +111,10 @@ const sendNotification = async ({
       PAYMENT_ALERT: prefs.paymentAlerts !== false,
       SERVICE_REMINDER: prefs.remindersEnabled !== false,
       APPOINTMENT_REMINDER: prefs.remindersEnabled !== false,
+      WAITLIST_OFFER: prefs.bookingAlerts !== false,
       ESTIMATE_APPROVAL: prefs.statusUpdates !== false,
       VEHICLE_READY: prefs.statusUpdates !== false,
+      PROMOTION: prefs.promotions === true,
       GENERAL: true,
     };
 
@@ -54,18 +123,51 @@ const sendNotification = async ({
       return null;
     }
 
+    const variables = {
+      customerName: user.name || "Customer",
+      ...template?.variables,
+    };
+
+    // WhatsApp needs the customer's opt-in and an approved template
+    const whatsappMessage =
+      template && sendWhatsApp && prefs.whatsappEnabled === true && user.mobile
+        ? await templateService.renderWhatsApp({
+            type,
+            event: template.event,
+            language: prefs.language,
+            variables,
+          })
+        : null;
+
     // Determine channel
     let channel = "PUSH";
     if (shouldSendPush && shouldSendSms) channel = "BOTH";
     else if (shouldSendSms && !shouldSendPush) channel = "SMS";
+    else if (whatsappMessage && !shouldSendPush) channel = "WHATSAPP";
+
+    // Pick the customer's templates (or keep the built-in text)
+    const messages = template
+      ? await templateService.renderChannels({
+          type,
+          event: template.event,
+          language: prefs.language,
+          channels: ["IN_APP", "PUSH", "SMS"],
+          variables,
+          fallback: { title, body },
+        })
+      : {
+          IN_APP: { title, body },
+          PUSH: { title, body },
+          SMS: { title, body },
+        };
 
     // Create notification record
     const notification = await Notification.create({
       customer: customerId,
       type,
       channel,
-      title,
-      body,
+      title: messages.IN_APP.title,
+      body: messages.IN_APP.body,
       imageUrl,
       data: {
         screen: data.screen,
@@ -75,12 +177,13 @@ const sendNotification = async ({
       metadata,
     });
 
-    // Send push notification
-    if (shouldSendPush && user.deviceInfo?.fcmToken) {
+    // Send push notification to every registered device
+    const pushTokens = User.getPushTokens(user);
+    if (shouldSendPush && pushTokens.length > 0) {
       try {
-        const pushResult = await fcmService.sendToDevice(
-          user.deviceInfo.fcmToken,
-          { title, body, imageUrl },
+        const pushResult = await fcmService.sendToMultipleDevices(
+          pushTokens,
+          { title: messages.PUSH.title, body: messages.PUSH.body, imageUrl },
           {
             type,
             notificationId: notification._id.toString(),
@@ -96,7 +199,8 @@ const sendNotification = async ({
           sent: pushResult.success,
           sentAt: new Date(),
           error: pushResult.error,
-          messageId: pushResult.messageId,
+          deviceCount: pushTokens.length,
+          successCount: pushResult.successCount || 0,
         };
         await notification.save();
       } catch (pushError) {
@@ -111,22 +215,21 @@ const sendNotification = async ({
 
     // Send SMS
     if (shouldSendSms && user.mobile) {
-      try {
-        const smsResult = await smsService.sendSMS(user.mobile, body);
-        notification.smsStatus = {
-          sent: smsResult.success,
-          sentAt: new Date(),
-          provider: smsResult.provider,
-        };
-        await notification.save();
-      } catch (smsError) {
-        console.error("[Notification] SMS error:", smsError.message);
-        notification.smsStatus = {
-          sent: false,
-          error: smsError.message,
-        };
-        await notification.save();
-      }
+      await smsDeliveryService.sendNotificationSms(
+        notification,
+        user.mobile,
+        messages.SMS.body
+      );
+    }
+
+    // Send WhatsApp
+    if (whatsappMessage) {
+      await sendWhatsAppMessage(
+        notification,
+        user.mobile,
+        whatsappMessage,
+        attachment
+      );
     }
 
     return notification;
@@ -150,7 +253,15 @@ const sendBookingConfirmation = async (customerId, appointment) => {
     customerId,
     type: "BOOKING_CONFIRMATION",
     title: "Booking Confirmed! 🎉",
-    body: `Your appointment ${appointment.appointmentNumber} is confirmed for ${date} at ${appointment.timeSlot}.`,
+    body: `Your appointment ${appointment.appointmentNumber} is confirmed for ${date} at ${formatTime(appointment.timeSlot)}.`,
+    template: {
+      variables: {
+        appointmentNumber: appointment.appointmentNumber,
+        date,
+        time: formatTime(appointment.timeSlot),
+        vehicleNumber: appointment.vehicleSnapshot?.vehicleNumber,
+      },
+    },
     data: {
       screen: "appointments/[id]",
       params: { id: appointment._id.toString() },
@@ -183,6 +294,15 @@ const sendStatusUpdate = async (customerId, jobCard, newStatus) => {
     type: "STATUS_UPDATE",
     title: `Job ${jobCard.jobNumber} Update`,
     body: message,
+    template: {
+      event: newStatus,
+      variables: {
+        jobNumber: jobCard.jobNumber,
+        status: newStatus,
+        statusMessage: message,
+        vehicleNumber: jobCard.vehicleSnapshot?.vehicleNumber,
+      },
+    },
     data: {
       screen: "jobcards/[id]",
       params: { id: jobCard._id.toString() },
@@ -202,6 +322,13 @@ const sendEstimateApproval = async (customerId, jobCard, estimatedAmount) => {
     type: "ESTIMATE_APPROVAL",
     title: "Estimate Ready for Approval",
     body: `Estimated cost for your vehicle: ₹${estimatedAmount.toLocaleString("en-IN")}. Tap to review and approve.`,
+    template: {
+      variables: {
+        jobNumber: jobCard.jobNumber,
+        amount: estimatedAmount.toLocaleString("en-IN"),
+        vehicleNumber: jobCard.vehicleSnapshot?.vehicleNumber,
+      },
+    },
     data: {
       screen: "jobcards/[id]",
       params: { id: jobCard._id.toString() },
@@ -221,6 +348,13 @@ const sendPaymentSuccess = async (customerId, payment) => {
     type: "PAYMENT_ALERT",
     title: "Payment Successful ✓",
     body: `Payment of ₹${payment.amount.toLocaleString("en-IN")} received. Thank you!`,
+    template: {
+      event: "success",
+      variables: {
+        amount: payment.amount.toLocaleString("en-IN"),
+        receiptNumber: payment.paymentNumber,
+      },
+    },
     data: {
       screen: "payments/[id]",
       params: { id: payment._id.toString() },
@@ -228,6 +362,38 @@ const sendPaymentSuccess = async (customerId, payment) => {
     sendPush: true,
     sendSms: true,
     relatedEntity: { type: "payment", id: payment._id },
+    attachment: {
+      fileName: `Receipt_${payment.paymentNumber}.pdf`,
+      generate: () => pdfService.generateReceiptPDF(payment),
+    },
+  });
+};
+
+/**
+ * Send an invoice; on WhatsApp the PDF goes with it as a document
+ */
+const sendInvoice = async (customerId, invoice, pdfBuffer) => {
+  const amount = invoice.grandTotal.toLocaleString("en-IN");
+  return sendNotification({
+    customerId,
+    type: "PAYMENT_ALERT",
+    title: "Invoice Ready",
+    body: `Invoice ${invoice.invoiceNumber} for ₹${amount} is ready.`,
+    template: {
+      event: "invoice",
+      variables: { amount, invoiceNumber: invoice.invoiceNumber },
+    },
+    data: {
+      screen: "invoices/[id]",
+      params: { id: invoice._id.toString() },
+    },
+    sendPush: true,
+    sendSms: false,
+    relatedEntity: { type: "invoice", id: invoice._id },
+    attachment: {
+      fileName: `Invoice_${invoice.invoiceNumber}.pdf`,
+      generate: async () => pdfBuffer,
+    },
   });
 };
 
@@ -240,6 +406,10 @@ const sendPaymentFailure = async (customerId, amount, reason = "") => {
     type: "PAYMENT_ALERT",
     title: "Payment Failed",
     body: `Payment of ₹${amount.toLocaleString("en-IN")} failed. ${reason}Please try again.`,
+    template: {
+      event: "failure",
+      variables: { amount: amount.toLocaleString("en-IN"), reason },
+    },
     data: {
       screen: "payments",
       params: {},
@@ -259,6 +429,13 @@ const sendVehicleReady = async (customerId, jobCard) => {
     type: "VEHICLE_READY",
     title: "Vehicle Ready! 🚗",
     body: `Your ${vehicle.brand || ""} ${vehicle.model || ""} is ready for pickup.`,
+    template: {
+      variables: {
+        jobNumber: jobCard.jobNumber,
+        vehicleName: [vehicle.brand, vehicle.model].filter(Boolean).join(" "),
+        vehicleNumber: vehicle.vehicleNumber,
+      },
+    },
     data: {
       screen: "jobcards/[id]",
       params: { id: jobCard._id.toString() },
@@ -285,7 +462,15 @@ const sendAppointmentReminder = async (customerId, appointment, hoursUntil) => {
     customerId,
     type: "APPOINTMENT_REMINDER",
     title: "Appointment Reminder 📅",
-    body: `Your service appointment is ${timeLabel} at ${appointment.timeSlot}. See you there!`,
+    body: `Your service appointment is ${timeLabel} at ${formatTime(appointment.timeSlot)}. See you there!`,
+    template: {
+      variables: {
+        appointmentNumber: appointment.appointmentNumber,
+        date,
+        time: formatTime(appointment.timeSlot),
+        timeLabel,
+      },
+    },
     data: {
       screen: "appointments/[id]",
       params: { id: appointment._id.toString() },
@@ -296,6 +481,38 @@ const sendAppointmentReminder = async (customerId, appointment, hoursUntil) => {
   });
 };
 
+/**
+ * Offer a freed slot to a waitlisted customer
+ */
+const sendWaitlistOffer = async (customerId, entry, claimUrl) => {
+  const date = new Date(entry.date).toLocaleDateString("en-IN", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+  const expiresAt = new Date(entry.offer.expiresAt).toLocaleTimeString(
+    "en-IN",
+    { hour: "2-digit", minute: "2-digit" }
+  );
+
+  return sendNotification({
+    customerId,
+    type: "WAITLIST_OFFER",
+    title: "A Slot Opened Up! ⏰",
+    body: `A ${entry.offer.startTime} slot on ${date} is now free. Claim it before ${expiresAt}: ${claimUrl}`,
+    template: {
+      variables: { date, time: entry.offer.startTime, expiresAt, claimUrl },
+    },
+    data: {
+      screen: "waitlist/[id]",
+      params: { id: entry._id.toString() },
+    },
+    sendPush: true,
+    sendSms: true,
+    relatedEntity: { type: "waitlist", id: entry._id },
+  });
+};
+
 /**
  * Send service reminder (upcoming scheduled service)
  */
@@ -310,6 +527,13 @@ const sendServiceReminder = async (customerId, serviceSchedule, vehicle) => {
     type: "SERVICE_REMINDER",
     title: "Service Due Soon 🔧",
     body: `${vehicle.brand || ""} ${vehicle.model || ""} (${vehicle.vehicleNumber}) service is due on ${dueDate}.`,
+    template: {
+      variables: {
+        vehicleName: [vehicle.brand, vehicle.model].filter(Boolean).join(" "),
+        vehicleNumber: vehicle.vehicleNumber,
+        dueDate,
+      },
+    },
     data: {
       screen: "service-schedules",
       params: { vehicleId: vehicle._id.toString() },
@@ -344,8 +568,10 @@ module.exports = {
   sendEstimateApproval,
   sendPaymentSuccess,
   sendPaymentFailure,
+  sendInvoice,
   sendVehicleReady,
   sendAppointmentReminder,
   sendServiceReminder,
+  sendWaitlistOffer,
   isDuplicateNotification,
 };
@@ -5,6 +5,7 @@
 const cron = require("node-cron");
 const { Appointment, ServiceSchedule, Vehicle, User } = require("../models");
 const notificationService = require("./notification.service");
+const paymentReconciliationService = require("./paymentReconciliation.service");
 
 /**
  * Send appointment reminders for upcoming appointments
@@ -196,6 +197,22 @@ const scheduleNotificationCleanup = () => {
   });
 };
 
+/**
+ * Reconcile stale pending Razorpay payments with the gateway
+ * Runs nightly at 2:30 AM, saves a reconciliation report
+ */
+const schedulePaymentReconciliation = () => {
+  cron.schedule("30 2 * * *", async () => {
+    console.log("[Scheduler] Running payment reconciliation job...");
+
+    try {
+      await paymentReconciliationService.runReconciliation({ trigger: "cron" });
+    } catch (error) {
+      console.error("[Scheduler] Payment reconciliation failed:", error);
+    }
+  });
+};
+
 /**
  * Initialize all scheduled jobs
  */
@@ -205,6 +222,7 @@ const initializeScheduler = () => {
   scheduleAppointmentReminders();
   scheduleServiceReminders();
   scheduleNotificationCleanup();
+  schedulePaymentReconciliation();
 
   console.log("[Scheduler] All jobs scheduled");
 };
@@ -214,4 +232,5 @@ module.exports = {
   scheduleAppointmentReminders,
   scheduleServiceReminders,
   scheduleNotificationCleanup,
+  schedulePaymentReconciliation,
 };
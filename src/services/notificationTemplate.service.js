@@ -0,0 +1,256 @@
+/**
+ * Notification Template Service
+ * Picks admin-edited message text for a notification in the customer's
+ * language and fills in its {{placeholders}}. Without a template the
+ * built-in English text is used.
+ */
+const { NotificationTemplate, JobCard, User } = require("../models");
+
+const { DEFAULT_LANGUAGE } = NotificationTemplate;
+
+// Placeholders each type can use; customerName is always available
+const TEMPLATE_VARIABLES = {
+  BOOKING_CONFIRMATION: [
+    "customerName",
+    "appointmentNumber",
+    "date",
+    "time",
+    "vehicleNumber",
+  ],
+  STATUS_UPDATE: [
+    "customerName",
+    "jobNumber",
+    "status",
+    "statusMessage",
+    "vehicleNumber",
+  ],
+  PAYMENT_ALERT: [
+    "customerName",
+    "amount",
+    "reason",
+    "receiptNumber",
+    "invoiceNumber",
+  ],
+  SERVICE_REMINDER: ["customerName", "vehicleName", "vehicleNumber", "dueDate"],
+  ESTIMATE_APPROVAL: ["customerName", "jobNumber", "amount", "vehicleNumber"],
+  VEHICLE_READY: ["customerName", "jobNumber", "vehicleName", "vehicleNumber"],
+  APPOINTMENT_REMINDER: [
+    "customerName",
+    "appointmentNumber",
+    "date",
+    "time",
+    "timeLabel",
+  ],
+  WAITLIST_OFFER: ["customerName", "date", "time", "expiresAt", "claimUrl"],
+};
+
+// Cases a type can be narrowed to with `event`
+const TEMPLATE_EVENTS = {
+  STATUS_UPDATE: Object.keys(JobCard.STATUS_TRANSITIONS),
+  PAYMENT_ALERT: ["success", "failure", "invoice"],
+};
+
+// Values used when previewing a template
+const SAMPLE_VARIABLES = {
+  customerName: "Rahul Sharma",
+  appointmentNumber: "APT-2410-0042",
+  date: "Mon, 21 Oct",
+  time: "10:30",
+  vehicleNumber: "MH12AB1234",
+  vehicleName: "Maruti Swift",
+  jobNumber: "JC-2410-0107",
+  status: "ready",
+  statusMessage: "Your vehicle is ready for pickup!",
+  amount: "4,250",
+  reason: "",
+  receiptNumber: "PAY-2410-0088",
+  invoiceNumber: "INV-2410-0031",
+  dueDate: "25 Oct",
+  timeLabel: "tomorrow",
+  expiresAt: "11:15 am",
+  claimUrl: "https://example.com/waitlist/claim",
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const formatValue = (value) =>
+  value === undefined || value === null ? "" : String(value);
+
+/**
+ * Replace {{name}} placeholders; unknown names render empty
+ */
+const fillPlaceholders = (text, variables = {}) =>
+  (text || "").replace(PLACEHOLDER_PATTERN, (match, name) =>
+    formatValue(variables[name])
+  );
+
+/**
+ * Placeholders used in the given texts that the type does not provide
+ */
+const getUnknownPlaceholders = (type, ...texts) => {
+  const allowed = TEMPLATE_VARIABLES[type] || [];
+  const used = texts.flatMap((text) =>
+    [...(text || "").matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1])
+  );
+  return [...new Set(used)].filter((name) => !allowed.includes(name));
+};
+
+/**
+ * Best active template per channel. The customer's language wins over
+ * English, then an event-specific template over the generic one.
+ */
+const resolveTemplates = async ({ type, event = "", language, channels }) => {
+  const languages = [
+    ...new Set([language || DEFAULT_LANGUAGE, DEFAULT_LANGUAGE]),
+  ];
+  const events = [...new Set([event || "", ""])];
+
+  const templates = await NotificationTemplate.find({
+    type,
+    channel: { $in: channels },
+    language: { $in: languages },
+    event: { $in: events },
+    isActive: true,
+  }).lean();
+
+  const rank = (t) =>
+    languages.indexOf(t.language) * 2 + events.indexOf(t.event);
+
+  const byChannel = {};
+  templates
+    .sort((a, b) => rank(a) - rank(b))
+    .forEach((t) => {
+      if (!byChannel[t.channel]) byChannel[t.channel] = t;
+    });
+  return byChannel;
+};
+
+/**
+ * Render a notification's text for several channels at once
+ *
+ * @param {Object} params
+ * @param {string} params.type - Notification type, e.g. STATUS_UPDATE
+ * @param {string} [params.event] - Case within the type, e.g. "ready"
+ * @param {string} [params.language]
+ * @param {string[]} params.channels - PUSH, SMS and/or IN_APP
+ * @param {Object} params.variables - Placeholder values
+ * @param {Object} params.fallback - { title, body } built-in English text
+ * @returns {Object} { [channel]: { title, body, template } }
+ */
+const renderChannels = async ({
+  type,
+  event,
+  language,
+  channels,
+  variables,
+  fallback,
+}) => {
+  let templates = {};
+  if (TEMPLATE_VARIABLES[type]) {
+    try {
+      templates = await resolveTemplates({ type, event, language, channels });
+    } catch (error) {
+      console.error("[Template] Lookup failed:", error.message);
+    }
+  }
+
+  return Object.fromEntries(
+    channels.map((channel) => {
+      const template = templates[channel];
+      if (!template) return [channel, { ...fallback }];
+
+      return [
+        channel,
+        {
+          title: template.title
+            ? fillPlaceholders(template.title, variables)
+            : fallback.title,
+          body: fillPlaceholders(template.body, variables),
+          template: template._id,
+        },
+      ];
+    })
+  );
+};
+
+/**
+ * Render a notification's text for one channel
+ */
+const renderMessage = async ({ channel, ...params }) => {
+  const rendered = await renderChannels({ ...params, channels: [channel] });
+  return rendered[channel];
+};
+
+/**
+ * Approved WhatsApp template for a notification. WhatsApp only accepts
+ * pre-approved business messages, so there is no built-in fallback; the
+ * template's variables are the placeholders of its body, in order.
+ *
+ * @returns {Object|null} { name, language, parameters, body, template }
+ */
+const renderWhatsApp = async ({ type, event, language, variables = {} }) => {
+  if (!TEMPLATE_VARIABLES[type]) return null;
+
+  let template;
+  try {
+    ({ WHATSAPP: template } = await resolveTemplates({
+      type,
+      event,
+      language,
+      channels: ["WHATSAPP"],
+    }));
+  } catch (error) {
+    console.error("[Template] Lookup failed:", error.message);
+  }
+  if (!template?.providerTemplate) return null;
+
+  return {
+    name: template.providerTemplate,
+    language: template.language,
+    parameters: [...template.body.matchAll(PLACEHOLDER_PATTERN)].map(
+      ([, name]) => formatValue(variables[name])
+    ),
+    body: fillPlaceholders(template.body, variables),
+    template: template._id,
+  };
+};
+
+/**
+ * Render a message for a user in their language, filling customerName
+ */
+const renderForUser = async (user, { variables = {}, ...params }) => {
+  const record = await User.findById(user?._id || user)
+    .select("name notificationPreferences.language")
+    .lean();
+
+  return renderMessage({
+    ...params,
+    language: record?.notificationPreferences?.language,
+    variables: { customerName: record?.name || "Customer", ...variables },
+  });
+};
+
+/**
+ * Render template text with sample values (overridden by `variables`)
+ */
+const previewTemplate = ({ type, title, body, variables = {} }) => {
+  const values = { ...SAMPLE_VARIABLES, ...variables };
+  return {
+    title: title ? fillPlaceholders(title, values) : null,
+    body: fillPlaceholders(body, values),
+    variables: TEMPLATE_VARIABLES[type] || [],
+    unknownPlaceholders: getUnknownPlaceholders(type, title, body),
+  };
+};
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  TEMPLATE_EVENTS,
+  fillPlaceholders,
+  getUnknownPlaceholders,
+  renderChannels,
+  renderMessage,
+  renderWhatsApp,
+  renderForUser,
+  previewTemplate,
+};
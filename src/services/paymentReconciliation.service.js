@@ -0,0 +1,778 @@
+/**
+ * Payment Reconciliation Service
+ * Applies confirmed Razorpay payments to job card payments, invoices and
+ * subscriptions. Client verify calls and webhooks share these state changes,
+ * so each one is safe to apply more than once.
+ */
+const {
+  Payment,
+  Subscription,
+  Package,
+  RefundRequest,
+  WebhookEvent,
+  ReconciliationReport,
+} = require("../models");
+const Invoice = require("../models/invoice.model");
+const config = require("../config");
+const razorpayService = require("./razorpay.service");
+const notificationService = require("./notification.service");
+const fcmService = require("./fcm.service");
+const subscriptionService = require("./subscription.service");
+
+/**
+ * Map a Razorpay payment method to a Payment.paymentMethod value
+ */
+const mapPaymentMethod = (method) => {
+  if (["upi", "card", "netbanking", "wallet"].includes(method)) {
+    return method;
+  }
+  return "other";
+};
+
+/**
+ * Complete the pending job card payment created for a Razorpay order
+ *
+ * @returns {Object|null} completed payment, or null when none was pending
+ */
+const completeOrderPayment = async (
+  orderId,
+  { paymentId, signature } = {}
+) => {
+  const payment = await Payment.findOneAndUpdate(
+    {
+      "transactionDetails.orderId": orderId,
+      paymentType: { $ne: "refund" },
+      status: { $in: ["pending", "failed"] },
+    },
+    {
+      $set: {
+        status: "completed",
+        transactionId: paymentId,
+        "transactionDetails.gateway": "razorpay",
+        ...(signature && { "transactionDetails.signature": signature }),
+      },
+      $unset: { checkout: "" },
+    },
+    { new: true }
+  );
+
+  if (!payment) return null;
+
+  try {
+    await notificationService.sendPaymentSuccess(payment.customer, payment);
+  } catch (notifError) {
+    console.error("Payment notification failed:", notifError);
+  }
+
+  return payment;
+};
+
+/**
+ * Record a captured Razorpay payment against an invoice.
+ * A payment already recorded for the same Razorpay payment id is returned
+ * as is; the unique gateway payment index settles concurrent attempts.
+ *
+ * @param {Object} invoice – Invoice document
+ * @param {Object} razorpayPayment – Razorpay payment entity
+ * @param {Object} [details] – { orderId, signature }
+ * @returns {Object} { payment, applied }
+ */
+const recordInvoicePayment = async (
+  invoice,
+  razorpayPayment,
+  { orderId, signature } = {}
+) => {
+  const findRecorded = () =>
+    Payment.findOne({
+      transactionId: razorpayPayment.id,
+      paymentType: { $ne: "refund" },
+    });
+
+  const existing = await findRecorded();
+  if (existing) {
+    return { payment: existing, applied: false };
+  }
+
+  const paidAmount = razorpayPayment.amount / 100; // Convert from paise
+
+  // Generate payment number
+  const paymentCount = await Payment.countDocuments();
+  const paymentNumber = `PAY${String(paymentCount + 1).padStart(6, "0")}`;
+
+  const netPaid = Math.max(
+    0,
+    Number(invoice.paidAmount || 0) - Number(invoice.refundedAmount || 0)
+  );
+  const remainingBeforePayment = Math.max(
+    0,
+    Number(invoice.netPayable ?? invoice.grandTotal) - netPaid
+  );
+  const paymentType = paidAmount >= remainingBeforePayment ? "full" : "partial";
+
+  // Create payment record
+  let payment;
+  try {
+    payment = await Payment.create({
+      paymentNumber,
+      customer: invoice.customer?._id || invoice.customer,
+      jobCard: invoice.jobCard?._id || invoice.jobCard,
+      amount: paidAmount,
+      paymentType,
+      paymentMethod: mapPaymentMethod(razorpayPayment.method),
+      status: "completed",
+      transactionId: razorpayPayment.id,
+      transactionDetails: {
+        gateway: "razorpay",
+        orderId: orderId || razorpayPayment.order_id,
+        signature,
+      },
+      notes: `Invoice ${invoice.invoiceNumber}`,
+    });
+  } catch (error) {
+    // Another verify call or webhook recorded this payment first
+    if (error.code !== 11000 || !error.keyPattern?.transactionId) throw error;
+    return { payment: await findRecorded(), applied: false };
+  }
+
+  await Invoice.applyPayment(invoice._id, paidAmount, {
+    orderId: payment.transactionDetails.orderId,
+  });
+
+  try {
+    await notificationService.sendPaymentSuccess(payment.customer, payment);
+  } catch (error) {
+    console.error("Payment notification failed:", error);
+  }
+
+  return { payment, applied: true };
+};
+
+/**
+ * Activate a pending subscription once its payment is confirmed
+ *
+ * @returns {Object|null} activated subscription, or null when it was not
+ *   pending (already activated)
+ */
+const activateSubscription = async (
+  subscriptionId,
+  { paymentId, activatedBy, method = "online" } = {}
+) => {
+  let subscription = await Subscription.findOneAndUpdate(
+    { _id: subscriptionId, status: "pending" },
+    {
+      $set: {
+        status: "active",
+        "payment.transactionId": paymentId,
+        "payment.paidAt": new Date(),
+        "payment.method": method,
+        ...(activatedBy && { activatedBy }),
+      },
+      $unset: { checkout: "" },
+    },
+    { new: true }
+  ).populate("package", "name");
+
+  if (!subscription) return null;
+
+  // Increment package subscription count now that payment is confirmed
+  try {
+    await Package.findByIdAndUpdate(subscription.package._id, {
+      $inc: { currentSubscriptions: 1 },
+    });
+  } catch (countErr) {
+    console.error("Failed to increment subscription count:", countErr);
+  }
+
+  // Upgrade/downgrade: retire the old plan and start the new term today
+  if (subscription.changedFrom?.subscription) {
+    const pkg = subscription.package;
+    subscription = await subscriptionService.completePlanChange(subscription);
+    subscription.package = pkg;
+  }
+
+  // Send notification
+  try {
+    await fcmService.sendToUser(subscription.customer, {
+      title: "Subscription Activated! 🎉",
+      body: `Your ${subscription.package.name
+        } subscription is now active until ${subscription.endDate.toLocaleDateString()}`,
+      data: {
+        type: "subscription_activated",
+        subscriptionId: subscription._id.toString(),
+      },
+    });
+  } catch (notifError) {
+    console.error("Failed to send subscription notification:", notifError);
+  }
+
+  return subscription;
+};
+
+/**
+ * Notes of a Razorpay order, from the webhook payload when present
+ */
+const getOrderNotes = async (orderId, payload) => {
+  if (payload.order?.entity?.notes) return payload.order.entity.notes;
+  try {
+    const order = await razorpayService.fetchOrder(orderId);
+    return order.notes || {};
+  } catch (error) {
+    console.error("Razorpay order fetch failed:", error.message);
+    return {};
+  }
+};
+
+// ============ Webhook event handlers ============
+
+/**
+ * payment.captured / order.paid
+ */
+const handlePaymentCaptured = async (payload) => {
+  const entity = payload.payment?.entity;
+  const orderId = entity?.order_id || payload.order?.entity?.id;
+  if (!entity || !orderId) return null;
+
+  const jobCardPayment = await completeOrderPayment(orderId, {
+    paymentId: entity.id,
+  });
+  if (jobCardPayment) return "payment_completed";
+
+  const renewed = await subscriptionService.applyRenewal(orderId, {
+    paymentId: entity.id,
+    amount: entity.amount / 100,
+  });
+  if (renewed) return "subscription_renewed";
+
+  const subscription = await Subscription.findOne({
+    "payment.orderId": orderId,
+  }).select("_id status");
+  if (subscription) {
+    const activated = await activateSubscription(subscription._id, {
+      paymentId: entity.id,
+    });
+    return activated ? "subscription_activated" : "already_applied";
+  }
+
+  const notes = await getOrderNotes(orderId, payload);
+  if (notes.invoiceId) {
+    const invoice = await Invoice.findById(notes.invoiceId);
+    if (!invoice) return null;
+
+    const { applied } = await recordInvoicePayment(invoice, entity, {
+      orderId,
+    });
+    return applied ? "invoice_payment_recorded" : "already_applied";
+  }
+
+  // Job card payment already completed by the client verify call
+  const completed = await Payment.exists({
+    "transactionDetails.orderId": orderId,
+  });
+  return completed ? "already_applied" : null;
+};
+
+/**
+ * payment.failed – the order stays payable, so only pending job card
+ * payments are marked failed (a later attempt can still complete them)
+ */
+const handlePaymentFailed = async (payload) => {
+  const entity = payload.payment?.entity;
+  if (!entity?.order_id) return null;
+
+  const reason = entity.error_description
+    ? `${entity.error_description}. `
+    : "";
+
+  // Renewal failures are retried by the auto-renewal cron, which notifies
+  const renewal = await subscriptionService.handleRenewalPaymentFailure(
+    entity.order_id,
+    entity.error_description
+  );
+  if (renewal) return "renewal_payment_failed";
+
+  const payment = await Payment.findOneAndUpdate(
+    {
+      "transactionDetails.orderId": entity.order_id,
+      paymentType: { $ne: "refund" },
+      status: "pending",
+    },
+    { $set: { status: "failed", transactionId: entity.id } },
+    { new: true }
+  );
+
+  let customerId = payment?.customer;
+  if (!customerId) {
+    const subscription = await Subscription.findOne({
+      "payment.orderId": entity.order_id,
+      status: "pending",
+    }).select("customer");
+    customerId = subscription?.customer;
+  }
+  if (!customerId) {
+    const notes = await getOrderNotes(entity.order_id, payload);
+    customerId = notes.customerId;
+  }
+  if (!customerId) return null;
+
+  try {
+    await notificationService.sendPaymentFailure(
+      customerId,
+      entity.amount / 100,
+      reason
+    );
+  } catch (notifError) {
+    console.error("Payment failure notification failed:", notifError);
+  }
+
+  return payment ? "payment_failed" : "failure_notified";
+};
+
+/**
+ * refund.processed – confirm a gateway refund on the refund request and
+ * the original payment
+ */
+const handleRefundProcessed = async (payload) => {
+  const refund = payload.refund?.entity;
+  if (!refund) return null;
+
+  const refundRequest = await RefundRequest.findOneAndUpdate(
+    {
+      "gatewayRefund.refundId": refund.id,
+      "gatewayRefund.status": { $ne: "processed" },
+    },
+    {
+      $set: {
+        "gatewayRefund.status": "processed",
+        "gatewayRefund.processedAt": new Date(),
+      },
+      $push: {
+        logs: {
+          action: "GATEWAY_PROCESSED",
+          remarks: `Razorpay refund ${refund.id}`,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  const payment = await Payment.findOneAndUpdate(
+    { transactionId: refund.payment_id, paymentType: { $ne: "refund" } },
+    {
+      $set: {
+        "refundDetails.gatewayRefundId": refund.id,
+        "refundDetails.gatewayStatus": "processed",
+      },
+    }
+  );
+
+  return refundRequest || payment ? "refund_processed" : null;
+};
+
+const EVENT_HANDLERS = {
+  "payment.captured": handlePaymentCaptured,
+  "order.paid": handlePaymentCaptured,
+  "payment.failed": handlePaymentFailed,
+  "refund.processed": handleRefundProcessed,
+};
+
+// An attempt still "processing" after this long died mid-way (e.g. a crash)
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+/**
+ * Process a verified Razorpay webhook once per event id.
+ * Retries of a processed event are no-ops; failed events, and attempts
+ * left "processing" for longer than STALE_PROCESSING_MS, are retried.
+ *
+ * @param {string} eventId – X-Razorpay-Event-Id
+ * @param {Object} body – webhook payload ({ event, payload })
+ * @returns {Object} { duplicate, status, result }
+ */
+const processRazorpayEvent = async (eventId, body) => {
+  const { event, payload = {} } = body;
+  const entity =
+    payload.payment?.entity || payload.refund?.entity || payload.order?.entity;
+
+  let record;
+  try {
+    record = await WebhookEvent.create({
+      provider: "razorpay",
+      eventId,
+      event,
+      orderId: entity?.order_id || payload.order?.entity?.id,
+      entityId: entity?.id,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Seen before: only a failed or abandoned attempt is picked up again
+    const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+    record = await WebhookEvent.findOneAndUpdate(
+      {
+        provider: "razorpay",
+        eventId,
+        $or: [
+          { status: "failed" },
+          { status: "processing", updatedAt: { $lte: staleBefore } },
+        ],
+      },
+      { $set: { status: "processing" }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!record) return { duplicate: true };
+  }
+
+  const handler = EVENT_HANDLERS[event];
+
+  try {
+    const result = handler ? await handler(payload) : null;
+    record.status = result ? "processed" : "ignored";
+    record.result =
+      result || (handler ? "no_matching_record" : "unhandled_event");
+    record.error = undefined;
+    record.processedAt = new Date();
+    await record.save();
+
+    return { duplicate: false, status: record.status, result: record.result };
+  } catch (error) {
+    record.status = "failed";
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+// ============ Scheduled reconciliation ============
+
+// Most conclusive gateway payment state first
+const GATEWAY_STATUS_PRIORITY = [
+  "captured",
+  "refunded",
+  "authorized",
+  "failed",
+  "created",
+];
+
+// Records checked per entity type in one run
+const RECONCILE_BATCH_SIZE = 200;
+
+let reconciliationRunning = false;
+
+/**
+ * Gateway state of an order: its most conclusive payment attempt
+ *
+ * @returns {Object} { status, payment } – status is "no_payment" when the
+ *   order was never attempted
+ */
+const getGatewayState = async ({ orderId, paymentId }) => {
+  const attempts = [];
+  if (paymentId) {
+    attempts.push(await razorpayService.fetchPayment(paymentId));
+  }
+  if (orderId) {
+    const { items = [] } = await razorpayService.fetchOrderPayments(orderId);
+    attempts.push(...items);
+  }
+
+  for (const status of GATEWAY_STATUS_PRIORITY) {
+    const payment = attempts.find((attempt) => attempt.status === status);
+    if (payment) return { status, payment };
+  }
+  return { status: "no_payment", payment: null };
+};
+
+/**
+ * Reconcile one record: look up the gateway and apply `handlers[status]`
+ * (falling back to `handlers.default`). Handlers return the report action
+ * and may annotate the item.
+ */
+const reconcileRecord = async (item, lookup, handlers) => {
+  try {
+    const gateway = await getGatewayState(lookup);
+    item.gatewayStatus = gateway.status;
+    item.gatewayPaymentId = gateway.payment?.id;
+    // We still held it as pending while the gateway had moved on
+    item.mismatch = !["no_payment", "created"].includes(gateway.status);
+
+    const handler = handlers[gateway.status] || handlers.default;
+    item.action = handler ? await handler(gateway) : "none";
+  } catch (error) {
+    item.action = "error";
+    item.note = error.error?.description || error.message;
+  }
+  return item;
+};
+
+/**
+ * Stale pending job card payments with a Razorpay order
+ */
+const reconcilePayments = async (now, staleBefore) => {
+  const payments = await Payment.find({
+    paymentType: { $ne: "refund" },
+    status: "pending",
+    "transactionDetails.orderId": { $exists: true },
+    $or: [
+      { "checkout.expiresAt": { $lt: now } },
+      { updatedAt: { $lt: staleBefore } },
+    ],
+  })
+    .sort({ updatedAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  const items = [];
+  for (const payment of payments) {
+    const orderId = payment.transactionDetails.orderId;
+    const item = {
+      entityType: "payment",
+      entityId: payment._id,
+      reference: payment.paymentNumber,
+      orderId,
+      localStatus: payment.status,
+      amount: payment.amount,
+    };
+
+    const setStatus = async (status) => {
+      const updated = await Payment.updateOne(
+        { _id: payment._id, status: "pending" },
+        { $set: { status }, $unset: { checkout: "" } }
+      );
+      return updated.modifiedCount > 0 ? status : "none";
+    };
+
+    items.push(
+      await reconcileRecord(
+        item,
+        { orderId, paymentId: payment.transactionId },
+        {
+          captured: async (gateway) => {
+            const completed = await completeOrderPayment(orderId, {
+              paymentId: gateway.payment.id,
+            });
+            return completed ? "completed" : "none";
+          },
+          authorized: async () => {
+            item.note = "Payment authorized but not captured";
+            return "none";
+          },
+          refunded: async () => {
+            item.note = "Payment refunded on gateway";
+            return "none";
+          },
+          failed: () => setStatus("failed"),
+          default: () => setStatus("expired"),
+        }
+      )
+    );
+  }
+  return items;
+};
+
+/**
+ * Checkout orders of an invoice that expired while still open. Invoices
+ * from before the order history only know their latest checkout.
+ */
+const getExpiredCheckoutOrders = (invoice, now) => {
+  const history = invoice.checkoutOrders || [];
+  const orders = history.filter(
+    (order) => order.status === "open" && order.expiresAt < now
+  );
+
+  const latest = invoice.checkout;
+  const inHistory = history.some((order) => order.orderId === latest?.orderId);
+  if (latest?.orderId && latest.expiresAt < now && !inHistory) {
+    orders.push(latest);
+  }
+  return orders;
+};
+
+/**
+ * Invoices with checkout orders that expired while still open
+ */
+const reconcileInvoices = async (now) => {
+  const invoices = await Invoice.find({
+    $or: [
+      {
+        checkoutOrders: {
+          $elemMatch: { status: "open", expiresAt: { $lt: now } },
+        },
+      },
+      { "checkout.expiresAt": { $lt: now } },
+    ],
+  })
+    .sort({ updatedAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  const items = [];
+  for (const invoice of invoices) {
+    for (const order of getExpiredCheckoutOrders(invoice, now)) {
+      const { orderId } = order;
+      const item = {
+        entityType: "invoice",
+        entityId: invoice._id,
+        reference: invoice.invoiceNumber,
+        orderId,
+        localStatus: invoice.status,
+        amount: order.amount,
+      };
+
+      const closeCheckout = async (action, status = action) => {
+        await Invoice.closeCheckoutOrder(invoice._id, orderId, status);
+        return action;
+      };
+
+      items.push(
+        await reconcileRecord(
+          item,
+          { orderId },
+          {
+            captured: async (gateway) => {
+              const { applied } = await recordInvoicePayment(
+                invoice,
+                gateway.payment,
+                { orderId }
+              );
+              if (!applied) {
+                item.note = "Payment already recorded";
+                item.mismatch = false;
+                return closeCheckout("none", "paid");
+              }
+              return "completed";
+            },
+            authorized: async () => {
+              item.note = "Payment authorized but not captured";
+              return "none";
+            },
+            failed: () => closeCheckout("failed"),
+            default: () => closeCheckout("expired"),
+          }
+        )
+      );
+    }
+  }
+  return items;
+};
+
+/**
+ * Pending subscriptions whose checkout expired or that sat pending too long
+ */
+const reconcileSubscriptions = async (now, staleBefore) => {
+  const subscriptions = await Subscription.find({
+    status: "pending",
+    "payment.orderId": { $exists: true },
+    $or: [
+      { "checkout.expiresAt": { $lt: now } },
+      { updatedAt: { $lt: staleBefore } },
+    ],
+  })
+    .sort({ updatedAt: 1 })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  const items = [];
+  for (const subscription of subscriptions) {
+    const orderId = subscription.payment.orderId;
+    const item = {
+      entityType: "subscription",
+      entityId: subscription._id,
+      reference: subscription.subscriptionNumber,
+      orderId,
+      localStatus: subscription.status,
+      amount: subscription.payment.amount,
+    };
+
+    // Unpaid subscriptions are cancelled so the vehicle can be re-subscribed
+    const cancelUnpaid = async (action) => {
+      const updated = await Subscription.updateOne(
+        { _id: subscription._id, status: "pending" },
+        {
+          $set: {
+            status: "cancelled",
+            "cancellation.cancelledAt": new Date(),
+            "cancellation.reason": "Payment not completed",
+          },
+          $unset: { checkout: "" },
+        }
+      );
+      return updated.modifiedCount > 0 ? action : "none";
+    };
+
+    items.push(
+      await reconcileRecord(
+        item,
+        { orderId, paymentId: subscription.payment.transactionId },
+        {
+          captured: async (gateway) => {
+            const activated = await activateSubscription(subscription._id, {
+              paymentId: gateway.payment.id,
+            });
+            return activated ? "completed" : "none";
+          },
+          authorized: async () => {
+            item.note = "Payment authorized but not captured";
+            return "none";
+          },
+          failed: () => cancelUnpaid("failed"),
+          default: () => cancelUnpaid("expired"),
+        }
+      )
+    );
+  }
+  return items;
+};
+
+/**
+ * Reconcile stale pending payments, invoice checkouts and subscriptions
+ * with Razorpay and save a report of what changed and what disagreed.
+ *
+ * @param {Object} [options] – { trigger: "cron" | "manual", triggeredBy }
+ * @returns {Object|null} saved ReconciliationReport, or null if a run is
+ *   already in progress
+ */
+const runReconciliation = async ({ trigger = "cron", triggeredBy } = {}) => {
+  if (reconciliationRunning) return null;
+  reconciliationRunning = true;
+
+  try {
+    const startedAt = new Date();
+    const maxAgeMs = config.payments.pendingMaxAgeHours * 60 * 60 * 1000;
+    const staleBefore = new Date(startedAt.getTime() - maxAgeMs);
+
+    const items = [
+      ...(await reconcilePayments(startedAt, staleBefore)),
+      ...(await reconcileInvoices(startedAt)),
+      ...(await reconcileSubscriptions(startedAt, staleBefore)),
+    ];
+
+    const count = (action) => items.filter((i) => i.action === action).length;
+
+    const report = await ReconciliationReport.create({
+      trigger,
+      triggeredBy,
+      startedAt,
+      completedAt: new Date(),
+      summary: {
+        checked: items.length,
+        completed: count("completed"),
+        failed: count("failed"),
+        expired: count("expired"),
+        mismatches: items.filter((i) => i.mismatch).length,
+        errors: count("error"),
+      },
+      items,
+    });
+
+    console.log(
+      `[Reconciliation] Checked ${report.summary.checked}, completed ${report.summary.completed}, mismatches ${report.summary.mismatches}`
+    );
+    return report;
+  } finally {
+    reconciliationRunning = false;
+  }
+};
+
+module.exports = {
+  mapPaymentMethod,
+  completeOrderPayment,
+  recordInvoicePayment,
+  activateSubscription,
+  processRazorpayEvent,
+  runReconciliation,
+};
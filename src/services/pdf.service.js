@@ -5,13 +5,81 @@
 const PDFDocument = require("pdfkit");
 const config = require("../config");
 
+/**
+ * Draw customer signatures side by side, each with its label, signer and
+ * date. Starts a new page when there isn't room.
+ * @param {Object} doc - PDFKit document
+ * @param {Array} signatures - [{ label, name, signedAt, method, buffer }]
+ * @param {number} y - top of the block
+ * @returns {number} y below the block
+ */
+const drawSignatures = (doc, signatures, y) => {
+  if (!signatures?.length) return y;
+
+  const boxWidth = 150;
+  const boxHeight = 60;
+  let top = y;
+  if (top + boxHeight + 50 > 740) {
+    doc.addPage();
+    top = 50;
+  }
+
+  doc
+    .fontSize(10)
+    .fillColor("#0F172A")
+    .font("Helvetica-Bold")
+    .text("CUSTOMER SIGNATURES", 50, top);
+  top += 18;
+
+  signatures.slice(0, 3).forEach((signature, idx) => {
+    const x = 50 + idx * (boxWidth + 22);
+    if (signature.buffer) {
+      try {
+        doc.image(signature.buffer, x, top, {
+          fit: [boxWidth, boxHeight],
+          align: "center",
+          valign: "bottom",
+        });
+      } catch (error) {
+        // Unreadable image; the name and date below still record it
+      }
+    }
+    doc
+      .moveTo(x, top + boxHeight + 2)
+      .lineTo(x + boxWidth, top + boxHeight + 2)
+      .strokeColor("#94A3B8")
+      .stroke();
+    doc
+      .fontSize(8)
+      .fillColor("#0F172A")
+      .font("Helvetica-Bold")
+      .text(signature.label, x, top + boxHeight + 6, { width: boxWidth })
+      .fillColor("#64748B")
+      .font("Helvetica")
+      .text(signature.name || "", x, top + boxHeight + 17, {
+        width: boxWidth,
+      })
+      .text(
+        `${new Date(signature.signedAt).toLocaleString("en-IN")}${
+          signature.method === "counter" ? " (at counter)" : ""
+        }`,
+        x,
+        top + boxHeight + 28,
+        { width: boxWidth }
+      );
+  });
+
+  return top + boxHeight + 45;
+};
+
 /**
  * Generate invoice PDF
  * @param {Object} payment - Payment document
  * @param {Object} jobCard - JobCard document with populated fields
+ * @param {Array} [signatures] - customer signatures to embed
  * @returns {Promise<Buffer>} - PDF buffer
  */
-const generateInvoicePDF = async (payment, jobCard) => {
+const generateInvoicePDF = async (payment, jobCard, signatures = []) => {
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({
@@ -333,6 +401,9 @@ const generateInvoicePDF = async (payment, jobCard) => {
           align: "right",
         });
 
+      // Customer Signatures
+      drawSignatures(doc, signatures, yPos + 30);
+
       // Footer
       yPos = 750;
       doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor(borderColor).stroke();
@@ -441,7 +512,806 @@ const generateReceiptPDF = async (payment) => {
   });
 };
 
+/**
+ * Generate credit note PDF
+ * @param {Object} creditNote - CreditNote document
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+const generateCreditNotePDF = async (creditNote) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: 50,
+        info: {
+          Title: `Credit Note ${creditNote.creditNoteNumber}`,
+          Author: config.garage?.name || "ClutchGear Auto Services",
+        },
+      });
+
+      const buffers = [];
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+      doc.on("error", reject);
+
+      // Colors
+      const primaryColor = "#DC2626";
+      const textColor = "#0F172A";
+      const mutedColor = "#64748B";
+      const borderColor = "#E2E8F0";
+
+      const fmt = (n) =>
+        `₹${Number(n || 0).toLocaleString("en-IN", {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2,
+        })}`;
+
+      // Header Section
+      doc
+        .fontSize(24)
+        .fillColor(primaryColor)
+        .font("Helvetica-Bold")
+        .text(config.garage?.name || "ClutchGear Auto Services", 50, 50);
+
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(config.garage?.address || "Vehicle Service Center", 50, 80)
+        .text(config.garage?.phone || "", 50, 95)
+        .text(config.garage?.gst ? `GSTIN: ${config.garage.gst}` : "", 50, 110);
+
+      // Title + details
+      doc
+        .fontSize(22)
+        .fillColor(textColor)
+        .font("Helvetica-Bold")
+        .text("CREDIT NOTE", 300, 50, { width: 245, align: "right" });
+
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(`No: ${creditNote.creditNoteNumber}`, 300, 85, {
+          width: 245,
+          align: "right",
+        })
+        .text(
+          `Date: ${new Date(creditNote.issuedAt).toLocaleDateString("en-IN")}`,
+          300,
+          100,
+          { width: 245, align: "right" }
+        )
+        .text(`Against Invoice: ${creditNote.invoiceNumber}`, 300, 115, {
+          width: 245,
+          align: "right",
+        });
+
+      // Divider
+      doc.moveTo(50, 140).lineTo(545, 140).strokeColor(borderColor).stroke();
+
+      // Customer
+      let yPos = 155;
+      const customer = creditNote.customerSnapshot || {};
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica-Bold")
+        .text("ISSUED TO:", 50, yPos);
+      doc
+        .fontSize(12)
+        .fillColor(textColor)
+        .text(customer.name || "Customer", 50, yPos + 15);
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(
+          [customer.mobile, customer.gstin && `GSTIN: ${customer.gstin}`]
+            .filter(Boolean)
+            .join("  |  "),
+          50,
+          yPos + 32
+        );
+
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica-Bold")
+        .text("REASON:", 300, yPos, { width: 245, align: "right" })
+        .font("Helvetica")
+        .fillColor(textColor)
+        .text(creditNote.reason || "", 300, yPos + 15, {
+          width: 245,
+          align: "right",
+        });
+
+      // Items Table Header
+      yPos = 230;
+      doc.rect(50, yPos, 495, 25).fillColor("#F8FAFC").fill();
+
+      doc
+        .fontSize(9)
+        .fillColor(mutedColor)
+        .font("Helvetica-Bold")
+        .text("DESCRIPTION", 60, yPos + 8)
+        .text("HSN/SAC", 250, yPos + 8, { width: 60 })
+        .text("QTY", 310, yPos + 8, { width: 30, align: "center" })
+        .text("TAXABLE", 345, yPos + 8, { width: 65, align: "right" })
+        .text("TAX", 415, yPos + 8, { width: 55, align: "right" })
+        .text("AMOUNT", 470, yPos + 8, { width: 65, align: "right" });
+
+      yPos += 35;
+      (creditNote.items || []).forEach((item) => {
+        if (yPos > 700) {
+          doc.addPage();
+          yPos = 50;
+        }
+
+        doc
+          .fontSize(10)
+          .fillColor(textColor)
+          .font("Helvetica")
+          .text(item.name, 60, yPos, { width: 185 })
+          .text(item.hsnCode || "-", 250, yPos, { width: 60 })
+          .text(item.quantity ? String(item.quantity) : "-", 310, yPos, {
+            width: 30,
+            align: "center",
+          })
+          .text(fmt(item.taxableValue), 345, yPos, {
+            width: 65,
+            align: "right",
+          })
+          .text(fmt(item.taxAmount), 415, yPos, { width: 55, align: "right" })
+          .text(fmt(item.total), 470, yPos, { width: 65, align: "right" });
+
+        yPos += 25;
+        doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor(borderColor).stroke();
+        yPos += 10;
+      });
+
+      // Totals Section
+      yPos = Math.max(yPos + 10, 420);
+      const totals = [["Taxable Value:", creditNote.taxableAmount]];
+      if (creditNote.isInterState) {
+        totals.push(["IGST:", creditNote.igstAmount]);
+      } else {
+        totals.push(["CGST:", creditNote.cgstAmount]);
+        totals.push(["SGST:", creditNote.sgstAmount]);
+      }
+
+      totals.forEach(([label, value]) => {
+        doc
+          .fontSize(10)
+          .fillColor(mutedColor)
+          .font("Helvetica")
+          .text(label, 330, yPos, { width: 100, align: "right" })
+          .fillColor(textColor)
+          .text(fmt(value), 450, yPos, { width: 85, align: "right" });
+        yPos += 20;
+      });
+
+      // Credit Total Box
+      yPos += 10;
+      doc.rect(330, yPos, 215, 35).fillColor(primaryColor).fill();
+      doc
+        .fontSize(11)
+        .fillColor("#FFFFFF")
+        .font("Helvetica-Bold")
+        .text("TOTAL CREDIT:", 340, yPos + 11, { width: 100 })
+        .fontSize(14)
+        .text(fmt(creditNote.grandTotal), 440, yPos + 9, {
+          width: 95,
+          align: "right",
+        });
+
+      if (creditNote.refundAmount > 0) {
+        yPos += 50;
+        doc
+          .fontSize(10)
+          .fillColor(mutedColor)
+          .font("Helvetica")
+          .text("Amount Refunded:", 330, yPos, { width: 100, align: "right" })
+          .fillColor(textColor)
+          .font("Helvetica-Bold")
+          .text(fmt(creditNote.refundAmount), 450, yPos, {
+            width: 85,
+            align: "right",
+          });
+      }
+
+      // Footer
+      yPos = 750;
+      doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor(borderColor).stroke();
+      doc
+        .fontSize(9)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(
+          `This credit note reduces the value of invoice ${creditNote.invoiceNumber}.`,
+          50,
+          yPos + 15,
+          { align: "center", width: 495 }
+        );
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Generate cost estimate PDF
+ * @param {Object} jobCard - JobCard with customer and vehicle populated
+ * @param {Array} [signatures] - customer signatures to embed
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+const generateEstimatePDF = async (jobCard, signatures = []) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const estimate = jobCard.estimate || {};
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: 50,
+        info: {
+          Title: `Estimate ${jobCard.jobNumber} v${estimate.version || 1}`,
+          Author: config.garage?.name || "ClutchGear Auto Services",
+        },
+      });
+
+      const buffers = [];
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+      doc.on("error", reject);
+
+      // Colors
+      const primaryColor = "#DC2626";
+      const textColor = "#0F172A";
+      const mutedColor = "#64748B";
+      const borderColor = "#E2E8F0";
+
+      const fmt = (n) =>
+        `₹${Number(n || 0).toLocaleString("en-IN", {
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2,
+        })}`;
+      const fmtDate = (d) =>
+        d ? new Date(d).toLocaleDateString("en-IN") : "-";
+
+      // Header Section
+      doc
+        .fontSize(24)
+        .fillColor(primaryColor)
+        .font("Helvetica-Bold")
+        .text(config.garage?.name || "ClutchGear Auto Services", 50, 50);
+
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(config.garage?.address || "Vehicle Service Center", 50, 80)
+        .text(config.garage?.phone || "", 50, 95);
+
+      // Title + details
+      doc
+        .fontSize(22)
+        .fillColor(textColor)
+        .font("Helvetica-Bold")
+        .text("ESTIMATE", 300, 50, { width: 245, align: "right" });
+
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(
+          `Job Card: ${jobCard.jobNumber}  (v${estimate.version || 1})`,
+          300,
+          85,
+          { width: 245, align: "right" }
+        )
+        .text(`Date: ${fmtDate(estimate.createdAt)}`, 300, 100, {
+          width: 245,
+          align: "right",
+        })
+        .text(`Valid until: ${fmtDate(estimate.expiresAt)}`, 300, 115, {
+          width: 245,
+          align: "right",
+        });
+
+      // Divider
+      doc.moveTo(50, 140).lineTo(545, 140).strokeColor(borderColor).stroke();
+
+      // Customer & Vehicle
+      let yPos = 155;
+      const customer = jobCard.customer || {};
+      const vehicle = jobCard.vehicleSnapshot?.vehicleNumber
+        ? jobCard.vehicleSnapshot
+        : jobCard.vehicle || {};
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica-Bold")
+        .text("PREPARED FOR:", 50, yPos)
+        .text("VEHICLE:", 300, yPos, { width: 245, align: "right" });
+      doc
+        .fontSize(12)
+        .fillColor(textColor)
+        .text(customer.name || "Customer", 50, yPos + 15)
+        .text(vehicle.vehicleNumber || "N/A", 300, yPos + 15, {
+          width: 245,
+          align: "right",
+        });
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(customer.mobile || "", 50, yPos + 32)
+        .text(
+          [vehicle.brand, vehicle.model].filter(Boolean).join(" "),
+          300,
+          yPos + 32,
+          { width: 245, align: "right" }
+        );
+
+      // Items Table Header
+      yPos = 215;
+      doc.rect(50, yPos, 495, 25).fillColor("#F8FAFC").fill();
+
+      doc
+        .fontSize(9)
+        .fillColor(mutedColor)
+        .font("Helvetica-Bold")
+        .text("DESCRIPTION", 60, yPos + 8)
+        .text("TYPE", 270, yPos + 8, { width: 60 })
+        .text("QTY", 330, yPos + 8, { width: 30, align: "center" })
+        .text("RATE", 365, yPos + 8, { width: 75, align: "right" })
+        .text("AMOUNT", 450, yPos + 8, { width: 85, align: "right" });
+
+      yPos += 35;
+      (estimate.items || []).forEach((item) => {
+        if (yPos > 700) {
+          doc.addPage();
+          yPos = 50;
+        }
+
+        doc
+          .fontSize(10)
+          .fillColor(textColor)
+          .font("Helvetica")
+          .text(item.name, 60, yPos, { width: 205 })
+          .fillColor(mutedColor)
+          .text(item.type, 270, yPos, { width: 60 })
+          .fillColor(textColor)
+          .text(String(item.quantity || 1), 330, yPos, {
+            width: 30,
+            align: "center",
+          })
+          .text(fmt(item.unitPrice), 365, yPos, { width: 75, align: "right" })
+          .text(fmt(item.total), 450, yPos, { width: 85, align: "right" });
+
+        yPos += 25;
+        doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor(borderColor).stroke();
+        yPos += 10;
+      });
+
+      // Totals Section
+      yPos = Math.max(yPos + 10, 400);
+      if (yPos > 640) {
+        doc.addPage();
+        yPos = 50;
+      }
+      const totals = [["Subtotal:", estimate.subtotal]];
+      if (estimate.discountAmount > 0) {
+        totals.push(["Discount:", -estimate.discountAmount]);
+      }
+      totals.push([`Tax (${estimate.taxRate || 0}%):`, estimate.taxAmount]);
+
+      totals.forEach(([label, value]) => {
+        doc
+          .fontSize(10)
+          .fillColor(mutedColor)
+          .font("Helvetica")
+          .text(label, 330, yPos, { width: 100, align: "right" })
+          .fillColor(textColor)
+          .text(fmt(value), 450, yPos, { width: 85, align: "right" });
+        yPos += 20;
+      });
+
+      // Estimate Total Box
+      yPos += 10;
+      doc.rect(330, yPos, 215, 35).fillColor(primaryColor).fill();
+      doc
+        .fontSize(11)
+        .fillColor("#FFFFFF")
+        .font("Helvetica-Bold")
+        .text("ESTIMATE TOTAL:", 340, yPos + 11, { width: 100 })
+        .fontSize(14)
+        .text(fmt(estimate.grandTotal), 440, yPos + 9, {
+          width: 95,
+          align: "right",
+        });
+      yPos += 50;
+
+      if (estimate.notes) {
+        doc
+          .fontSize(9)
+          .fillColor(mutedColor)
+          .font("Helvetica")
+          .text(`Notes: ${estimate.notes}`, 50, yPos, { width: 495 });
+        yPos = doc.y + 15;
+      }
+
+      // Approval
+      if (estimate.status === "APPROVED") {
+        doc
+          .fontSize(10)
+          .fillColor("#10B981")
+          .font("Helvetica-Bold")
+          .text(`Approved on ${fmtDate(estimate.approvedAt)}`, 50, yPos);
+        yPos += 25;
+      }
+      drawSignatures(doc, signatures, yPos);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+// Damage map cells as [column, row, rowSpan] on a 3-column grid, front at
+// the top
+const PANEL_GRID = {
+  "four-wheeler": {
+    "front-bumper": [1, 0, 1],
+    bonnet: [1, 1, 1],
+    windshield: [1, 2, 1],
+    roof: [1, 3, 2],
+    "rear-windshield": [1, 5, 1],
+    boot: [1, 6, 1],
+    "rear-bumper": [1, 7, 1],
+    "left-front-fender": [0, 1, 1],
+    "left-front-door": [0, 2, 2],
+    "left-rear-door": [0, 4, 2],
+    "left-rear-quarter": [0, 6, 1],
+    "right-front-fender": [2, 1, 1],
+    "right-front-door": [2, 2, 2],
+    "right-rear-door": [2, 4, 2],
+    "right-rear-quarter": [2, 6, 1],
+  },
+  "two-wheeler": {
+    "front-mudguard": [1, 0, 1],
+    "headlamp-visor": [1, 1, 1],
+    handlebar: [1, 2, 1],
+    "fuel-tank": [1, 3, 1],
+    seat: [1, 4, 1],
+    "left-side-panel": [0, 3, 2],
+    "right-side-panel": [2, 3, 2],
+    "engine-guard": [1, 5, 1],
+    "rear-mudguard": [1, 6, 1],
+    "tail-lamp": [1, 7, 1],
+  },
+};
+
+/**
+ * Generate check-in inspection report PDF
+ * @param {Object} jobCard - JobCard with customer and vehicle populated
+ * @param {Object} report
+ * @param {Object} report.panelStates - panel -> worst result recorded
+ * @param {Array} report.photos - [{ buffer, caption }] already downloaded
+ * @param {Array} [report.signatures] - customer signatures to embed
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+const generateInspectionPDF = async (
+  jobCard,
+  { panelStates, photos, signatures = [] }
+) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const inspection = jobCard.checkInInspection || {};
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: 50,
+        info: {
+          Title: `Check-in Inspection ${jobCard.jobNumber}`,
+          Author: config.garage?.name || "ClutchGear Auto Services",
+        },
+      });
+
+      const buffers = [];
+      doc.on("data", buffers.push.bind(buffers));
+      doc.on("end", () => resolve(Buffer.concat(buffers)));
+      doc.on("error", reject);
+
+      // Colors
+      const primaryColor = "#DC2626";
+      const textColor = "#0F172A";
+      const mutedColor = "#64748B";
+      const borderColor = "#E2E8F0";
+      const resultColors = {
+        pass: "#16A34A",
+        attention: "#F59E0B",
+        fail: primaryColor,
+      };
+      const resultLabels = {
+        pass: "Pass",
+        attention: "Attention",
+        fail: "Fail",
+      };
+
+      let yPos = 50;
+      const ensureSpace = (height) => {
+        if (yPos + height > 760) {
+          doc.addPage();
+          yPos = 50;
+        }
+      };
+      const sectionTitle = (title) => {
+        ensureSpace(40);
+        doc
+          .fontSize(11)
+          .fillColor(textColor)
+          .font("Helvetica-Bold")
+          .text(title, 50, yPos);
+        yPos += 20;
+      };
+
+      // Header Section
+      doc
+        .fontSize(24)
+        .fillColor(primaryColor)
+        .font("Helvetica-Bold")
+        .text(config.garage?.name || "ClutchGear Auto Services", 50, 50);
+
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(config.garage?.address || "Vehicle Service Center", 50, 80)
+        .text(config.garage?.phone || "", 50, 95);
+
+      doc
+        .fontSize(18)
+        .fillColor(textColor)
+        .font("Helvetica-Bold")
+        .text("CHECK-IN INSPECTION", 300, 50, { width: 245, align: "right" });
+
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(`Job Card: ${jobCard.jobNumber}`, 300, 80, {
+          width: 245,
+          align: "right",
+        })
+        .text(
+          `Received: ${new Date(jobCard.receivedAt || jobCard.createdAt).toLocaleString("en-IN")}`,
+          300,
+          95,
+          { width: 245, align: "right" }
+        );
+
+      // Divider
+      doc.moveTo(50, 120).lineTo(545, 120).strokeColor(borderColor).stroke();
+
+      // Customer & Vehicle
+      yPos = 135;
+      const customer = jobCard.customer || {};
+      const vehicle = jobCard.vehicleSnapshot?.vehicleNumber
+        ? jobCard.vehicleSnapshot
+        : jobCard.vehicle || {};
+      doc
+        .fontSize(10)
+        .fillColor(mutedColor)
+        .font("Helvetica-Bold")
+        .text("CUSTOMER:", 50, yPos)
+        .text("VEHICLE:", 300, yPos);
+      doc
+        .fontSize(10)
+        .fillColor(textColor)
+        .font("Helvetica")
+        .text(customer.name || "Customer", 50, yPos + 15)
+        .text(customer.mobile || "", 50, yPos + 30)
+        .text(vehicle.vehicleNumber || "", 300, yPos + 15)
+        .text(
+          [vehicle.brand, vehicle.model].filter(Boolean).join(" "),
+          300,
+          yPos + 30
+        );
+
+      yPos += 50;
+      doc
+        .fillColor(mutedColor)
+        .text(
+          [
+            jobCard.odometerReading !== undefined &&
+              `Odometer: ${jobCard.odometerReading} km`,
+            jobCard.fuelLevel && `Fuel: ${jobCard.fuelLevel}`,
+            inspection.templateName && `Checklist: ${inspection.templateName}`,
+          ]
+            .filter(Boolean)
+            .join("  |  "),
+          50,
+          yPos
+        );
+      yPos += 25;
+
+      // Checklist
+      sectionTitle("CHECKLIST");
+      doc.rect(50, yPos, 495, 22).fillColor("#F8FAFC").fill();
+      doc
+        .fontSize(9)
+        .fillColor(mutedColor)
+        .font("Helvetica-Bold")
+        .text("ITEM", 60, yPos + 7)
+        .text("PANEL", 240, yPos + 7, { width: 110 })
+        .text("RESULT", 355, yPos + 7, { width: 60 })
+        .text("NOTES", 420, yPos + 7, { width: 125 });
+      yPos += 30;
+
+      (inspection.items || []).forEach((item) => {
+        doc.fontSize(9).font("Helvetica");
+        const rowHeight = Math.max(
+          14,
+          doc.heightOfString(item.notes || "-", { width: 125 }),
+          doc.heightOfString(item.label, { width: 175 })
+        );
+        ensureSpace(rowHeight + 10);
+
+        doc
+          .fillColor(textColor)
+          .text(item.label, 60, yPos, { width: 175 })
+          .fillColor(mutedColor)
+          .text(item.panel || "-", 240, yPos, { width: 110 })
+          .fillColor(resultColors[item.result] || mutedColor)
+          .font("Helvetica-Bold")
+          .text(resultLabels[item.result] || "Not checked", 355, yPos, {
+            width: 60,
+          })
+          .fillColor(textColor)
+          .font("Helvetica")
+          .text(item.notes || "-", 420, yPos, { width: 125 });
+
+        yPos += rowHeight + 4;
+        doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor(borderColor).stroke();
+        yPos += 6;
+      });
+
+      if (inspection.accessories?.length) {
+        yPos += 10;
+        sectionTitle("ITEMS LEFT IN VEHICLE");
+        doc
+          .fontSize(10)
+          .fillColor(textColor)
+          .font("Helvetica")
+          .text(inspection.accessories.join(", "), 50, yPos, { width: 495 });
+        yPos = doc.y + 15;
+      }
+
+      // Damage Map
+      const grid = PANEL_GRID[inspection.panelLayout || "four-wheeler"];
+      const cellWidth = 110;
+      const cellHeight = 26;
+      yPos += 10;
+      ensureSpace(20 + 8 * cellHeight + 30);
+      sectionTitle("DAMAGE MAP (front at top)");
+
+      Object.entries(grid).forEach(([panel, [column, row, span]]) => {
+        const x = 50 + column * (cellWidth + 6);
+        const y = yPos + row * cellHeight;
+        const state = panelStates[panel];
+        doc
+          .rect(x, y + 1, cellWidth, span * cellHeight - 2)
+          .fillColor(resultColors[state] || "#F8FAFC")
+          .fill()
+          .rect(x, y + 1, cellWidth, span * cellHeight - 2)
+          .strokeColor(borderColor)
+          .stroke();
+        doc
+          .fontSize(8)
+          .fillColor(state && state !== "pass" ? "#FFFFFF" : textColor)
+          .font("Helvetica")
+          .text(panel, x + 4, y + (span * cellHeight) / 2 - 4, {
+            width: cellWidth - 8,
+            align: "center",
+          });
+      });
+
+      // Legend beside the map
+      const legendX = 50 + 3 * (cellWidth + 6) + 20;
+      [
+        ["pass", "No damage"],
+        ["attention", "Needs attention"],
+        ["fail", "Damaged"],
+      ].forEach(([result, label], idx) => {
+        doc
+          .rect(legendX, yPos + idx * 18, 10, 10)
+          .fillColor(resultColors[result])
+          .fill();
+        doc
+          .fontSize(9)
+          .fillColor(mutedColor)
+          .text(label, legendX + 16, yPos + idx * 18 + 1);
+      });
+      yPos += 8 * cellHeight + 20;
+
+      // Photos
+      if (photos.length > 0) {
+        sectionTitle("PHOTOS");
+        const photoWidth = 155;
+        const photoHeight = 110;
+        photos.forEach((photo, idx) => {
+          const column = idx % 3;
+          if (column === 0) ensureSpace(photoHeight + 30);
+          const x = 50 + column * (photoWidth + 15);
+          try {
+            doc.image(photo.buffer, x, yPos, {
+              fit: [photoWidth, photoHeight],
+              align: "center",
+              valign: "center",
+            });
+          } catch (error) {
+            // Unsupported image format; leave the caption only
+          }
+          doc
+            .fontSize(8)
+            .fillColor(mutedColor)
+            .font("Helvetica")
+            .text(photo.caption || "", x, yPos + photoHeight + 4, {
+              width: photoWidth,
+              align: "center",
+            });
+          if (column === 2 || idx === photos.length - 1) {
+            yPos += photoHeight + 25;
+          }
+        });
+      }
+
+      // Customer Sign-off
+      ensureSpace(80);
+      yPos += 10;
+      doc.moveTo(50, yPos).lineTo(545, yPos).strokeColor(borderColor).stroke();
+      yPos += 15;
+      const signOff = inspection.signOff || {};
+      const signedAt = new Date(signOff.signedAt).toLocaleString("en-IN");
+      const signedVia = signOff.method === "app" ? "in app" : "at counter";
+      doc
+        .fontSize(10)
+        .fillColor(textColor)
+        .font("Helvetica-Bold")
+        .text(
+          signOff.signedAt
+            ? `Acknowledged by ${signOff.name} on ${signedAt} (${signedVia})`
+            : "Not yet acknowledged by the customer",
+          50,
+          yPos,
+          { width: 495 }
+        );
+      doc
+        .fontSize(9)
+        .fillColor(mutedColor)
+        .font("Helvetica")
+        .text(
+          "This report records the condition of the vehicle and the belongings left in it when it was received at the workshop.",
+          50,
+          yPos + 20,
+          { width: 495 }
+        );
+      drawSignatures(doc, signatures, doc.y + 15);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
 module.exports = {
   generateInvoicePDF,
   generateReceiptPDF,
+  generateCreditNotePDF,
+  generateEstimatePDF,
+  generateInspectionPDF,
+  drawSignatures,
 };
@@ -29,12 +29,14 @@ function getKeyId() {
  * @param {number} amount - Amount in INR (will be converted to paise)
  * @param {string} receipt - Unique receipt identifier
  * @param {object} notes - Additional metadata
+ * @param {object} extra - Extra order fields (e.g. customer_id, token)
  * @returns {Promise<object>} Razorpay order object
  */
-async function createOrder(amount, receipt, notes = {}) {
+async function createOrder(amount, receipt, notes = {}, extra = {}) {
   const razorpay = getRazorpayClient();
 
   const options = {
+    ...extra,
     amount: Math.round(amount * 100), // Convert to paise
     currency: "INR",
     receipt,
@@ -67,6 +69,54 @@ function verifyPaymentSignature(orderId, paymentId, signature) {
   return expectedSignature === signature;
 }
 
+/**
+ * Verify a webhook payload signature from Razorpay
+ * @param {Buffer|string} rawBody - Raw request body as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    throw new Error("Razorpay webhook secret not configured");
+  }
+
+  const expectedSignature = crypto
+    .createHmac("sha256", webhookSecret)
+    .update(rawBody)
+    .digest("hex");
+
+  return (
+    typeof signature === "string" &&
+    signature.length === expectedSignature.length &&
+    crypto.timingSafeEqual(
+      Buffer.from(expectedSignature),
+      Buffer.from(signature)
+    )
+  );
+}
+
+/**
+ * Fetch order details from Razorpay
+ * @param {string} orderId - Razorpay order ID
+ * @returns {Promise<object>} Order details (including notes)
+ */
+async function fetchOrder(orderId) {
+  const razorpay = getRazorpayClient();
+  return razorpay.orders.fetch(orderId);
+}
+
+/**
+ * Fetch all payment attempts made against an order
+ * @param {string} orderId - Razorpay order ID
+ * @returns {Promise<object>} { count, items: [payment] }
+ */
+async function fetchOrderPayments(orderId) {
+  const razorpay = getRazorpayClient();
+  return razorpay.orders.fetchPayments(orderId);
+}
+
 /**
  * Fetch payment details from Razorpay
  * @param {string} paymentId - Razorpay payment ID
@@ -77,6 +127,65 @@ async function fetchPayment(paymentId) {
   return razorpay.payments.fetch(paymentId);
 }
 
+/**
+ * Create (or fetch the existing) Razorpay customer for recurring payments
+ * @param {object} customer - { name, contact, email }
+ * @returns {Promise<object>} Razorpay customer object
+ */
+async function createCustomer({ name, contact, email }) {
+  const razorpay = getRazorpayClient();
+  return razorpay.customers.create({
+    name,
+    contact,
+    email,
+    fail_existing: "0",
+  });
+}
+
+/**
+ * Charge a saved recurring token against an order
+ * @param {object} params
+ * @param {number} params.amount - Amount in INR (will be converted to paise)
+ * @param {string} params.orderId - Razorpay order ID
+ * @param {string} params.customerId - Razorpay customer ID
+ * @param {string} params.tokenId - Saved token ID
+ * @returns {Promise<object>} { razorpay_payment_id, ... }
+ */
+async function chargeRecurringPayment({
+  amount,
+  orderId,
+  customerId,
+  tokenId,
+  email,
+  contact,
+  description,
+  notes = {},
+}) {
+  const razorpay = getRazorpayClient();
+  return razorpay.payments.createRecurringPayment({
+    amount: Math.round(amount * 100), // Convert to paise
+    currency: "INR",
+    order_id: orderId,
+    customer_id: customerId,
+    token: tokenId,
+    recurring: "1",
+    email,
+    contact,
+    description,
+    notes,
+  });
+}
+
+/**
+ * Delete a saved recurring token
+ * @param {string} customerId - Razorpay customer ID
+ * @param {string} tokenId - Token ID
+ */
+async function deleteToken(customerId, tokenId) {
+  const razorpay = getRazorpayClient();
+  return razorpay.customers.deleteToken(customerId, tokenId);
+}
+
 /**
  * Initiate refund for a payment
  * @param {string} paymentId - Razorpay payment ID
@@ -103,6 +212,12 @@ module.exports = {
   getKeyId,
   createOrder,
   verifyPaymentSignature,
+  verifyWebhookSignature,
+  fetchOrder,
+  fetchOrderPayments,
   fetchPayment,
   initiateRefund,
+  createCustomer,
+  chargeRecurringPayment,
+  deleteToken,
 };
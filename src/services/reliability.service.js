@@ -0,0 +1,276 @@
+/**
+ * Customer Reliability Service
+ * Marks missed appointments as no-shows, keeps per-customer no-show and
+ * late-cancel counts, and derives the booking rules that follow from them
+ */
+const cron = require("node-cron");
+const { Appointment, JobCard, Payment, User } = require("../models");
+const config = require("../config");
+const fcmService = require("./fcm.service");
+const slotBookingService = require("./slotBooking.service");
+const logisticsService = require("./logistics.service");
+const waitlistService = require("./waitlist.service");
+const jobcardService = require("./jobcard.service");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Older confirmed bookings predate the job; admins settle those by hand
+const NO_SHOW_LOOKBACK_DAYS = 2;
+
+const round2 = (n) => Math.round((Number(n || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Local date-time at which an appointment's slot starts / ends
+ */
+const getSlotTime = (appointment, time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  const at = new Date(appointment.scheduledDate);
+  at.setHours(hours, minutes, 0, 0);
+  return at;
+};
+
+/**
+ * What a customer's next booking needs before it is confirmed, going by
+ * their no-show count
+ *
+ * @returns {string} "none" | "confirmation-call" | "advance-payment"
+ */
+const getBookingRequirement = (user) => {
+  const noShows = user?.reliability?.noShowCount || 0;
+  const { advancePaymentAfterNoShows, confirmationCallAfterNoShows } =
+    config.appointments;
+
+  if (noShows >= advancePaymentAfterNoShows) return "advance-payment";
+  if (noShows >= confirmationCallAfterNoShows) return "confirmation-call";
+  return "none";
+};
+
+/**
+ * Raise the advance payment a booking needs, against its job card. The
+ * customer pays it through the usual payment checkout.
+ *
+ * @returns {Promise<object|null>} pending Payment, or null when nothing is due
+ */
+const requestAdvancePayment = async (appointment, jobCard) => {
+  const amount = Math.min(
+    round2(
+      ((appointment.estimatedCost || 0) *
+        config.appointments.advancePaymentPercent) /
+        100
+    ),
+    jobCard.billing?.grandTotal || 0
+  );
+  if (amount <= 0) return null;
+
+  const payment = await Payment.create({
+    jobCard: jobCard._id,
+    customer: appointment.customer?._id || appointment.customer,
+    amount,
+    paymentType: "advance",
+    paymentMethod: "RAZORPAY",
+    status: "pending",
+    notes: `Advance for appointment ${appointment.appointmentNumber}`,
+  });
+
+  await Appointment.updateOne(
+    { _id: appointment._id },
+    { $set: { advancePayment: payment._id } }
+  );
+  return payment;
+};
+
+/**
+ * Adjust a customer's no-show count (a correction by an admin lowers it)
+ */
+const recordNoShow = async (customerId, delta = 1) => {
+  if (delta > 0) {
+    return User.updateOne(
+      { _id: customerId },
+      {
+        $inc: { "reliability.noShowCount": delta },
+        $set: { "reliability.lastNoShowAt": new Date() },
+      }
+    );
+  }
+  return User.updateOne(
+    { _id: customerId, "reliability.noShowCount": { $gte: -delta } },
+    { $inc: { "reliability.noShowCount": delta } }
+  );
+};
+
+/**
+ * Count a customer cancellation made within `lateCancelHours` of the slot
+ *
+ * @returns {Promise<boolean>} whether it was late
+ */
+const recordCancellation = async (appointment, now = new Date()) => {
+  const startsAt = getSlotTime(appointment, appointment.timeSlot.startTime);
+  const isLate =
+    startsAt.getTime() - now.getTime() <
+    config.appointments.lateCancelHours * HOUR_MS;
+  if (!isLate) return false;
+
+  await Promise.all([
+    Appointment.updateOne(
+      { _id: appointment._id },
+      { $set: { lateCancellation: true } }
+    ),
+    User.updateOne(
+      { _id: appointment.customer },
+      { $inc: { "reliability.lateCancelCount": 1 } }
+    ),
+  ]);
+  return true;
+};
+
+/**
+ * Mark confirmed appointments as no-show once their slot ended
+ * `noShowGraceMinutes` ago and the vehicle never checked in (no job card,
+ * or the auto-created one was never started). The slot and bay are freed
+ * and the untouched job card is cancelled.
+ */
+const markNoShows = async (now = new Date()) => {
+  const graceMs = config.appointments.noShowGraceMinutes * 60 * 1000;
+
+  const candidates = await Appointment.find({
+    status: "confirmed",
+    scheduledDate: {
+      $gte: new Date(now.getTime() - NO_SHOW_LOOKBACK_DAYS * DAY_MS),
+      $lt: now,
+    },
+  })
+    .select(
+      "appointmentNumber customer scheduledDate timeSlot baySlots jobCard"
+    )
+    .populate("jobCard", "status")
+    .lean();
+
+  const missed = candidates.filter(
+    (appointment) =>
+      getSlotTime(appointment, appointment.timeSlot.endTime).getTime() +
+        graceMs <=
+        now.getTime() &&
+      (!appointment.jobCard || appointment.jobCard.status === "created")
+  );
+
+  let marked = 0;
+  for (const candidate of missed) {
+    try {
+      // Claimed atomically so an admin update or check-in in between wins
+      const appointment = await Appointment.findOneAndUpdate(
+        { _id: candidate._id, status: "confirmed" },
+        {
+          $set: {
+            status: "no-show",
+            noShowAt: now,
+            noShowMarkedBy: "system",
+          },
+        },
+        { new: true }
+      );
+      if (!appointment) continue;
+
+      await slotBookingService.releaseBooking(appointment);
+      await logisticsService.syncPickupTask(appointment);
+      await waitlistService.offerFreedBooking({
+        date: appointment.scheduledDate,
+        startTime: appointment.timeSlot.startTime,
+        baySlots: appointment.baySlots,
+      });
+
+      if (candidate.jobCard) {
+        // Through the workflow so parts held for the job are released
+        const jobCard = await JobCard.findById(candidate.jobCard._id);
+        if (jobCard?.status === "created") {
+          await jobcardService.transitionStatus(jobCard, "cancelled", {
+            role: "system",
+            notes: "Customer did not show up",
+          });
+        }
+      }
+
+      await recordNoShow(appointment.customer);
+      marked++;
+
+      try {
+        await fcmService.sendToUser(appointment.customer, {
+          title: "Missed Appointment",
+          body: `We missed you for appointment ${appointment.appointmentNumber}. Book again any time from the app.`,
+          data: {
+            type: "APPOINTMENT_NO_SHOW",
+            appointmentId: appointment._id.toString(),
+          },
+        });
+      } catch (error) {
+        console.error("[Cron] No-show notification failed:", error.message);
+      }
+    } catch (error) {
+      console.error(
+        `[Cron] Failed to mark ${candidate.appointmentNumber} as no-show:`,
+        error.message
+      );
+    }
+  }
+
+  if (marked > 0) {
+    console.log(`[Cron] Marked ${marked} appointments as no-show`);
+  }
+  return marked;
+};
+
+/**
+ * Confirm bookings held for an advance payment once it has been paid
+ */
+const confirmPaidBookings = async (now = new Date()) => {
+  const today = new Date(now);
+  today.setHours(0, 0, 0, 0);
+
+  const pending = await Appointment.find({
+    status: "pending",
+    bookingRequirement: "advance-payment",
+    advancePayment: { $exists: true },
+    scheduledDate: { $gte: today },
+  })
+    .select("advancePayment")
+    .populate("advancePayment", "status")
+    .lean();
+
+  let confirmed = 0;
+  for (const appointment of pending) {
+    if (appointment.advancePayment?.status !== "completed") continue;
+
+    const result = await Appointment.updateOne(
+      { _id: appointment._id, status: "pending" },
+      { $set: { status: "confirmed", confirmedAt: now } }
+    );
+    confirmed += result.modifiedCount;
+  }
+
+  if (confirmed > 0) {
+    console.log(`[Cron] Confirmed ${confirmed} advance-paid appointments`);
+  }
+  return confirmed;
+};
+
+/**
+ * Initialize cron jobs for appointment reliability
+ */
+const initCronJobs = () => {
+  // Confirm advance-paid bookings, then look for no-shows, every 15 minutes
+  cron.schedule("*/15 * * * *", () => {
+    confirmPaidBookings().then(() => markNoShows()).catch(console.error);
+  });
+
+  console.log("[Cron] Appointment reliability cron jobs initialized");
+};
+
+module.exports = {
+  getBookingRequirement,
+  requestAdvancePayment,
+  recordNoShow,
+  recordCancellation,
+  markNoShows,
+  confirmPaidBookings,
+  initCronJobs,
+};
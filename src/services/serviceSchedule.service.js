@@ -13,12 +13,8 @@ const getDayRange = (date) => {
   return { start, end };
 };
 
-const fetchAdminTokens = async () => {
-  const admins = await User.find({ role: { $in: ["admin", "superadmin"] } })
-    .select("deviceInfo.fcmToken")
-    .lean();
-  return admins.map((a) => a.deviceInfo?.fcmToken).filter(Boolean);
-};
+const fetchAdminTokens = () =>
+  User.findPushTokens({ role: { $in: ["admin", "superadmin"] } });
 
 const getPendingSchedulesByRange = async (start, end) => {
   return ServiceSchedule.find({
@@ -29,7 +25,7 @@ const getPendingSchedulesByRange = async (start, end) => {
       { scheduleType: "PERIODIC", nextServiceDate: { $gte: start, $lte: end } },
     ],
   })
-    .populate("customerId", "name deviceInfo")
+    .populate("customerId", "name")
     .populate("vehicleId", "vehicleNumber brand model")
     .lean();
 };
@@ -37,23 +33,18 @@ const getPendingSchedulesByRange = async (start, end) => {
 const notifySchedules = async (schedules, title, dayLabel) => {
   let sent = 0;
   for (const schedule of schedules) {
-    const customer = schedule.customerId;
-    if (customer?.deviceInfo?.fcmToken) {
-      await fcmService.sendToDevice(
-        customer.deviceInfo.fcmToken,
-        {
-          title,
-          body: `${schedule.serviceType} for ${
-            schedule.vehicleId?.vehicleNumber || "vehicle"
-          } is ${dayLabel}.`,
-        },
-        {
-          type: "SERVICE_SCHEDULE_REMINDER",
-          scheduleId: schedule._id.toString(),
-        }
-      );
-      sent++;
-    }
+    if (!schedule.customerId) continue;
+    const result = await fcmService.sendToUser(schedule.customerId, {
+      title,
+      body: `${schedule.serviceType} for ${
+        schedule.vehicleId?.vehicleNumber || "vehicle"
+      } is ${dayLabel}.`,
+      data: {
+        type: "SERVICE_SCHEDULE_REMINDER",
+        scheduleId: schedule._id.toString(),
+      },
+    });
+    if (result) sent++;
   }
   return sent;
 };
@@ -0,0 +1,119 @@
+/**
+ * Signature Service
+ * Captures customers' drawn signatures (estimate approval, inspection
+ * sign-off, vehicle handover, insurance claim forms) and loads them back
+ * for PDFs
+ */
+const ApiError = require("../utils/apiError");
+const imagekitService = require("./imagekit.service");
+
+// Signature pads send the drawing as a base64 data URL
+const DATA_URL_PATTERN =
+  /^data:image\/(png|jpeg|webp);base64,([A-Za-z0-9+/=]+)$/;
+
+const MAX_SIGNATURE_BYTES = 512 * 1024;
+
+/**
+ * Upload a drawn signature and build the record to store with the
+ * document it signs
+ *
+ * @param {Object} params
+ * @param {string} params.image - data URL of the drawing
+ * @param {string} params.name - signer's name
+ * @param {string} params.method - "app" (customer's device) or "counter"
+ * @param {string} params.folder - ImageKit folder
+ * @param {Object} [params.device] - { platform, model, osVersion, appVersion }
+ * @param {string} [params.capturedBy] - user who captured it
+ * @param {string} [params.ipAddress]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<Object>} signature record
+ */
+const captureSignature = async ({
+  image,
+  name,
+  method,
+  folder,
+  device,
+  capturedBy,
+  ipAddress,
+  userAgent,
+}) => {
+  const match = DATA_URL_PATTERN.exec(image || "");
+  if (!match) {
+    throw ApiError.badRequest("Signature must be a PNG, JPEG or WebP image");
+  }
+  if (Buffer.byteLength(match[2], "base64") > MAX_SIGNATURE_BYTES) {
+    throw ApiError.badRequest("Signature image is too large");
+  }
+  if (!name?.trim()) {
+    throw ApiError.badRequest("Signer name is required");
+  }
+
+  const extension = match[1] === "jpeg" ? "jpg" : match[1];
+  // Private: the record carries the signer's name, IP and device
+  const upload = await imagekitService.uploadPrivateFile(
+    match[2],
+    `signature_${Date.now()}.${extension}`,
+    folder
+  );
+
+  return {
+    filePath: upload.filePath,
+    fileId: upload.fileId,
+    name: name.trim(),
+    signedAt: new Date(),
+    method,
+    capturedBy,
+    ipAddress,
+    userAgent,
+    device,
+  };
+};
+
+/**
+ * Whether a signature record has an image, private or legacy public
+ */
+const isSigned = (signature) =>
+  Boolean(signature?.filePath || signature?.url);
+
+/**
+ * Download signatures for embedding in a PDF. Entries without a signature
+ * are dropped; a signature whose image can't be fetched keeps its name.
+ *
+ * @param {Array} entries - [{ label, signature }]
+ * @returns {Promise<Array>} [{ label, name, signedAt, method, buffer }]
+ */
+const loadSignatures = async (entries) => {
+  const signed = entries.filter((entry) => isSigned(entry.signature));
+
+  return Promise.all(
+    signed.map(async ({ label, signature }) => ({
+      label,
+      name: signature.name,
+      signedAt: signature.signedAt,
+      method: signature.method,
+      buffer: signature.filePath
+        ? await imagekitService.downloadPrivateImage(signature.filePath, 400)
+        : await imagekitService.downloadImage(signature.url, 400),
+    }))
+  );
+};
+
+/**
+ * Signatures recorded on a job card, for its estimate and invoice PDFs
+ */
+const getJobCardSignatures = (jobCard) =>
+  loadSignatures([
+    {
+      label: "Estimate approved",
+      signature: jobCard.estimate?.approvalSignature,
+    },
+    { label: "Vehicle received", signature: jobCard.deliverySignature },
+  ]);
+
+module.exports = {
+  captureSignature,
+  isSigned,
+  loadSignatures,
+  getJobCardSignatures,
+};
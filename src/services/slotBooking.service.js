@@ -0,0 +1,787 @@
+/**
+ * Slot Booking Service
+ * Race-free appointment slot capacity: bookings and checkout holds are
+ * counted on a SlotCounter document per slot per date and claimed with
+ * conditional updates, so concurrent bookings can't overfill a slot.
+ * When workshop bays are set up, a booking also reserves one bay for every
+ * slot its services take.
+ */
+const mongoose = require("mongoose");
+const {
+  Appointment,
+  TimeSlot,
+  SlotCounter,
+  SlotOverride,
+  Garage,
+  Bay,
+} = require("../models");
+const config = require("../config");
+const ApiError = require("../utils/apiError");
+
+// Appointments in these statuses no longer take up a spot
+const RELEASED_STATUSES = ["cancelled", "no-show"];
+const DEFAULT_MAX_BOOKINGS = 5;
+const LONGER_THAN_DAY_MESSAGE =
+  "The selected services take longer than one working day and can't be booked online. Please contact the workshop to schedule them.";
+
+/**
+ * Local calendar date key (YYYY-MM-DD) for a date
+ */
+const getDateKey = (date) => {
+  const d = new Date(date);
+  return [
+    d.getFullYear(),
+    String(d.getMonth() + 1).padStart(2, "0"),
+    String(d.getDate()).padStart(2, "0"),
+  ].join("-");
+};
+
+const isCounted = (status) => !RELEASED_STATUSES.includes(status);
+
+// "HH:MM" → minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a slot fits the garage's hours for the day and misses its break
+ */
+const isWithinBusinessHours = (slot, hours) => {
+  const start = toMinutes(slot.startTime);
+  const end = toMinutes(slot.endTime);
+
+  if (hours.openTime && start < toMinutes(hours.openTime)) return false;
+  if (hours.closeTime && end > toMinutes(hours.closeTime)) return false;
+  if (
+    hours.breakStart &&
+    hours.breakEnd &&
+    start < toMinutes(hours.breakEnd) &&
+    end > toMinutes(hours.breakStart)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Whether a slot on `date` has already started
+ */
+const isPastSlot = (date, startTime, now = new Date()) => {
+  const dateKey = getDateKey(date);
+  const todayKey = getDateKey(now);
+  if (dateKey !== todayKey) return dateKey < todayKey;
+  return toMinutes(startTime) <= now.getHours() * 60 + now.getMinutes();
+};
+
+/**
+ * Slots offered on a date: the weekly TimeSlots within garage business
+ * hours (breaks excluded), with the date's SlotOverride applied. Override
+ * slots are set explicitly by an admin and are not limited by hours.
+ *
+ * @returns {Promise<object>} { date, closed, reason, slots: [{ startTime,
+ *   endTime, maxBookings, source }] }
+ */
+const getDaySlots = async (date) => {
+  const dateKey = getDateKey(date);
+  const dayOfWeek = new Date(date).getDay();
+
+  const [weekly, override, garage] = await Promise.all([
+    TimeSlot.find({ dayOfWeek, isActive: true }).lean(),
+    SlotOverride.findOne({ date: dateKey }).lean(),
+    Garage.findOne({ isActive: true }).select("businessHours").lean(),
+  ]);
+
+  const closedDay = (reason) => ({
+    date: dateKey,
+    closed: true,
+    reason,
+    slots: [],
+  });
+
+  if (override?.isClosed) {
+    return closedDay(override.reason || "Closed");
+  }
+
+  const hours = garage?.businessHours?.find((h) => h.day === dayOfWeek);
+  if (hours && hours.isOpen === false && !override?.slots?.length) {
+    return closedDay("Closed");
+  }
+
+  const fitsHours = (slot) =>
+    !hours || (hours.isOpen !== false && isWithinBusinessHours(slot, hours));
+
+  const byStart = new Map();
+  weekly
+    .filter(fitsHours)
+    .forEach((slot) =>
+      byStart.set(slot.startTime, {
+        _id: slot._id,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        maxBookings: slot.maxBookings,
+        source: "weekly",
+      })
+    );
+
+  (override?.slots || []).forEach((slot) => {
+    if (slot.isActive === false) {
+      byStart.delete(slot.startTime);
+      return;
+    }
+    byStart.set(slot.startTime, {
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      maxBookings:
+        slot.maxBookings ||
+        byStart.get(slot.startTime)?.maxBookings ||
+        DEFAULT_MAX_BOOKINGS,
+      source: "override",
+    });
+  });
+
+  const cap = override?.maxBookingsPerSlot;
+  const slots = [...byStart.values()]
+    .map((slot) =>
+      cap ? { ...slot, maxBookings: Math.min(slot.maxBookings, cap) } : slot
+    )
+    .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+
+  return { date: dateKey, closed: false, reason: override?.reason, slots };
+};
+
+/**
+ * Capacity of a slot on a date
+ * @returns {Promise<object>} { slot, maxBookings } – slot is null when the
+ *   slot isn't offered that day (capacity then falls back to the default)
+ */
+const getSlotCapacity = async (date, startTime) => {
+  const { slots } = await getDaySlots(date);
+  const slot = slots.find((s) => s.startTime === startTime) || null;
+  return { slot, maxBookings: slot?.maxBookings || DEFAULT_MAX_BOOKINGS };
+};
+
+/**
+ * Slot a customer may book: offered on that date and not yet started
+ * @throws {ApiError} 400 when the garage is closed or the slot unavailable
+ */
+const getBookableSlot = async (date, startTime) => {
+  const day = await getDaySlots(date);
+
+  if (day.closed) {
+    throw ApiError.badRequest(
+      `The garage is closed on this date (${day.reason})`
+    );
+  }
+
+  const slot = day.slots.find((s) => s.startTime === startTime);
+  if (!slot) {
+    throw ApiError.badRequest("Selected time slot is not available");
+  }
+
+  if (isPastSlot(date, startTime)) {
+    throw ApiError.badRequest("Selected time slot has already started");
+  }
+
+  return slot;
+};
+
+/**
+ * Total estimated duration of services (Service documents)
+ */
+const getServicesDuration = (services) =>
+  services.reduce(
+    (sum, service) => sum + (service.estimatedDurationMinutes || 0),
+    0
+  );
+
+const getSlotMinutes = (slot) =>
+  toMinutes(slot.endTime) - toMinutes(slot.startTime);
+
+/**
+ * Whether a booking of `durationMinutes` needs more workshop time than the
+ * day's slots offer. Bays are reserved within a single day, so such jobs
+ * can't be booked online.
+ */
+const isLongerThanDay = (slots, durationMinutes) =>
+  (durationMinutes || 0) >
+  slots.reduce((sum, slot) => sum + getSlotMinutes(slot), 0);
+
+/**
+ * Start times of the consecutive slots a booking of `durationMinutes`
+ * starting at `startTime` runs through
+ *
+ * @returns {string[]|null} null when the day has too little time left
+ */
+const getSpannedSlots = (slots, startTime, durationMinutes) => {
+  const first = slots.findIndex((s) => s.startTime === startTime);
+  if (first === -1) return null;
+
+  const needed = durationMinutes || 0;
+
+  const spanned = [slots[first].startTime];
+  let covered = getSlotMinutes(slots[first]);
+  for (let i = first + 1; i < slots.length && covered < needed; i += 1) {
+    spanned.push(slots[i].startTime);
+    covered += getSlotMinutes(slots[i]);
+  }
+
+  return covered >= needed ? spanned : null;
+};
+
+/**
+ * Active bays in booking order
+ */
+const getActiveBays = () =>
+  Bay.find({ isActive: true }).sort({ name: 1 }).select("name type").lean();
+
+/**
+ * Bays free in every one of `baySlots`
+ * @param {Array} bays - from getActiveBays
+ * @param {Map} usage - from getSlotUsage
+ */
+const getFreeBays = (bays, usage, baySlots) =>
+  bays.filter((bay) =>
+    baySlots.every(
+      (startTime) =>
+        !(usage.get(startTime)?.bays || []).includes(String(bay._id))
+    )
+  );
+
+/**
+ * Whether a bay is currently free for a booking of `durationMinutes` from
+ * `startTime` (always true when no bays are set up)
+ */
+const hasFreeBay = async (date, startTime, durationMinutes) => {
+  const bays = await getActiveBays();
+  if (bays.length === 0) return true;
+
+  const { slots } = await getDaySlots(date);
+  const baySlots = getSpannedSlots(slots, startTime, durationMinutes);
+  if (!baySlots) return false;
+
+  const usage = await getSlotUsage(date);
+  return getFreeBays(bays, usage, baySlots).length > 0;
+};
+
+/**
+ * Work out which slots a booking needs a bay for and create their counters
+ * (outside any transaction, so reserving only updates)
+ *
+ * @returns {Promise<object|null>} { date, bays, baySlots } – null when no
+ *   bays are set up, in which case bookings aren't limited by bays
+ * @throws {ApiError} 400 when the job takes longer than the working day or
+ *   the day has too little time left
+ */
+const planBayBooking = async (date, startTime, durationMinutes) => {
+  const bays = await getActiveBays();
+  if (bays.length === 0) return null;
+
+  const { slots } = await getDaySlots(date);
+  if (isLongerThanDay(slots, durationMinutes)) {
+    throw ApiError.badRequest(LONGER_THAN_DAY_MESSAGE);
+  }
+
+  const baySlots = getSpannedSlots(slots, startTime, durationMinutes);
+  if (!baySlots) {
+    throw ApiError.badRequest(
+      "Not enough workshop time left on this day for the selected services"
+    );
+  }
+
+  const dateKey = getDateKey(date);
+  for (const slotStart of baySlots) {
+    await ensureCounter(dateKey, slotStart);
+  }
+
+  return { date: dateKey, bays, baySlots };
+};
+
+/**
+ * Reserve one bay for all slots of a plan. Each slot is taken with a
+ * conditional update; a bay lost part-way is given back and the next one
+ * tried.
+ *
+ * @param {object|null} plan - from planBayBooking
+ * @param {object} [session] - mongoose session
+ * @returns {Promise<object>} { bay, baySlots } – empty when no plan
+ * @throws {ApiError} 409 when no bay is free for the whole booking
+ */
+const reserveBay = async (plan, session) => {
+  if (!plan) return { bay: undefined, baySlots: [] };
+  const { date, bays, baySlots } = plan;
+
+  const counters = await SlotCounter.find({
+    date,
+    startTime: { $in: baySlots },
+  })
+    .select("startTime bays")
+    .session(session || null)
+    .lean();
+  const usage = new Map(
+    counters.map((c) => [c.startTime, { bays: (c.bays || []).map(String) }])
+  );
+
+  for (const bay of getFreeBays(bays, usage, baySlots)) {
+    const taken = [];
+    for (const startTime of baySlots) {
+      const result = await SlotCounter.updateOne(
+        { date, startTime, bays: { $ne: bay._id } },
+        { $push: { bays: bay._id } },
+        { session }
+      );
+      if (result.modifiedCount === 0) break;
+      taken.push(startTime);
+    }
+
+    if (taken.length === baySlots.length) {
+      return { bay: bay._id, baySlots };
+    }
+    if (taken.length > 0) {
+      await SlotCounter.updateMany(
+        { date, startTime: { $in: taken } },
+        { $pull: { bays: bay._id } },
+        { session }
+      );
+    }
+  }
+
+  throw ApiError.conflict(
+    "No workshop bay is free for the full duration of this booking"
+  );
+};
+
+/**
+ * Give back an appointment's bay
+ */
+const releaseBay = async (appointment, session) => {
+  if (!appointment.bay || !appointment.baySlots?.length) return;
+  await SlotCounter.updateMany(
+    {
+      date: getDateKey(appointment.scheduledDate),
+      startTime: { $in: appointment.baySlots },
+    },
+    { $pull: { bays: appointment.bay } },
+    { session }
+  );
+};
+
+/**
+ * Holds still reserving a spot, optionally ignoring one customer's own
+ */
+const activeHoldsExpr = (now, exceptCustomer) => ({
+  $filter: {
+    input: { $ifNull: ["$holds", []] },
+    as: "hold",
+    cond: exceptCustomer
+      ? {
+          $and: [
+            { $gt: ["$$hold.expiresAt", now] },
+            { $ne: ["$$hold.customer", exceptCustomer] },
+          ],
+        }
+      : { $gt: ["$$hold.expiresAt", now] },
+  },
+});
+
+// Condition: bookings + active holds leave room for one more
+const hasRoomExpr = (now, maxBookings, exceptCustomer) => ({
+  $lt: [
+    { $add: ["$booked", { $size: activeHoldsExpr(now, exceptCustomer) }] },
+    maxBookings,
+  ],
+});
+
+/**
+ * Create the counter for a slot on first use, seeded with appointments
+ * booked before counters existed
+ */
+const ensureCounter = async (dateKey, startTime) => {
+  const exists = await SlotCounter.exists({ date: dateKey, startTime });
+  if (exists) return;
+
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const booked = await Appointment.countDocuments({
+    scheduledDate: {
+      $gte: new Date(year, month - 1, day),
+      $lt: new Date(year, month - 1, day + 1),
+    },
+    "timeSlot.startTime": startTime,
+    status: { $nin: RELEASED_STATUSES },
+  });
+
+  try {
+    await SlotCounter.updateOne(
+      { date: dateKey, startTime },
+      { $setOnInsert: { booked, holds: [], bays: [] } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Claim one spot in a slot. A valid hold of the customer is converted into
+ * the booking; otherwise a free spot is taken (the customer's other holds
+ * on this slot are dropped).
+ *
+ * @param {object} params
+ * @param {Date|string} params.date
+ * @param {string} params.startTime
+ * @param {number} params.maxBookings
+ * @param {string} [params.holdId]
+ * @param {string} [params.customerId]
+ * @param {object} [params.session] - mongoose session
+ * @throws {ApiError} 409 when the slot is full
+ */
+const claimSlot = async ({
+  date,
+  startTime,
+  maxBookings,
+  holdId,
+  customerId,
+  session,
+}) => {
+  const dateKey = getDateKey(date);
+  await ensureCounter(dateKey, startTime);
+
+  const now = new Date();
+  const customer = customerId
+    ? new mongoose.Types.ObjectId(String(customerId))
+    : null;
+
+  if (holdId && customer) {
+    const converted = await SlotCounter.findOneAndUpdate(
+      {
+        date: dateKey,
+        startTime,
+        holds: {
+          $elemMatch: { _id: holdId, customer, expiresAt: { $gt: now } },
+        },
+      },
+      { $pull: { holds: { _id: holdId } }, $inc: { booked: 1 } },
+      { new: true, session }
+    );
+    if (converted) return converted;
+  }
+
+  const claimed = await SlotCounter.findOneAndUpdate(
+    {
+      date: dateKey,
+      startTime,
+      $expr: hasRoomExpr(now, maxBookings, customer),
+    },
+    [
+      {
+        $set: {
+          booked: { $add: ["$booked", 1] },
+          holds: activeHoldsExpr(now, customer),
+        },
+      },
+    ],
+    { new: true, session }
+  );
+
+  if (!claimed) {
+    throw ApiError.conflict("This time slot is fully booked");
+  }
+  return claimed;
+};
+
+/**
+ * Give back one spot in a slot
+ */
+const releaseSlot = async ({ date, startTime, session }) =>
+  SlotCounter.updateOne(
+    { date: getDateKey(date), startTime, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+
+/**
+ * Give back everything an appointment holds: its spot and its bay
+ */
+const releaseBooking = async (appointment, session) => {
+  await releaseSlot({
+    date: appointment.scheduledDate,
+    startTime: appointment.timeSlot.startTime,
+    session,
+  });
+  await releaseBay(appointment, session);
+};
+
+/**
+ * Create an appointment after claiming a spot in its slot and a bay for
+ * its duration; both are given back if a later step fails
+ *
+ * @param {object} target - { date, startTime, maxBookings, holdId, customerId }
+ * @param {object} data - Appointment fields (incl. durationMinutes)
+ */
+const createBooking = async (target, data) => {
+  const plan = await planBayBooking(
+    target.date,
+    target.startTime,
+    data.durationMinutes
+  );
+  await claimSlot(target);
+
+  let reservation;
+  try {
+    reservation = await reserveBay(plan);
+    return await Appointment.create({ ...data, ...reservation });
+  } catch (error) {
+    await releaseSlot(target);
+    if (reservation) {
+      await releaseBay({ scheduledDate: target.date, ...reservation });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Hold a spot for the customer for a few minutes while they finish booking.
+ * A customer has at most one checkout hold; earlier ones are released.
+ * Waitlist offers are held separately and never released by a new hold.
+ *
+ * @param {object} params - { date, startTime, maxBookings, customerId }
+ * @param {number} [params.minutes] - hold length, slotHoldMinutes by default
+ * @param {string} [params.kind] - "checkout" (default) or "waitlist"
+ * @returns {Promise<object>} { holdId, expiresAt }
+ * @throws {ApiError} 409 when the slot is full
+ */
+const holdSlot = async ({
+  date,
+  startTime,
+  maxBookings,
+  customerId,
+  minutes = config.appointments.slotHoldMinutes,
+  kind = "checkout",
+}) => {
+  const dateKey = getDateKey(date);
+  const customer = new mongoose.Types.ObjectId(String(customerId));
+
+  if (kind === "checkout") {
+    // Holds from before kinds existed are checkout holds
+    const checkoutHold = { customer, kind: { $ne: "waitlist" } };
+    await SlotCounter.updateMany(
+      { holds: { $elemMatch: checkoutHold } },
+      { $pull: { holds: checkoutHold } }
+    );
+  }
+  await ensureCounter(dateKey, startTime);
+
+  const now = new Date();
+  const hold = {
+    _id: new mongoose.Types.ObjectId(),
+    customer,
+    expiresAt: new Date(now.getTime() + minutes * 60 * 1000),
+    kind,
+  };
+
+  const held = await SlotCounter.findOneAndUpdate(
+    { date: dateKey, startTime, $expr: hasRoomExpr(now, maxBookings) },
+    [
+      {
+        $set: {
+          holds: { $concatArrays: [activeHoldsExpr(now), [hold]] },
+        },
+      },
+    ],
+    { new: true }
+  );
+
+  if (!held) {
+    throw ApiError.conflict("This time slot is fully booked");
+  }
+  return { holdId: hold._id, expiresAt: hold.expiresAt };
+};
+
+/**
+ * Release a customer's hold
+ * @returns {Promise<boolean>} whether a hold was released
+ */
+const releaseHold = async (holdId, customerId) => {
+  const result = await SlotCounter.updateOne(
+    { "holds._id": holdId },
+    { $pull: { holds: { _id: holdId, customer: customerId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Bookings and active holds per start time on a date
+ * @returns {Promise<Map>} startTime → { booked, bays, held, heldByCustomer }
+ */
+const getSlotUsage = async (date, customerId) => {
+  const now = new Date();
+  const counters = await SlotCounter.find({ date: getDateKey(date) }).lean();
+
+  return new Map(
+    counters.map((counter) => {
+      const active = (counter.holds || []).filter((h) => h.expiresAt > now);
+      const own = customerId
+        ? active.find((h) => String(h.customer) === String(customerId))
+        : null;
+      return [
+        counter.startTime,
+        {
+          booked: counter.booked,
+          bays: (counter.bays || []).map(String),
+          held: active.length - (own ? 1 : 0),
+          heldByCustomer: own
+            ? { holdId: own._id, expiresAt: own.expiresAt }
+            : null,
+        },
+      ];
+    })
+  );
+};
+
+/**
+ * Move an appointment to another slot in one transaction: the new slot and
+ * a bay for its duration are claimed, the old ones released and the
+ * appointment saved together, so a failed claim leaves the original
+ * booking untouched.
+ *
+ * @param {object} appointment - Appointment document
+ * @param {object} target - { date, startTime, maxBookings, holdId, customerId }
+ * @param {Function} applyChanges - updates the appointment before saving
+ * @param {string} [previousStatus] - status before unsaved changes
+ */
+const moveBooking = async (
+  appointment,
+  target,
+  applyChanges,
+  previousStatus = appointment.status
+) => {
+  const from = {
+    date: appointment.scheduledDate,
+    startTime: appointment.timeSlot.startTime,
+  };
+  const wasCounted = isCounted(previousStatus);
+  const sameSlot =
+    getDateKey(from.date) === getDateKey(target.date) &&
+    from.startTime === target.startTime;
+
+  // Created outside the transaction so the claim only updates
+  await ensureCounter(getDateKey(target.date), target.startTime);
+  const plan = await planBayBooking(
+    target.date,
+    target.startTime,
+    appointment.durationMinutes
+  );
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!sameSlot || !wasCounted) {
+      await claimSlot({ ...target, session });
+    }
+    if (!sameSlot && wasCounted) {
+      await releaseSlot({ ...from, session });
+    }
+
+    // Free the old bay first so a nearby move can keep the same one
+    if (wasCounted) await releaseBay(appointment, session);
+    const { bay, baySlots } = await reserveBay(plan, session);
+
+    applyChanges(appointment);
+    appointment.bay = bay;
+    appointment.baySlots = baySlots;
+    await appointment.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return appointment;
+};
+
+/**
+ * Save an appointment whose status may have changed, keeping its slot
+ * counter in step: cancelled / no-show release the spot and bay,
+ * reinstating claims them back before saving (409 when the slot has filled
+ * up since)
+ *
+ * @param {object} appointment - Appointment document with unsaved changes
+ * @param {object} previous - { status, date, startTime } before the changes
+ */
+const saveWithStatusChange = async (appointment, previous) => {
+  const wasCounted = isCounted(previous.status);
+  const nowCounted = isCounted(appointment.status);
+  const current = {
+    date: appointment.scheduledDate,
+    startTime: appointment.timeSlot.startTime,
+  };
+
+  const reclaim = !wasCounted && nowCounted;
+  if (reclaim) {
+    const { maxBookings } = await getSlotCapacity(
+      current.date,
+      current.startTime
+    );
+    const plan = await planBayBooking(
+      current.date,
+      current.startTime,
+      appointment.durationMinutes
+    );
+    await claimSlot({ ...current, maxBookings });
+    try {
+      const { bay, baySlots } = await reserveBay(plan);
+      appointment.bay = bay;
+      appointment.baySlots = baySlots;
+    } catch (error) {
+      await releaseSlot(current);
+      throw error;
+    }
+  }
+
+  try {
+    await appointment.save();
+  } catch (error) {
+    if (reclaim) await releaseBooking(appointment);
+    throw error;
+  }
+
+  if (wasCounted && !nowCounted) {
+    await releaseSlot(previous);
+    await releaseBay({
+      scheduledDate: previous.date,
+      bay: appointment.bay,
+      baySlots: appointment.baySlots,
+    });
+  }
+  return appointment;
+};
+
+module.exports = {
+  RELEASED_STATUSES,
+  getDateKey,
+  isCounted,
+  isPastSlot,
+  getDaySlots,
+  getSlotCapacity,
+  getBookableSlot,
+  getServicesDuration,
+  isLongerThanDay,
+  getSpannedSlots,
+  getActiveBays,
+  getFreeBays,
+  hasFreeBay,
+  claimSlot,
+  releaseSlot,
+  releaseBooking,
+  createBooking,
+  holdSlot,
+  releaseHold,
+  getSlotUsage,
+  moveBooking,
+  saveWithStatusChange,
+};
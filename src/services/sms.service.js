@@ -8,9 +8,14 @@ const config = require("../config");
 /**
  * Send SMS using configured provider
  */
-const sendSMS = async (mobile, message) => {
-  const provider = config.sms.provider;
+const sendSMS = async (mobile, message) =>
+  sendSMSVia(config.sms.provider, mobile, message);
 
+/**
+ * Send SMS through a specific provider
+ * @returns {Object} { success, provider, messageId?, response? }
+ */
+const sendSMSVia = async (provider, mobile, message) => {
   try {
     switch (provider) {
       case "console":
@@ -69,9 +74,11 @@ const sendMsg91SMS = async (mobile, message) => {
     }
   );
 
+  // Flow API returns the request id (used in delivery reports) as `message`
   return {
-    success: true,
+    success: response.data?.type !== "error",
     provider: "msg91",
+    messageId: response.data?.message,
     response: response.data,
   };
 };
@@ -192,6 +199,7 @@ const sendFast2SmsSMS = async (mobile, message) => {
     return {
       success: response.data.return === true,
       provider: "fast2sms",
+      messageId: response.data.request_id,
       response: response.data,
     };
   } catch (error) {
@@ -282,26 +290,23 @@ const sendOTP = async (mobile, otp) => {
 };
 
 /**
- * Send appointment confirmation SMS
- */
-const sendAppointmentConfirmation = async (mobile, appointmentDetails) => {
-  const { appointmentNumber, date, time, vehicleNumber } = appointmentDetails;
-  const message = `Your appointment ${appointmentNumber} is confirmed for ${date} at ${time} for vehicle ${vehicleNumber}. - ClutchGear`;
-  return await sendSMS(mobile, message);
-};
-
-/**
- * Send job status update SMS
+ * The other configured SMS provider to retry failed messages on, if any
  */
-const sendJobStatusUpdate = async (mobile, jobDetails) => {
-  const { jobNumber, status, vehicleNumber } = jobDetails;
-  const message = `Your vehicle ${vehicleNumber} (Job: ${jobNumber}) status: ${status}. Track on ClutchGear app.`;
-  return await sendSMS(mobile, message);
+const getFallbackProvider = (provider = config.sms.provider) => {
+  if (provider === "msg91" && config.fast2sms.apiKey) return "fast2sms";
+  if (
+    provider === "fast2sms" &&
+    config.msg91.authKey &&
+    config.msg91.flowTemplateId
+  ) {
+    return "msg91";
+  }
+  return null;
 };
 
 module.exports = {
   sendSMS,
+  sendSMSVia,
+  getFallbackProvider,
   sendOTP,
-  sendAppointmentConfirmation,
-  sendJobStatusUpdate,
 };
@@ -0,0 +1,334 @@
+/**
+ * SMS Delivery Service
+ * Sends notification SMS, applies MSG91 delivery reports to the matching
+ * notifications and retries failed messages on the fallback provider
+ */
+const { Notification, User } = require("../models");
+const config = require("../config");
+const smsService = require("./sms.service");
+
+// MSG91 delivery report status codes
+const MSG91_STATUS_CODES = {
+  1: "delivered",
+  2: "failed",
+  8: "sent",
+  9: "failed",
+  16: "failed",
+  17: "failed",
+  25: "failed",
+  26: "failed",
+};
+
+const MSG91_FAILURE_REASONS = {
+  2: "Failed",
+  9: "Number is on the NDNC (do not disturb) list",
+  16: "Rejected by operator",
+  17: "Blocked number",
+  25: "Rejected",
+  26: "Rejected",
+};
+
+// Status names used by configurable Events & Actions payloads
+const TEXT_STATUSES = {
+  delivered: "delivered",
+  delivrd: "delivered",
+  failed: "failed",
+  undelivered: "failed",
+  undeliv: "failed",
+  rejected: "failed",
+  expired: "failed",
+  ndnc: "failed",
+  blocked: "failed",
+  sent: "sent",
+  submitted: "sent",
+};
+
+// Marketing SMS is not worth a second provider's cost
+const NO_RETRY_TYPES = ["PROMOTION"];
+
+// Later reports never move a message backwards
+const STATUS_RANK = { sent: 0, failed: 1, delivered: 2 };
+
+const normalizeStatus = (value) => {
+  if (value === undefined || value === null) return null;
+  if (MSG91_STATUS_CODES[value]) return MSG91_STATUS_CODES[value];
+  return TEXT_STATUSES[String(value).trim().toLowerCase()] || null;
+};
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+/**
+ * Flatten an MSG91 delivery webhook into one entry per report
+ *
+ * Accepts the classic DLR push (`data` is a JSON string of
+ * [{ requestId, report: [{ number, status, desc, date }] }]) as well as
+ * flat Events & Actions payloads ({ requestId, status, description }).
+ *
+ * @returns {Array} [{ messageId, mobile, status, reason, at }]
+ */
+const parseMsg91Reports = (payload) => {
+  let entries = payload?.data ?? payload;
+  if (typeof entries === "string") {
+    try {
+      entries = JSON.parse(entries);
+    } catch (error) {
+      return [];
+    }
+  }
+  if (!Array.isArray(entries)) entries = [entries];
+
+  return entries.flatMap((entry) => {
+    const requestId = entry?.requestId || entry?.request_id || entry?.requestid;
+    if (!requestId) return [];
+
+    const rows = Array.isArray(entry.report) ? entry.report : [entry];
+    return rows
+      .map((row) => {
+        const code = row.status ?? row.deliveryStatus ?? row.event;
+        return {
+          messageId: String(requestId),
+          mobile: row.number || row.mobile,
+          status: normalizeStatus(code),
+          reason:
+            row.desc ||
+            row.description ||
+            row.failureReason ||
+            MSG91_FAILURE_REASONS[code],
+          at: parseDate(row.date),
+        };
+      })
+      .filter((report) => report.status);
+  });
+};
+
+/**
+ * Resend a failed notification SMS once on the other configured provider
+ * @returns {Object|null} the retry record, or null when not retried
+ */
+const retryOnFallback = async (notification) => {
+  const sms = notification.smsStatus || {};
+  const provider = smsService.getFallbackProvider(sms.provider);
+  if (!provider || !sms.message || sms.retry?.provider) return null;
+  if (NO_RETRY_TYPES.includes(notification.type)) return null;
+
+  // Claim the retry so duplicate failure reports send only once
+  const claim = await Notification.updateOne(
+    { _id: notification._id, "smsStatus.retry.provider": { $exists: false } },
+    { $set: { "smsStatus.retry.provider": provider } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  const customer = await User.findById(notification.customer)
+    .select("mobile")
+    .lean();
+
+  let retry;
+  try {
+    const result = await smsService.sendSMSVia(
+      provider,
+      customer.mobile,
+      sms.message
+    );
+    retry = {
+      provider,
+      messageId: result.messageId,
+      sentAt: new Date(),
+      status: result.success ? "sent" : "failed",
+    };
+  } catch (error) {
+    retry = {
+      provider,
+      sentAt: new Date(),
+      status: "failed",
+      error: error.message,
+    };
+  }
+
+  await Notification.updateOne(
+    { _id: notification._id },
+    { $set: { "smsStatus.retry": retry } }
+  );
+  console.log(
+    `[SMS] Retried notification ${notification._id} on ${provider}: ${retry.status}`
+  );
+  return retry;
+};
+
+/**
+ * Send a notification's SMS and record the provider message id so
+ * delivery reports can be matched later
+ *
+ * @param {Object} notification - Notification document
+ * @param {string} mobile
+ * @param {string} message - SMS text
+ * @returns {Object} the notification's smsStatus
+ */
+const sendNotificationSms = async (notification, mobile, message) => {
+  const sentAt = new Date();
+  let smsStatus;
+
+  try {
+    const result = await smsService.sendSMS(mobile, message);
+    smsStatus = {
+      sent: result.success,
+      sentAt,
+      provider: result.provider,
+      messageId: result.messageId,
+      message,
+      status: result.success ? "sent" : "failed",
+      failedAt: result.success ? undefined : sentAt,
+    };
+  } catch (error) {
+    console.error("[Notification] SMS error:", error.message);
+    smsStatus = {
+      sent: false,
+      sentAt,
+      error: error.message,
+      provider: config.sms.provider,
+      message,
+      status: "failed",
+      failedAt: sentAt,
+      failureReason: error.message,
+    };
+  }
+
+  notification.smsStatus = smsStatus;
+  await notification.save();
+
+  if (smsStatus.status === "failed") {
+    await retryOnFallback(notification);
+  }
+  return notification.smsStatus;
+};
+
+/**
+ * Apply one delivery report to the notification that sent it
+ * @returns {Object|null} the notification, or null when none matches
+ */
+const applyDeliveryReport = async ({ messageId, status, reason, at }) => {
+  const notification = await Notification.findOne({
+    "smsStatus.messageId": messageId,
+  });
+  if (!notification) return null;
+
+  const sms = notification.smsStatus;
+  const current = sms.status || "sent";
+  if (status === current || STATUS_RANK[status] < STATUS_RANK[current]) {
+    return notification;
+  }
+
+  sms.status = status;
+  if (status === "delivered") {
+    sms.deliveredAt = at;
+  } else if (status === "failed") {
+    sms.failedAt = at;
+    sms.failureReason = reason;
+  }
+  await notification.save();
+
+  if (status === "failed") {
+    await retryOnFallback(notification);
+  }
+  return notification;
+};
+
+/**
+ * Apply every report in an MSG91 webhook payload
+ * @returns {Object} { reports, matched }
+ */
+const processMsg91Webhook = async (payload) => {
+  const reports = parseMsg91Reports(payload);
+  let matched = 0;
+
+  for (const report of reports) {
+    const notification = await applyDeliveryReport(report);
+    if (notification) matched++;
+  }
+
+  return { reports: reports.length, matched };
+};
+
+const percent = (part, total) =>
+  total ? Math.round((part / total) * 10000) / 100 : 0;
+
+/**
+ * SMS delivery rates per notification type
+ *
+ * @param {Object} [range] - { from, to } on notification creation time
+ */
+const getDeliveryReport = async ({ from, to } = {}) => {
+  const match = { "smsStatus.sentAt": { $exists: true } };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+  const rows = await Notification.aggregate([
+    { $match: match },
+    {
+      // Records from before delivery tracking only know sent/not sent
+      $addFields: {
+        smsState: {
+          $ifNull: [
+            "$smsStatus.status",
+            { $cond: ["$smsStatus.sent", "sent", "failed"] },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$type",
+        total: { $sum: 1 },
+        delivered: countWhen({ $eq: ["$smsState", "delivered"] }),
+        failed: countWhen({ $eq: ["$smsState", "failed"] }),
+        pending: countWhen({ $eq: ["$smsState", "sent"] }),
+        retried: countWhen({
+          $gt: [{ $ifNull: ["$smsStatus.retry.provider", null] }, null],
+        }),
+        retrySent: countWhen({ $eq: ["$smsStatus.retry.status", "sent"] }),
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const withRate = (row) => ({
+    ...row,
+    deliveryRate: percent(row.delivered, row.total),
+    failureRate: percent(row.failed, row.total),
+  });
+
+  const byType = rows.map(({ _id, ...row }) => withRate({ type: _id, ...row }));
+  const counts = [
+    "total",
+    "delivered",
+    "failed",
+    "pending",
+    "retried",
+    "retrySent",
+  ];
+  const totals = Object.fromEntries(
+    counts.map((key) => [key, byType.reduce((sum, row) => sum + row[key], 0)])
+  );
+
+  return {
+    from: from || null,
+    to: to || null,
+    totals: withRate(totals),
+    byType,
+  };
+};
+
+module.exports = {
+  parseMsg91Reports,
+  sendNotificationSms,
+  applyDeliveryReport,
+  retryOnFallback,
+  processMsg91Webhook,
+  getDeliveryReport,
+};
@@ -4,7 +4,58 @@
  */
 const cron = require("node-cron");
 const { Subscription, Package } = require("../models");
+const config = require("../config");
 const fcmService = require("./fcm.service");
+const razorpayService = require("./razorpay.service");
+const ApiError = require("../utils/apiError");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Calculate end date based on duration
+ */
+const calculateEndDate = (startDate, duration) => {
+  const date = new Date(startDate);
+  switch (duration.unit) {
+    case "days":
+      date.setDate(date.getDate() + duration.value);
+      break;
+    case "months":
+      date.setMonth(date.getMonth() + duration.value);
+      break;
+    case "years":
+      date.setFullYear(date.getFullYear() + duration.value);
+      break;
+  }
+  return date;
+};
+
+const round2 = (n) => Math.round((Number(n || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Full price of another term (a plan-change credit applies only once)
+ */
+const getRenewalAmount = (sub) =>
+  round2(sub.payment.amount + (sub.payment.credit || 0));
+
+/**
+ * Push notification to a subscription's customer; failures are only logged
+ */
+const notifyCustomer = async (sub, notification) => {
+  const customerId = sub.customer?._id || sub.customer;
+  try {
+    await fcmService.sendToUser(customerId, {
+      ...notification,
+      data: { subscriptionId: sub._id.toString(), ...notification.data },
+    });
+  } catch (error) {
+    console.error(
+      `[Cron] Failed to notify customer ${customerId}:`,
+      error.message
+    );
+  }
+};
 
 /**
  * Check and expire subscriptions that have passed their end date
@@ -14,10 +65,15 @@ const expireSubscriptions = async () => {
   const now = new Date();
 
   try {
+    // Auto-renewing subscriptions stay active until their grace period ends
     const expiredSubs = await Subscription.find({
       status: "active",
       endDate: { $lt: now },
-    }).populate("customer", "name fcmToken");
+      $or: [
+        { "autoRenew.enabled": { $ne: true } },
+        { "renewal.graceEndsAt": { $lte: now } },
+      ],
+    }).populate("customer", "name");
 
     let expiredCount = 0;
 
@@ -27,7 +83,7 @@ const expireSubscriptions = async () => {
       expiredCount++;
 
       // Send notification
-      if (sub.customer && sub.customer.fcmToken) {
+      if (sub.customer) {
         try {
           await fcmService.sendToUser(sub.customer._id, {
             title: "Subscription Expired",
@@ -54,6 +110,617 @@ const expireSubscriptions = async () => {
   }
 };
 
+/**
+ * Record a failed renewal attempt and tell the customer what happens next
+ */
+const recordRenewalFailure = async (sub, reason) => {
+  sub.renewal.lastError = reason;
+  await sub.save();
+
+  const { renewalMaxAttempts } = config.subscriptions;
+  const { attempts, nextRetryAt, graceEndsAt } = sub.renewal;
+  const finalAttempt =
+    attempts >= renewalMaxAttempts || nextRetryAt >= graceEndsAt;
+
+  await notifyCustomer(sub, {
+    title: "Subscription Renewal Failed",
+    body: finalAttempt
+      ? "We couldn't renew your subscription. Pay from the app before it expires to keep your benefits."
+      : `We couldn't renew your subscription. We'll retry on ${nextRetryAt.toLocaleDateString("en-IN")}.`,
+    data: { type: "subscription_renewal_failed" },
+  });
+};
+
+/**
+ * Start (or retry) renewal of a subscription whose period has ended.
+ * Creates a renewal order and charges the saved mandate; without an active
+ * mandate the customer is asked to pay the order from the app. Success is
+ * applied when the payment is verified or captured (see applyRenewal).
+ */
+const attemptRenewal = async (sub) => {
+  const now = new Date();
+  const { renewalGraceDays, renewalRetryHours } = config.subscriptions;
+  const attempts = (sub.renewal?.attempts || 0) + 1;
+
+  sub.renewal = {
+    orderIds: sub.renewal?.orderIds || [],
+    amount: getRenewalAmount(sub),
+    attempts,
+    lastAttemptAt: now,
+    nextRetryAt: new Date(now.getTime() + renewalRetryHours * HOUR_MS),
+    graceEndsAt:
+      sub.renewal?.graceEndsAt ||
+      new Date(sub.endDate.getTime() + renewalGraceDays * DAY_MS),
+  };
+
+  const mandate = sub.autoRenew?.mandate;
+  const hasMandate = mandate?.status === "active" && Boolean(mandate.tokenId);
+
+  try {
+    const order = await razorpayService.createOrder(
+      sub.renewal.amount,
+      `REN_${sub.subscriptionNumber}_${attempts}`,
+      {
+        subscriptionId: sub._id.toString(),
+        customerId: String(sub.customer._id || sub.customer),
+        renewal: "true",
+      },
+      hasMandate ? { customer_id: mandate.customerId } : {}
+    );
+    sub.renewal.orderIds.push(order.id);
+    await sub.save();
+
+    if (hasMandate) {
+      await razorpayService.chargeRecurringPayment({
+        amount: sub.renewal.amount,
+        orderId: order.id,
+        customerId: mandate.customerId,
+        tokenId: mandate.tokenId,
+        email: sub.customer.email,
+        contact: sub.customer.mobile,
+        description: `Renewal of ${sub.subscriptionNumber}`,
+        notes: { subscriptionId: sub._id.toString(), renewal: "true" },
+      });
+    } else {
+      await notifyCustomer(sub, {
+        title: "Renew Your Subscription",
+        body: `Your subscription has ended. Pay ₹${sub.renewal.amount} by ${sub.renewal.graceEndsAt.toLocaleDateString("en-IN")} to renew it.`,
+        data: { type: "subscription_renewal_due", orderId: order.id },
+      });
+    }
+    return true;
+  } catch (error) {
+    await recordRenewalFailure(
+      sub,
+      error.error?.description || error.message
+    );
+    return false;
+  }
+};
+
+/**
+ * Refund a renewal capture that did not match the renewal amount. A failed
+ * refund is left on renewal.lastError for an admin and retried the next
+ * time the payment is reported.
+ */
+const refundMismatchedRenewal = async (sub, paymentId, reason) => {
+  try {
+    await razorpayService.initiateRefund(paymentId, null, {
+      subscriptionId: sub._id.toString(),
+      reason: "Renewal amount mismatch",
+    });
+  } catch (error) {
+    const message = error.error?.description || error.message;
+    console.error(
+      `[Subscription] Refund of renewal payment ${paymentId} for ${sub.subscriptionNumber} failed:`,
+      message
+    );
+    await Subscription.updateOne(
+      { _id: sub._id },
+      {
+        $set: {
+          "renewal.lastError": `${reason}. Refund of ${paymentId} failed (${message}); refund it manually`,
+        },
+        $pull: { "renewal.refundedPaymentIds": paymentId },
+      }
+    );
+  }
+};
+
+/**
+ * Apply a paid renewal order: extend by the package duration, reset usage
+ * and record it in renewalHistory. Claimed atomically so the checkout
+ * verification and the webhook can race safely. A payment that does not
+ * match the renewal price is refunded and recorded as a failure instead,
+ * and a late renewal runs from the payment date rather than the lapsed
+ * endDate.
+ *
+ * @param {string} orderId - Razorpay renewal order ID
+ * @param {object} params - { paymentId, amount } (amount captured, in ₹)
+ * @returns {Promise<object|null>} renewed subscription, or null when the
+ *   order is not a pending renewal or the amount does not match
+ */
+const applyRenewal = async (orderId, { paymentId, amount } = {}) => {
+  const filter = {
+    "renewal.orderIds": orderId,
+    status: { $in: ["active", "expired"] },
+  };
+
+  const pending = await Subscription.findOne(filter).select(
+    "subscriptionNumber renewal"
+  );
+  if (!pending) return null;
+
+  if (round2(amount) !== round2(pending.renewal.amount)) {
+    const reason = `Paid ₹${round2(amount)} does not match the renewal amount ₹${pending.renewal.amount}`;
+    console.error(
+      `[Subscription] Renewal ${orderId} of ${pending.subscriptionNumber}: ${reason}`
+    );
+    // Refunded once however often the payment is reported
+    const marked = await Subscription.updateOne(
+      { _id: pending._id, "renewal.refundedPaymentIds": { $ne: paymentId } },
+      {
+        $set: { "renewal.lastError": reason },
+        $addToSet: { "renewal.refundedPaymentIds": paymentId },
+      }
+    );
+    if (marked.modifiedCount > 0) {
+      await refundMismatchedRenewal(pending, paymentId, reason);
+    }
+    return null;
+  }
+
+  const claimed = await Subscription.findOneAndUpdate(filter, {
+    $set: { "renewal.orderIds": [] },
+  });
+  if (!claimed) return null;
+
+  const sub = await Subscription.findById(claimed._id).populate(
+    "package",
+    "name"
+  );
+  const previousEndDate = new Date(sub.endDate);
+  const newEndDate = calculateEndDate(
+    new Date(Math.max(previousEndDate.getTime(), Date.now())),
+    sub.packageSnapshot.duration
+  );
+
+  sub.endDate = newEndDate;
+  sub.status = "active";
+  sub.usage.forEach((u) => {
+    u.usedCount = 0;
+  });
+  sub.renewalHistory.push({
+    type: "auto_renewal",
+    renewedAt: new Date(),
+    previousEndDate,
+    newEndDate,
+    amount: claimed.renewal?.amount,
+    orderId,
+    transactionId: paymentId,
+  });
+  sub.payment.orderId = orderId;
+  sub.payment.transactionId = paymentId;
+  sub.payment.paidAt = new Date();
+  sub.renewal = undefined;
+  await sub.save();
+
+  await notifyCustomer(sub, {
+    title: "Subscription Renewed ✓",
+    body: `Your ${sub.package?.name || sub.packageSnapshot.name} subscription has been renewed until ${newEndDate.toLocaleDateString("en-IN")}.`,
+    data: { type: "subscription_renewed" },
+  });
+
+  return sub;
+};
+
+/**
+ * Record a failed payment on a renewal order (retried by the cron)
+ * @returns {Promise<object|null>} subscription, or null when not a renewal
+ */
+const handleRenewalPaymentFailure = async (orderId, reason) => {
+  const sub = await Subscription.findOne({
+    "renewal.orderIds": orderId,
+    status: "active",
+  });
+  if (!sub) return null;
+
+  await recordRenewalFailure(sub, reason || "Payment failed");
+  return sub;
+};
+
+/**
+ * Whether any open renewal order was paid without us hearing about it
+ */
+const findCapturedRenewalPayment = async (sub) => {
+  for (const orderId of sub.renewal?.orderIds || []) {
+    const { items = [] } = await razorpayService.fetchOrderPayments(orderId);
+    const captured = items.find((p) => p.status === "captured");
+    if (captured) {
+      return {
+        orderId,
+        paymentId: captured.id,
+        amount: captured.amount / 100,
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Renew auto-renewing subscriptions that reached endDate, retrying failed
+ * payments until the grace period or attempt limit runs out
+ */
+const processAutoRenewals = async () => {
+  console.log("[Cron] Processing subscription auto-renewals...");
+  const now = new Date();
+  const { renewalMaxAttempts } = config.subscriptions;
+
+  const dueSubs = await Subscription.find({
+    status: "active",
+    "autoRenew.enabled": true,
+    endDate: { $lte: now },
+    $or: [
+      { "renewal.lastAttemptAt": { $exists: false } },
+      { "renewal.nextRetryAt": { $lte: now } },
+    ],
+  }).populate("customer", "name mobile email");
+
+  const summary = { attempted: 0, renewed: 0, expired: 0 };
+
+  for (const sub of dueSubs) {
+    try {
+      const captured = await findCapturedRenewalPayment(sub);
+      if (captured) {
+        if (await applyRenewal(captured.orderId, captured)) summary.renewed++;
+        continue;
+      }
+
+      const outOfRetries =
+        (sub.renewal?.attempts || 0) >= renewalMaxAttempts ||
+        (sub.renewal?.graceEndsAt && sub.renewal.graceEndsAt <= now);
+
+      if (outOfRetries) {
+        // Renewal order ids are kept so a late payment still renews
+        sub.status = "expired";
+        await sub.save();
+        summary.expired++;
+        await notifyCustomer(sub, {
+          title: "Subscription Expired",
+          body: "We couldn't renew your subscription. Renew from the app to continue enjoying benefits!",
+          data: { type: "subscription_expired" },
+        });
+        continue;
+      }
+
+      summary.attempted++;
+      await attemptRenewal(sub);
+    } catch (error) {
+      console.error(
+        `[Cron] Auto-renewal failed for ${sub.subscriptionNumber}:`,
+        error.message
+      );
+    }
+  }
+
+  console.log(
+    `[Cron] Auto-renewal: ${summary.attempted} attempted, ${summary.renewed} renewed, ${summary.expired} expired`
+  );
+  return summary;
+};
+
+/**
+ * Start of the current term: the last auto-renewal, else startDate
+ */
+const getTermStart = (sub) => {
+  const renewals = sub.renewalHistory.filter((r) => r.type === "auto_renewal");
+  return renewals.length > 0
+    ? renewals[renewals.length - 1].previousEndDate
+    : sub.startDate;
+};
+
+/**
+ * Pause days used in the current term (an open pause counts up to now)
+ */
+const getUsedPauseDays = (sub, now = new Date()) => {
+  const termStart = getTermStart(sub);
+  return sub.pauseHistory
+    .filter((p) => p.pausedAt >= termStart)
+    .reduce((days, p) => {
+      const pausedMs = (p.resumedAt || now) - p.pausedAt;
+      return days + Math.ceil(pausedMs / DAY_MS);
+    }, 0);
+};
+
+/**
+ * Pause an active subscription. It resumes automatically after `days`, or
+ * when the package's pause allowance for the term runs out.
+ *
+ * @param {object} sub - Subscription document
+ * @param {object} params - { days, reason, pausedBy }
+ */
+const pauseSubscription = async (sub, { days, reason, pausedBy } = {}) => {
+  const now = new Date();
+
+  if (sub.status !== "active") {
+    throw ApiError.badRequest("Only active subscriptions can be paused");
+  }
+  if (sub.endDate <= now) {
+    throw ApiError.badRequest("Subscription period has already ended");
+  }
+
+  let maxPauseDays = sub.packageSnapshot?.maxPauseDays;
+  if (maxPauseDays === undefined || maxPauseDays === null) {
+    const pkg = await Package.findById(sub.package).select("maxPauseDays");
+    maxPauseDays = pkg?.maxPauseDays || 0;
+  }
+  if (maxPauseDays <= 0) {
+    throw ApiError.badRequest("This package cannot be paused");
+  }
+
+  const remaining = maxPauseDays - getUsedPauseDays(sub, now);
+  if (remaining <= 0) {
+    throw ApiError.badRequest(
+      `All ${maxPauseDays} pause days for this term have been used`
+    );
+  }
+
+  const pauseDays = days || remaining;
+  if (pauseDays > remaining) {
+    throw ApiError.badRequest(
+      `Subscription can be paused for at most ${remaining} more day(s)`
+    );
+  }
+
+  const resumeAt = new Date(now.getTime() + pauseDays * DAY_MS);
+  sub.status = "paused";
+  sub.pauseHistory.push({ pausedAt: now, resumeAt, reason, pausedBy });
+  await sub.save();
+
+  await notifyCustomer(sub, {
+    title: "Subscription Paused",
+    body: `Your subscription is paused and will resume on ${resumeAt.toLocaleDateString("en-IN")}. Paused days are added to your end date.`,
+    data: { type: "subscription_paused" },
+  });
+
+  return sub;
+};
+
+/**
+ * Resume a paused subscription, extending endDate by the time it was paused
+ *
+ * @param {string} subscriptionId
+ * @param {object} params - { resumedBy }
+ * @returns {Promise<object>} resumed subscription
+ */
+const resumeSubscription = async (subscriptionId, { resumedBy } = {}) => {
+  // Claim atomically so a manual resume and the cron can't both extend
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: subscriptionId, status: "paused" },
+    { $set: { status: "active" } }
+  );
+  if (!claimed) {
+    throw ApiError.badRequest("Subscription is not paused");
+  }
+
+  const sub = await Subscription.findById(subscriptionId);
+  const now = new Date();
+  const pause = sub.pauseHistory.find((p) => !p.resumedAt);
+
+  if (pause) {
+    pause.resumedAt = now;
+    pause.resumedBy = resumedBy;
+    sub.endDate = new Date(sub.endDate.getTime() + (now - pause.pausedAt));
+  }
+  await sub.save();
+
+  await notifyCustomer(sub, {
+    title: "Subscription Resumed",
+    body: `Your subscription is active again and now runs until ${sub.endDate.toLocaleDateString("en-IN")}.`,
+    data: { type: "subscription_resumed" },
+  });
+
+  return sub;
+};
+
+/**
+ * Resume paused subscriptions whose scheduled resume date has passed
+ */
+const resumeDueSubscriptions = async () => {
+  console.log("[Cron] Resuming paused subscriptions...");
+  const due = await Subscription.find({
+    status: "paused",
+    pauseHistory: {
+      $elemMatch: {
+        resumedAt: { $exists: false },
+        resumeAt: { $lte: new Date() },
+      },
+    },
+  }).select("_id subscriptionNumber");
+
+  let resumedCount = 0;
+  for (const sub of due) {
+    try {
+      await resumeSubscription(sub._id);
+      resumedCount++;
+    } catch (error) {
+      console.error(
+        `[Cron] Failed to resume ${sub.subscriptionNumber}:`,
+        error.message
+      );
+    }
+  }
+
+  console.log(`[Cron] Resumed ${resumedCount} subscription(s)`);
+  return resumedCount;
+};
+
+/**
+ * Price a switch from `sub` to `pkg` today.
+ *
+ * The unused share of the current term is the smaller of the time left and
+ * the limited services left (unlimited services don't count), applied to
+ * packageSnapshot.price plus the tax paid on it. The credit is capped at the
+ * new package's total; any excess is forfeited.
+ *
+ * @param {object} sub - Subscription document
+ * @param {object} pkg - Package document (new plan)
+ * @returns {object} quote
+ */
+const getPlanChangeQuote = (sub, pkg, now = new Date()) => {
+  const termMs = sub.endDate - sub.startDate;
+  const timeLeft =
+    termMs > 0
+      ? Math.min(1, Math.max(0, (sub.endDate - now) / termMs))
+      : 0;
+
+  const limited = sub.usage.filter((u) => u.maxAllowed > 0);
+  const usageLeft =
+    limited.length > 0
+      ? limited.reduce(
+          (sum, u) => sum + Math.max(0, 1 - u.usedCount / u.maxAllowed),
+          0
+        ) / limited.length
+      : 1;
+
+  const unusedShare = Math.min(timeLeft, usageLeft);
+  const price = sub.packageSnapshot.price || 0;
+  const remainingValue = round2(price * unusedShare);
+  // Tax paid on the unused part is credited too
+  const taxFactor = price > 0 ? getRenewalAmount(sub) / price : 1;
+  const credit = round2(remainingValue * taxFactor);
+
+  const newTotal = round2(pkg.price + (pkg.price * pkg.taxRate) / 100);
+  const appliedCredit = Math.min(credit, newTotal);
+
+  const newServiceIds = new Set(
+    pkg.services.map((s) => String(s.service._id || s.service))
+  );
+
+  return {
+    type: pkg.price >= price ? "upgrade" : "downgrade",
+    timeLeftPercent: Math.round(timeLeft * 100),
+    usageLeftPercent: Math.round(usageLeft * 100),
+    remainingValue,
+    credit,
+    newTotal,
+    appliedCredit,
+    forfeitedCredit: round2(credit - appliedCredit),
+    payable: round2(newTotal - appliedCredit),
+    carriedOverServices: sub.usage
+      .filter((u) => newServiceIds.has(String(u.service)) && u.usedCount > 0)
+      .map((u) => ({ service: u.service, usedCount: u.usedCount })),
+  };
+};
+
+/**
+ * Close the renewal orders left open on a retired plan; anything already
+ * captured on them is refunded (errors are only logged)
+ */
+const closeRenewalOrders = async (sub, orderIds = []) => {
+  for (const orderId of orderIds) {
+    try {
+      const { items = [] } = await razorpayService.fetchOrderPayments(orderId);
+      for (const payment of items.filter((p) => p.status === "captured")) {
+        await razorpayService.initiateRefund(payment.id, null, {
+          subscriptionId: sub._id.toString(),
+          reason: "Renewal of a changed plan",
+        });
+      }
+    } catch (error) {
+      console.error(
+        `[Subscription] Failed to close renewal order ${orderId} of ${sub.subscriptionNumber}:`,
+        error.error?.description || error.message
+      );
+    }
+  }
+};
+
+/**
+ * Finish a plan change once the new subscription is active: close the old
+ * subscription and its renewal orders, carry over usage of shared services
+ * and start the new term today. Safe to call more than once.
+ *
+ * The credit is recomputed from the old plan as it stands now; when it has
+ * shrunk since the quote (services used, days passed) the new term is
+ * shortened to the share of the plan that was actually paid for.
+ *
+ * @param {object} sub - activated subscription with changedFrom set
+ * @returns {Promise<object>} the new subscription
+ */
+const completePlanChange = async (sub) => {
+  const fromId = sub.changedFrom?.subscription;
+  if (!fromId) return sub;
+
+  const now = new Date();
+  const previous = await Subscription.findOneAndUpdate(
+    { _id: fromId, status: { $in: ["active", "paused", "expired"] } },
+    {
+      $set: {
+        status: "cancelled",
+        cancellation: {
+          cancelledAt: now,
+          reason: `Changed to ${sub.packageSnapshot.name}`,
+          refundAmount: 0,
+          refundStatus: "none",
+        },
+        changedTo: {
+          subscription: sub._id,
+          type: sub.changedFrom.type,
+          changedAt: now,
+        },
+        "autoRenew.enabled": false,
+      },
+    },
+    { new: true }
+  );
+  if (!previous) return sub; // Completed already
+
+  const openOrderIds = previous.renewal?.orderIds || [];
+  previous.renewal = undefined;
+
+  // Close an open pause on the old plan
+  const openPause = previous.pauseHistory.find((p) => !p.resumedAt);
+  if (openPause) openPause.resumedAt = now;
+  await previous.save();
+
+  await closeRenewalOrders(previous, openOrderIds);
+
+  await Package.findByIdAndUpdate(previous.package, {
+    $inc: { currentSubscriptions: -1 },
+  });
+
+  const doc = await Subscription.findById(sub._id);
+  const pkg = await Package.findById(doc.package);
+  const { appliedCredit } = getPlanChangeQuote(previous, pkg, now);
+  const fullPrice = getRenewalAmount(doc);
+  const covered = Math.min(
+    fullPrice,
+    round2(doc.payment.amount + appliedCredit)
+  );
+
+  doc.usage.forEach((u) => {
+    const old = previous.usage.find(
+      (o) => String(o.service) === String(u.service)
+    );
+    if (old) {
+      u.usedCount = old.usedCount;
+      u.history.push(...old.history);
+    }
+  });
+  const fullEndDate = calculateEndDate(now, doc.packageSnapshot.duration);
+  doc.startDate = now;
+  doc.endDate =
+    covered < fullPrice
+      ? new Date(now.getTime() + ((fullEndDate - now) * covered) / fullPrice)
+      : fullEndDate;
+  doc.changedFrom.credit = round2(covered - doc.payment.amount);
+  doc.changedFrom.changedAt = now;
+  await doc.save();
+
+  return doc;
+};
+
 /**
  * Send reminder notifications for subscriptions expiring soon
  */
@@ -69,7 +736,7 @@ const sendExpiryReminders = async () => {
       status: "active",
       endDate: { $gte: now, $lte: threeDaysLater },
     })
-      .populate("customer", "name fcmToken")
+      .populate("customer", "name")
       .populate("package", "name");
 
     // Find subscriptions expiring in 7 days
@@ -77,7 +744,7 @@ const sendExpiryReminders = async () => {
       status: "active",
       endDate: { $gt: threeDaysLater, $lte: sevenDaysLater },
     })
-      .populate("customer", "name fcmToken")
+      .populate("customer", "name")
       .populate("package", "name");
 
     let remindersSent = 0;
@@ -138,9 +805,12 @@ const sendExpiryReminders = async () => {
  * Initialize cron jobs for subscription management
  */
 const initCronJobs = () => {
-  // Run expiry check every hour
+  // Resume due pauses, run auto-renewals, then the expiry check, every hour
   cron.schedule("0 * * * *", () => {
-    expireSubscriptions().catch(console.error);
+    resumeDueSubscriptions()
+      .then(processAutoRenewals)
+      .then(expireSubscriptions)
+      .catch(console.error);
   });
 
   // Send expiry reminders daily at 9 AM
@@ -152,7 +822,18 @@ const initCronJobs = () => {
 };
 
 module.exports = {
+  calculateEndDate,
   expireSubscriptions,
+  attemptRenewal,
+  applyRenewal,
+  handleRenewalPaymentFailure,
+  processAutoRenewals,
+  pauseSubscription,
+  resumeSubscription,
+  resumeDueSubscriptions,
+  getRenewalAmount,
+  getPlanChangeQuote,
+  completePlanChange,
   sendExpiryReminders,
   initCronJobs,
 };
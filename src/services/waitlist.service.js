@@ -0,0 +1,225 @@
+/**
+ * Waitlist Service
+ * Offers freed appointment spots to waitlisted customers in joining order.
+ * Each offer holds the spot for `waitlistOfferMinutes`; unclaimed offers
+ * expire and roll to the next person in line.
+ */
+const cron = require("node-cron");
+const { WaitlistEntry, Service } = require("../models");
+const config = require("../config");
+const notificationService = require("./notification.service");
+const slotBookingService = require("./slotBooking.service");
+
+/**
+ * Waiting entries that would take a slot starting at `startTime`, first
+ * in line first
+ */
+const findWaitingEntries = (dateKey, startTime) =>
+  WaitlistEntry.find({
+    date: dateKey,
+    status: "waiting",
+    $or: [
+      { startTime },
+      { windowStart: { $lte: startTime }, windowEnd: { $gt: startTime } },
+    ],
+  }).sort({ createdAt: 1 });
+
+const getClaimUrl = (entry) =>
+  `${config.appointments.waitlistClaimUrl}/${entry._id}`;
+
+/**
+ * Offer a spot in a slot to the next waitlisted customer it suits.
+ * Customers whose services no longer fit a free bay are passed over.
+ *
+ * @returns {Promise<object|null>} offered entry, or null when nobody is
+ *   waiting or the slot has no room (or is no longer bookable)
+ */
+const offerSlot = async (date, startTime) => {
+  const dateKey = slotBookingService.getDateKey(date);
+
+  let slot;
+  try {
+    slot = await slotBookingService.getBookableSlot(dateKey, startTime);
+  } catch (error) {
+    return null; // Closed, no longer offered or already started
+  }
+
+  const entries = await findWaitingEntries(dateKey, startTime);
+
+  for (const entry of entries) {
+    const services = await Service.find({ _id: { $in: entry.services } });
+    const fits = await slotBookingService.hasFreeBay(
+      dateKey,
+      startTime,
+      slotBookingService.getServicesDuration(services)
+    );
+    if (!fits) continue;
+
+    let hold;
+    try {
+      hold = await slotBookingService.holdSlot({
+        date: dateKey,
+        startTime,
+        maxBookings: slot.maxBookings,
+        customerId: entry.customer,
+        minutes: config.appointments.waitlistOfferMinutes,
+        kind: "waitlist",
+      });
+    } catch (error) {
+      if (error.statusCode === 409) return null; // Filled up again
+      throw error;
+    }
+
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "waiting" },
+      {
+        $set: {
+          status: "offered",
+          offer: {
+            startTime,
+            endTime: slot.endTime,
+            holdId: hold.holdId,
+            offeredAt: new Date(),
+            expiresAt: hold.expiresAt,
+          },
+        },
+      },
+      { new: true }
+    );
+
+    // Left the waitlist meanwhile; give the spot to the next one
+    if (!offered) {
+      await slotBookingService.releaseHold(hold.holdId, entry.customer);
+      continue;
+    }
+
+    try {
+      await notificationService.sendWaitlistOffer(
+        offered.customer,
+        offered,
+        getClaimUrl(offered)
+      );
+    } catch (error) {
+      console.error("Waitlist offer notification failed:", error);
+    }
+    return offered;
+  }
+
+  return null;
+};
+
+/**
+ * Offer a freed spot without failing the request that freed it
+ */
+const offerFreedSlot = async (date, startTime) => {
+  try {
+    return await offerSlot(date, startTime);
+  } catch (error) {
+    console.error("Waitlist offer failed:", error);
+    return null;
+  }
+};
+
+/**
+ * Offer what a cancelled, moved or missed booking gave up: its own slot
+ * and the later slots its bay was reserved for
+ *
+ * @param {object} booking - { date, startTime, baySlots }
+ */
+const offerFreedBooking = async ({ date, startTime, baySlots = [] }) => {
+  for (const slotStart of new Set([startTime, ...baySlots])) {
+    await offerFreedSlot(date, slotStart);
+  }
+};
+
+/**
+ * Mark the waitlist offer behind a hold as claimed by a booking made in
+ * the offered slot
+ */
+const markClaimed = (customerId, holdId, appointment) =>
+  WaitlistEntry.findOneAndUpdate(
+    {
+      customer: customerId,
+      status: "offered",
+      "offer.holdId": holdId,
+      date: slotBookingService.getDateKey(appointment.scheduledDate),
+      "offer.startTime": appointment.timeSlot.startTime,
+    },
+    { $set: { status: "claimed", appointment: appointment._id } },
+    { new: true }
+  );
+
+/**
+ * Take an entry off the waitlist; a pending offer goes to the next person
+ *
+ * @returns {Promise<object|null>} cancelled entry, or null when not active
+ */
+const cancelEntry = async (entryId, customerId) => {
+  const entry = await WaitlistEntry.findOneAndUpdate(
+    {
+      _id: entryId,
+      customer: customerId,
+      status: { $in: ["waiting", "offered"] },
+    },
+    { $set: { status: "cancelled" } }
+  );
+  if (!entry) return null;
+
+  if (entry.status === "offered") {
+    await slotBookingService.releaseHold(entry.offer.holdId, customerId);
+    await offerFreedSlot(entry.date, entry.offer.startTime);
+  }
+
+  entry.status = "cancelled";
+  return entry;
+};
+
+/**
+ * Expire unclaimed offers and roll each spot to the next person in line
+ */
+const expireOffers = async (now = new Date()) => {
+  const stale = await WaitlistEntry.find({
+    status: "offered",
+    "offer.expiresAt": { $lte: now },
+  });
+
+  let expired = 0;
+  for (const entry of stale) {
+    const claimed = await WaitlistEntry.updateOne(
+      { _id: entry._id, status: "offered" },
+      { $set: { status: "expired" } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+    expired++;
+
+    await slotBookingService.releaseHold(entry.offer.holdId, entry.customer);
+    await offerFreedSlot(entry.date, entry.offer.startTime);
+  }
+
+  if (expired > 0) {
+    console.log(`[Cron] Rolled over ${expired} expired waitlist offers`);
+  }
+  return expired;
+};
+
+/**
+ * Initialize cron jobs for the waitlist
+ */
+const initCronJobs = () => {
+  // Roll over unclaimed offers every minute
+  cron.schedule("* * * * *", () => {
+    expireOffers().catch(console.error);
+  });
+
+  console.log("[Cron] Waitlist cron jobs initialized");
+};
+
+module.exports = {
+  offerSlot,
+  offerFreedSlot,
+  offerFreedBooking,
+  markClaimed,
+  cancelEntry,
+  expireOffers,
+  initCronJobs,
+};
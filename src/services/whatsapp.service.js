@@ -0,0 +1,91 @@
+/**
+ * WhatsApp Service
+ * Template messages through the MSG91 WhatsApp API
+ */
+const axios = require("axios");
+const config = require("../config");
+
+const OUTBOUND_URL =
+  "https://api.msg91.com/api/v5/whatsapp/whatsapp-outbound-message/bulk/";
+
+/**
+ * Whether a WhatsApp business number is connected
+ */
+const isConfigured = () =>
+  Boolean(config.msg91.authKey && config.msg91.whatsappNumber);
+
+const formatMobile = (mobile) => {
+  const digits = String(mobile).replace(/\D/g, "");
+  return digits.length === 10 ? `91${digits}` : digits;
+};
+
+/**
+ * Send an approved WhatsApp template
+ *
+ * @param {string} mobile
+ * @param {Object} message
+ * @param {string} message.name - Approved template name in MSG91
+ * @param {string} [message.language] - Template language code
+ * @param {string[]} [message.parameters] - Body variables, in order
+ * @param {Object} [message.document] - { url, fileName } PDF header
+ * @returns {Object} { success, provider, messageId?, response? }
+ */
+const sendTemplate = async (
+  mobile,
+  { name, language = "en", parameters = [], document = null }
+) => {
+  if (!isConfigured()) {
+    if (config.sms.provider === "console") {
+      console.log(`\n💬 WhatsApp to ${mobile}: ${name}`, parameters);
+      if (document) console.log(`   📎 ${document.fileName}: ${document.url}`);
+      return { success: true, provider: "console" };
+    }
+    throw new Error("MSG91 WhatsApp number not configured");
+  }
+
+  const components = {};
+  if (document) {
+    components.header_1 = {
+      type: "document",
+      value: document.url,
+      filename: document.fileName,
+    };
+  }
+  parameters.forEach((value, index) => {
+    components[`body_${index + 1}`] = { type: "text", value: String(value) };
+  });
+
+  const payload = {
+    integrated_number: config.msg91.whatsappNumber,
+    content_type: "template",
+    payload: {
+      messaging_product: "whatsapp",
+      type: "template",
+      template: {
+        name,
+        language: { code: language, policy: "deterministic" },
+        to_and_components: [{ to: [formatMobile(mobile)], components }],
+      },
+    },
+  };
+
+  const response = await axios.post(OUTBOUND_URL, payload, {
+    headers: {
+      authkey: config.msg91.authKey,
+      "Content-Type": "application/json",
+    },
+    timeout: 15000,
+  });
+
+  return {
+    success: response.data?.status !== "fail",
+    provider: "msg91",
+    messageId: response.data?.request_id,
+    response: response.data,
+  };
+};
+
+module.exports = {
+  isConfigured,
+  sendTemplate,
+};
@@ -0,0 +1,223 @@
+/**
+ * GST Utilities
+ * Place of supply, CGST/SGST/IGST split and HSN summaries for invoices
+ */
+
+const config = require("../config");
+
+// GST state codes (first two digits of a GSTIN)
+const STATE_CODES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+};
+
+// 2-digit state code, PAN, entity number, "Z", checksum character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const round2 = (n) => Math.round((Number(n || 0) + Number.EPSILON) * 100) / 100;
+
+const normalizeStateName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z]/g, "");
+
+/**
+ * Extract the state code from a GSTIN ("27AAAAA0000A1Z5" -> "27")
+ */
+const getStateCodeFromGstin = (gstin) => {
+  const code = String(gstin || "").trim().slice(0, 2);
+  return STATE_CODES[code] ? code : null;
+};
+
+/**
+ * Whether a GSTIN is well formed and carries a known state code
+ */
+const isValidGstin = (gstin) => {
+  const value = String(gstin || "").trim().toUpperCase();
+  return GSTIN_PATTERN.test(value) && Boolean(getStateCodeFromGstin(value));
+};
+
+/**
+ * Resolve a state name (or a two digit code) to its GST state code
+ */
+const getStateCode = (state) => {
+  if (!state) return null;
+  const value = String(state).trim();
+  if (/^\d{1,2}$/.test(value)) {
+    const code = value.padStart(2, "0");
+    return STATE_CODES[code] ? code : null;
+  }
+
+  const target = normalizeStateName(value);
+  const match = Object.entries(STATE_CODES).find(
+    ([, name]) => normalizeStateName(name) === target
+  );
+  return match ? match[0] : null;
+};
+
+const getStateName = (code) => STATE_CODES[code] || null;
+
+/**
+ * Supplier (garage) state code: explicit config, else from the garage GSTIN
+ */
+const getSupplierStateCode = () =>
+  getStateCode(config.garage.stateCode) ||
+  getStateCodeFromGstin(config.garage.gst);
+
+/**
+ * Determine place of supply for a customer.
+ * Registered customers use their GSTIN state; others their address state.
+ * Unknown places of supply are treated as intra-state.
+ *
+ * @param {Object} customer – { gstin, address: { state } }
+ * @returns {Object} { supplierStateCode, placeOfSupply, isInterState }
+ */
+const getPlaceOfSupply = (customer = {}) => {
+  const supplierStateCode = getSupplierStateCode();
+  const placeOfSupply =
+    getStateCodeFromGstin(customer.gstin) ||
+    getStateCode(customer.address?.state) ||
+    supplierStateCode;
+
+  return {
+    supplierStateCode,
+    placeOfSupply,
+    isInterState: Boolean(
+      supplierStateCode && placeOfSupply && supplierStateCode !== placeOfSupply
+    ),
+  };
+};
+
+/**
+ * Split tax on a taxable value into CGST+SGST (intra-state) or IGST
+ *
+ * @returns {Object} { cgstRate, cgstAmount, sgstRate, sgstAmount, igstRate, igstAmount, taxAmount }
+ */
+const splitTax = (taxableValue, taxRate, isInterState) => {
+  const rate = Number(taxRate) || 0;
+  const taxAmount = (Number(taxableValue || 0) * rate) / 100;
+
+  if (isInterState) {
+    return {
+      cgstRate: 0,
+      cgstAmount: 0,
+      sgstRate: 0,
+      sgstAmount: 0,
+      igstRate: rate,
+      igstAmount: taxAmount,
+      taxAmount,
+    };
+  }
+
+  return {
+    cgstRate: rate / 2,
+    cgstAmount: taxAmount / 2,
+    sgstRate: rate / 2,
+    sgstAmount: taxAmount / 2,
+    igstRate: 0,
+    igstAmount: 0,
+    taxAmount,
+  };
+};
+
+/**
+ * Group invoice lines by HSN/SAC code and tax rate
+ *
+ * @param {Array} items – lines with hsnCode, quantity, taxRate, taxableValue and tax split
+ * @returns {Array} summary rows sorted by HSN code
+ */
+const buildHsnSummary = (items = []) => {
+  const rows = new Map();
+
+  items.forEach((item) => {
+    const hsnCode = item.hsnCode || "";
+    const key = `${hsnCode}|${item.taxRate || 0}`;
+    const row = rows.get(key) || {
+      hsnCode,
+      description: item.name || item.description || "",
+      taxRate: item.taxRate || 0,
+      quantity: 0,
+      taxableValue: 0,
+      cgstAmount: 0,
+      sgstAmount: 0,
+      igstAmount: 0,
+      totalTax: 0,
+    };
+
+    row.quantity += Number(item.quantity || 0);
+    row.taxableValue += Number(item.taxableValue || 0);
+    row.cgstAmount += Number(item.cgstAmount || 0);
+    row.sgstAmount += Number(item.sgstAmount || 0);
+    row.igstAmount += Number(item.igstAmount || 0);
+    row.totalTax += Number(item.taxAmount || 0);
+    rows.set(key, row);
+  });
+
+  return [...rows.values()]
+    .map((row) => {
+      // Split the rounded row tax so CGST + SGST always equals the total
+      const totalTax = round2(row.totalTax);
+      const isInterState = row.igstAmount > 0;
+      const cgstAmount = isInterState ? 0 : round2(totalTax / 2);
+
+      return {
+        ...row,
+        taxableValue: round2(row.taxableValue),
+        cgstAmount,
+        sgstAmount: isInterState ? 0 : round2(totalTax - cgstAmount),
+        igstAmount: isInterState ? totalTax : 0,
+        totalTax,
+      };
+    })
+    .sort(
+      (a, b) => a.hsnCode.localeCompare(b.hsnCode) || a.taxRate - b.taxRate
+    );
+};
+
+module.exports = {
+  STATE_CODES,
+  GSTIN_PATTERN,
+  getStateCodeFromGstin,
+  isValidGstin,
+  getStateCode,
+  getStateName,
+  getSupplierStateCode,
+  getPlaceOfSupply,
+  splitTax,
+  buildHsnSummary,
+};
@@ -3,6 +3,7 @@
  * Common helper functions
  */
 
+const mongoose = require("mongoose");
 const config = require("../config");
 
 /**
@@ -166,10 +167,32 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
  * Check if value is valid MongoDB ObjectId
  */
 const isValidObjectId = (id) => {
-  const ObjectId = require("mongoose").Types.ObjectId;
+  const ObjectId = mongoose.Types.ObjectId;
   return ObjectId.isValid(id) && new ObjectId(id).toString() === id;
 };
 
+/**
+ * Run `work` inside the caller's transaction, or in a new one when the
+ * caller has none
+ */
+const inTransaction = async (session, work) => {
+  if (session) return work(session);
+
+  const ownSession = await mongoose.startSession();
+  ownSession.startTransaction();
+
+  try {
+    const result = await work(ownSession);
+    await ownSession.commitTransaction();
+    return result;
+  } catch (error) {
+    await ownSession.abortTransaction();
+    throw error;
+  } finally {
+    ownSession.endSession();
+  }
+};
+
 module.exports = {
   generateRandomString,
   parsePagination,
@@ -182,4 +205,5 @@ module.exports = {
   getDateRange,
   sleep,
   isValidObjectId,
+  inTransaction,
 };
@@ -2,7 +2,7 @@
  * Appointment Validators
  * Validation rules for appointment endpoints
  */
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
 const createAppointmentValidation = [
   body("vehicleId")
@@ -44,6 +44,7 @@ const createAppointmentValidation = [
     .trim()
     .isLength({ max: 500 })
     .withMessage("Notes cannot exceed 500 characters"),
+  body("holdId").optional().isMongoId().withMessage("Invalid hold ID"),
   body("pickupRequired")
     .optional()
     .isBoolean()
@@ -146,6 +147,7 @@ const rescheduleAppointmentValidation = [
   body("timeSlot.endTime")
     .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
     .withMessage("Invalid end time format (HH:MM)"),
+  body("holdId").optional().isMongoId().withMessage("Invalid hold ID"),
   body("reason")
     .optional()
     .trim()
@@ -153,9 +155,182 @@ const rescheduleAppointmentValidation = [
     .withMessage("Reason cannot exceed 500 characters"),
 ];
 
+const holdSlotValidation = [
+  body("date")
+    .notEmpty()
+    .withMessage("Date is required")
+    .isISO8601()
+    .withMessage("Invalid date format")
+    .custom((value) => {
+      const date = new Date(value);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (date < today) {
+        throw new Error("Date cannot be in the past");
+      }
+      return true;
+    }),
+  body("startTime")
+    .notEmpty()
+    .withMessage("Start time is required")
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage("Invalid start time format (HH:MM)"),
+];
+
+const availableSlotsValidation = [
+  query("date")
+    .notEmpty()
+    .withMessage("Date is required")
+    .isISO8601()
+    .withMessage("Invalid date format"),
+  query("services")
+    .optional()
+    .matches(/^[a-f\d]{24}(,[a-f\d]{24})*$/i)
+    .withMessage("Services must be comma-separated service IDs"),
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const slotOverrideValidation = [
+  param("date")
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Date must be YYYY-MM-DD")
+    .isISO8601()
+    .withMessage("Invalid date"),
+  body("isClosed")
+    .optional()
+    .isBoolean()
+    .withMessage("isClosed must be a boolean"),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Reason cannot exceed 200 characters"),
+  body("maxBookingsPerSlot")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Max bookings per slot must be at least 1"),
+  body("slots").optional().isArray().withMessage("Slots must be an array"),
+  body("slots.*.startTime")
+    .matches(TIME_PATTERN)
+    .withMessage("Invalid start time format (HH:MM)"),
+  body("slots.*.endTime")
+    .matches(TIME_PATTERN)
+    .withMessage("Invalid end time format (HH:MM)"),
+  body("slots.*.maxBookings")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Max bookings must be at least 1"),
+  body("slots.*.isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+  body().custom(({ isClosed, slots, maxBookingsPerSlot } = {}) => {
+    if (!isClosed && !slots?.length && !maxBookingsPerSlot) {
+      throw new Error("Close the day, cap capacity or change a slot");
+    }
+    return true;
+  }),
+];
+
+const slotOverrideDateValidation = [
+  param("date")
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("Date must be YYYY-MM-DD"),
+];
+
+const listSlotOverridesValidation = [
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+];
+
+const joinWaitlistValidation = [
+  body("date")
+    .notEmpty()
+    .withMessage("Date is required")
+    .isISO8601()
+    .withMessage("Invalid date format")
+    .custom((value) => {
+      const date = new Date(value);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      if (date < today) {
+        throw new Error("Date cannot be in the past");
+      }
+      return true;
+    }),
+  body("vehicleId")
+    .notEmpty()
+    .withMessage("Vehicle is required")
+    .isMongoId()
+    .withMessage("Invalid vehicle ID"),
+  body("services")
+    .isArray({ min: 1 })
+    .withMessage("At least one service is required"),
+  body("services.*.serviceId")
+    .isMongoId()
+    .withMessage("Invalid service ID"),
+  body("startTime")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("Invalid start time format (HH:MM)"),
+  body("windowStart")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("Invalid window start format (HH:MM)"),
+  body("windowEnd")
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage("Invalid window end format (HH:MM)"),
+  body("customerNotes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+  body().custom(({ startTime, windowStart, windowEnd } = {}) => {
+    if (startTime) return true;
+    if (!windowStart || !windowEnd) {
+      throw new Error("Choose a time slot or a time window");
+    }
+    if (windowStart >= windowEnd) {
+      throw new Error("Window end must be after window start");
+    }
+    return true;
+  }),
+];
+
+const bayValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Bay name is required")
+    .isLength({ max: 50 })
+    .withMessage("Bay name cannot exceed 50 characters"),
+  body("type")
+    .optional()
+    .isIn(["lift", "general", "wash", "paint", "alignment"])
+    .withMessage("Invalid bay type"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Notes cannot exceed 200 characters"),
+];
+
 module.exports = {
   createAppointmentValidation,
   updateAppointmentValidation,
   cancelAppointmentValidation,
   rescheduleAppointmentValidation,
+  holdSlotValidation,
+  availableSlotsValidation,
+  slotOverrideValidation,
+  slotOverrideDateValidation,
+  listSlotOverridesValidation,
+  joinWaitlistValidation,
+  bayValidation,
 };
@@ -0,0 +1,139 @@
+/**
+ * Campaign Validators
+ * Validation rules for admin broadcast campaigns
+ */
+const { body, query } = require("express-validator");
+
+const VEHICLE_TYPES = [
+  "car",
+  "bike",
+  "scooter",
+  "auto",
+  "truck",
+  "bus",
+  "other",
+];
+
+const CHANNELS = ["PUSH", "SMS"];
+
+const STATUSES = ["DRAFT", "SCHEDULED", "SENDING", "COMPLETED", "CANCELLED"];
+
+const futureDate = (value) => {
+  if (new Date(value) <= new Date()) {
+    throw new Error("Scheduled time must be in the future");
+  }
+  return true;
+};
+
+const audienceRules = [
+  body("audience").optional().isObject().withMessage("Invalid audience"),
+  body("audience.vehicleTypes")
+    .optional()
+    .isArray()
+    .withMessage("Vehicle types must be an array"),
+  body("audience.vehicleTypes.*")
+    .isIn(VEHICLE_TYPES)
+    .withMessage("Invalid vehicle type"),
+  body("audience.brands")
+    .optional()
+    .isArray()
+    .withMessage("Brands must be an array"),
+  body("audience.brands.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Brand cannot be empty"),
+  body("audience.packages")
+    .optional()
+    .isArray()
+    .withMessage("Packages must be an array"),
+  body("audience.packages.*").isMongoId().withMessage("Invalid package ID"),
+  body("audience.zones")
+    .optional()
+    .isArray()
+    .withMessage("Zones must be an array"),
+  body("audience.zones.*").isMongoId().withMessage("Invalid zone ID"),
+  body("audience.areas")
+    .optional()
+    .isArray()
+    .withMessage("Areas must be an array"),
+  body("audience.areas.*").isMongoId().withMessage("Invalid area ID"),
+  body("audience.lastServiceBefore")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid last service date"),
+  body("audience.lastServiceAfter")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid last service date"),
+  body("audience.inactiveDays")
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage("Inactive days must be between 1 and 3650"),
+];
+
+const campaignValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Campaign name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+  ...audienceRules,
+  body("channels")
+    .isArray({ min: 1 })
+    .withMessage("At least one channel is required"),
+  body("channels.*").isIn(CHANNELS).withMessage("Channel must be PUSH or SMS"),
+  body("content.title")
+    .trim()
+    .notEmpty()
+    .withMessage("Title is required")
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+  body("content.body")
+    .trim()
+    .notEmpty()
+    .withMessage("Message body is required")
+    .isLength({ max: 500 })
+    .withMessage("Body cannot exceed 500 characters"),
+  body("content.imageUrl")
+    .optional()
+    .isURL()
+    .withMessage("Image must be a valid URL"),
+  body("content.screen").optional().isString().trim(),
+  body("content.params")
+    .optional()
+    .isObject()
+    .withMessage("Params must be an object"),
+  body("throttlePerMinute")
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Throttle must be between 1 and 1000 per minute"),
+  body("scheduledAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid scheduled time")
+    .custom(futureDate),
+];
+
+const audiencePreviewValidation = [...audienceRules];
+
+const scheduleCampaignValidation = [
+  body("scheduledAt")
+    .notEmpty()
+    .withMessage("Scheduled time is required")
+    .isISO8601()
+    .withMessage("Invalid scheduled time")
+    .custom(futureDate),
+];
+
+const listCampaignValidation = [
+  query("status").optional().isIn(STATUSES).withMessage("Invalid status"),
+];
+
+module.exports = {
+  campaignValidation,
+  audiencePreviewValidation,
+  scheduleCampaignValidation,
+  listCampaignValidation,
+};
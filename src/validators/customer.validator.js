@@ -3,6 +3,7 @@
  * Validation rules for customer management
  */
 const { body } = require("express-validator");
+const { isValidGstin } = require("../utils/gst");
 
 /**
  * Walk-in customer creation validation
@@ -33,6 +34,12 @@ const createWalkInCustomerValidation = [
     .optional()
     .matches(/^\d{6}$/)
     .withMessage("Please enter a valid 6-digit pincode"),
+  body("gstin")
+    .optional({ values: "falsy" })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage("Please enter a valid GSTIN"),
   // Vehicle details
   body("vehicle")
     .optional()
@@ -25,6 +25,12 @@ const partnerValidator = require("./partner.validator");
 const mechanicValidator = require("./mechanic.validator");
 const bannerValidator = require("./banner.validator");
 const testimonialValidator = require("./testimonial.validator");
+const invoiceValidator = require("./invoice.validator");
+const logisticsValidator = require("./logistics.validator");
+const inspectionValidator = require("./inspection.validator");
+const signatureValidator = require("./signature.validator");
+const notificationTemplateValidator = require("./notificationTemplate.validator");
+const campaignValidator = require("./campaign.validator");
 
 module.exports = {
   ...authValidator,
@@ -50,4 +56,10 @@ module.exports = {
   ...mechanicValidator,
   ...bannerValidator,
   ...testimonialValidator,
+  ...invoiceValidator,
+  ...logisticsValidator,
+  ...inspectionValidator,
+  ...signatureValidator,
+  ...notificationTemplateValidator,
+  ...campaignValidator,
 };
@@ -0,0 +1,107 @@
+/**
+ * Inspection Validators
+ * Validation rules for check-in inspections and their templates
+ */
+const { body } = require("express-validator");
+
+const VEHICLE_TYPES = [
+  "car",
+  "bike",
+  "scooter",
+  "auto",
+  "truck",
+  "bus",
+  "other",
+];
+
+const CATEGORIES = [
+  "tyres",
+  "lights",
+  "wipers",
+  "body",
+  "glass",
+  "interior",
+  "accessories",
+  "other",
+];
+
+const inspectionTemplateValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Template name is required")
+    .isLength({ max: 100 })
+    .withMessage("Template name cannot exceed 100 characters"),
+  body("vehicleType")
+    .isIn(VEHICLE_TYPES)
+    .withMessage("Invalid vehicle type"),
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("At least one checklist item is required"),
+  body("items.*.key")
+    .trim()
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage("Item key may only use a-z, 0-9 and -"),
+  body("items.*.label")
+    .trim()
+    .notEmpty()
+    .withMessage("Item label is required"),
+  body("items.*.category")
+    .optional()
+    .isIn(CATEGORIES)
+    .withMessage("Invalid item category"),
+  body("items.*.panel").optional().trim(),
+  body("isActive").optional().isBoolean(),
+];
+
+const updateInspectionValidation = [
+  body("items").optional().isArray().withMessage("Items must be an array"),
+  body("items.*.key").trim().notEmpty().withMessage("Item key is required"),
+  body("items.*.result")
+    .optional()
+    .isIn(["pass", "fail", "attention"])
+    .withMessage("Result must be pass, fail or attention"),
+  body("items.*.notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+  body("accessories")
+    .optional()
+    .isArray()
+    .withMessage("Accessories must be an array"),
+  body("odometerReading")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Odometer reading must be a positive number"),
+  body("fuelLevel")
+    .optional()
+    .isIn(["empty", "quarter", "half", "three-quarter", "full"])
+    .withMessage("Invalid fuel level"),
+];
+
+const inspectionPhotoValidation = [
+  body("itemKey").trim().notEmpty().withMessage("Item key is required"),
+  body("panel").optional().trim(),
+  body("caption")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Caption cannot exceed 200 characters"),
+];
+
+const inspectionSignOffValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Customer name is required")
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+];
+
+module.exports = {
+  inspectionTemplateValidation,
+  updateInspectionValidation,
+  inspectionPhotoValidation,
+  inspectionSignOffValidation,
+};
@@ -84,6 +84,15 @@ const createSparePartValidation = [
     .optional()
     .isFloat({ min: 0, max: 100 })
     .withMessage("Tax rate must be between 0 and 100"),
+  body("hsnCode")
+    .optional()
+    .trim()
+    .matches(/^\d{4,8}$/)
+    .withMessage("HSN code must be 4-8 digits"),
+  body("preferredSupplier")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid supplier ID"),
   body("warranty.hasWarranty")
     .optional()
     .isBoolean()
@@ -123,6 +132,15 @@ const updateSparePartValidation = [
     .trim()
     .isLength({ max: 100 })
     .withMessage("Brand cannot exceed 100 characters"),
+  body("hsnCode")
+    .optional()
+    .trim()
+    .matches(/^\d{4,8}$/)
+    .withMessage("HSN code must be 4-8 digits"),
+  body("preferredSupplier")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid supplier ID"),
   body("isActive")
     .optional()
     .isBoolean()
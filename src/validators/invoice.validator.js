@@ -0,0 +1,50 @@
+/**
+ * Invoice Validators
+ * Validation rules for invoice and tax report endpoints
+ */
+const { body, query } = require("express-validator");
+
+const gstReportValidation = [
+  query("month")
+    .notEmpty()
+    .withMessage("Month is required")
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage("Month must be in YYYY-MM format"),
+];
+
+const createCreditNoteValidation = [
+  body("reason")
+    .notEmpty()
+    .withMessage("Reason is required")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+  body("items")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Items must be a non-empty array"),
+  body("items.*.itemId")
+    .notEmpty()
+    .withMessage("Item ID is required")
+    .isMongoId()
+    .withMessage("Invalid item ID"),
+  body("items.*.quantity")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be at least 1"),
+  body("items.*.amount")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be greater than 0"),
+  body("amount")
+    .if(body("items").not().exists())
+    .notEmpty()
+    .withMessage("Either items or amount is required")
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be greater than 0"),
+];
+
+module.exports = {
+  gstReportValidation,
+  createCreditNoteValidation,
+};
@@ -95,6 +95,15 @@ const addJobItemValidation = [
     .optional()
     .isFloat({ min: 0 })
     .withMessage("Discount must be a positive number"),
+  body("inventoryId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid inventory ID"),
+  body("hsnCode")
+    .optional()
+    .trim()
+    .matches(/^\d{4,8}$/)
+    .withMessage("HSN/SAC code must be 4-8 digits"),
 ];
 
 const approveItemsValidation = [
@@ -0,0 +1,137 @@
+/**
+ * Logistics Validator
+ * Validation rules for pickup and drop tasks
+ */
+const { body, query } = require("express-validator");
+
+const TASK_STATUSES = [
+  "pending",
+  "assigned",
+  "en-route",
+  "picked-up",
+  "at-workshop",
+  "out-for-delivery",
+  "dropped",
+  "cancelled",
+];
+
+const windowRules = [
+  body("window.start")
+    .optional()
+    .isISO8601()
+    .withMessage("Window start must be a valid date"),
+  body("window.end")
+    .optional()
+    .isISO8601()
+    .withMessage("Window end must be a valid date")
+    .custom((value, { req }) => {
+      const start = req.body.window?.start;
+      if (start && new Date(value) <= new Date(start)) {
+        throw new Error("Window end must be after its start");
+      }
+      return true;
+    }),
+];
+
+const addressRules = [
+  body("address.street")
+    .if(body("address").exists())
+    .trim()
+    .notEmpty()
+    .withMessage("Street is required"),
+  body("address.city").optional().trim(),
+  body("address.state").optional().trim(),
+  body("address.pincode")
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage("Pincode must be 6 digits"),
+  body("address.landmark").optional().trim(),
+];
+
+const createLogisticsTaskValidation = [
+  body("type")
+    .isIn(["pickup", "drop"])
+    .withMessage("Type must be either pickup or drop"),
+  body("appointmentId")
+    .if(body("type").equals("pickup"))
+    .isMongoId()
+    .withMessage("Valid appointment ID is required for a pickup"),
+  body("jobCardId")
+    .if(body("type").equals("drop"))
+    .isMongoId()
+    .withMessage("Valid job card ID is required for a drop"),
+  body("driverId").optional().isMongoId().withMessage("Invalid driver ID"),
+  ...addressRules,
+  ...windowRules,
+];
+
+const assignLogisticsTaskValidation = [
+  body("driverId").isMongoId().withMessage("Valid driver ID is required"),
+  ...windowRules,
+];
+
+const cancelLogisticsTaskValidation = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Cancellation reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+];
+
+const listLogisticsTasksValidation = [
+  query("type")
+    .optional()
+    .isIn(["pickup", "drop"])
+    .withMessage("Type must be either pickup or drop"),
+  query("status")
+    .optional()
+    .isIn([...TASK_STATUSES, "active", "all"])
+    .withMessage("Invalid status"),
+  query("driverId").optional().isMongoId().withMessage("Invalid driver ID"),
+  query("date").optional().isISO8601().withMessage("Invalid date"),
+];
+
+const logisticsStatusValidation = [
+  body("status").isIn(TASK_STATUSES).withMessage("Invalid status"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+  body("location.lat")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Invalid latitude")
+    .toFloat(),
+  body("location.lng")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Invalid longitude")
+    .toFloat(),
+];
+
+// Multipart body: photos come as files, fields as strings
+const handoverValidation = [
+  body("otp")
+    .trim()
+    .matches(/^\d{4,8}$/)
+    .withMessage("Valid OTP is required"),
+  body("lat")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Invalid latitude"),
+  body("lng")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Invalid longitude"),
+];
+
+module.exports = {
+  createLogisticsTaskValidation,
+  assignLogisticsTaskValidation,
+  cancelLogisticsTaskValidation,
+  listLogisticsTasksValidation,
+  logisticsStatusValidation,
+  handoverValidation,
+};
@@ -0,0 +1,97 @@
+/**
+ * Notification Template Validators
+ * Validation rules for admin-edited notification templates and the
+ * SMS delivery report
+ */
+const { body, query } = require("express-validator");
+
+const TYPES = [
+  "BOOKING_CONFIRMATION",
+  "STATUS_UPDATE",
+  "PAYMENT_ALERT",
+  "SERVICE_REMINDER",
+  "ESTIMATE_APPROVAL",
+  "VEHICLE_READY",
+  "APPOINTMENT_REMINDER",
+  "WAITLIST_OFFER",
+];
+
+const CHANNELS = ["PUSH", "SMS", "IN_APP", "WHATSAPP"];
+
+const LANGUAGES = ["en", "hi", "ta", "te", "kn", "ml", "mr", "bn", "gu"];
+
+const notificationTemplateValidation = [
+  body("type").isIn(TYPES).withMessage("Invalid notification type"),
+  body("event")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Event cannot exceed 50 characters"),
+  body("channel")
+    .isIn(CHANNELS)
+    .withMessage("Channel must be PUSH, SMS, IN_APP or WHATSAPP"),
+  body("language")
+    .optional()
+    .isIn(LANGUAGES)
+    .withMessage("Unsupported language"),
+  body("title")
+    .if(body("channel").isIn(["PUSH", "IN_APP"]))
+    .trim()
+    .notEmpty()
+    .withMessage("Title is required for push and in-app templates")
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+  body("body")
+    .trim()
+    .notEmpty()
+    .withMessage("Template body is required")
+    .isLength({ max: 500 })
+    .withMessage("Body cannot exceed 500 characters"),
+  body("providerTemplate")
+    .if(body("channel").equals("WHATSAPP"))
+    .trim()
+    .notEmpty()
+    .withMessage("Approved MSG91 template name is required for WhatsApp")
+    .isLength({ max: 100 })
+    .withMessage("Template name cannot exceed 100 characters"),
+  body("isActive").optional().isBoolean(),
+];
+
+const previewNotificationTemplateValidation = [
+  body("templateId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid template ID"),
+  body("type")
+    .if(body("templateId").not().exists())
+    .isIn(TYPES)
+    .withMessage("Invalid notification type"),
+  body("body")
+    .if(body("templateId").not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage("Template body is required"),
+  body("title").optional().trim(),
+  body("variables")
+    .optional()
+    .isObject()
+    .withMessage("Variables must be an object"),
+];
+
+const listNotificationTemplateValidation = [
+  query("type").optional().isIn(TYPES).withMessage("Invalid notification type"),
+  query("channel").optional().isIn(CHANNELS).withMessage("Invalid channel"),
+  query("language").optional().isIn(LANGUAGES).withMessage("Invalid language"),
+];
+
+const smsDeliveryReportValidation = [
+  query("from").optional().isISO8601().withMessage("Invalid from date"),
+  query("to").optional().isISO8601().withMessage("Invalid to date"),
+];
+
+module.exports = {
+  notificationTemplateValidation,
+  previewNotificationTemplateValidation,
+  listNotificationTemplateValidation,
+  smsDeliveryReportValidation,
+};
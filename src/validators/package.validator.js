@@ -106,6 +106,10 @@ const createPackageValidation = [
     .withMessage(
       "Max subscriptions must be -1 (unlimited) or a positive number"
     ),
+  body("maxPauseDays")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Max pause days must be 0 or more"),
 ];
 
 const updatePackageValidation = [
@@ -144,6 +148,10 @@ const updatePackageValidation = [
     .optional()
     .isInt({ min: -1 })
     .withMessage("Max usage must be -1 (unlimited) or a positive number"),
+  body("maxPauseDays")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Max pause days must be 0 or more"),
   body("isActive")
     .optional()
     .isBoolean()
@@ -86,6 +86,19 @@ const refundPaymentValidation = [
     .trim()
     .isLength({ max: 500 })
     .withMessage("Reason cannot exceed 500 characters"),
+  body("items")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Items must be a non-empty array"),
+  body("items.*.itemId").optional().isMongoId().withMessage("Invalid item ID"),
+  body("items.*.quantity")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be at least 1"),
+  body("items.*.amount")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be greater than 0"),
 ];
 
 module.exports = {
@@ -0,0 +1,168 @@
+/**
+ * Purchase Order Validators
+ * Validation rules for supplier and purchase order endpoints
+ */
+const { body } = require("express-validator");
+
+const createSupplierValidation = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Supplier name is required")
+    .isLength({ max: 200 })
+    .withMessage("Name cannot exceed 200 characters"),
+  body("mobile")
+    .optional()
+    .trim()
+    .matches(/^[0-9+\-\s]{8,15}$/)
+    .withMessage("Invalid mobile number"),
+  body("email").optional().isEmail().withMessage("Invalid email"),
+  body("gstin")
+    .optional()
+    .trim()
+    .isLength({ min: 15, max: 15 })
+    .withMessage("GSTIN must be 15 characters"),
+  body("leadTime")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Lead time must be 0 or more days"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+];
+
+const updateSupplierValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Name must be 1-200 characters"),
+  body("email").optional().isEmail().withMessage("Invalid email"),
+  body("leadTime")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Lead time must be 0 or more days"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be boolean"),
+];
+
+const purchaseOrderItemsValidation = (optional = false) => {
+  const items = body("items");
+  return [
+    (optional ? items.optional() : items)
+      .isArray({ min: 1 })
+      .withMessage("At least one item is required"),
+    body("items.*.inventoryId")
+      .notEmpty()
+      .withMessage("Inventory item is required")
+      .isMongoId()
+      .withMessage("Invalid inventory ID"),
+    body("items.*.quantity")
+      .notEmpty()
+      .withMessage("Quantity is required")
+      .isInt({ min: 1 })
+      .withMessage("Quantity must be at least 1"),
+    body("items.*.unitCost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Unit cost must be 0 or greater"),
+    body("items.*.taxRate")
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage("Tax rate must be between 0 and 100"),
+  ];
+};
+
+const createPurchaseOrderValidation = [
+  body("supplierId")
+    .notEmpty()
+    .withMessage("Supplier is required")
+    .isMongoId()
+    .withMessage("Invalid supplier ID"),
+  ...purchaseOrderItemsValidation(),
+  body("expectedDeliveryDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+];
+
+const updatePurchaseOrderValidation = [
+  ...purchaseOrderItemsValidation(true),
+  body("expectedDeliveryDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+];
+
+const suggestedPurchaseOrderValidation = [
+  body("supplierIds")
+    .optional()
+    .isArray()
+    .withMessage("supplierIds must be an array"),
+  body("supplierIds.*").optional().isMongoId().withMessage("Invalid supplier ID"),
+];
+
+// Received states are driven by goods receipts, not set directly
+const purchaseOrderStatusValidation = [
+  body("status")
+    .notEmpty()
+    .withMessage("Status is required")
+    .isIn(["SENT", "CLOSED", "CANCELLED"])
+    .withMessage("Status must be SENT, CLOSED or CANCELLED"),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+];
+
+const receivePurchaseOrderValidation = [
+  body("items").isArray({ min: 1 }).withMessage("Received items are required"),
+  body("items.*.itemId")
+    .notEmpty()
+    .withMessage("Purchase order line is required")
+    .isMongoId()
+    .withMessage("Invalid line ID"),
+  body("items.*.quantity")
+    .notEmpty()
+    .withMessage("Quantity is required")
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be at least 1"),
+  body("items.*.unitCost")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Unit cost must be 0 or greater"),
+  body("supplierInvoiceNumber")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Invoice number cannot exceed 100 characters"),
+  body("supplierInvoiceDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid date format"),
+];
+
+module.exports = {
+  createSupplierValidation,
+  updateSupplierValidation,
+  createPurchaseOrderValidation,
+  updatePurchaseOrderValidation,
+  suggestedPurchaseOrderValidation,
+  purchaseOrderStatusValidation,
+  receivePurchaseOrderValidation,
+};
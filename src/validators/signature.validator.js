@@ -0,0 +1,47 @@
+/**
+ * Signature Validator
+ * Validation rules for drawn customer signatures
+ */
+const { body } = require("express-validator");
+
+const signatureDetailRules = [
+  body("signature.name")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot exceed 100 characters"),
+  body("signature.device")
+    .optional()
+    .isObject()
+    .withMessage("Device info must be an object"),
+  body("signature.device.*")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Device fields must be short strings"),
+];
+
+const signatureImageRule = () =>
+  body("signature.image")
+    .isString()
+    .matches(/^data:image\/(png|jpeg|webp);base64,/)
+    .withMessage("Signature must be a PNG, JPEG or WebP data URL");
+
+const signatureValidation = [
+  body("signature.image")
+    .notEmpty()
+    .withMessage("Signature image is required"),
+  signatureImageRule(),
+  ...signatureDetailRules,
+];
+
+// Signing from the app is encouraged but not required
+const optionalSignatureValidation = [
+  signatureImageRule().optional(),
+  ...signatureDetailRules,
+];
+
+module.exports = {
+  signatureValidation,
+  optionalSignatureValidation,
+};
@@ -89,6 +89,44 @@ const extendSubscriptionValidation = [
     .withMessage("Reason cannot exceed 500 characters"),
 ];
 
+const autoRenewValidation = [
+  body("enabled")
+    .notEmpty()
+    .withMessage("Enabled flag is required")
+    .isBoolean()
+    .withMessage("Enabled must be true or false")
+    .toBoolean(),
+];
+
+const pauseSubscriptionValidation = [
+  body("days")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Days must be at least 1")
+    .toInt(),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+];
+
+const changePlanValidation = [
+  body("packageId")
+    .notEmpty()
+    .withMessage("Package ID is required")
+    .isMongoId()
+    .withMessage("Invalid package ID"),
+];
+
+const planChangeQuoteValidation = [
+  query("packageId")
+    .notEmpty()
+    .withMessage("Package ID is required")
+    .isMongoId()
+    .withMessage("Invalid package ID"),
+];
+
 module.exports = {
   purchasePackageValidation,
   verifyPaymentValidation,
@@ -96,4 +134,8 @@ module.exports = {
   activateSubscriptionValidation,
   cancelSubscriptionValidation,
   extendSubscriptionValidation,
+  autoRenewValidation,
+  pauseSubscriptionValidation,
+  changePlanValidation,
+  planChangeQuoteValidation,
 };
@@ -3,6 +3,7 @@
  * Validation rules for user endpoints
  */
 const { body } = require("express-validator");
+const { isValidGstin } = require("../utils/gst");
 
 const updateProfileValidation = [
   body("mobile")
@@ -39,6 +40,13 @@ const updateProfileValidation = [
     .optional()
     .matches(/^\d{6}$/)
     .withMessage("Please enter a valid 6-digit pincode"),
+  // An empty GSTIN removes it
+  body("gstin")
+    .optional({ values: "falsy" })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage("Please enter a valid GSTIN"),
   body().custom((value, { req }) => {
     const { name, address, isProfileComplete } = req.body || {};
     const addr = address || {};
@@ -73,13 +81,13 @@ const updateDeviceInfoValidation = [
 ];
 
 // Admin-only: role changes are backend-controlled; users cannot self-assign.
-// Only allow promoting/demoting to mechanic.
+// Only allow promoting/demoting to mechanic or driver.
 const updateUserRoleValidation = [
   body("role")
     .exists()
     .withMessage("Role is required")
-    .isIn(["user", "mechanic"])
-    .withMessage("Role must be either 'user' or 'mechanic'"),
+    .isIn(["user", "mechanic", "driver"])
+    .withMessage("Role must be one of 'user', 'mechanic' or 'driver'"),
 ];
 
 module.exports = {
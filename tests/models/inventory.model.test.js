@@ -0,0 +1,79 @@
+/**
+ * Reorder suggestions from available stock and open purchase orders
+ */
+const mongoose = require("mongoose");
+const { Inventory, PurchaseOrder } = require("../../src/models");
+
+// Chainable query stub resolving to `result`
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const supplier = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Auto Parts Co",
+  leadTime: 3,
+};
+
+const buildPart = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: "Brake pad",
+  sku: "BRK-001",
+  currentStock: 4,
+  reservedStock: 0,
+  minStock: 5,
+  maxStock: 20,
+  costPrice: 100,
+  taxRate: 18,
+  preferredSupplier: supplier,
+  ...fields,
+});
+
+const onOrder = (part, quantity) => ({ _id: part._id, onOrder: quantity });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(PurchaseOrder, "aggregate").mockResolvedValue([]);
+});
+
+describe("getReorderSuggestions", () => {
+  it("reorders up to maxStock from available stock", async () => {
+    const part = buildPart({ currentStock: 8, reservedStock: 6 });
+    jest.spyOn(Inventory, "find").mockReturnValue(query([part]));
+
+    const [group] = await Inventory.getReorderSuggestions();
+
+    expect(group.items[0]).toMatchObject({
+      availableStock: 2,
+      suggestedQuantity: 18,
+    });
+  });
+
+  it("subtracts quantities still due on open orders", async () => {
+    const part = buildPart();
+    jest.spyOn(Inventory, "find").mockReturnValue(query([part]));
+    PurchaseOrder.aggregate.mockResolvedValue([onOrder(part, 10)]);
+
+    const [group] = await Inventory.getReorderSuggestions();
+
+    expect(group.items[0]).toMatchObject({ onOrder: 10, suggestedQuantity: 6 });
+    expect(group.estimatedCost).toBe(600);
+  });
+
+  it("leaves out items open orders already cover", async () => {
+    const covered = buildPart();
+    const short = buildPart({ name: "Oil filter", sku: "OIL-001" });
+    jest.spyOn(Inventory, "find").mockReturnValue(query([covered, short]));
+    PurchaseOrder.aggregate.mockResolvedValue([onOrder(covered, 16)]);
+
+    const groups = await Inventory.getReorderSuggestions();
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].items.map((item) => item.sku)).toEqual(["OIL-001"]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Invoice generation from a job card
+ */
+const mongoose = require("mongoose");
+const Invoice = require("../../src/models/invoice.model");
+const { User } = require("../../src/models");
+
+const buildJobCard = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  jobNumber: "JC-TEST-0001",
+  customer: {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Asha Traders",
+    mobile: "9876543210",
+    gstin: "27AAPFU0939F1ZV",
+  },
+  jobItems: [
+    {
+      type: "labour",
+      description: "General service",
+      unitPrice: 1000,
+      total: 1000,
+    },
+    { type: "part", description: "Oil filter", unitPrice: 500, total: 500 },
+  ],
+  // Stale totals the invoice must not copy
+  billing: { subtotal: 1200, discount: 0, taxRate: 18, grandTotal: 1416 },
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(Invoice.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+});
+
+describe("createFromJobCard", () => {
+  it("totals the invoice from its own lines and tax", async () => {
+    const invoice = await Invoice.createFromJobCard(buildJobCard());
+
+    expect(invoice.subtotal).toBe(1500);
+    expect(invoice.taxableAmount).toBe(1500);
+    expect(invoice.totalTax).toBe(270);
+    expect(invoice.grandTotal).toBe(1770);
+  });
+
+  it("applies the job card discount before tax", async () => {
+    const invoice = await Invoice.createFromJobCard(
+      buildJobCard({ billing: { discount: 500, taxRate: 18 } })
+    );
+
+    expect(invoice.taxableAmount).toBe(1000);
+    expect(invoice.grandTotal).toBe(1180);
+  });
+
+  it("snapshots the customer's GSTIN", async () => {
+    const invoice = await Invoice.createFromJobCard(buildJobCard());
+
+    expect(invoice.customerSnapshot.gstin).toBe("27AAPFU0939F1ZV");
+  });
+});
+
+describe("applyPayment", () => {
+  const buildStored = (paidAmount) => {
+    const invoice = new Invoice({
+      invoiceNumber: "INV26040001",
+      jobCard: new mongoose.Types.ObjectId(),
+      customer: new mongoose.Types.ObjectId(),
+      grandTotal: 1000,
+      paidAmount,
+    });
+    invoice.isNew = false;
+    return invoice;
+  };
+
+  it("increments paidAmount atomically and saves the balance", async () => {
+    const stored = buildStored(1000);
+    jest.spyOn(Invoice, "updateOne").mockResolvedValue({});
+    jest.spyOn(Invoice, "findByIdAndUpdate").mockResolvedValue(stored);
+
+    const invoice = await Invoice.applyPayment(stored._id, 400, {
+      orderId: "order_1",
+    });
+
+    expect(Invoice.updateOne).toHaveBeenCalledWith(
+      { _id: stored._id, "checkout.orderId": "order_1" },
+      { $unset: { checkout: "" } }
+    );
+    expect(Invoice.findByIdAndUpdate).toHaveBeenCalledWith(
+      stored._id,
+      { $inc: { paidAmount: 400 } },
+      { new: true }
+    );
+    // Derived balance/status is saved only while paidAmount is unchanged
+    expect(invoice.$where).toEqual({ paidAmount: 1000 });
+    expect(Invoice.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  it("re-reads when another payment moved paidAmount first", async () => {
+    const first = buildStored(400);
+    const latest = buildStored(1000);
+    jest.spyOn(Invoice, "findByIdAndUpdate").mockResolvedValue(first);
+    jest.spyOn(Invoice, "findById").mockResolvedValue(latest);
+    Invoice.prototype.save.mockImplementationOnce(() =>
+      Promise.reject(new mongoose.Error.DocumentNotFoundError({}, "Invoice"))
+    );
+
+    const invoice = await Invoice.applyPayment(first._id, 400);
+
+    expect(invoice).toBe(latest);
+    expect(latest.$where).toEqual({ paidAmount: 1000 });
+    expect(Invoice.prototype.save).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("User gstin", () => {
+  it("accepts a valid GSTIN in any case", () => {
+    const user = new User({ mobile: "9876543210", gstin: "27aapfu0939f1zv" });
+
+    expect(user.validateSync()?.errors?.gstin).toBeUndefined();
+    expect(user.gstin).toBe("27AAPFU0939F1ZV");
+  });
+
+  it("rejects a malformed GSTIN", () => {
+    const user = new User({ mobile: "9876543210", gstin: "27AAPFU0939" });
+
+    expect(user.validateSync().errors.gstin.message).toBe(
+      "Please enter a valid GSTIN"
+    );
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Issuing credit notes against an invoice
+ */
+const mongoose = require("mongoose");
+const Invoice = require("../../src/models/invoice.model");
+const CreditNote = require("../../src/models/creditNote.model");
+const creditNoteService = require("../../src/services/creditNote.service");
+
+const session = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+const buildInvoice = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  invoiceNumber: "INV26040001",
+  grandTotal: 1000,
+  creditedAmount: 600,
+  save: jest.fn(),
+});
+
+const buildCreditNote = (grandTotal) => ({
+  grandTotal,
+  save: jest.fn(),
+});
+
+// CreditNote.aggregate(...).session(...) resolving to `rows`
+const mockTotals = (rows) =>
+  jest
+    .spyOn(CreditNote, "aggregate")
+    .mockReturnValue({ session: () => Promise.resolve(rows) });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+});
+
+describe("issueCreditNote", () => {
+  it("claims the credit on the invoice and saves both together", async () => {
+    const invoice = buildInvoice();
+    const creditNote = buildCreditNote(400);
+    jest.spyOn(Invoice, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    mockTotals([{ creditedAmount: 1000, refundedAmount: 400 }]);
+
+    await creditNoteService.issueCreditNote(creditNote, invoice);
+
+    expect(Invoice.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: invoice._id }),
+      { $inc: { creditedAmount: 400 } },
+      { session }
+    );
+    expect(creditNote.save).toHaveBeenCalledWith({ session });
+    expect(invoice.creditedAmount).toBe(1000);
+    expect(invoice.save).toHaveBeenCalledWith({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it("refuses a credit another note already used up", async () => {
+    const invoice = buildInvoice();
+    const creditNote = buildCreditNote(400);
+    jest.spyOn(Invoice, "updateOne").mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(
+      creditNoteService.issueCreditNote(creditNote, invoice)
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(creditNote.save).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+  });
+});
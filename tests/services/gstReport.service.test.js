@@ -0,0 +1,177 @@
+/**
+ * GSTR-1 periods and sections
+ */
+const mongoose = require("mongoose");
+const Invoice = require("../../src/models/invoice.model");
+const CreditNote = require("../../src/models/creditNote.model");
+const config = require("../../src/config");
+const gstReportService = require("../../src/services/gstReport.service");
+
+// Chainable query stub resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const line = (taxableValue, isInterState) => {
+  const tax = taxableValue * 0.18;
+  return {
+    hsnCode: "998714",
+    taxRate: 18,
+    quantity: 1,
+    taxableValue,
+    igstAmount: isInterState ? tax : 0,
+    cgstAmount: isInterState ? 0 : tax / 2,
+    sgstAmount: isInterState ? 0 : tax / 2,
+  };
+};
+
+const buildInvoice = ({ total, gstin, isInterState = false, ...fields }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  invoiceNumber: `INV-${total}`,
+  issuedAt: new Date("2026-04-10T06:00:00Z"),
+  customerSnapshot: { name: "Customer", gstin },
+  placeOfSupply: isInterState ? "29" : "27",
+  isInterState,
+  items: [line(total / 1.18, isInterState)],
+  hsnSummary: [],
+  grandTotal: total,
+  ...fields,
+});
+
+let invoices;
+let creditNotes;
+let originalThreshold;
+
+beforeAll(() => {
+  originalThreshold = config.garage.b2clThreshold;
+  config.garage.b2clThreshold = 250000;
+});
+
+afterAll(() => {
+  config.garage.b2clThreshold = originalThreshold;
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  invoices = [];
+  creditNotes = [];
+  jest.spyOn(Invoice, "find").mockImplementation((filter) =>
+    query(
+      filter._id
+        ? invoices.filter((invoice) =>
+            filter._id.$in.some((id) => String(id) === String(invoice._id))
+          )
+        : invoices
+    )
+  );
+  jest.spyOn(CreditNote, "find").mockImplementation(() => query(creditNotes));
+});
+
+describe("getPeriodRange", () => {
+  it("spans the calendar month in IST", () => {
+    const { start, end } = gstReportService.getPeriodRange("2026-04");
+
+    expect(start.toISOString()).toBe("2026-03-31T18:30:00.000Z");
+    expect(end.toISOString()).toBe("2026-04-30T18:30:00.000Z");
+  });
+
+  it("rolls December over into the next year", () => {
+    const { end } = gstReportService.getPeriodRange("2026-12");
+
+    expect(end.toISOString()).toBe("2026-12-31T18:30:00.000Z");
+  });
+});
+
+describe("buildGstr1", () => {
+  it("splits invoices into B2B, B2CL and B2CS", async () => {
+    invoices = [
+      buildInvoice({ total: 11800, gstin: "27AAPFU0939F1ZV" }),
+      buildInvoice({ total: 354000, isInterState: true }),
+      buildInvoice({ total: 354000 }),
+      buildInvoice({ total: 11800, isInterState: true }),
+    ];
+
+    const report = await gstReportService.buildGstr1("2026-04");
+
+    expect(report.b2b).toHaveLength(1);
+    expect(report.b2b[0].ctin).toBe("27AAPFU0939F1ZV");
+    expect(report.b2cl).toEqual([
+      {
+        pos: "29",
+        inv: [
+          expect.objectContaining({
+            inum: "INV-354000",
+            idt: "10-04-2026",
+            val: 354000,
+          }),
+        ],
+      },
+    ]);
+    // Intra-state stays B2CS whatever its value
+    expect(report.b2cs.map((row) => [row.sply_ty, row.txval])).toEqual([
+      ["INTRA", 300000],
+      ["INTER", 10000],
+    ]);
+  });
+
+  it("treats a malformed GSTIN as unregistered", async () => {
+    invoices = [buildInvoice({ total: 11800, gstin: "27AAPFU0939" })];
+
+    const report = await gstReportService.buildGstr1("2026-04");
+
+    expect(report.b2b).toEqual([]);
+    expect(report.b2cs).toHaveLength(1);
+  });
+
+  it("reports credit notes in the section of their invoice", async () => {
+    const large = buildInvoice({ total: 354000, isInterState: true });
+    const registered = buildInvoice({
+      total: 11800,
+      gstin: "27AAPFU0939F1ZV",
+    });
+    invoices = [large, registered];
+    creditNotes = [
+      {
+        ...buildInvoice({ total: 5900, isInterState: true }),
+        creditNoteNumber: "CN-1",
+        invoice: large._id,
+      },
+      {
+        ...buildInvoice({ total: 1180, gstin: "27AAPFU0939F1ZV" }),
+        creditNoteNumber: "CN-2",
+        invoice: registered._id,
+      },
+    ];
+
+    const report = await gstReportService.buildGstr1("2026-04");
+
+    expect(report.cdnur).toEqual([
+      expect.objectContaining({ typ: "B2CL", nt_num: "CN-1", val: 5900 }),
+    ]);
+    expect(report.cdnr[0].nt).toEqual([
+      expect.objectContaining({ nt_num: "CN-2" }),
+    ]);
+    expect(report.b2cs).toEqual([]);
+  });
+
+  it("dates documents in IST", async () => {
+    invoices = [
+      buildInvoice({
+        total: 11800,
+        gstin: "27AAPFU0939F1ZV",
+        // 00:30 on 1 May in IST
+        issuedAt: new Date("2026-04-30T19:00:00Z"),
+      }),
+    ];
+
+    const report = await gstReportService.buildGstr1("2026-05");
+
+    expect(report.b2b[0].inv[0].idt).toBe("01-05-2026");
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Job card stock: reserve, commit and release
+ */
+const mongoose = require("mongoose");
+const {
+  Inventory,
+  InventoryTransaction,
+  JobCard,
+} = require("../../src/models");
+const inventoryService = require("../../src/services/inventory.service");
+
+const session = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+// Chainable query stub resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    session: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const buildPart = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: "Brake pad",
+  currentStock: 10,
+  reservedStock: 0,
+  minStock: 2,
+  save: jest.fn(),
+  ...fields,
+});
+
+const buildJobCard = (items) => ({
+  _id: new mongoose.Types.ObjectId(),
+  jobNumber: "JC-TEST-0001",
+  jobItems: items,
+});
+
+const buildItem = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  type: "part",
+  description: "Brake pad",
+  inventory: new mongoose.Types.ObjectId(),
+  quantity: 2,
+  unitPrice: 500,
+  total: 1000,
+  stockStatus: "none",
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+  jest.spyOn(InventoryTransaction, "create").mockResolvedValue([]);
+});
+
+describe("reserveForJobCard", () => {
+  it("reserves available stock for tracked items only", async () => {
+    const part = buildItem();
+    const labour = buildItem({ type: "labour", inventory: undefined });
+    jest
+      .spyOn(Inventory, "findOneAndUpdate")
+      .mockResolvedValue(buildPart({ reservedStock: 2 }));
+
+    const reserved = await inventoryService.reserveForJobCard(
+      buildJobCard([part, labour]),
+      [part, labour],
+      null
+    );
+
+    expect(reserved).toEqual([part]);
+    expect(part.stockStatus).toBe("reserved");
+    expect(labour.stockStatus).toBe("none");
+    expect(Inventory.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: part.inventory }),
+      { $inc: { reservedStock: 2 } },
+      expect.objectContaining({ session })
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it("reserves nothing when any item lacks stock", async () => {
+    const first = buildItem();
+    const second = buildItem();
+    jest
+      .spyOn(Inventory, "findOneAndUpdate")
+      .mockResolvedValueOnce(buildPart())
+      .mockResolvedValueOnce(null);
+    jest
+      .spyOn(Inventory, "findById")
+      .mockReturnValue(query({ name: "Oil filter", currentStock: 1 }));
+
+    await expect(
+      inventoryService.reserveForJobCard(
+        buildJobCard([first, second]),
+        [first, second],
+        null
+      )
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      errors: [
+        expect.objectContaining({
+          message: "Insufficient stock for Oil filter. Available: 1, Required: 2",
+        }),
+      ],
+    });
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(first.stockStatus).toBe("none");
+    expect(second.stockStatus).toBe("none");
+  });
+
+  it("sets an expiry on unapproved reservations", async () => {
+    const item = buildItem();
+    const expiresAt = new Date("2026-01-01T10:00:00Z");
+    jest.spyOn(Inventory, "findOneAndUpdate").mockResolvedValue(buildPart());
+
+    await inventoryService.reserveForJobCard(
+      buildJobCard([item]),
+      [item],
+      null,
+      { expiresAt }
+    );
+
+    expect(item.reservationExpiresAt).toBe(expiresAt);
+  });
+
+  it("uses the caller's transaction when one is given", async () => {
+    const callerSession = { id: "caller" };
+    const item = buildItem();
+    jest.spyOn(Inventory, "findOneAndUpdate").mockResolvedValue(buildPart());
+
+    await inventoryService.reserveForJobCard(
+      buildJobCard([item]),
+      [item],
+      null,
+      { session: callerSession }
+    );
+
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(Inventory.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      { new: true, session: callerSession }
+    );
+    expect(item.stockStatus).toBe("reserved");
+  });
+
+  it("skips items that are already reserved", async () => {
+    const item = buildItem({ stockStatus: "reserved" });
+    jest.spyOn(Inventory, "findOneAndUpdate");
+
+    const reserved = await inventoryService.reserveForJobCard(
+      buildJobCard([item]),
+      [item],
+      null
+    );
+
+    expect(reserved).toEqual([]);
+    expect(Inventory.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("commitForJobCard", () => {
+  it("deducts reserved stock and reports low stock", async () => {
+    const item = buildItem({ stockStatus: "reserved", isApproved: true });
+    const sparePart = buildPart({ currentStock: 3, reservedStock: 2 });
+    jest.spyOn(Inventory, "findById").mockReturnValue(query(sparePart));
+
+    const lowStock = await inventoryService.commitForJobCard(
+      buildJobCard([item]),
+      null
+    );
+
+    expect(sparePart.currentStock).toBe(1);
+    expect(sparePart.reservedStock).toBe(0);
+    expect(sparePart.save).toHaveBeenCalledWith({ session });
+    expect(lowStock).toEqual([sparePart]);
+    expect(item.stockStatus).toBe("committed");
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it("uses the caller's transaction when one is given", async () => {
+    const callerSession = { id: "caller" };
+    const item = buildItem({ stockStatus: "reserved", isApproved: true });
+    const sparePart = buildPart({ reservedStock: 2 });
+    jest.spyOn(Inventory, "findById").mockReturnValue(query(sparePart));
+
+    await inventoryService.commitForJobCard(buildJobCard([item]), null, {
+      session: callerSession,
+    });
+
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(sparePart.save).toHaveBeenCalledWith({ session: callerSession });
+    expect(InventoryTransaction.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ type: "sale", quantity: -2 })],
+      { session: callerSession }
+    );
+  });
+
+  it("releases holds on items the customer never approved", async () => {
+    const approved = buildItem({ stockStatus: "reserved", isApproved: true });
+    const unapproved = buildItem({
+      stockStatus: "reserved",
+      isApproved: false,
+      reservationExpiresAt: new Date(),
+    });
+    const sparePart = buildPart({ currentStock: 10, reservedStock: 4 });
+    jest.spyOn(Inventory, "findById").mockReturnValue(query(sparePart));
+
+    await inventoryService.commitForJobCard(
+      buildJobCard([approved, unapproved]),
+      null
+    );
+
+    // Only the approved 2 leave the shelf; the other 2 go back to available
+    expect(sparePart.currentStock).toBe(8);
+    expect(sparePart.reservedStock).toBe(0);
+    expect(approved.stockStatus).toBe("committed");
+    expect(unapproved.stockStatus).toBe("released");
+    expect(InventoryTransaction.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ type: "release" })],
+      { session }
+    );
+    expect(mongoose.startSession).toHaveBeenCalledTimes(1);
+  });
+
+  it("aborts without marking items when stock is short", async () => {
+    const item = buildItem({ stockStatus: "reserved", isApproved: true });
+    jest
+      .spyOn(Inventory, "findById")
+      .mockReturnValue(query(buildPart({ currentStock: 1 })));
+
+    await expect(
+      inventoryService.commitForJobCard(buildJobCard([item]), null)
+    ).rejects.toMatchObject({ statusCode: 400 });
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(item.stockStatus).toBe("reserved");
+  });
+});
+
+describe("releaseForJobCard", () => {
+  it("returns reserved quantities to available stock", async () => {
+    const reservedItem = buildItem({ stockStatus: "reserved" });
+    const committedItem = buildItem({ stockStatus: "committed" });
+    const sparePart = buildPart({ reservedStock: 5 });
+    jest.spyOn(Inventory, "findById").mockReturnValue(query(sparePart));
+
+    const released = await inventoryService.releaseForJobCard(
+      buildJobCard([reservedItem, committedItem]),
+      [reservedItem, committedItem],
+      null,
+      "Job cancelled"
+    );
+
+    expect(released).toEqual([reservedItem]);
+    expect(sparePart.reservedStock).toBe(3);
+    expect(sparePart.currentStock).toBe(10);
+    expect(reservedItem.stockStatus).toBe("released");
+    expect(committedItem.stockStatus).toBe("committed");
+    expect(InventoryTransaction.create).toHaveBeenCalledWith(
+      [expect.objectContaining({ type: "release", notes: "Job cancelled" })],
+      { session }
+    );
+  });
+});
+
+describe("releaseExpiredReservations", () => {
+  it("saves the job card in the release's transaction", async () => {
+    const expired = buildItem({
+      stockStatus: "reserved",
+      reservationExpiresAt: new Date(Date.now() - 1000),
+    });
+    const jobCard = { ...buildJobCard([expired]), save: jest.fn() };
+    jest.spyOn(JobCard, "find").mockResolvedValue([jobCard]);
+    jest
+      .spyOn(Inventory, "findById")
+      .mockReturnValue(query(buildPart({ reservedStock: 2 })));
+
+    const count = await inventoryService.releaseExpiredReservations();
+
+    expect(count).toBe(1);
+    expect(jobCard.save).toHaveBeenCalledWith({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it("rolls the release back when the job card cannot be saved", async () => {
+    const expired = buildItem({
+      stockStatus: "reserved",
+      reservationExpiresAt: new Date(Date.now() - 1000),
+    });
+    const jobCard = {
+      ...buildJobCard([expired]),
+      save: jest.fn().mockRejectedValue(new Error("Version conflict")),
+    };
+    jest.spyOn(JobCard, "find").mockResolvedValue([jobCard]);
+    jest
+      .spyOn(Inventory, "findById")
+      .mockReturnValue(query(buildPart({ reservedStock: 2 })));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const count = await inventoryService.releaseExpiredReservations();
+
+    expect(count).toBe(0);
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Job card status transitions: table, roles and preconditions
+ */
+jest.mock("../../src/services/inventory.service", () => ({
+  commitForJobCard: jest.fn(),
+  releaseForJobCard: jest.fn(),
+}));
+jest.mock("../../src/services/logistics.service", () => ({
+  returnsByDrop: jest.fn(),
+  createDropTaskForDelivery: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const { JobCard, Payment } = require("../../src/models");
+const Invoice = require("../../src/models/invoice.model");
+const inventoryService = require("../../src/services/inventory.service");
+const logisticsService = require("../../src/services/logistics.service");
+const jobcardService = require("../../src/services/jobcard.service");
+
+const buildJobCard = (fields = {}) => {
+  const jobCard = new JobCard({
+    jobNumber: "JC-TEST-0001",
+    customer: new mongoose.Types.ObjectId(),
+    vehicle: new mongoose.Types.ObjectId(),
+    status: "created",
+    ...fields,
+  });
+  jobCard.save = jest.fn().mockResolvedValue(jobCard);
+  return jobCard;
+};
+
+// Invoice.findOne(...).sort(...).select(...) resolving to `invoice`
+const mockInvoice = (invoice) =>
+  jest.spyOn(Invoice, "findOne").mockReturnValue({
+    sort: () => ({ select: () => Promise.resolve(invoice) }),
+  });
+
+const deliverySignature = {
+  filePath: "/clutchgear/jobcards/1/signatures/signature.png",
+  name: "Customer",
+  method: "counter",
+};
+
+const session = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(mongoose, "startSession").mockResolvedValue(session);
+  jest.spyOn(JobCard, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+});
+
+describe("transitionStatus", () => {
+  it("moves through an allowed transition and records history", async () => {
+    const jobCard = buildJobCard();
+
+    await jobcardService.transitionStatus(jobCard, "inspection", {
+      role: "admin",
+    });
+
+    expect(jobCard.status).toBe("inspection");
+    expect(jobCard.statusHistory.at(-1)).toMatchObject({
+      status: "inspection",
+      fromStatus: "created",
+    });
+    expect(jobCard.save).toHaveBeenCalled();
+  });
+
+  it("rejects a transition missing from the table with a 409", async () => {
+    const jobCard = buildJobCard();
+
+    await expect(
+      jobcardService.transitionStatus(jobCard, "delivered", { role: "admin" })
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(jobCard.status).toBe("created");
+    expect(JobCard.updateOne).toHaveBeenCalledWith(
+      { _id: jobCard._id },
+      {
+        $push: {
+          statusHistory: expect.objectContaining({
+            status: "delivered",
+            rejected: true,
+          }),
+        },
+      }
+    );
+  });
+
+  it("limits mechanics to their own transitions", async () => {
+    const jobCard = buildJobCard({ status: "awaiting-approval" });
+
+    await expect(
+      jobcardService.transitionStatus(jobCard, "approved", {
+        role: "mechanic",
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(jobCard.status).toBe("awaiting-approval");
+  });
+
+  it("lets the customer approve an estimate revised mid-job", async () => {
+    const jobCard = buildJobCard({ status: "in-progress" });
+
+    await jobcardService.transitionStatus(jobCard, "approved", {
+      role: "user",
+    });
+
+    expect(jobCard.status).toBe("approved");
+  });
+
+  it("does not move out of a terminal status", async () => {
+    const jobCard = buildJobCard({ status: "cancelled" });
+
+    await expect(
+      jobcardService.transitionStatus(jobCard, "inspection", { role: "admin" })
+    ).rejects.toThrow("Job card is already cancelled");
+  });
+
+  it("blocks work until the estimate is approved", async () => {
+    const jobCard = buildJobCard({
+      status: "approved",
+      estimate: { status: "PENDING_APPROVAL" },
+    });
+
+    await expect(
+      jobcardService.transitionStatus(jobCard, "in-progress", {
+        role: "admin",
+      })
+    ).rejects.toThrow("Estimate must be approved");
+
+    jobCard.estimate.status = "APPROVED";
+    await jobcardService.transitionStatus(jobCard, "in-progress", {
+      role: "admin",
+    });
+    expect(jobCard.status).toBe("in-progress");
+  });
+
+  it("blocks delivery without the customer's signature", async () => {
+    const jobCard = buildJobCard({ status: "ready" });
+
+    await expect(
+      jobcardService.transitionStatus(jobCard, "delivered", { role: "admin" })
+    ).rejects.toThrow("handed over with the customer's signature");
+    expect(jobCard.status).toBe("ready");
+    expect(inventoryService.commitForJobCard).not.toHaveBeenCalled();
+  });
+
+  it("blocks delivery while the invoice has a balance due", async () => {
+    const jobCard = buildJobCard({
+      status: "ready",
+      billing: { grandTotal: 1000 },
+      deliverySignature,
+    });
+    mockInvoice({
+      invoiceNumber: "INV-1",
+      status: "PARTIALLY_PAID",
+      netPayable: 1000,
+    });
+    jest
+      .spyOn(Payment, "getJobCardPayments")
+      .mockResolvedValue({ totalPaid: 400 });
+
+    await expect(
+      jobcardService.transitionStatus(jobCard, "delivered", { role: "admin" })
+    ).rejects.toThrow("Balance due: ₹600.00");
+    expect(inventoryService.commitForJobCard).not.toHaveBeenCalled();
+  });
+
+  it("commits reserved stock when a paid job card is delivered", async () => {
+    const jobCard = buildJobCard({
+      status: "ready",
+      billing: { grandTotal: 1000 },
+      deliverySignature,
+    });
+    mockInvoice({ invoiceNumber: "INV-1", status: "PAID" });
+
+    await jobcardService.transitionStatus(jobCard, "delivered", {
+      role: "admin",
+    });
+
+    expect(jobCard.status).toBe("delivered");
+    expect(inventoryService.commitForJobCard).toHaveBeenCalledWith(
+      jobCard,
+      undefined,
+      { session }
+    );
+    expect(jobCard.save).toHaveBeenCalledWith({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it("releases reserved stock on cancellation", async () => {
+    const jobCard = buildJobCard({ status: "in-progress" });
+
+    await jobcardService.transitionStatus(jobCard, "cancelled", {
+      role: "admin",
+    });
+
+    expect(jobCard.status).toBe("cancelled");
+    expect(inventoryService.releaseForJobCard).toHaveBeenCalledWith(
+      jobCard,
+      jobCard.jobItems,
+      undefined,
+      "Job JC-TEST-0001 cancelled",
+      { session }
+    );
+  });
+
+  it("rolls back the stock release when the status save fails", async () => {
+    const jobCard = buildJobCard({ status: "in-progress" });
+    jobCard.save.mockRejectedValue(new Error("write conflict"));
+
+    await expect(
+      jobcardService.transitionStatus(jobCard, "cancelled", { role: "admin" })
+    ).rejects.toThrow("write conflict");
+
+    expect(inventoryService.releaseForJobCard).toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  it("joins the caller's transaction when one is given", async () => {
+    const callerSession = { id: "caller" };
+    const jobCard = buildJobCard({ status: "awaiting-approval" });
+
+    await jobcardService.transitionStatus(jobCard, "approved", {
+      role: "admin",
+      session: callerSession,
+    });
+
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(jobCard.save).toHaveBeenCalledWith({ session: callerSession });
+  });
+});
+
+describe("checkTransitionPreconditions", () => {
+  it("skips the signature while it is still to be captured", async () => {
+    const jobCard = buildJobCard({ status: "ready" });
+
+    await expect(
+      jobcardService.checkTransitionPreconditions(jobCard, "delivered", {
+        signaturePending: true,
+      })
+    ).resolves.toBeNull();
+  });
+
+  it("lets a vehicle going back on a drop out unsigned", async () => {
+    const jobCard = buildJobCard({ status: "ready" });
+    logisticsService.returnsByDrop.mockResolvedValue(true);
+
+    await expect(
+      jobcardService.checkTransitionPreconditions(jobCard, "delivered")
+    ).resolves.toBeNull();
+    expect(logisticsService.returnsByDrop).toHaveBeenCalledWith(jobCard);
+  });
+});
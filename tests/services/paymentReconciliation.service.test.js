@@ -0,0 +1,589 @@
+/**
+ * Razorpay payment recording, webhook idempotency and reconciliation
+ */
+jest.mock("../../src/services/razorpay.service", () => ({
+  fetchOrder: jest.fn(),
+  fetchOrderPayments: jest.fn(),
+  fetchPayment: jest.fn(),
+}));
+jest.mock("../../src/services/notification.service", () => ({
+  sendPaymentSuccess: jest.fn(),
+  sendPaymentFailure: jest.fn(),
+}));
+jest.mock("../../src/services/fcm.service", () => ({
+  sendToUser: jest.fn(),
+}));
+jest.mock("../../src/services/subscription.service", () => ({
+  applyRenewal: jest.fn(),
+  handleRenewalPaymentFailure: jest.fn(),
+  completePlanChange: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const {
+  Payment,
+  Package,
+  Subscription,
+  WebhookEvent,
+  ReconciliationReport,
+} = require("../../src/models");
+const Invoice = require("../../src/models/invoice.model");
+const razorpayService = require("../../src/services/razorpay.service");
+const paymentReconciliationService = require(
+  "../../src/services/paymentReconciliation.service"
+);
+
+// Chainable query stub resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const buildInvoice = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  invoiceNumber: "INV26040001",
+  customer: new mongoose.Types.ObjectId(),
+  jobCard: new mongoose.Types.ObjectId(),
+  grandTotal: 1000,
+  netPayable: 1000,
+  paidAmount: 0,
+  ...fields,
+});
+
+const razorpayPayment = {
+  id: "pay_1",
+  order_id: "order_1",
+  amount: 100000,
+  method: "upi",
+  status: "captured",
+};
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(Payment, "countDocuments").mockResolvedValue(0);
+  jest.spyOn(Invoice, "applyPayment").mockResolvedValue(null);
+});
+
+describe("recordInvoicePayment", () => {
+  it("records the payment and increments the invoice", async () => {
+    const invoice = buildInvoice();
+    jest.spyOn(Payment, "findOne").mockResolvedValue(null);
+    jest
+      .spyOn(Payment, "create")
+      .mockImplementation(async (doc) => ({ _id: "payment", ...doc }));
+
+    const { payment, applied } =
+      await paymentReconciliationService.recordInvoicePayment(
+        invoice,
+        razorpayPayment,
+        { orderId: "order_1" }
+      );
+
+    expect(applied).toBe(true);
+    expect(payment).toMatchObject({
+      amount: 1000,
+      paymentType: "full",
+      paymentMethod: "upi",
+      transactionId: "pay_1",
+    });
+    expect(Invoice.applyPayment).toHaveBeenCalledWith(invoice._id, 1000, {
+      orderId: "order_1",
+    });
+  });
+
+  it("returns an already recorded payment untouched", async () => {
+    const recorded = { _id: "payment", transactionId: "pay_1" };
+    jest.spyOn(Payment, "findOne").mockResolvedValue(recorded);
+    jest.spyOn(Payment, "create");
+
+    const result = await paymentReconciliationService.recordInvoicePayment(
+      buildInvoice(),
+      razorpayPayment
+    );
+
+    expect(result).toEqual({ payment: recorded, applied: false });
+    expect(Payment.create).not.toHaveBeenCalled();
+    expect(Invoice.applyPayment).not.toHaveBeenCalled();
+  });
+
+  it("treats losing the insert race as already applied", async () => {
+    const recorded = { _id: "payment", transactionId: "pay_1" };
+    jest
+      .spyOn(Payment, "findOne")
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(recorded);
+    jest.spyOn(Payment, "create").mockRejectedValue(
+      Object.assign(new Error("E11000 duplicate key"), {
+        code: 11000,
+        keyPattern: { transactionId: 1, "transactionDetails.gateway": 1 },
+      })
+    );
+
+    const result = await paymentReconciliationService.recordInvoicePayment(
+      buildInvoice(),
+      razorpayPayment
+    );
+
+    expect(result).toEqual({ payment: recorded, applied: false });
+    expect(Invoice.applyPayment).not.toHaveBeenCalled();
+  });
+
+  it("rethrows other duplicate keys", async () => {
+    jest.spyOn(Payment, "findOne").mockResolvedValue(null);
+    jest.spyOn(Payment, "create").mockRejectedValue(
+      Object.assign(new Error("E11000 duplicate key"), {
+        code: 11000,
+        keyPattern: { paymentNumber: 1 },
+      })
+    );
+
+    await expect(
+      paymentReconciliationService.recordInvoicePayment(
+        buildInvoice(),
+        razorpayPayment
+      )
+    ).rejects.toThrow("E11000 duplicate key");
+  });
+});
+
+describe("processRazorpayEvent", () => {
+  const body = {
+    event: "payment.captured",
+    payload: { payment: { entity: razorpayPayment } },
+  };
+
+  const buildRecord = (fields = {}) => ({
+    status: "processing",
+    save: jest.fn(),
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest
+      .spyOn(Payment, "findOneAndUpdate")
+      .mockResolvedValue({ _id: "payment", customer: "customer" });
+  });
+
+  it("processes a new event once and records the result", async () => {
+    const record = buildRecord();
+    jest.spyOn(WebhookEvent, "create").mockResolvedValue(record);
+
+    const result = await paymentReconciliationService.processRazorpayEvent(
+      "evt_1",
+      body
+    );
+
+    expect(result).toEqual({
+      duplicate: false,
+      status: "processed",
+      result: "payment_completed",
+    });
+    expect(WebhookEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        eventId: "evt_1",
+        orderId: "order_1",
+        entityId: "pay_1",
+      })
+    );
+    expect(record.save).toHaveBeenCalled();
+  });
+
+  it("skips a redelivered event that was already processed", async () => {
+    jest
+      .spyOn(WebhookEvent, "create")
+      .mockRejectedValue(Object.assign(new Error("dup"), { code: 11000 }));
+    jest.spyOn(WebhookEvent, "findOneAndUpdate").mockResolvedValue(null);
+
+    const result = await paymentReconciliationService.processRazorpayEvent(
+      "evt_1",
+      body
+    );
+
+    expect(result).toEqual({ duplicate: true });
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("retries a redelivered event whose last attempt failed", async () => {
+    const record = buildRecord({ attempts: 2 });
+    jest
+      .spyOn(WebhookEvent, "create")
+      .mockRejectedValue(Object.assign(new Error("dup"), { code: 11000 }));
+    jest.spyOn(WebhookEvent, "findOneAndUpdate").mockResolvedValue(record);
+
+    const result = await paymentReconciliationService.processRazorpayEvent(
+      "evt_1",
+      body
+    );
+
+    expect(WebhookEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        provider: "razorpay",
+        eventId: "evt_1",
+        $or: expect.arrayContaining([{ status: "failed" }]),
+      }),
+      { $set: { status: "processing" }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    expect(result.status).toBe("processed");
+  });
+
+  it("re-claims an attempt left processing past the timeout", async () => {
+    jest
+      .spyOn(WebhookEvent, "create")
+      .mockRejectedValue(Object.assign(new Error("dup"), { code: 11000 }));
+    jest
+      .spyOn(WebhookEvent, "findOneAndUpdate")
+      .mockResolvedValue(buildRecord({ attempts: 2 }));
+
+    await paymentReconciliationService.processRazorpayEvent("evt_1", body);
+
+    const [filter] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+    const stale = filter.$or.find((clause) => clause.status === "processing");
+    const cutoff = stale.updatedAt.$lte.getTime();
+    expect(Date.now() - cutoff).toBeGreaterThanOrEqual(10 * 60 * 1000);
+    expect(Payment.findOneAndUpdate).toHaveBeenCalled();
+  });
+
+  it("marks the event failed when its handler throws", async () => {
+    const record = buildRecord();
+    jest.spyOn(WebhookEvent, "create").mockResolvedValue(record);
+    Payment.findOneAndUpdate.mockRejectedValue(new Error("db down"));
+
+    await expect(
+      paymentReconciliationService.processRazorpayEvent("evt_1", body)
+    ).rejects.toThrow("db down");
+
+    expect(record.status).toBe("failed");
+    expect(record.error).toBe("db down");
+    expect(record.save).toHaveBeenCalled();
+  });
+
+  it("ignores events it has no handler for", async () => {
+    const record = buildRecord();
+    jest.spyOn(WebhookEvent, "create").mockResolvedValue(record);
+
+    const result = await paymentReconciliationService.processRazorpayEvent(
+      "evt_2",
+      { event: "payout.processed", payload: {} }
+    );
+
+    expect(result).toEqual({
+      duplicate: false,
+      status: "ignored",
+      result: "unhandled_event",
+    });
+  });
+});
+
+describe("runReconciliation", () => {
+  const past = new Date(Date.now() - 60 * 60 * 1000);
+  let pending;
+
+  // Gateway payment attempts per order id
+  const gatewayOrders = (orders) =>
+    razorpayService.fetchOrderPayments.mockImplementation(async (orderId) => ({
+      items: orders[orderId] || [],
+    }));
+
+  const run = async () => {
+    const report = await paymentReconciliationService.runReconciliation({
+      trigger: "manual",
+    });
+    return report.items;
+  };
+
+  beforeEach(() => {
+    pending = { payments: [], invoices: [], subscriptions: [] };
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest
+      .spyOn(Payment, "find")
+      .mockImplementation(() => query(pending.payments));
+    jest
+      .spyOn(Invoice, "find")
+      .mockImplementation(() => query(pending.invoices));
+    jest
+      .spyOn(Subscription, "find")
+      .mockImplementation(() => query(pending.subscriptions));
+    jest
+      .spyOn(ReconciliationReport, "create")
+      .mockImplementation(async (report) => report);
+    gatewayOrders({});
+  });
+
+  describe("payments", () => {
+    const buildPayment = () => ({
+      _id: new mongoose.Types.ObjectId(),
+      paymentNumber: "PAY000001",
+      status: "pending",
+      amount: 500,
+      transactionDetails: { orderId: "order_p" },
+    });
+
+    it("completes a payment the gateway captured", async () => {
+      pending.payments = [buildPayment()];
+      gatewayOrders({ order_p: [{ id: "pay_p", status: "captured" }] });
+      jest
+        .spyOn(Payment, "findOneAndUpdate")
+        .mockResolvedValue({ _id: "payment", customer: "customer" });
+
+      const [item] = await run();
+
+      expect(item).toMatchObject({
+        entityType: "payment",
+        gatewayStatus: "captured",
+        gatewayPaymentId: "pay_p",
+        action: "completed",
+        mismatch: true,
+      });
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ "transactionDetails.orderId": "order_p" }),
+        expect.objectContaining({
+          $set: expect.objectContaining({ transactionId: "pay_p" }),
+        }),
+        { new: true }
+      );
+    });
+
+    it("fails or expires payments the gateway never captured", async () => {
+      const failed = buildPayment();
+      const abandoned = buildPayment();
+      abandoned.transactionDetails.orderId = "order_q";
+      pending.payments = [failed, abandoned];
+      gatewayOrders({ order_p: [{ id: "pay_p", status: "failed" }] });
+      jest.spyOn(Payment, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+
+      const items = await run();
+
+      expect(items.map((item) => item.action)).toEqual(["failed", "expired"]);
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: abandoned._id, status: "pending" },
+        { $set: { status: "expired" }, $unset: { checkout: "" } }
+      );
+    });
+
+    it("reports gateway errors without changing the payment", async () => {
+      pending.payments = [buildPayment()];
+      razorpayService.fetchOrderPayments.mockRejectedValue({
+        error: { description: "Bad request" },
+      });
+      jest.spyOn(Payment, "updateOne");
+
+      const [item] = await run();
+
+      expect(item).toMatchObject({ action: "error", note: "Bad request" });
+      expect(Payment.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("invoices", () => {
+    const openOrder = (orderId) => ({
+      orderId,
+      amount: 1000,
+      expiresAt: past,
+      status: "open",
+    });
+
+    const buildStoredInvoice = (fields = {}) =>
+      buildInvoice({ status: "ISSUED", checkoutOrders: [], ...fields });
+
+    beforeEach(() => {
+      jest.spyOn(Invoice, "closeCheckoutOrder").mockResolvedValue();
+      jest.spyOn(Payment, "findOne").mockResolvedValue(null);
+      jest
+        .spyOn(Payment, "create")
+        .mockImplementation(async (doc) => ({ _id: "payment", ...doc }));
+    });
+
+    it("checks every open order, not just the latest", async () => {
+      const invoice = buildStoredInvoice({
+        checkout: { orderId: "order_new", amount: 1000, expiresAt: past },
+        checkoutOrders: [
+          { orderId: "order_paid", expiresAt: past, status: "paid" },
+          openOrder("order_old"),
+          openOrder("order_new"),
+        ],
+      });
+      pending.invoices = [invoice];
+      gatewayOrders({
+        order_old: [
+          { ...razorpayPayment, id: "pay_old", order_id: "order_old" },
+        ],
+      });
+
+      const items = await run();
+
+      expect(items.map((item) => [item.orderId, item.action])).toEqual([
+        ["order_old", "completed"],
+        ["order_new", "expired"],
+      ]);
+      expect(Invoice.applyPayment).toHaveBeenCalledWith(invoice._id, 1000, {
+        orderId: "order_old",
+      });
+      expect(Invoice.closeCheckoutOrder).toHaveBeenCalledWith(
+        invoice._id,
+        "order_new",
+        "expired"
+      );
+      expect(razorpayService.fetchOrderPayments).not.toHaveBeenCalledWith(
+        "order_paid"
+      );
+    });
+
+    it("closes an order whose payment was already recorded", async () => {
+      const invoice = buildStoredInvoice({
+        checkoutOrders: [openOrder("order_1")],
+      });
+      pending.invoices = [invoice];
+      gatewayOrders({ order_1: [razorpayPayment] });
+      Payment.findOne.mockResolvedValue({ _id: "payment" });
+
+      const [item] = await run();
+
+      expect(item).toMatchObject({
+        action: "none",
+        mismatch: false,
+        note: "Payment already recorded",
+      });
+      expect(Invoice.closeCheckoutOrder).toHaveBeenCalledWith(
+        invoice._id,
+        "order_1",
+        "paid"
+      );
+    });
+
+    it("reconciles a checkout from before the order history", async () => {
+      const invoice = buildStoredInvoice({
+        checkout: { orderId: "order_legacy", amount: 1000, expiresAt: past },
+        checkoutOrders: undefined,
+      });
+      pending.invoices = [invoice];
+      gatewayOrders({ order_legacy: [{ id: "pay_x", status: "failed" }] });
+
+      const [item] = await run();
+
+      expect(item).toMatchObject({ orderId: "order_legacy", action: "failed" });
+      expect(Invoice.closeCheckoutOrder).toHaveBeenCalledWith(
+        invoice._id,
+        "order_legacy",
+        "failed"
+      );
+    });
+  });
+
+  describe("subscriptions", () => {
+    const buildSubscription = () => ({
+      _id: new mongoose.Types.ObjectId(),
+      subscriptionNumber: "SUB000001",
+      status: "pending",
+      payment: { orderId: "order_s", amount: 999 },
+    });
+
+    it("activates a subscription the gateway captured", async () => {
+      const subscription = buildSubscription();
+      pending.subscriptions = [subscription];
+      gatewayOrders({ order_s: [{ id: "pay_s", status: "captured" }] });
+      jest.spyOn(Subscription, "findOneAndUpdate").mockReturnValue(
+        query({
+          _id: subscription._id,
+          customer: "customer",
+          package: { _id: "package", name: "Gold" },
+          endDate: new Date(),
+        })
+      );
+      jest.spyOn(Package, "findByIdAndUpdate").mockResolvedValue({});
+
+      const [item] = await run();
+
+      expect(item).toMatchObject({
+        entityType: "subscription",
+        action: "completed",
+      });
+      expect(Subscription.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: subscription._id, status: "pending" },
+        expect.objectContaining({
+          $set: expect.objectContaining({ "payment.transactionId": "pay_s" }),
+        }),
+        { new: true }
+      );
+    });
+
+    it("cancels an unpaid subscription once its order expires", async () => {
+      const subscription = buildSubscription();
+      pending.subscriptions = [subscription];
+      jest
+        .spyOn(Subscription, "updateOne")
+        .mockResolvedValue({ modifiedCount: 1 });
+
+      const [item] = await run();
+
+      expect(item).toMatchObject({
+        gatewayStatus: "no_payment",
+        mismatch: false,
+        action: "expired",
+      });
+      expect(Subscription.updateOne).toHaveBeenCalledWith(
+        { _id: subscription._id, status: "pending" },
+        expect.objectContaining({
+          $set: expect.objectContaining({ status: "cancelled" }),
+        })
+      );
+    });
+
+    it("leaves authorized payments for capture", async () => {
+      pending.subscriptions = [buildSubscription()];
+      gatewayOrders({ order_s: [{ id: "pay_s", status: "authorized" }] });
+      jest.spyOn(Subscription, "updateOne");
+
+      const [item] = await run();
+
+      expect(item).toMatchObject({
+        action: "none",
+        note: "Payment authorized but not captured",
+      });
+      expect(Subscription.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  it("summarises the run in the saved report", async () => {
+    pending.payments = [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        status: "pending",
+        transactionDetails: { orderId: "order_p" },
+      },
+    ];
+    pending.subscriptions = [
+      {
+        _id: new mongoose.Types.ObjectId(),
+        status: "pending",
+        payment: { orderId: "order_s" },
+      },
+    ];
+    jest.spyOn(Payment, "updateOne").mockResolvedValue({ modifiedCount: 1 });
+    jest
+      .spyOn(Subscription, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+
+    const report = await paymentReconciliationService.runReconciliation();
+
+    expect(report).toMatchObject({
+      trigger: "cron",
+      summary: {
+        checked: 2,
+        completed: 0,
+        failed: 0,
+        expired: 2,
+        mismatches: 0,
+        errors: 0,
+      },
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * No-show marking and the spots it frees
+ */
+jest.mock("../../src/services/slotBooking.service", () => ({
+  releaseBooking: jest.fn(),
+}));
+jest.mock("../../src/services/logistics.service", () => ({
+  syncPickupTask: jest.fn(),
+}));
+jest.mock("../../src/services/waitlist.service", () => ({
+  offerFreedBooking: jest.fn(),
+}));
+jest.mock("../../src/services/fcm.service", () => ({
+  sendToUser: jest.fn(),
+}));
+jest.mock("../../src/services/jobcard.service", () => ({
+  transitionStatus: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const { Appointment, JobCard, User } = require("../../src/models");
+const slotBookingService = require("../../src/services/slotBooking.service");
+const waitlistService = require("../../src/services/waitlist.service");
+const jobcardService = require("../../src/services/jobcard.service");
+const reliabilityService = require("../../src/services/reliability.service");
+
+// Chainable query stub resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const NOW = new Date(2026, 5, 15, 14, 0);
+
+const buildAppointment = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  appointmentNumber: "APT-TEST-0001",
+  customer: new mongoose.Types.ObjectId(),
+  scheduledDate: new Date(2026, 5, 15),
+  timeSlot: { startTime: "10:00", endTime: "11:00" },
+  baySlots: ["10:00", "11:00"],
+  status: "confirmed",
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(User, "updateOne").mockResolvedValue({});
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("markNoShows", () => {
+  it("releases a missed booking and offers its spots", async () => {
+    const missed = buildAppointment();
+    jest.spyOn(Appointment, "find").mockReturnValue(query([missed]));
+    jest
+      .spyOn(Appointment, "findOneAndUpdate")
+      .mockResolvedValue({ ...missed, status: "no-show" });
+
+    await reliabilityService.markNoShows(NOW);
+
+    expect(slotBookingService.releaseBooking).toHaveBeenCalled();
+    expect(waitlistService.offerFreedBooking).toHaveBeenCalledWith({
+      date: missed.scheduledDate,
+      startTime: "10:00",
+      baySlots: ["10:00", "11:00"],
+    });
+  });
+
+  it("cancels the job card through the status workflow", async () => {
+    const jobCard = { _id: new mongoose.Types.ObjectId(), status: "created" };
+    const missed = buildAppointment({ jobCard });
+    jest.spyOn(Appointment, "find").mockReturnValue(query([missed]));
+    jest
+      .spyOn(Appointment, "findOneAndUpdate")
+      .mockResolvedValue({ ...missed, status: "no-show" });
+    jest.spyOn(JobCard, "findById").mockResolvedValue(jobCard);
+
+    await reliabilityService.markNoShows(NOW);
+
+    expect(jobcardService.transitionStatus).toHaveBeenCalledWith(
+      jobCard,
+      "cancelled",
+      { role: "system", notes: "Customer did not show up" }
+    );
+  });
+
+  it("leaves a booking an admin updated first", async () => {
+    jest
+      .spyOn(Appointment, "find")
+      .mockReturnValue(query([buildAppointment()]));
+    jest.spyOn(Appointment, "findOneAndUpdate").mockResolvedValue(null);
+
+    await reliabilityService.markNoShows(NOW);
+
+    expect(slotBookingService.releaseBooking).not.toHaveBeenCalled();
+    expect(waitlistService.offerFreedBooking).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Storing customer signatures privately and loading them for PDFs
+ */
+jest.mock("../../src/services/imagekit.service", () => ({
+  uploadPrivateFile: jest.fn(),
+  downloadPrivateImage: jest.fn(),
+  downloadImage: jest.fn(),
+}));
+
+const imagekitService = require("../../src/services/imagekit.service");
+const signatureService = require("../../src/services/signature.service");
+
+const image = `data:image/png;base64,${Buffer.from("sig").toString("base64")}`;
+const filePath = "/clutchgear/jobcards/1/signatures/signature_1.png";
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("captureSignature", () => {
+  it("uploads the drawing as a private file", async () => {
+    imagekitService.uploadPrivateFile.mockResolvedValue({
+      fileId: "file_1",
+      filePath,
+    });
+
+    const signature = await signatureService.captureSignature({
+      image,
+      name: " Customer ",
+      method: "app",
+      folder: "jobcards/1/signatures",
+      ipAddress: "10.0.0.1",
+    });
+
+    expect(imagekitService.uploadPrivateFile).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.stringMatching(/^signature_\d+\.png$/),
+      "jobcards/1/signatures"
+    );
+    expect(signature).toMatchObject({ filePath, fileId: "file_1" });
+    expect(signature.url).toBeUndefined();
+  });
+});
+
+describe("loadSignatures", () => {
+  it("downloads private signatures through a signed URL", async () => {
+    const buffer = Buffer.from("png");
+    imagekitService.downloadPrivateImage.mockResolvedValue(buffer);
+
+    const [loaded] = await signatureService.loadSignatures([
+      { label: "Vehicle received", signature: { filePath, name: "Customer" } },
+      { label: "Estimate approved", signature: undefined },
+    ]);
+
+    expect(imagekitService.downloadPrivateImage).toHaveBeenCalledWith(
+      filePath,
+      400
+    );
+    expect(loaded).toMatchObject({ label: "Vehicle received", buffer });
+  });
+
+  it("still loads signatures stored before they were private", async () => {
+    const url = "https://ik.imagekit.io/demo/signature.png";
+    imagekitService.downloadImage.mockResolvedValue(Buffer.from("png"));
+
+    const loaded = await signatureService.loadSignatures([
+      { label: "Vehicle received", signature: { url, name: "Customer" } },
+    ]);
+
+    expect(loaded).toHaveLength(1);
+    expect(imagekitService.downloadImage).toHaveBeenCalledWith(url, 400);
+    expect(imagekitService.downloadPrivateImage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,422 @@
+/**
+ * Slot capacity: claims, checkout holds, their release and bay spans
+ *
+ * SlotCounter is backed by an in-memory store that evaluates the service's
+ * conditional updates, so capacity is checked the way MongoDB applies it.
+ */
+const mongoose = require("mongoose");
+const {
+  Appointment,
+  Bay,
+  Garage,
+  SlotCounter,
+  SlotOverride,
+  TimeSlot,
+} = require("../../src/models");
+const slotBookingService = require("../../src/services/slotBooking.service");
+
+const DATE = new Date(2026, 5, 15);
+const SLOT = "10:00";
+
+// Chainable query stub resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    session: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const same = (a, b) => String(a) === String(b);
+const path = (doc, key) => key.split(".").reduce((v, k) => v?.[k], doc);
+
+// Aggregation expressions used by the service's $expr and pipelines
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    return path(vars, expr.slice(2));
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return path(doc, expr.slice(1));
+  }
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(e, doc, vars));
+  const [op] = Object.keys(expr || {});
+  if (typeof expr !== "object" || !op?.startsWith("$")) return expr;
+
+  const arg = expr[op];
+  const args = () => arg.map((a) => evaluate(a, doc, vars));
+  switch (op) {
+    case "$lt":
+      return args()[0] < args()[1];
+    case "$gt":
+      return args()[0] > args()[1];
+    case "$ne":
+      return !same(...args());
+    case "$and":
+      return args().every(Boolean);
+    case "$add":
+      return args().reduce((sum, n) => sum + n, 0);
+    case "$size":
+      return evaluate(arg, doc, vars).length;
+    case "$ifNull":
+      return args()[0] ?? args()[1];
+    case "$concatArrays":
+      return args().flat();
+    case "$filter":
+      return evaluate(arg.input, doc, vars).filter((item) =>
+        evaluate(arg.cond, doc, { ...vars, [arg.as]: item })
+      );
+    default:
+      throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const holdMatches = (hold, cond) =>
+  Object.entries(cond).every(([key, value]) => {
+    if (value?.$gt) return hold[key] > value.$gt;
+    if (value?.$ne) return !same(hold[key], value.$ne);
+    return same(hold[key], value);
+  });
+
+const matches = (counter, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (key === "$expr") return evaluate(value, counter);
+    if (key === "holds") {
+      return counter.holds.some((h) => holdMatches(h, value.$elemMatch));
+    }
+    if (key.startsWith("holds.")) {
+      const field = key.slice("holds.".length);
+      return counter.holds.some((h) => same(h[field], value));
+    }
+    if (value?.$gt !== undefined) return counter[key] > value.$gt;
+    return same(counter[key], value);
+  });
+
+const apply = (counter, update) => {
+  if (Array.isArray(update)) {
+    update.forEach(({ $set }) => {
+      const values = Object.entries($set).map(([key, expr]) => [
+        key,
+        evaluate(expr, counter),
+      ]);
+      values.forEach(([key, value]) => {
+        counter[key] = value;
+      });
+    });
+    return;
+  }
+  if (update.$pull) {
+    counter.holds = counter.holds.filter(
+      (h) => !holdMatches(h, update.$pull.holds)
+    );
+  }
+  if (update.$inc) counter.booked += update.$inc.booked;
+};
+
+let counters;
+
+const findCounter = (date, startTime) =>
+  counters.find((c) => c.date === date && c.startTime === startTime);
+
+const hold = (customer, minutes) => ({
+  _id: new mongoose.Types.ObjectId(),
+  customer,
+  expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+});
+
+const seedCounter = (fields = {}) => {
+  const counter = {
+    date: slotBookingService.getDateKey(DATE),
+    startTime: SLOT,
+    booked: 0,
+    holds: [],
+    bays: [],
+    ...fields,
+  };
+  counters.push(counter);
+  return counter;
+};
+
+const claim = (fields = {}) =>
+  slotBookingService.claimSlot({
+    date: DATE,
+    startTime: SLOT,
+    maxBookings: 2,
+    ...fields,
+  });
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  counters = [];
+
+  jest
+    .spyOn(SlotCounter, "exists")
+    .mockImplementation(async ({ date, startTime }) =>
+      findCounter(date, startTime) ? { _id: 1 } : null
+    );
+  jest
+    .spyOn(SlotCounter, "findOneAndUpdate")
+    .mockImplementation(async (filter, update) => {
+      const counter = counters.find((c) => matches(c, filter));
+      if (!counter) return null;
+      apply(counter, update);
+      return { ...counter };
+    });
+  jest
+    .spyOn(SlotCounter, "updateOne")
+    .mockImplementation(async (filter, update, options = {}) => {
+      const counter = counters.find((c) => matches(c, filter));
+      if (!counter && options.upsert) {
+        seedCounter({ ...filter, ...update.$setOnInsert });
+        return { modifiedCount: 0, upsertedCount: 1 };
+      }
+      if (!counter || update.$setOnInsert) return { modifiedCount: 0 };
+      const before = JSON.stringify(counter);
+      apply(counter, update);
+      return { modifiedCount: JSON.stringify(counter) === before ? 0 : 1 };
+    });
+  jest
+    .spyOn(SlotCounter, "updateMany")
+    .mockImplementation(async (filter, update) => {
+      const matched = counters.filter((c) => matches(c, filter));
+      matched.forEach((counter) => apply(counter, update));
+      return { modifiedCount: matched.length };
+    });
+  jest.spyOn(Appointment, "countDocuments").mockResolvedValue(0);
+  jest.spyOn(Bay, "find").mockReturnValue(query([]));
+});
+
+describe("claimSlot", () => {
+  it("creates the counter on first use, seeded from bookings", async () => {
+    Appointment.countDocuments.mockResolvedValue(1);
+
+    const counter = await claim();
+
+    expect(counter.booked).toBe(2);
+    expect(findCounter("2026-06-15", SLOT).booked).toBe(2);
+  });
+
+  it("rejects a claim once the slot is full", async () => {
+    const results = await Promise.allSettled([claim(), claim(), claim()]);
+
+    expect(results.map((r) => r.status)).toEqual([
+      "fulfilled",
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(results[2].reason).toMatchObject({
+      statusCode: 409,
+      message: "This time slot is fully booked",
+    });
+    expect(findCounter("2026-06-15", SLOT).booked).toBe(2);
+  });
+
+  it("counts other customers' active holds but not expired ones", async () => {
+    const other = new mongoose.Types.ObjectId();
+    seedCounter({ booked: 1, holds: [hold(other, -1)] });
+
+    await claim();
+
+    expect(findCounter("2026-06-15", SLOT)).toMatchObject({
+      booked: 2,
+      holds: [],
+    });
+
+    const counter = findCounter("2026-06-15", SLOT);
+    counter.booked = 1;
+    counter.holds = [hold(other, 5)];
+    await expect(claim()).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("converts the customer's own hold into the booking", async () => {
+    const customer = new mongoose.Types.ObjectId();
+    const own = hold(customer, 5);
+    seedCounter({ booked: 1, holds: [own] });
+
+    const counter = await claim({ holdId: own._id, customerId: customer });
+
+    expect(counter.booked).toBe(2);
+    expect(counter.holds).toEqual([]);
+  });
+
+  it("lets a customer book their held spot without the hold id", async () => {
+    const customer = new mongoose.Types.ObjectId();
+    seedCounter({ booked: 1, holds: [hold(customer, 5)] });
+
+    const counter = await claim({ customerId: customer });
+
+    expect(counter.booked).toBe(2);
+    expect(counter.holds).toEqual([]);
+  });
+
+  it("does not convert another customer's hold", async () => {
+    const holder = new mongoose.Types.ObjectId();
+    const theirs = hold(holder, 5);
+    seedCounter({ booked: 1, holds: [theirs] });
+
+    await expect(
+      claim({
+        holdId: theirs._id,
+        customerId: new mongoose.Types.ObjectId(),
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(findCounter("2026-06-15", SLOT).holds).toEqual([theirs]);
+  });
+});
+
+describe("holdSlot", () => {
+  const holdFor = (customerId, fields = {}) =>
+    slotBookingService.holdSlot({
+      date: DATE,
+      startTime: SLOT,
+      maxBookings: 2,
+      customerId,
+      minutes: 5,
+      ...fields,
+    });
+
+  it("reserves a spot until the hold expires", async () => {
+    const customer = new mongoose.Types.ObjectId();
+
+    const { holdId, expiresAt } = await holdFor(customer);
+
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(findCounter("2026-06-15", SLOT).holds).toEqual([
+      expect.objectContaining({ _id: holdId, customer }),
+    ]);
+  });
+
+  it("keeps one hold per customer", async () => {
+    const customer = new mongoose.Types.ObjectId();
+    await holdFor(customer);
+
+    await holdFor(customer, { startTime: "11:00" });
+
+    expect(findCounter("2026-06-15", SLOT).holds).toEqual([]);
+    expect(findCounter("2026-06-15", "11:00").holds).toHaveLength(1);
+  });
+
+  it("keeps a waitlist offer when the customer opens a checkout", async () => {
+    const customer = new mongoose.Types.ObjectId();
+    const offer = await holdFor(customer, { kind: "waitlist" });
+
+    await holdFor(customer, { startTime: "11:00" });
+
+    expect(findCounter("2026-06-15", SLOT).holds).toEqual([
+      expect.objectContaining({ _id: offer.holdId, kind: "waitlist" }),
+    ]);
+  });
+
+  it("keeps earlier waitlist offers when another is made", async () => {
+    const customer = new mongoose.Types.ObjectId();
+    await holdFor(customer, { kind: "waitlist" });
+
+    await holdFor(customer, { startTime: "11:00", kind: "waitlist" });
+
+    expect(findCounter("2026-06-15", SLOT).holds).toHaveLength(1);
+    expect(findCounter("2026-06-15", "11:00").holds).toHaveLength(1);
+  });
+
+  it("rejects a hold when bookings and holds fill the slot", async () => {
+    seedCounter({
+      booked: 1,
+      holds: [hold(new mongoose.Types.ObjectId(), 5)],
+    });
+
+    await expect(
+      holdFor(new mongoose.Types.ObjectId())
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("drops expired holds when adding one", async () => {
+    seedCounter({
+      booked: 1,
+      holds: [hold(new mongoose.Types.ObjectId(), -1)],
+    });
+
+    await holdFor(new mongoose.Types.ObjectId());
+
+    expect(findCounter("2026-06-15", SLOT).holds).toHaveLength(1);
+  });
+});
+
+describe("releaseHold", () => {
+  it("releases a hold only for the customer who owns it", async () => {
+    const customer = new mongoose.Types.ObjectId();
+    const own = hold(customer, 5);
+    seedCounter({ holds: [own] });
+
+    await expect(
+      slotBookingService.releaseHold(own._id, new mongoose.Types.ObjectId())
+    ).resolves.toBe(false);
+    await expect(
+      slotBookingService.releaseHold(own._id, customer)
+    ).resolves.toBe(true);
+    expect(findCounter("2026-06-15", SLOT).holds).toEqual([]);
+  });
+});
+
+const daySlots = [
+  { startTime: "09:00", endTime: "10:00", maxBookings: 2 },
+  { startTime: "10:00", endTime: "11:00", maxBookings: 2 },
+  { startTime: "11:00", endTime: "12:00", maxBookings: 2 },
+];
+
+describe("getSpannedSlots", () => {
+  it("spans consecutive slots for the job's duration", () => {
+    expect(slotBookingService.getSpannedSlots(daySlots, "09:00", 90)).toEqual(
+      ["09:00", "10:00"]
+    );
+  });
+
+  it("returns null when the day has too little time left", () => {
+    expect(
+      slotBookingService.getSpannedSlots(daySlots, "10:00", 180)
+    ).toBeNull();
+  });
+
+  it("does not cap a job longer than the working day", () => {
+    expect(
+      slotBookingService.getSpannedSlots(daySlots, "09:00", 24 * 60)
+    ).toBeNull();
+    expect(slotBookingService.isLongerThanDay(daySlots, 24 * 60)).toBe(true);
+    expect(slotBookingService.isLongerThanDay(daySlots, 180)).toBe(false);
+  });
+});
+
+describe("createBooking", () => {
+  it("rejects a job longer than the working day", async () => {
+    Bay.find.mockReturnValue(query([{ _id: new mongoose.Types.ObjectId() }]));
+    jest.spyOn(TimeSlot, "find").mockReturnValue(query(daySlots));
+    jest.spyOn(SlotOverride, "findOne").mockReturnValue(query(null));
+    jest.spyOn(Garage, "findOne").mockReturnValue(query(null));
+
+    await expect(
+      slotBookingService.createBooking(
+        { date: DATE, startTime: "09:00", maxBookings: 2 },
+        { durationMinutes: 2 * 24 * 60 }
+      )
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining("longer than one working day"),
+    });
+    expect(SlotCounter.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("gives the spot back when the appointment cannot be saved", async () => {
+    jest
+      .spyOn(Appointment, "create")
+      .mockRejectedValue(new Error("validation failed"));
+
+    await expect(
+      slotBookingService.createBooking(
+        { date: DATE, startTime: SLOT, maxBookings: 2 },
+        { durationMinutes: 60 }
+      )
+    ).rejects.toThrow("validation failed");
+
+    expect(findCounter("2026-06-15", SLOT).booked).toBe(0);
+  });
+});
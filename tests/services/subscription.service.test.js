@@ -0,0 +1,271 @@
+/**
+ * Subscription renewals and plan changes
+ */
+jest.mock("../../src/services/razorpay.service", () => ({
+  fetchOrderPayments: jest.fn(),
+  initiateRefund: jest.fn(),
+}));
+jest.mock("../../src/services/fcm.service", () => ({
+  sendToUser: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const { Subscription, Package } = require("../../src/models");
+const razorpayService = require("../../src/services/razorpay.service");
+const subscriptionService = require("../../src/services/subscription.service");
+
+// Chainable query stub resolving to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+const buildSubscription = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  subscriptionNumber: "SUB-TEST-0001",
+  customer: new mongoose.Types.ObjectId(),
+  status: "active",
+  endDate: new Date("2026-04-01T00:00:00Z"),
+  packageSnapshot: { name: "Gold", duration: { value: 30, unit: "days" } },
+  payment: { amount: 1180 },
+  usage: [{ usedCount: 2 }],
+  renewalHistory: [],
+  renewal: { orderIds: ["order_1", "order_2"], amount: 1180 },
+  save: jest.fn(),
+  ...fields,
+});
+
+let sub;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  sub = buildSubscription();
+  jest.spyOn(Subscription, "findOne").mockReturnValue(query(sub));
+  jest.spyOn(Subscription, "findOneAndUpdate").mockResolvedValue(sub);
+  jest.spyOn(Subscription, "findById").mockReturnValue(query(sub));
+  jest.spyOn(Subscription, "updateOne").mockResolvedValue({});
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest
+    .spyOn(Date, "now")
+    .mockReturnValue(new Date("2026-03-31T00:00:00Z").getTime());
+});
+
+describe("applyRenewal", () => {
+  it("extends an on-time renewal from the current endDate", async () => {
+    const renewed = await subscriptionService.applyRenewal("order_2", {
+      paymentId: "pay_1",
+      amount: 1180,
+    });
+
+    expect(renewed.endDate.toISOString()).toBe("2026-05-01T00:00:00.000Z");
+    expect(renewed.usage[0].usedCount).toBe(0);
+    expect(renewed.renewalHistory).toEqual([
+      expect.objectContaining({
+        type: "auto_renewal",
+        orderId: "order_2",
+        transactionId: "pay_1",
+        amount: 1180,
+      }),
+    ]);
+    expect(sub.save).toHaveBeenCalled();
+  });
+
+  it("extends a late renewal from the payment date", async () => {
+    Date.now.mockReturnValue(new Date("2026-04-10T00:00:00Z").getTime());
+
+    const renewed = await subscriptionService.applyRenewal("order_2", {
+      paymentId: "pay_1",
+      amount: 1180,
+    });
+
+    expect(renewed.endDate.toISOString()).toBe("2026-05-10T00:00:00.000Z");
+    expect(renewed.renewalHistory[0].previousEndDate.toISOString()).toBe(
+      "2026-04-01T00:00:00.000Z"
+    );
+  });
+
+  it("refunds instead of renewing when the paid amount differs", async () => {
+    Subscription.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const renewed = await subscriptionService.applyRenewal("order_2", {
+      paymentId: "pay_1",
+      amount: 1,
+    });
+
+    expect(renewed).toBeNull();
+    expect(Subscription.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Subscription.updateOne).toHaveBeenCalledWith(
+      { _id: sub._id, "renewal.refundedPaymentIds": { $ne: "pay_1" } },
+      {
+        $set: {
+          "renewal.lastError":
+            "Paid ₹1 does not match the renewal amount ₹1180",
+        },
+        $addToSet: { "renewal.refundedPaymentIds": "pay_1" },
+      }
+    );
+    expect(razorpayService.initiateRefund).toHaveBeenCalledWith(
+      "pay_1",
+      null,
+      expect.objectContaining({ subscriptionId: sub._id.toString() })
+    );
+    expect(sub.endDate.toISOString()).toBe("2026-04-01T00:00:00.000Z");
+  });
+
+  it("refunds a mismatched payment only once", async () => {
+    Subscription.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await subscriptionService.applyRenewal("order_2", {
+      paymentId: "pay_1",
+      amount: 1,
+    });
+
+    expect(razorpayService.initiateRefund).not.toHaveBeenCalled();
+  });
+
+  it("flags a mismatched payment whose refund failed", async () => {
+    Subscription.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    razorpayService.initiateRefund.mockRejectedValue(new Error("Timeout"));
+
+    await subscriptionService.applyRenewal("order_2", {
+      paymentId: "pay_1",
+      amount: 1,
+    });
+
+    expect(Subscription.updateOne).toHaveBeenLastCalledWith(
+      { _id: sub._id },
+      {
+        $set: {
+          "renewal.lastError": expect.stringContaining("refund it manually"),
+        },
+        $pull: { "renewal.refundedPaymentIds": "pay_1" },
+      }
+    );
+  });
+
+  it("ignores an order that is not a pending renewal", async () => {
+    Subscription.findOne.mockReturnValue(query(null));
+
+    const renewed = await subscriptionService.applyRenewal("order_9", {
+      paymentId: "pay_1",
+      amount: 1180,
+    });
+
+    expect(renewed).toBeNull();
+    expect(Subscription.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("processAutoRenewals", () => {
+  it("applies a payment captured on an earlier renewal order", async () => {
+    const due = buildSubscription();
+    jest.spyOn(Subscription, "find").mockReturnValue(query([due]));
+    razorpayService.fetchOrderPayments.mockImplementation(async (orderId) =>
+      orderId === "order_1"
+        ? { items: [{ id: "pay_1", status: "captured", amount: 118000 }] }
+        : { items: [{ id: "pay_2", status: "failed", amount: 118000 }] }
+    );
+
+    const summary = await subscriptionService.processAutoRenewals();
+
+    expect(razorpayService.fetchOrderPayments).toHaveBeenCalledWith("order_1");
+    expect(summary.renewed).toBe(1);
+    expect(sub.renewalHistory[0]).toMatchObject({
+      orderId: "order_1",
+      transactionId: "pay_1",
+    });
+  });
+});
+
+describe("completePlanChange", () => {
+  let previous;
+  let next;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date("2026-03-16T00:00:00Z") });
+    // Half the term and half the services left when quoted: ₹590 credit
+    previous = buildSubscription({
+      startDate: new Date("2026-03-01T00:00:00Z"),
+      endDate: new Date("2026-03-31T00:00:00Z"),
+      packageSnapshot: { price: 1000 },
+      usage: [{ service: "wash", maxAllowed: 4, usedCount: 2, history: [] }],
+      pauseHistory: [],
+      renewal: { orderIds: ["order_1"], amount: 1180 },
+    });
+    next = buildSubscription({
+      package: new mongoose.Types.ObjectId(),
+      packageSnapshot: {
+        name: "Platinum",
+        duration: { value: 30, unit: "days" },
+      },
+      payment: { amount: 1770, credit: 590 },
+      usage: [],
+      changedFrom: {
+        subscription: previous._id,
+        type: "upgrade",
+        credit: 590,
+      },
+    });
+    Subscription.findOneAndUpdate.mockResolvedValue(previous);
+    Subscription.findById.mockReturnValue(query(next));
+    jest.spyOn(Package, "findByIdAndUpdate").mockResolvedValue({});
+    jest
+      .spyOn(Package, "findById")
+      .mockResolvedValue({ price: 2000, taxRate: 18, services: [] });
+    razorpayService.fetchOrderPayments.mockResolvedValue({ items: [] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("starts a full term when the quoted credit still holds", async () => {
+    const doc = await subscriptionService.completePlanChange(next);
+
+    expect(doc.startDate.toISOString()).toBe("2026-03-16T00:00:00.000Z");
+    expect(doc.endDate.toISOString()).toBe("2026-04-15T00:00:00.000Z");
+    expect(doc.changedFrom.credit).toBe(590);
+  });
+
+  it("shortens the term when the credit shrank since the quote", async () => {
+    previous.usage[0].usedCount = 3;
+
+    const doc = await subscriptionService.completePlanChange(next);
+
+    // ₹1770 paid + ₹295 credit covers 2065/2360 of a 30-day term
+    expect(doc.endDate.toISOString()).toBe("2026-04-11T06:00:00.000Z");
+    expect(doc.changedFrom.credit).toBe(295);
+  });
+
+  it("closes the old plan's renewal and refunds captured orders", async () => {
+    razorpayService.fetchOrderPayments.mockResolvedValue({
+      items: [{ id: "pay_1", status: "captured", amount: 118000 }],
+    });
+
+    await subscriptionService.completePlanChange(next);
+
+    expect(Subscription.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: previous._id }),
+      {
+        $set: expect.objectContaining({
+          status: "cancelled",
+          "autoRenew.enabled": false,
+        }),
+      },
+      { new: true }
+    );
+    expect(previous.renewal).toBeUndefined();
+    expect(previous.save).toHaveBeenCalled();
+    expect(razorpayService.initiateRefund).toHaveBeenCalledWith(
+      "pay_1",
+      null,
+      expect.objectContaining({ subscriptionId: previous._id.toString() })
+    );
+  });
+});